@@ -4,8 +4,17 @@
  */
 const Database = require('better-sqlite3');
 const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
 const isoWeek = require('dayjs/plugin/isoWeek');
+dayjs.extend(utc);
+dayjs.extend(timezone);
 dayjs.extend(isoWeek);
+const crypto = require('crypto');
+const { HOURLY_RATE, PAY_PERIODS, PAY_PERIOD, ROLES, OWNER_IDS, RESET_UNDO_MINUTES, LEAVE_TYPES, LEAVE_DAY_HOURS, ADJUSTMENT_CATEGORIES, payPeriodRange, friendlyRangeLabel, hasRole, canManage, signedUsd } = require('./services');
+
+// Zone for users who have not picked one with /settz
+const DEFAULT_TZ = process.env.DEFAULT_TZ || 'Asia/Manila';
 
 // Open (or create) the DB file
 const db = new Database('data.db');
@@ -33,17 +42,277 @@ CREATE TABLE IF NOT EXISTS shifts (
 
 CREATE INDEX IF NOT EXISTS idx_shifts_user_week ON shifts(user_id, week_key);
 CREATE INDEX IF NOT EXISTS idx_shifts_user_day  ON shifts(user_id, day_key);
+
+-- Pauses inside a shift; unpaid ones are not counted as worked time
+CREATE TABLE IF NOT EXISTS breaks (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  shift_id   INTEGER NOT NULL,
+  start_ts   INTEGER NOT NULL,
+  end_ts     INTEGER,
+  paid       INTEGER NOT NULL DEFAULT 0,
+  FOREIGN KEY(shift_id) REFERENCES shifts(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_breaks_shift ON breaks(shift_id);
+
+-- Project/client tags; their rates moved to the rates history (the rate column is only read once, to copy it there)
+CREATE TABLE IF NOT EXISTS projects (
+  name  TEXT PRIMARY KEY,
+  rate  REAL
+);
+
+-- Hourly rates as they changed: a row applies from effective_ts until the next one for the same user
+-- (NULL = everyone) and project (NULL = any); rate NULL ends a project rate
+CREATE TABLE IF NOT EXISTS rates (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id      INTEGER,
+  project      TEXT,
+  rate         REAL,
+  effective_ts INTEGER NOT NULL,
+  set_by       INTEGER,
+  created_ts   INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rates_user ON rates(user_id, effective_ts);
+
+-- Closed weeks as they were reported (sessions is a JSON array of shifts)
+CREATE TABLE IF NOT EXISTS week_snapshots (
+  user_id     INTEGER NOT NULL,
+  week_key    TEXT NOT NULL,
+  hours       REAL NOT NULL,
+  rate        REAL NOT NULL,
+  pay         REAL NOT NULL,
+  sessions    TEXT NOT NULL,
+  archived_ts INTEGER NOT NULL,
+  PRIMARY KEY (user_id, week_key),
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+-- Closed pay periods on their way to payout: submitted -> approved -> paid, or rejected -> submitted again
+CREATE TABLE IF NOT EXISTS timesheets (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id       INTEGER NOT NULL,
+  period_kind   TEXT NOT NULL,
+  period_start  TEXT NOT NULL,
+  period_end    TEXT NOT NULL,
+  status        TEXT NOT NULL,
+  hours         REAL NOT NULL,
+  pay           REAL NOT NULL,
+  submitted_ts  INTEGER NOT NULL,
+  decided_by    INTEGER,
+  decided_ts    INTEGER,
+  comment       TEXT,
+  paid_ts       INTEGER,
+  UNIQUE (user_id, period_start),
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status);
+
+-- Issued invoices / payslips; id is the running invoice number, reused when a period is issued again
+CREATE TABLE IF NOT EXISTS invoices (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id       INTEGER NOT NULL,
+  period_start  TEXT NOT NULL,
+  period_end    TEXT NOT NULL,
+  total         REAL NOT NULL,
+  issued_ts     INTEGER NOT NULL,
+  UNIQUE (user_id, period_start, period_end),
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+-- Single-use codes that give whoever redeems them a role
+CREATE TABLE IF NOT EXISTS invites (
+  code        TEXT PRIMARY KEY,
+  role        TEXT NOT NULL,
+  created_by  INTEGER NOT NULL,
+  created_ts  INTEGER NOT NULL,
+  expires_ts  INTEGER NOT NULL,
+  used_by     INTEGER,
+  used_ts     INTEGER
+);
+
+-- Group chats each user has been seen in (for /who and status boards)
+CREATE TABLE IF NOT EXISTS chat_members (
+  chat_id  INTEGER NOT NULL,
+  user_id  INTEGER NOT NULL,
+  seen_ts  INTEGER NOT NULL,
+  PRIMARY KEY (chat_id, user_id)
+);
+
+-- Pinned status boards (/board), one per group chat, edited whenever someone clocks in or out
+CREATE TABLE IF NOT EXISTS boards (
+  chat_id     INTEGER PRIMARY KEY,
+  message_id  INTEGER NOT NULL,
+  created_by  INTEGER NOT NULL,
+  created_ts  INTEGER NOT NULL
+);
+
+-- Shifts read from an uploaded CSV, waiting for the user to confirm (one upload per user)
+CREATE TABLE IF NOT EXISTS pending_imports (
+  user_id     INTEGER PRIMARY KEY,
+  shifts      TEXT NOT NULL, -- JSON [{ row, start_ts, end_ts, project }]
+  created_ts  INTEGER NOT NULL
+);
+
+-- Expected shifts (/schedule): one-off on day_key, or weekly on weekday (1 = Monday) from from_key
+-- until until_key (exclusive, NULL = open-ended); times are HH:mm in the user's zone, an end at or
+-- before the start is on the next day
+CREATE TABLE IF NOT EXISTS schedules (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,
+  day_key     TEXT,
+  weekday     INTEGER,
+  from_key    TEXT NOT NULL,
+  until_key   TEXT,
+  start_time  TEXT NOT NULL,
+  end_time    TEXT NOT NULL,
+  project     TEXT,
+  created_by  INTEGER NOT NULL,
+  created_ts  INTEGER NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_user ON schedules(user_id);
+
+-- Reminders and no-show alerts already sent, once per scheduled shift and day
+CREATE TABLE IF NOT EXISTS schedule_alerts (
+  schedule_id  INTEGER NOT NULL,
+  day_key      TEXT NOT NULL,
+  kind         TEXT NOT NULL, -- 'reminder' | 'noshow'
+  sent_ts      INTEGER NOT NULL,
+  PRIMARY KEY (schedule_id, day_key, kind)
+);
+
+-- Weekly target notifications already sent, once per user, week and kind
+CREATE TABLE IF NOT EXISTS target_alerts (
+  user_id   INTEGER NOT NULL,
+  week_key  TEXT NOT NULL,
+  kind      TEXT NOT NULL, -- 'reached' | 'cap' | 'behind'
+  sent_ts   INTEGER NOT NULL,
+  PRIMARY KEY (user_id, week_key, kind)
+);
+
+-- Append-only trail of everything that changes recorded time or pay (/audit); actor_id NULL = a scheduled
+-- job, user_id = whose time or pay it changed (NULL = everyone's), before/after are JSON. Never purged.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id        INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts        INTEGER NOT NULL,
+  actor_id  INTEGER,
+  user_id   INTEGER,
+  chat_id   INTEGER,
+  action    TEXT NOT NULL,
+  before    TEXT,
+  after     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id, ts);
+CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_log(ts);
+
+-- /resetday and /resetweek: the shifts they remove stay in place with reset_id set (soft-deleted)
+-- until /undo puts them back or the history purge drops them
+CREATE TABLE IF NOT EXISTS resets (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,
+  scope       TEXT NOT NULL, -- 'day' | 'week'
+  range_key   TEXT NOT NULL, -- the day_key or week_key it cleared
+  created_ts  INTEGER NOT NULL,
+  undone_ts   INTEGER,
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+-- Days off (/leave): hours taken on a local day; paid is copied from LEAVE_TYPES when recorded.
+-- Kept for the yearly balances, never purged.
+CREATE TABLE IF NOT EXISTS leave (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,
+  kind        TEXT NOT NULL, -- key of LEAVE_TYPES
+  day_key     TEXT NOT NULL,
+  hours       REAL NOT NULL,
+  paid        INTEGER NOT NULL,
+  created_by  INTEGER NOT NULL,
+  created_ts  INTEGER NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_user_day ON leave(user_id, day_key);
+
+-- Yearly leave allowances in days (/setallowance), replacing the LEAVE_TYPES default for one person
+CREATE TABLE IF NOT EXISTS leave_allowances (
+  user_id  INTEGER NOT NULL,
+  kind     TEXT NOT NULL,
+  days     REAL NOT NULL,
+  PRIMARY KEY (user_id, kind)
+);
+
+-- Pay adjustments (/adjust): a signed amount of money counted in the pay period containing day_key,
+-- on top of hours × rate. Kept for the pay history, never purged.
+CREATE TABLE IF NOT EXISTS pay_adjustments (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,
+  day_key     TEXT NOT NULL,
+  amount      REAL NOT NULL,
+  category    TEXT NOT NULL, -- key of ADJUSTMENT_CATEGORIES
+  note        TEXT,
+  created_by  INTEGER NOT NULL,
+  created_ts  INTEGER NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pay_adjustments_user_day ON pay_adjustments(user_id, day_key);
 `);
 
+// Columns added after a table was first created; true if it was added just now
+function ensureColumn(table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (cols.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+ensureColumn('users', 'tz', 'TEXT'); // IANA zone, NULL = DEFAULT_TZ
+ensureColumn('users', 'pay_period', 'TEXT'); // key of PAY_PERIODS, NULL = PAY_PERIOD
+ensureColumn('users', 'target_hours', 'REAL'); // weekly minimum (/target), NULL = none
+ensureColumn('users', 'cap_hours', 'REAL'); // weekly maximum (/target), NULL = none
+ensureColumn('shifts', 'project', 'TEXT'); // project tag, NULL = untagged
+ensureColumn('shifts', 'reminded_ts', 'INTEGER'); // when the forgotten clock-out reminder went out
+ensureColumn('shifts', 'flagged', 'INTEGER NOT NULL DEFAULT 0'); // 1 = closed automatically, awaiting review
+ensureColumn('shifts', 'reset_id', 'INTEGER REFERENCES resets(id)'); // the reset that removed it, NULL = live
+ensureColumn('shifts', 'adjusted', 'INTEGER NOT NULL DEFAULT 0'); // 1 = /in or /out was given an earlier time
+ensureColumn('week_snapshots', 'period_end', 'TEXT'); // last day of the archived period (week_key is its first)
+if (ensureColumn('users', 'role', 'TEXT')) { // one of ROLES, NULL = no access
+  db.exec(`UPDATE users SET role = 'employee'`); // people already using the bot keep their access
+}
+// Project rates set before the history existed apply from the beginning
+db.transaction(() => {
+  db.exec(`INSERT INTO rates (project, rate, effective_ts, created_ts) SELECT name, rate, 0, 0 FROM projects WHERE rate IS NOT NULL`);
+  db.exec(`UPDATE projects SET rate = NULL WHERE rate IS NOT NULL`);
+})();
+
 /** Helpers **/
-function isoMonday(dateOrTs) {
-  const d = typeof dateOrTs === 'number' ? dayjs.unix(dateOrTs) : dayjs(dateOrTs);
+// Timestamps are read in `tz`; date strings are already local dates
+function isoMonday(dateOrTs, tz = DEFAULT_TZ) {
+  const d = typeof dateOrTs === 'number' ? dayjs.unix(dateOrTs).tz(tz) : dayjs(dateOrTs);
   return d.isoWeekday(1).format('YYYY-MM-DD'); // Monday of ISO week
 }
-function dayKey(dateOrTs) {
-  const d = typeof dateOrTs === 'number' ? dayjs.unix(dateOrTs) : dayjs(dateOrTs);
+function dayKey(dateOrTs, tz = DEFAULT_TZ) {
+  const d = typeof dateOrTs === 'number' ? dayjs.unix(dateOrTs).tz(tz) : dayjs(dateOrTs);
   return d.format('YYYY-MM-DD');
 }
+function clock(ts, tz, format = 'HH:mm') {
+  return dayjs.unix(ts).tz(tz).format(format);
+}
+// First local midnight in `tz` after the timestamp
+function nextMidnight(ts, tz) {
+  return dayjs.tz(dayjs.unix(ts).tz(tz).add(1, 'day').format('YYYY-MM-DD'), tz).unix();
+}
+// Canonical IANA name, or null if the runtime does not know the zone
+function normalizeTz(name) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
 
 /** Users **/
 const upsertUserStmt = db.prepare(`
@@ -54,6 +323,29 @@ ON CONFLICT(user_id) DO UPDATE SET
   first_name=excluded.first_name,
   last_name=excluded.last_name
 `);
+const getUserTzStmt = db.prepare(`SELECT tz FROM users WHERE user_id = ?`);
+const setUserTzStmt = db.prepare(`UPDATE users SET tz = ? WHERE user_id = ?`);
+function getUserTz(userId) {
+  return getUserTzStmt.get(userId)?.tz || DEFAULT_TZ;
+}
+function setUserTz(userId, name) {
+  const tz = normalizeTz(name);
+  if (!tz) return { ok: false, message: 'Unknown time zone. Use an IANA name like Europe/Berlin or America/New_York.' };
+  setUserTzStmt.run(tz, userId);
+  return { ok: true, tz, message: `Time zone set to ${tz} ✅ Local time: ${clock(Math.floor(Date.now() / 1000), tz)}` };
+}
+const getUserPeriodStmt = db.prepare(`SELECT pay_period FROM users WHERE user_id = ?`);
+const setUserPeriodStmt = db.prepare(`UPDATE users SET pay_period = ? WHERE user_id = ?`);
+function getUserPeriod(userId) {
+  const kind = getUserPeriodStmt.get(userId)?.pay_period;
+  return PAY_PERIODS[kind] ? kind : PAY_PERIOD;
+}
+function setUserPeriod(userId, kind) {
+  const k = String(kind || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!PAY_PERIODS[k]) return { ok: false, message: `Unknown pay period. Use one of: ${Object.keys(PAY_PERIODS).join(', ')}.` };
+  setUserPeriodStmt.run(k, userId);
+  return { ok: true, kind: k, message: `Pay period set to ${PAY_PERIODS[k].toLowerCase()} ✅` };
+}
 function upsertUser(from) {
   upsertUserStmt.run({
     user_id: from.id,
@@ -63,91 +355,1467 @@ function upsertUser(from) {
   });
 }
 
+/** Roles **/
+const getUserStmt = db.prepare(`SELECT * FROM users WHERE user_id = ?`);
+const findUsernameStmt = db.prepare(`SELECT * FROM users WHERE username = ? COLLATE NOCASE`);
+const setUserRoleStmt = db.prepare(`UPDATE users SET role = ? WHERE user_id = ?`);
+const listTeamStmt = db.prepare(`
+SELECT * FROM users WHERE role IS NOT NULL ORDER BY COALESCE(username, first_name, user_id)
+`);
+const insertInviteStmt = db.prepare(`
+INSERT INTO invites (code, role, created_by, created_ts, expires_ts) VALUES (?, ?, ?, ?, ?)
+`);
+const getInviteStmt = db.prepare(`SELECT * FROM invites WHERE code = ?`);
+const useInviteStmt = db.prepare(`UPDATE invites SET used_by = ?, used_ts = ? WHERE code = ? AND used_by IS NULL`);
+
+function getUserRole(userId) {
+  if (OWNER_IDS.includes(String(userId))) return 'owner';
+  const role = getUserStmt.get(userId)?.role;
+  return ROLES.includes(role) ? role : null;
+}
+function userLabel(u) {
+  return u.username ? '@' + u.username : (u.first_name || 'User ' + u.user_id);
+}
+// "@name", "name" or a numeric id; null if the bot has never seen that user
+function findUser(ref) {
+  const s = String(ref || '').trim();
+  if (/^\d+$/.test(s)) return getUserStmt.get(Number(s)) || null;
+  return findUsernameStmt.get(s.replace(/^@/, '')) || null;
+}
+function listTeam() {
+  const team = listTeamStmt.all();
+  for (const id of OWNER_IDS) {
+    const u = getUserStmt.get(Number(id));
+    if (u && !team.some((t) => t.user_id === u.user_id)) team.push(u);
+  }
+  return team.map((u) => ({ ...u, role: getUserRole(u.user_id) }));
+}
+// Give `target` (a users row) a role, or take it away with role = null
+function setRole(actorId, target, role) {
+  if (role !== null && !ROLES.includes(role)) return { ok: false, message: `Unknown role. Use one of: ${ROLES.join(', ')}.` };
+  const name = userLabel(target);
+  if (target.user_id === actorId) return { ok: false, message: 'You cannot change your own role.' };
+  if (OWNER_IDS.includes(String(target.user_id))) return { ok: false, message: `${name} is an owner through OWNER_ID.` };
+  const actor = getUserRole(actorId);
+  const current = getUserRole(target.user_id);
+  if (!canManage(actor, current) || !canManage(actor, role)) {
+    return { ok: false, message: 'Only owners can change managers and owners.' };
+  }
+  if (current === role) return { ok: false, message: role ? `${name} is already ${role}.` : `${name} has no role.` };
+  setUserRoleStmt.run(role, target.user_id);
+  return { ok: true, message: role ? `${name} is now ${role} ✅` : `Removed ${name}’s ${current} role ✅` };
+}
+function createInvite(actorId, role, nowTs, ttlHours) {
+  if (!ROLES.includes(role)) return { ok: false, message: `Unknown role. Use one of: ${ROLES.join(', ')}.` };
+  if (!canManage(getUserRole(actorId), role)) return { ok: false, message: 'Only owners can invite managers and owners.' };
+  const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+  insertInviteStmt.run(code, role, actorId, nowTs, nowTs + Math.round(ttlHours * 3600));
+  return { ok: true, code, role };
+}
+function redeemInvite(userId, code, nowTs) {
+  const invite = getInviteStmt.get(String(code || '').trim().toUpperCase());
+  if (!invite || invite.used_by != null || invite.expires_ts <= nowTs) {
+    return { ok: false, message: 'That invite code is invalid or has expired.' };
+  }
+  const current = getUserRole(userId);
+  if (hasRole(current, invite.role)) return { ok: false, message: `You already have the ${current} role.` };
+  db.transaction(() => {
+    useInviteStmt.run(userId, nowTs, invite.code);
+    setUserRoleStmt.run(invite.role, userId);
+  })();
+  return { ok: true, role: invite.role, message: `Welcome aboard! You are now ${invite.role === 'employee' ? 'an' : 'a'} ${invite.role}. Type /help to get started.` };
+}
+
 /** Shifts **/
+// Closed break seconds inside the current `shifts` row (all breaks, and unpaid only)
+const BREAK_SECS = `(SELECT COALESCE(SUM(b.end_ts - b.start_ts), 0) FROM breaks b
+  WHERE b.shift_id = shifts.id AND b.end_ts IS NOT NULL)`;
+const UNPAID_SECS = `(SELECT COALESCE(SUM(b.end_ts - b.start_ts), 0) FROM breaks b
+  WHERE b.shift_id = shifts.id AND b.end_ts IS NOT NULL AND b.paid = 0)`;
+
 const getOpenShiftStmt = db.prepare(`
-SELECT * FROM shifts WHERE user_id = ? AND end_ts IS NULL ORDER BY id DESC LIMIT 1
+SELECT * FROM shifts WHERE user_id = ? AND end_ts IS NULL AND reset_id IS NULL ORDER BY id DESC LIMIT 1
 `);
 const startShiftStmt = db.prepare(`
-INSERT INTO shifts (user_id, start_ts, end_ts, day_key, week_key)
-VALUES (?, ?, NULL, ?, ?)
+INSERT INTO shifts (user_id, start_ts, end_ts, day_key, week_key, project, adjusted)
+VALUES (?, ?, NULL, ?, ?, ?, ?)
 `);
 const endShiftStmt = db.prepare(`UPDATE shifts SET end_ts = ? WHERE id = ?`);
+const markAdjustedStmt = db.prepare(`UPDATE shifts SET adjusted = 1 WHERE id = ?`);
+const getShiftStmt = db.prepare(`SELECT * FROM shifts WHERE id = ? AND user_id = ? AND reset_id IS NULL`);
+const getShiftByIdStmt = db.prepare(`SELECT * FROM shifts WHERE id = ?`);
+const insertShiftStmt = db.prepare(`
+INSERT INTO shifts (user_id, start_ts, end_ts, day_key, week_key, project)
+VALUES (?, ?, ?, ?, ?, ?)
+`);
+const updateShiftStmt = db.prepare(`
+UPDATE shifts SET start_ts = ?, end_ts = ?, day_key = ?, week_key = ?, flagged = 0 WHERE id = ?
+`);
+const deleteShiftStmt = db.prepare(`DELETE FROM shifts WHERE id = ? AND user_id = ?`);
+const deleteShiftBreaksStmt = db.prepare(`DELETE FROM breaks WHERE shift_id = ?`);
+const shiftBreaksStmt = db.prepare(`
+SELECT ${BREAK_SECS} AS break_s, ${UNPAID_SECS} AS unpaid_s FROM shifts WHERE id = ?
+`);
+// An open shift counts as running forever, so nothing may be added after its start
+const overlapStmt = db.prepare(`
+SELECT id FROM shifts
+WHERE user_id = ? AND id != ? AND start_ts < ? AND (end_ts IS NULL OR end_ts > ?) AND reset_id IS NULL
+ORDER BY start_ts ASC LIMIT 1
+`);
 
-function clockIn(userId, nowTs) {
+// adjusted: nowTs is a time the user typed (/in 09:15) rather than the moment of the punch,
+// so it may not fall in a locked pay period
+function clockIn(userId, nowTs, project = null, adjusted = false) {
   const open = getOpenShiftStmt.get(userId);
-  if (open) return { ok: false, message: 'You are already clocked IN. Use /out to clock out.' };
-  startShiftStmt.run(userId, nowTs, dayKey(nowTs), isoMonday(nowTs));
-  return { ok: true, message: `Clocked IN at ${dayjs.unix(nowTs).format('HH:mm')}` };
+  if (open) return { ok: false, message: 'You are already clocked IN. Use /out to clock out or /switch to change project.' };
+  const tz = getUserTz(userId);
+  const locked = adjusted && lockedPeriod(userId, dayKey(nowTs, tz));
+  if (locked) return { ok: false, message: locked };
+  const clash = adjusted && overlapStmt.get(userId, 0, Number.MAX_SAFE_INTEGER, nowTs);
+  if (clash) return { ok: false, message: `${clock(nowTs, tz)} is inside shift #${clash.id}. Pick a time after it ends.` };
+  const { lastInsertRowid } = startShiftStmt.run(userId, nowTs, dayKey(nowTs, tz), isoMonday(nowTs, tz), project, adjusted ? 1 : 0);
+  return { ok: true, id: Number(lastInsertRowid), message: `Clocked IN at ${clock(nowTs, tz, adjusted ? 'ddd HH:mm' : 'HH:mm')}${project ? ` on ${project}` : ''}` };
 }
-function clockOut(userId, nowTs) {
+// Close the running shift and carry on at once under another project (null = untagged)
+function switchProject(userId, nowTs, project) {
+  const open = getOpenShiftStmt.get(userId);
+  if (!open) return { ok: false, message: 'You are not clocked IN. Use /in <project> to start.' };
+  if (getOpenBreakStmt.get(open.id)) return { ok: false, message: 'You are on a break. Use /resume first.' };
+  if ((open.project || null) === project) return { ok: false, message: `You are already on ${project || 'no project'}.` };
+  const tz = getUserTz(userId);
+  const { unpaid_s } = shiftBreaksStmt.get(open.id);
+  db.transaction(() => {
+    endShiftStmt.run(nowTs, open.id);
+    splitShift(open.id, tz);
+    startShiftStmt.run(userId, nowTs, dayKey(nowTs, tz), isoMonday(nowTs, tz), project, 0);
+  })();
+  const hours = durationHours(open.start_ts, nowTs - unpaid_s);
+  return {
+    ok: true,
+    shift: { ...open, end_ts: nowTs },
+    message: `Switched to ${project || 'no project'} at ${clock(nowTs, tz)} (${hours.toFixed(2)}h on ${open.project || 'no project'})`
+  };
+}
+// The running shift and its running break: { shift, brk }, both null when clocked out
+function getOpenShift(userId) {
+  const shift = getOpenShiftStmt.get(userId) || null;
+  return { shift, brk: (shift && getOpenBreakStmt.get(shift.id)) || null };
+}
+// adjusted: as for clockIn; breaks are cut back to the earlier end
+function clockOut(userId, nowTs, adjusted = false) {
   const open = getOpenShiftStmt.get(userId);
   if (!open) return { ok: false, message: 'No active shift to clock OUT from. Use /in first.' };
-  endShiftStmt.run(nowTs, open.id);
-  const hours = durationHours(open.start_ts, nowTs);
-  return { ok: true, message: `Clocked OUT at ${dayjs.unix(nowTs).format('HH:mm')} (${hours.toFixed(2)}h)` };
+  const tz = getUserTz(userId);
+  if (nowTs <= open.start_ts) return { ok: false, message: `You clocked in at ${clock(open.start_ts, tz, 'ddd HH:mm')}. The end must be after that.` };
+  const locked = adjusted && lockedPeriod(userId, dayKey(open.start_ts, tz), dayKey(nowTs, tz));
+  if (locked) return { ok: false, message: locked };
+  const brk = getOpenBreakStmt.get(open.id);
+  db.transaction(() => {
+    if (brk) endBreakStmt.run(nowTs, brk.id);
+    endShiftStmt.run(nowTs, open.id);
+    if (adjusted) {
+      markAdjustedStmt.run(open.id);
+      clipBreaksStmt.run(open.start_ts, nowTs, open.id);
+      deleteStaleBreaksStmt.run();
+    }
+  })();
+  const { break_s, unpaid_s } = shiftBreaksStmt.get(open.id);
+  splitShift(open.id, tz);
+  const hours = durationHours(open.start_ts, nowTs - unpaid_s);
+  const breaks = break_s ? `, breaks ${(break_s / 3600).toFixed(2)}h` : '';
+  const at = clock(nowTs, tz, adjusted ? 'ddd HH:mm' : 'HH:mm');
+  return { ok: true, shift: { ...open, end_ts: nowTs }, hours, message: `Clocked OUT at ${at} (${hours.toFixed(2)}h${breaks})` };
+}
+
+/** Breaks **/
+const getOpenBreakStmt = db.prepare(`SELECT * FROM breaks WHERE shift_id = ? AND end_ts IS NULL LIMIT 1`);
+const startBreakStmt = db.prepare(`INSERT INTO breaks (shift_id, start_ts, end_ts, paid) VALUES (?, ?, NULL, ?)`);
+const endBreakStmt = db.prepare(`UPDATE breaks SET end_ts = ? WHERE id = ?`);
+const clipBreaksStmt = db.prepare(`
+UPDATE breaks SET start_ts = MAX(start_ts, ?), end_ts = MIN(end_ts, ?) WHERE shift_id = ?
+`);
+// Midnight splits: the copy takes over [cut, end) and the breaks (or parts of breaks) after the cut
+const insertSplitStmt = db.prepare(`
+INSERT INTO shifts (user_id, start_ts, end_ts, day_key, week_key, project, flagged, adjusted)
+SELECT user_id, ?, end_ts, ?, ?, project, flagged, adjusted FROM shifts WHERE id = ?
+`);
+const moveBreaksStmt = db.prepare(`UPDATE breaks SET shift_id = ? WHERE shift_id = ? AND start_ts >= ?`);
+const splitBreaksStmt = db.prepare(`
+INSERT INTO breaks (shift_id, start_ts, end_ts, paid)
+SELECT ?, ?, end_ts, paid FROM breaks WHERE shift_id = ? AND start_ts < ? AND (end_ts IS NULL OR end_ts > ?)
+`);
+const cutBreaksStmt = db.prepare(`UPDATE breaks SET end_ts = ? WHERE shift_id = ? AND (end_ts IS NULL OR end_ts > ?)`);
+// A running shift cut at a pay period end carries on as a new open row (its reminder kept)
+const continueShiftStmt = db.prepare(`
+INSERT INTO shifts (user_id, start_ts, end_ts, day_key, week_key, project, flagged, adjusted, reminded_ts)
+SELECT user_id, ?, NULL, ?, ?, project, flagged, adjusted, reminded_ts FROM shifts WHERE id = ?
+`);
+// Breaks whose shift was deleted, or that an edit clipped down to nothing
+const deleteStaleBreaksStmt = db.prepare(`
+DELETE FROM breaks WHERE shift_id NOT IN (SELECT id FROM shifts) OR end_ts <= start_ts
+`);
+
+function startBreak(userId, nowTs, paid) {
+  const open = getOpenShiftStmt.get(userId);
+  if (!open) return { ok: false, message: 'You are not clocked IN. Use /in first.' };
+  if (getOpenBreakStmt.get(open.id)) return { ok: false, message: 'You are already on a break. Use /resume to continue.' };
+  startBreakStmt.run(open.id, nowTs, paid ? 1 : 0);
+  return {
+    ok: true,
+    message: `${paid ? 'Paid' : 'Unpaid'} break started at ${clock(nowTs, getUserTz(userId))}. Use /resume when you are back.`
+  };
+}
+function endBreak(userId, nowTs) {
+  const open = getOpenShiftStmt.get(userId);
+  const brk = open && getOpenBreakStmt.get(open.id);
+  if (!brk) return { ok: false, message: 'You are not on a break.' };
+  endBreakStmt.run(nowTs, brk.id);
+  const hours = durationHours(brk.start_ts, nowTs);
+  return { ok: true, brk: { ...brk, end_ts: nowTs }, message: `Resumed at ${clock(nowTs, getUserTz(userId))} (break ${hours.toFixed(2)}h)` };
+}
+
+/**
+ * Cut a closed shift at every local midnight it crosses, so each row lies within one
+ * day (and so one week and pay period). Returns the ids of the pieces in order.
+ */
+function splitShift(id, tz) {
+  const ids = [id];
+  const shift = getShiftByIdStmt.get(id);
+  if (!shift || shift.end_ts == null) return ids;
+  db.transaction(() => {
+    for (let cut = nextMidnight(shift.start_ts, tz); cut < shift.end_ts; cut = nextMidnight(cut, tz)) {
+      const prev = ids[ids.length - 1];
+      const next = Number(insertSplitStmt.run(cut, dayKey(cut, tz), isoMonday(cut, tz), prev).lastInsertRowid);
+      moveBreaksStmt.run(next, prev, cut);
+      splitBreaksStmt.run(next, cut, prev, cut, cut);
+      cutBreaksStmt.run(cut, prev, cut);
+      endShiftStmt.run(cut, prev);
+      ids.push(next);
+    }
+  })();
+  return ids;
+}
+/**
+ * Close the user's running shift at cutTs (the end of a pay period) and carry it on from there as a
+ * new open shift, so the part before the cut is paid with its own period. Returns the ids of the
+ * closed pieces, or null when no shift was running before cutTs.
+ */
+function cutOpenShift(userId, cutTs) {
+  const open = getOpenShiftStmt.get(userId);
+  if (!open || open.start_ts >= cutTs) return null;
+  const tz = getUserTz(userId);
+  db.transaction(() => {
+    const next = Number(continueShiftStmt.run(cutTs, dayKey(cutTs, tz), isoMonday(cutTs, tz), open.id).lastInsertRowid);
+    moveBreaksStmt.run(next, open.id, cutTs);
+    splitBreaksStmt.run(next, cutTs, open.id, cutTs, cutTs);
+    cutBreaksStmt.run(cutTs, open.id, cutTs);
+    endShiftStmt.run(cutTs, open.id);
+  })();
+  return splitShift(open.id, tz);
+}
+function formatShifts(userId, ids) {
+  return ids.map((id) => formatShift({ ...getShift(userId, id), ...shiftBreaksStmt.get(id) })).join('\n');
+}
+
+/** Team status **/
+const noteMemberStmt = db.prepare(`
+INSERT INTO chat_members (chat_id, user_id, seen_ts) VALUES (?, ?, ?)
+ON CONFLICT(chat_id, user_id) DO UPDATE SET seen_ts = excluded.seen_ts
+`);
+const dropMemberStmt = db.prepare(`DELETE FROM chat_members WHERE chat_id = ? AND user_id = ?`);
+const listMembersStmt = db.prepare(`
+SELECT u.* FROM chat_members m JOIN users u ON u.user_id = m.user_id WHERE m.chat_id = ?
+`);
+const getBoardStmt = db.prepare(`SELECT * FROM boards WHERE chat_id = ?`);
+const setBoardStmt = db.prepare(`
+INSERT OR REPLACE INTO boards (chat_id, message_id, created_by, created_ts) VALUES (?, ?, ?, ?)
+`);
+const deleteBoardStmt = db.prepare(`DELETE FROM boards WHERE chat_id = ?`);
+const userBoardsStmt = db.prepare(`
+SELECT b.* FROM boards b JOIN chat_members m ON m.chat_id = b.chat_id WHERE m.user_id = ?
+`);
+
+function noteChatMember(chatId, userId, nowTs) {
+  noteMemberStmt.run(chatId, userId, nowTs);
+}
+function dropChatMember(chatId, userId) {
+  dropMemberStmt.run(chatId, userId);
+}
+// Everyone with a role seen in the group (the whole team when chatId is null) and what they are
+// doing now: [{ user, shift, brk }], clocked-in people first by start time
+function teamStatus(chatId = null) {
+  const users = chatId == null
+    ? listTeam()
+    : listMembersStmt.all(chatId).map(u => ({ ...u, role: getUserRole(u.user_id) })).filter(u => u.role);
+  return users
+    .map(user => ({ user, ...getOpenShift(user.user_id) }))
+    .sort((a, b) => (a.shift?.start_ts ?? Infinity) - (b.shift?.start_ts ?? Infinity));
+}
+function getBoard(chatId) {
+  return getBoardStmt.get(chatId) || null;
+}
+function setBoard(chatId, messageId, actorId, nowTs) {
+  setBoardStmt.run(chatId, messageId, actorId, nowTs);
+}
+function removeBoard(chatId) {
+  deleteBoardStmt.run(chatId);
+}
+// Boards in the group chats a user has been seen in
+function boardsFor(userId) {
+  return userBoardsStmt.all(userId);
+}
+
+/** Manual entries **/
+function validateShift(userId, startTs, endTs, ignoreId = 0) {
+  if (!Number.isFinite(startTs) || !Number.isFinite(endTs)) return 'Invalid date or time. Use YYYY-MM-DD and HH:mm.';
+  if (endTs <= startTs) return 'End time must be after start time.';
+  const tz = getUserTz(userId);
+  const locked = lockedPeriod(userId, dayKey(startTs, tz), dayKey(endTs - 1, tz));
+  if (locked) return locked;
+  const clash = overlapStmt.get(userId, ignoreId, endTs, startTs);
+  if (clash) return `That overlaps shift #${clash.id}.`;
+  return null;
+}
+function getShift(userId, id) {
+  return getShiftStmt.get(id, userId) || null;
+}
+function addShift(userId, startTs, endTs, project = null) {
+  const err = validateShift(userId, startTs, endTs);
+  if (err) return { ok: false, message: err };
+  const tz = getUserTz(userId);
+  const { lastInsertRowid } = insertShiftStmt.run(userId, startTs, endTs, dayKey(startTs, tz), isoMonday(startTs, tz), project);
+  const id = Number(lastInsertRowid);
+  return { ok: true, id, message: `Added ${formatShifts(userId, splitShift(id, tz))}` };
+}
+function editShift(userId, id, startTs, endTs) {
+  const shift = getShift(userId, id);
+  if (!shift) return { ok: false, message: `Shift #${id} not found.` };
+  if (shift.end_ts == null) return { ok: false, message: `Shift #${id} is still open. Use /out first.` };
+  const err = lockedPeriod(userId, shift.day_key) || validateShift(userId, startTs, endTs, id);
+  if (err) return { ok: false, message: err };
+  const tz = getUserTz(userId);
+  updateShiftStmt.run(startTs, endTs, dayKey(startTs, tz), isoMonday(startTs, tz), id);
+  clipBreaksStmt.run(startTs, endTs, id);
+  deleteStaleBreaksStmt.run();
+  return { ok: true, id, message: `Updated ${formatShifts(userId, splitShift(id, tz))}` };
+}
+function deleteShift(userId, id) {
+  const shift = getShift(userId, id);
+  if (!shift) return { ok: false, message: `Shift #${id} not found.` };
+  const locked = lockedPeriod(userId, shift.day_key);
+  if (locked) return { ok: false, message: locked };
+  db.transaction(() => {
+    deleteShiftBreaksStmt.run(id);
+    deleteShiftStmt.run(id, userId);
+  })();
+  return { ok: true, id, shift, message: `Deleted ${formatShift(shift)}` };
+}
+
+/** CSV import **/
+const IMPORT_TTL_S = 24 * 3600; // an unconfirmed upload expires after a day
+const upsertImportStmt = db.prepare(`
+INSERT INTO pending_imports (user_id, shifts, created_ts) VALUES (?, ?, ?)
+ON CONFLICT(user_id) DO UPDATE SET shifts = excluded.shifts, created_ts = excluded.created_ts
+`);
+const getImportStmt = db.prepare(`SELECT * FROM pending_imports WHERE user_id = ?`);
+const deleteImportStmt = db.prepare(`DELETE FROM pending_imports WHERE user_id = ?`);
+
+// Check shifts read from a CSV ([{ row, start_ts, end_ts, project }]) against the user's shifts and
+// each other, and keep the good ones until confirmImport: { shifts, errors: [{ row, message }] }
+function stageImport(userId, shifts, nowTs) {
+  const good = [], errors = [];
+  for (const s of shifts) {
+    const twin = good.find(g => g.start_ts < s.end_ts && g.end_ts > s.start_ts);
+    const err = validateShift(userId, s.start_ts, s.end_ts) || (twin && `That overlaps row ${twin.row}.`);
+    if (err) errors.push({ row: s.row, message: err });
+    else good.push(s);
+  }
+  if (good.length) upsertImportStmt.run(userId, JSON.stringify(good), nowTs);
+  else deleteImportStmt.run(userId);
+  return { shifts: good, errors };
+}
+// Add the staged shifts as /add would; rows that clash with shifts added since the preview are skipped
+function confirmImport(userId, nowTs) {
+  const pending = getImportStmt.get(userId);
+  deleteImportStmt.run(userId);
+  if (!pending || pending.created_ts + IMPORT_TTL_S < nowTs) {
+    return { ok: false, message: 'Nothing to import (previews expire after a day). Send the CSV file again.' };
+  }
+  const added = [], errors = [];
+  db.transaction(() => {
+    for (const s of JSON.parse(pending.shifts)) {
+      const res = addShift(userId, s.start_ts, s.end_ts, s.project);
+      if (res.ok) added.push(res.id);
+      else errors.push({ row: s.row, message: res.message });
+    }
+  })();
+  return { ok: true, added, errors };
+}
+function cancelImport(userId) {
+  return deleteImportStmt.run(userId).changes > 0;
 }
 
 /** Queries **/
+// hours = time on the clock minus unpaid breaks
 const sumDayStmt = db.prepare(`
-SELECT SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts)/3600.0 ELSE 0 END) AS hours
-FROM shifts WHERE user_id = ? AND day_key = ?
+SELECT
+  SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts - ${UNPAID_SECS})/3600.0 ELSE 0 END) AS hours,
+  SUM(CASE WHEN end_ts IS NOT NULL THEN ${BREAK_SECS}/3600.0 ELSE 0 END) AS break_hours,
+  SUM(CASE WHEN end_ts IS NOT NULL THEN ${UNPAID_SECS}/3600.0 ELSE 0 END) AS unpaid_hours
+FROM shifts WHERE user_id = ? AND day_key = ? AND reset_id IS NULL
 `);
 const sumWeekStmt = db.prepare(`
-SELECT SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts)/3600.0 ELSE 0 END) AS hours
-FROM shifts WHERE user_id = ? AND week_key = ?
+SELECT
+  SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts - ${UNPAID_SECS})/3600.0 ELSE 0 END) AS hours,
+  SUM(CASE WHEN end_ts IS NOT NULL THEN ${BREAK_SECS}/3600.0 ELSE 0 END) AS break_hours,
+  SUM(CASE WHEN end_ts IS NOT NULL THEN ${UNPAID_SECS}/3600.0 ELSE 0 END) AS unpaid_hours
+FROM shifts WHERE user_id = ? AND week_key = ? AND reset_id IS NULL
+`);
+const sumWeekByDayStmt = db.prepare(`
+SELECT day_key, SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts - ${UNPAID_SECS})/3600.0 ELSE 0 END) AS hours
+FROM shifts WHERE user_id = ? AND week_key = ? AND reset_id IS NULL
+GROUP BY day_key ORDER BY day_key ASC
 `);
 const listWeekStmt = db.prepare(`
-SELECT id, day_key, start_ts, end_ts
+SELECT id, user_id, day_key, start_ts, end_ts, project, flagged, adjusted, ${BREAK_SECS} AS break_s, ${UNPAID_SECS} AS unpaid_s
+FROM shifts
+WHERE user_id = ? AND week_key = ? AND reset_id IS NULL
+ORDER BY start_ts ASC
+`);
+// Same totals over an inclusive day_key range (pay periods, reports)
+const sumRangeStmt = db.prepare(`
+SELECT
+  SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts - ${UNPAID_SECS})/3600.0 ELSE 0 END) AS hours,
+  SUM(CASE WHEN end_ts IS NOT NULL THEN ${BREAK_SECS}/3600.0 ELSE 0 END) AS break_hours,
+  SUM(CASE WHEN end_ts IS NOT NULL THEN ${UNPAID_SECS}/3600.0 ELSE 0 END) AS unpaid_hours
+FROM shifts WHERE user_id = ? AND day_key BETWEEN ? AND ? AND reset_id IS NULL
+`);
+const listRangeStmt = db.prepare(`
+SELECT id, user_id, day_key, start_ts, end_ts, project, flagged, adjusted, ${BREAK_SECS} AS break_s, ${UNPAID_SECS} AS unpaid_s
 FROM shifts
-WHERE user_id = ? AND week_key = ?
+WHERE user_id = ? AND day_key BETWEEN ? AND ? AND reset_id IS NULL
 ORDER BY start_ts ASC
 `);
-const deleteDayStmt = db.prepare(`DELETE FROM shifts WHERE user_id = ? AND day_key = ?`);
-const deleteWeekStmt = db.prepare(`DELETE FROM shifts WHERE user_id = ? AND week_key = ?`);
 
 /** Utils **/
 function durationHours(startTs, endTs) {
   return Math.max(0, (endTs - startTs) / 3600);
 }
+function formatShift(r) {
+  const tz = getUserTz(r.user_id);
+  const end = r.end_ts ? clock(r.end_ts, tz) : 'open';
+  const breaks = r.break_s ? `, breaks ${(r.break_s / 3600).toFixed(2)}h` : '';
+  const hrs = r.end_ts ? ` (${durationHours(r.start_ts, r.end_ts - (r.unpaid_s || 0)).toFixed(2)}h${breaks})` : '';
+  const flag = r.flagged ? ' ⚠️ review' : '';
+  const adjusted = r.adjusted ? ' ✎ adjusted' : '';
+  return `#${r.id} ${clock(r.start_ts, tz, 'YYYY-MM-DD HH:mm')}–${end}${hrs}${r.project ? ` [${r.project}]` : ''}${adjusted}${flag}`;
+}
+function listWeekShifts(userId, nowTs) {
+  const week = isoMonday(nowTs, getUserTz(userId));
+  return { weekKey: week, shifts: listWeekStmt.all(userId, week) };
+}
 function getTodayHours(userId, nowTs) {
-  const today = dayKey(nowTs);
+  return getTodayTotals(userId, nowTs).hours;
+}
+function getTodayTotals(userId, nowTs) {
+  const today = dayKey(nowTs, getUserTz(userId));
   const row = sumDayStmt.get(userId, today);
-  return Number(row?.hours || 0);
+  return {
+    hours: Number(row?.hours || 0),
+    breakHours: Number(row?.break_hours || 0),
+    unpaidBreakHours: Number(row?.unpaid_hours || 0),
+    dayKey: today
+  };
 }
 function getWeekHours(userId, nowTs) {
-  const week = isoMonday(nowTs);
+  const week = isoMonday(nowTs, getUserTz(userId));
   const row = sumWeekStmt.get(userId, week);
-  return { hours: Number(row?.hours || 0), weekKey: week };
+  return {
+    hours: Number(row?.hours || 0),
+    breakHours: Number(row?.break_hours || 0),
+    unpaidBreakHours: Number(row?.unpaid_hours || 0),
+    weekKey: week
+  };
+}
+// Worked hours per day of the week containing nowTs: [{ date, hours }]
+function getWeekDays(userId, nowTs) {
+  const week = isoMonday(nowTs, getUserTz(userId));
+  return sumWeekByDayStmt.all(userId, week).map(r => ({ date: r.day_key, hours: Number(r.hours || 0) }));
 }
-function exportWeekCSV(userId, nowTs) {
-  const week = isoMonday(nowTs);
-  const rows = listWeekStmt.all(userId, week);
-  const header = 'id,day,start,end,hours\n';
-  const body = rows.map(r => {
-    const start = dayjs.unix(r.start_ts).format('YYYY-MM-DD HH:mm');
-    const end = r.end_ts ? dayjs.unix(r.end_ts).format('YYYY-MM-DD HH:mm') : '';
-    const hrs = r.end_ts ? durationHours(r.start_ts, r.end_ts).toFixed(2) : '0.00';
-    return [r.id, r.day_key, start, end, hrs].join(',');
-  }).join('\n');
-  return { weekKey: week, csv: header + body + '\n' };
+// Closed shifts, leave and pay adjustments over an inclusive day_key range in the shared export schema (see exporter.js)
+function getExportSessions(userId, range) {
+  const tz = getUserTz(userId);
+  const shifts = listRangeStmt.all(userId, range.start, range.end)
+    .filter(r => r.end_ts != null)
+    .map(r => ({
+      id: r.id,
+      date: r.day_key,
+      start: dayjs.unix(r.start_ts).tz(tz).format(),
+      end: dayjs.unix(r.end_ts).tz(tz).format(),
+      hours: durationHours(r.start_ts, r.end_ts - r.unpaid_s),
+      break_hours: r.break_s / 3600,
+      unpaid_break_hours: r.unpaid_s / 3600,
+      project: r.project || '',
+      adjusted: Boolean(r.adjusted)
+    }));
+  const leave = listLeaveStmt.all(userId, range.start, range.end).map(l => ({
+    id: `L${l.id}`,
+    date: l.day_key,
+    hours: l.hours,
+    break_hours: 0,
+    unpaid_break_hours: 0,
+    type: l.kind
+  }));
+  const adjustments = listAdjustmentsStmt.all(userId, range.start, range.end).map(a => ({
+    id: `A${a.id}`,
+    date: a.day_key,
+    hours: 0,
+    break_hours: 0,
+    unpaid_break_hours: 0,
+    type: 'adjustment',
+    amount: a.amount,
+    note: adjustmentNote(a)
+  }));
+  return [...shifts, ...leave, ...adjustments].sort((a, b) => a.date.localeCompare(b.date));
 }
-function resetDay(userId, nowTs) {
-  const today = dayKey(nowTs);
-  return deleteDayStmt.run(userId, today).changes;
+
+/** Pay periods **/
+// The user's pay period containing ts: { kind, start, end } with inclusive day keys
+function getPayPeriod(userId, ts) {
+  return payPeriodRange(getUserPeriod(userId), dayKey(ts, getUserTz(userId)));
+}
+function getPeriodHours(userId, period) {
+  const row = sumRangeStmt.get(userId, period.start, period.end);
+  return {
+    hours: Number(row?.hours || 0),
+    breakHours: Number(row?.break_hours || 0),
+    unpaidBreakHours: Number(row?.unpaid_hours || 0)
+  };
 }
-function resetWeek(userId, nowTs) {
-  const week = isoMonday(nowTs);
-  return deleteWeekStmt.run(userId, week).changes;
+// Worked hours per closed shift, in order, each priced at the rate in force when it started, then
+// paid leave at the rate of its day, then pay adjustments (no hours):
+// [{ date, hours, project, rate, leave?, adjustment?, amount?, note? }] (the input periodPay expects).
+// A period starting mid-week also gets that week's earlier shifts as prior entries (unpaid here),
+// so weekly overtime is counted over the whole ISO week
+function getPeriodEntries(userId, period) {
+  const rates = listRatesStmt.all(userId);
+  const tz = getUserTz(userId);
+  const weekStart = dayjs(period.start).isoWeekday(1).format('YYYY-MM-DD');
+  const prior = weekStart < period.start
+    ? listRangeStmt.all(userId, weekStart, dayjs(period.start).subtract(1, 'day').format('YYYY-MM-DD'))
+      .filter(r => r.end_ts != null)
+      .map(r => ({ date: r.day_key, hours: durationHours(r.start_ts, r.end_ts - r.unpaid_s), project: null, prior: true }))
+    : [];
+  const worked = listRangeStmt.all(userId, period.start, period.end)
+    .filter(r => r.end_ts != null)
+    .map(r => ({
+      date: r.day_key,
+      hours: durationHours(r.start_ts, r.end_ts - r.unpaid_s),
+      project: r.project,
+      rate: rateFrom(rates, userId, r.project || null, r.start_ts) ?? HOURLY_RATE
+    }));
+  const leave = listLeaveStmt.all(userId, period.start, period.end)
+    .filter(l => l.paid)
+    .map(l => ({
+      date: l.day_key,
+      hours: l.hours,
+      project: null,
+      rate: rateFrom(rates, userId, null, dayjs.tz(l.day_key, tz).unix()) ?? HOURLY_RATE,
+      leave: l.kind
+    }));
+  const adjustments = listAdjustmentsStmt.all(userId, period.start, period.end).map(a => ({
+    date: a.day_key,
+    hours: 0,
+    project: null,
+    adjustment: a.category,
+    amount: a.amount,
+    note: a.note || ''
+  }));
+  return [...prior, ...worked, ...leave, ...adjustments];
+}
+
+/** Reports **/
+const sumRangeByDayStmt = db.prepare(`
+SELECT day_key, week_key, SUM(CASE WHEN end_ts IS NOT NULL THEN (end_ts - start_ts - ${UNPAID_SECS})/3600.0 ELSE 0 END) AS hours
+FROM shifts WHERE user_id = ? AND day_key BETWEEN ? AND ? AND reset_id IS NULL
+GROUP BY day_key ORDER BY day_key ASC
+`);
+// Worked hours per day and per ISO week over an inclusive day_key range, skipping empty days:
+// { days: [{ date, hours }], weeks: [{ week (its Monday), hours }] }
+function getRangeBreakdown(userId, range) {
+  const days = [];
+  const weeks = [];
+  for (const r of sumRangeByDayStmt.all(userId, range.start, range.end)) {
+    const hours = Number(r.hours || 0);
+    if (!hours) continue;
+    days.push({ date: r.day_key, hours });
+    const last = weeks[weeks.length - 1];
+    if (last && last.week === r.week_key) last.hours += hours;
+    else weeks.push({ week: r.week_key, hours });
+  }
+  return { days, weeks };
+}
+
+/** Forgotten clock-outs **/
+const listOpenShiftsStmt = db.prepare(`SELECT * FROM shifts WHERE end_ts IS NULL AND reset_id IS NULL`);
+const markRemindedStmt = db.prepare(`UPDATE shifts SET reminded_ts = ? WHERE id = ?`);
+const capShiftStmt = db.prepare(`UPDATE shifts SET end_ts = ?, flagged = 1 WHERE id = ?`);
+const endOpenBreaksStmt = db.prepare(`UPDATE breaks SET end_ts = MAX(start_ts, ?) WHERE shift_id = ? AND end_ts IS NULL`);
+const confirmShiftsStmt = db.prepare(`
+UPDATE shifts SET flagged = 0 WHERE user_id = @user_id AND flagged = 1 AND (@id IS NULL OR id = @id) AND reset_id IS NULL
+`);
+
+/**
+ * Open shifts older than remindAfter hours get one reminder; older than maxHours they are
+ * closed at start + maxHours and flagged for review. A limit of 0 switches that step off.
+ * Reminders count as sent once the caller marks them (markReminded) after delivering them.
+ * @returns {{reminders: object[], capped: object[]}} shift rows for the caller to announce
+ */
+function checkOpenShifts(nowTs, remindAfter, maxHours) {
+  const reminders = [];
+  const capped = [];
+  for (const s of listOpenShiftsStmt.all()) {
+    const age = (nowTs - s.start_ts) / 3600;
+    if (maxHours > 0 && age >= maxHours) {
+      const endTs = s.start_ts + Math.round(maxHours * 3600);
+      db.transaction(() => {
+        endOpenBreaksStmt.run(endTs, s.id);
+        clipBreaksStmt.run(s.start_ts, endTs, s.id);
+        deleteStaleBreaksStmt.run();
+        capShiftStmt.run(endTs, s.id);
+      })();
+      const parts = splitShift(s.id, getUserTz(s.user_id)).map((id) => ({ ...getShiftByIdStmt.get(id), ...shiftBreaksStmt.get(id) }));
+      capped.push({ ...parts[0], parts });
+    } else if (remindAfter > 0 && age >= remindAfter && s.reminded_ts == null) {
+      reminders.push(s);
+    }
+  }
+  return { reminders, capped };
+}
+function markReminded(shiftId, nowTs) {
+  markRemindedStmt.run(nowTs, shiftId);
+}
+// Flagged shifts whose day falls in [startKey, endKey]
+function listFlaggedShifts(userId, startKey, endKey) {
+  return listRangeStmt.all(userId, startKey, endKey).filter(r => r.flagged);
+}
+// Accept flagged shifts as they are: one by id, or all of the user's when id is null
+function confirmShifts(userId, id = null) {
+  return confirmShiftsStmt.run({ user_id: userId, id }).changes;
+}
+
+/** Schedules **/
+const insertScheduleStmt = db.prepare(`
+INSERT INTO schedules (user_id, day_key, weekday, from_key, start_time, end_time, project, created_by, created_ts)
+VALUES (@user_id, @day_key, @weekday, @from_key, @start_time, @end_time, @project, @created_by, @created_ts)
+`);
+const getScheduleStmt = db.prepare(`SELECT * FROM schedules WHERE id = ?`);
+// Rules still in force on or after `today`: weekly ones first, by weekday, then one-offs by date
+const activeSchedulesStmt = db.prepare(`
+SELECT * FROM schedules
+WHERE user_id = @user_id AND (day_key >= @today OR (weekday IS NOT NULL AND (until_key IS NULL OR until_key > @today)))
+ORDER BY day_key IS NOT NULL, weekday, day_key, start_time
+`);
+// Rules that may have a shift in [start, end]
+const rangeSchedulesStmt = db.prepare(`
+SELECT * FROM schedules
+WHERE user_id = @user_id AND (day_key BETWEEN @start AND @end
+  OR (weekday IS NOT NULL AND from_key <= @end AND (until_key IS NULL OR until_key > @start)))
+`);
+const scheduledUsersStmt = db.prepare(`SELECT DISTINCT user_id FROM schedules`);
+const endScheduleStmt = db.prepare(`UPDATE schedules SET until_key = ? WHERE id = ?`);
+const deleteScheduleStmt = db.prepare(`DELETE FROM schedules WHERE id = ?`);
+const markAlertStmt = db.prepare(`
+INSERT OR IGNORE INTO schedule_alerts (schedule_id, day_key, kind, sent_ts) VALUES (?, ?, ?, ?)
+`);
+const getAlertStmt = db.prepare(`SELECT 1 FROM schedule_alerts WHERE schedule_id = ? AND day_key = ? AND kind = ?`);
+// Earliest clock-in of a shift that overlaps [start, end) (still open ones included)
+const firstPunchStmt = db.prepare(`
+SELECT MIN(start_ts) AS start_ts FROM shifts WHERE user_id = ? AND start_ts < ? AND (end_ts IS NULL OR end_ts > ?) AND reset_id IS NULL
+`);
+const purgeSchedulesStmt = db.prepare(`DELETE FROM schedules WHERE day_key < ? OR until_key < ?`);
+const purgeAlertsStmt = db.prepare(`DELETE FROM schedule_alerts WHERE day_key < ?`);
+
+// "09:00" for "9:00", null if not a time of day
+function normalizeTime(t) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(t || '');
+  return m && Number(m[1]) <= 23 && Number(m[2]) <= 59 ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+}
+/**
+ * Schedule a shift for a user: on one date (`day`) or every week on `weekday` from today on.
+ * @param {{day?: string, weekday?: number, start: string, end: string, project?: string}} rule
+ */
+function addSchedule(actorId, userId, rule, nowTs) {
+  const start = normalizeTime(rule.start);
+  const end = normalizeTime(rule.end);
+  if (!start || !end) return { ok: false, message: 'Times are HH:mm, e.g. 09:00 17:30.' };
+  if (start === end) return { ok: false, message: 'A scheduled shift needs an end different from its start.' };
+  const today = dayKey(nowTs, getUserTz(userId));
+  const { lastInsertRowid } = insertScheduleStmt.run({
+    user_id: userId,
+    day_key: rule.day || null,
+    weekday: rule.day ? null : rule.weekday,
+    from_key: rule.day || today,
+    start_time: start,
+    end_time: end,
+    project: rule.project || null,
+    created_by: actorId,
+    created_ts: nowTs
+  });
+  return { ok: true, schedule: getScheduleStmt.get(lastInsertRowid) };
+}
+function getSchedule(id) {
+  return getScheduleStmt.get(id) || null;
+}
+function listSchedules(userId, nowTs) {
+  return activeSchedulesStmt.all({ user_id: userId, today: dayKey(nowTs, getUserTz(userId)) });
+}
+// A weekly rule that already applied ends today, so past weeks keep their schedule; anything else is deleted
+function removeSchedule(id, nowTs) {
+  const s = getScheduleStmt.get(id);
+  if (!s) return { ok: false, message: `Scheduled shift #${id} not found.` };
+  const today = dayKey(nowTs, getUserTz(s.user_id));
+  if (s.weekday != null && s.from_key < today) endScheduleStmt.run(today, id);
+  else deleteScheduleStmt.run(id);
+  return { ok: true, message: `Removed scheduled shift #${id} ✅` };
+}
+function formatSchedule(s) {
+  const when = s.day_key ? dayjs(s.day_key).format('ddd, MMM D') : `every ${dayjs().isoWeekday(s.weekday).format('dddd')}`;
+  return `#${s.id} ${when} ${s.start_time}–${s.end_time}${s.project ? ` [${s.project}]` : ''}`;
+}
+/**
+ * The user's scheduled shifts that start on a day in [startKey, endKey], in start order.
+ * @returns {{schedule_id, user_id, day_key, start_ts, end_ts, project}[]}
+ */
+function scheduledShifts(userId, startKey, endKey) {
+  const tz = getUserTz(userId);
+  const rules = rangeSchedulesStmt.all({ user_id: userId, start: startKey, end: endKey });
+  const shifts = [];
+  for (let d = dayjs(startKey); d.format('YYYY-MM-DD') <= endKey; d = d.add(1, 'day')) {
+    const day = d.format('YYYY-MM-DD');
+    for (const s of rules) {
+      const applies = s.day_key
+        ? s.day_key === day
+        : s.weekday === d.isoWeekday() && day >= s.from_key && (!s.until_key || day < s.until_key);
+      if (!applies) continue;
+      const endDay = s.end_time > s.start_time ? day : d.add(1, 'day').format('YYYY-MM-DD');
+      shifts.push({
+        schedule_id: s.id,
+        user_id: userId,
+        day_key: day,
+        start_ts: dayjs.tz(`${day} ${s.start_time}`, tz).unix(),
+        end_ts: dayjs.tz(`${endDay} ${s.end_time}`, tz).unix(),
+        project: s.project
+      });
+    }
+  }
+  return shifts.sort((a, b) => a.start_ts - b.start_ts);
+}
+/**
+ * Scheduled vs. worked hours over [startKey, endKey]. Only scheduled shifts that have ended count
+ * towards the scheduled hours; started ones nobody clocked in for within graceMinutes are missed.
+ * @returns {{scheduledHours: number, workedHours: number, late: object[], missed: object[]} | null}
+ *   null if nothing was scheduled yet; late shifts carry `minutes` late
+ */
+function scheduleVariance(userId, startKey, endKey, nowTs, graceMinutes) {
+  const shifts = scheduledShifts(userId, startKey, endKey).filter(o => o.start_ts <= nowTs);
+  if (!shifts.length) return null;
+  const late = [];
+  const missed = [];
+  for (const o of shifts) {
+    const first = firstPunchStmt.get(userId, o.end_ts, o.start_ts).start_ts;
+    if (first == null) {
+      if (nowTs >= o.start_ts + graceMinutes * 60) missed.push(o);
+    } else if (first > o.start_ts + graceMinutes * 60) {
+      late.push({ ...o, minutes: Math.round((first - o.start_ts) / 60) });
+    }
+  }
+  return {
+    scheduledHours: shifts.filter(o => o.end_ts <= nowTs).reduce((t, o) => t + durationHours(o.start_ts, o.end_ts), 0),
+    workedHours: Number(sumRangeStmt.get(userId, startKey, endKey)?.hours || 0),
+    late,
+    missed
+  };
+}
+/**
+ * Scheduled shifts starting within remindMinutes (and not clocked in yet) get a reminder; those
+ * nobody clocked in for graceMinutes after the start are no-shows. Each goes out once, counted as
+ * sent when the caller marks it (markScheduleAlert) after delivering it; 0 = off.
+ * @returns {{reminders: object[], noShows: object[]}} scheduled shifts for the caller to announce
+ */
+function checkSchedules(nowTs, remindMinutes, graceMinutes) {
+  const reminders = [];
+  const noShows = [];
+  const sent = (o, kind) => Boolean(getAlertStmt.get(o.schedule_id, o.day_key, kind));
+  for (const { user_id: userId } of scheduledUsersStmt.all()) {
+    const today = dayjs.unix(nowTs).tz(getUserTz(userId));
+    const from = today.subtract(1, 'day').format('YYYY-MM-DD'); // overnight shifts from yesterday
+    for (const o of scheduledShifts(userId, from, today.add(1, 'day').format('YYYY-MM-DD'))) {
+      if (nowTs >= o.end_ts) continue;
+      if (nowTs < o.start_ts) {
+        if (remindMinutes > 0 && nowTs >= o.start_ts - remindMinutes * 60 && !getOpenShiftStmt.get(userId) &&
+            !sent(o, 'reminder')) reminders.push(o);
+      } else if (graceMinutes > 0 && nowTs >= o.start_ts + graceMinutes * 60) {
+        if (firstPunchStmt.get(userId, o.end_ts, o.start_ts).start_ts == null &&
+            !sent(o, 'noshow')) noShows.push(o);
+      }
+    }
+  }
+  return { reminders, noShows };
+}
+// kind: 'reminder' or 'noshow'
+function markScheduleAlert(o, kind, nowTs) {
+  markAlertStmt.run(o.schedule_id, o.day_key, kind, nowTs);
+}
+
+/** Weekly targets **/
+const getTargetStmt = db.prepare(`SELECT target_hours, cap_hours FROM users WHERE user_id = ?`);
+const setTargetStmt = db.prepare(`UPDATE users SET target_hours = ?, cap_hours = ? WHERE user_id = ?`);
+const targetUsersStmt = db.prepare(`SELECT user_id FROM users WHERE target_hours IS NOT NULL OR cap_hours IS NOT NULL`);
+// Unpaid break seconds of a shift between `from` and `now`, a running break up to now
+const openUnpaidStmt = db.prepare(`
+SELECT COALESCE(SUM(MIN(COALESCE(end_ts, @now), @now) - MAX(start_ts, @from)), 0) AS s FROM breaks
+WHERE shift_id = @id AND paid = 0 AND start_ts < @now AND COALESCE(end_ts, @now) > @from
+`);
+const markTargetAlertStmt = db.prepare(`
+INSERT OR IGNORE INTO target_alerts (user_id, week_key, kind, sent_ts) VALUES (?, ?, ?, ?)
+`);
+const getTargetAlertStmt = db.prepare(`SELECT 1 FROM target_alerts WHERE user_id = ? AND week_key = ? AND kind = ?`);
+const resetTargetAlertsStmt = db.prepare(`DELETE FROM target_alerts WHERE user_id = ?`);
+const purgeTargetAlertsStmt = db.prepare(`DELETE FROM target_alerts WHERE week_key < ?`);
+
+function getTarget(userId) {
+  const row = getTargetStmt.get(userId);
+  return { min: row?.target_hours ?? null, max: row?.cap_hours ?? null };
+}
+// min and max are weekly hours, null clears them; notifications start over for the new numbers
+function setTarget(userId, min, max) {
+  if (min != null && max != null && max < min) return { ok: false, message: 'The cap must be at least the target.' };
+  db.transaction(() => {
+    setTargetStmt.run(min, max, userId);
+    resetTargetAlertsStmt.run(userId);
+  })();
+  if (min == null && max == null) return { ok: true, message: 'Weekly target cleared.' };
+  if (min == null) return { ok: true, message: `Weekly cap: ${max}h ✅` };
+  return { ok: true, message: `Weekly target: ${min}h${max != null ? `, cap ${max}h` : ''} ✅` };
+}
+/**
+ * Hours worked so far in the ISO week containing nowTs, the running shift included, against the
+ * user's target. elapsedDays and daysLeft split the week at nowTs (they add up to 7).
+ * @returns {{weekKey, hours, min, max, elapsedDays, daysLeft}}
+ */
+function getWeekProgress(userId, nowTs) {
+  const tz = getUserTz(userId);
+  const weekKey = isoMonday(nowTs, tz);
+  const weekStart = dayjs.tz(weekKey, tz).unix();
+  let hours = Number(sumWeekStmt.get(userId, weekKey)?.hours || 0);
+  const open = getOpenShiftStmt.get(userId);
+  if (open) {
+    const from = Math.max(open.start_ts, weekStart);
+    hours += durationHours(from, nowTs - openUnpaidStmt.get({ id: open.id, from, now: nowTs }).s);
+  }
+  const elapsedDays = (nowTs - weekStart) / 86400;
+  return { weekKey, hours, ...getTarget(userId), elapsedDays, daysLeft: Math.max(0, 7 - elapsedDays) };
+}
+/**
+ * Weekly target notifications, each once per week: the target reached, within capWarnHours of the
+ * cap, or the target not reached yet with fewer than behindDaysLeft days of the week to go (0 = off).
+ * One counts as sent when the caller marks it (markTargetAlert) after delivering it.
+ * @returns {{reached: object[], nearCap: object[], behind: object[]}} getWeekProgress results with user_id
+ */
+function checkTargets(nowTs, capWarnHours, behindDaysLeft) {
+  const reached = [];
+  const nearCap = [];
+  const behind = [];
+  const once = (p, kind) => !getTargetAlertStmt.get(p.user_id, p.weekKey, kind);
+  for (const { user_id: userId } of targetUsersStmt.all()) {
+    const p = { user_id: userId, ...getWeekProgress(userId, nowTs) };
+    if (p.min != null && p.hours >= p.min) {
+      if (once(p, 'reached')) reached.push(p);
+    } else if (p.min != null && behindDaysLeft > 0 && p.daysLeft < behindDaysLeft) {
+      if (once(p, 'behind')) behind.push(p);
+    }
+    if (p.max != null && capWarnHours > 0 && p.hours >= p.max - capWarnHours && once(p, 'cap')) nearCap.push(p);
+  }
+  return { reached, nearCap, behind };
+}
+// kind: 'reached', 'cap' or 'behind'
+function markTargetAlert(p, kind, nowTs) {
+  markTargetAlertStmt.run(p.user_id, p.weekKey, kind, nowTs);
+}
+
+/** Rates **/
+// Rows that can apply to a user (their own and everyone's), oldest first
+const listRatesStmt = db.prepare(`
+SELECT * FROM rates WHERE user_id = ? OR user_id IS NULL ORDER BY effective_ts ASC, id ASC
+`);
+const listProjectRatesStmt = db.prepare(`
+SELECT project, rate FROM rates WHERE user_id IS NULL AND project IS NOT NULL AND effective_ts <= ?
+ORDER BY effective_ts ASC, id ASC
+`);
+const findRateStmt = db.prepare(`SELECT id FROM rates WHERE user_id IS ? AND project IS ? AND effective_ts = ?`);
+const insertRateStmt = db.prepare(`
+INSERT INTO rates (user_id, project, rate, effective_ts, set_by, created_ts)
+VALUES (@user_id, @project, @rate, @effective_ts, @set_by, @created_ts)
+`);
+const updateRateStmt = db.prepare(`UPDATE rates SET rate = ?, set_by = ?, created_ts = ? WHERE id = ?`);
+
+// A rate from effectiveTs on; userId null = everyone, project null = any project, rate null ends a
+// project rate. Setting one again with the same start replaces it. Refused when it would reprice a
+// period that was already submitted, approved or paid.
+function setRate({ userId = null, project = null, rate, effectiveTs, setBy = null }, nowTs) {
+  const locked = lockedSince(userId, dayKey(effectiveTs, userId == null ? DEFAULT_TZ : getUserTz(userId)));
+  if (locked) return { ok: false, message: `${locked} Pick a start after it.` };
+  const row = findRateStmt.get(userId, project, effectiveTs);
+  if (row) updateRateStmt.run(rate, setBy, nowTs, row.id);
+  else insertRateStmt.run({ user_id: userId, project, rate, effective_ts: effectiveTs, set_by: setBy, created_ts: nowTs });
+  return { ok: true };
+}
+// Rate in force at ts for a shift on `project`, from a user's rows: their own rate for the project,
+// then the project's rate, then their own rate; undefined = HOURLY_RATE
+function rateFrom(rows, userId, project, ts) {
+  const latest = (uid, proj) => rows.filter(r => r.user_id === uid && r.project === proj && r.effective_ts <= ts).at(-1);
+  const levels = project ? [latest(userId, project), latest(null, project), latest(userId, null)] : [latest(userId, null)];
+  return levels.find(r => r?.rate != null)?.rate;
+}
+function getRate(userId, project, ts) {
+  return rateFrom(listRatesStmt.all(userId), userId, project || null, ts) ?? HOURLY_RATE;
+}
+// Everything that ever applied to the user, oldest first
+function getRateHistory(userId) {
+  return listRatesStmt.all(userId);
+}
+// Project-wide rates in force at ts: { [project]: rate }
+function getProjectRates(ts) {
+  const rates = {};
+  for (const r of listProjectRatesStmt.all(ts)) rates[r.project] = r.rate;
+  return Object.fromEntries(Object.entries(rates).filter(([, rate]) => rate != null).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/** Week history **/
+const upsertSnapshotStmt = db.prepare(`
+INSERT INTO week_snapshots (user_id, week_key, period_end, hours, rate, pay, sessions, archived_ts)
+VALUES (@user_id, @week_key, @period_end, @hours, @rate, @pay, @sessions, @archived_ts)
+ON CONFLICT(user_id, week_key) DO UPDATE SET
+  period_end=excluded.period_end,
+  hours=excluded.hours,
+  rate=excluded.rate,
+  pay=excluded.pay,
+  sessions=excluded.sessions,
+  archived_ts=excluded.archived_ts
+`);
+const getSnapshotStmt = db.prepare(`SELECT * FROM week_snapshots WHERE user_id = ? AND week_key = ?`);
+const listSnapshotsStmt = db.prepare(`
+SELECT week_key, period_end, hours, rate, pay FROM week_snapshots
+WHERE user_id = ? ORDER BY week_key DESC LIMIT ?
+`);
+const purgeBreaksStmt = db.prepare(`
+DELETE FROM breaks WHERE shift_id IN (SELECT id FROM shifts WHERE week_key < ? AND (end_ts IS NOT NULL OR reset_id IS NOT NULL))
+`);
+const purgeShiftsStmt = db.prepare(`DELETE FROM shifts WHERE week_key < ? AND (end_ts IS NOT NULL OR reset_id IS NOT NULL)`);
+const purgeResetsStmt = db.prepare(`DELETE FROM resets WHERE range_key < ? AND id NOT IN (SELECT reset_id FROM shifts WHERE reset_id IS NOT NULL)`);
+const purgeSnapshotsStmt = db.prepare(`DELETE FROM week_snapshots WHERE week_key < ?`);
+
+// Snapshots are keyed by the period's first day (week_key) and record its last (period_end)
+function archivePeriod(userId, period, rate, pay) {
+  const { hours } = getPeriodHours(userId, period);
+  const sessions = listRangeStmt.all(userId, period.start, period.end);
+  upsertSnapshotStmt.run({
+    user_id: userId,
+    week_key: period.start,
+    period_end: period.end,
+    hours,
+    rate,
+    pay,
+    sessions: JSON.stringify(sessions),
+    archived_ts: Math.floor(Date.now() / 1000)
+  });
+}
+// The period the payout job settles at nowTs: the one containing nowTs - 12h in the
+// user's zone, due once it has ended (midnight local after its last day)
+function closingPeriod(userId, nowTs) {
+  const period = getPayPeriod(userId, nowTs - 12 * 3600);
+  const endTs = dayjs.tz(dayjs(period.end).add(1, 'day').format('YYYY-MM-DD'), getUserTz(userId)).unix();
+  return { period, endTs, due: nowTs >= endTs };
+}
+function getPeriodSnapshot(userId, startKey) {
+  const row = getSnapshotStmt.get(userId, startKey);
+  return row ? { ...row, sessions: JSON.parse(row.sessions) } : null;
+}
+// Only snapshots that cover exactly this week (older rows have no period_end and are weekly)
+function getWeekSnapshot(userId, weekKey) {
+  const snap = getPeriodSnapshot(userId, weekKey);
+  const weekEnd = dayjs(weekKey).add(6, 'day').format('YYYY-MM-DD');
+  return snap && (snap.period_end == null || snap.period_end === weekEnd) ? snap : null;
+}
+function listHistory(userId, limit) {
+  return listSnapshotsStmt.all(userId, limit);
+}
+// Retention: drop closed shifts and snapshots older than `weeks` weeks
+function purgeHistory(nowTs, weeks) {
+  const cutoff = isoMonday(dayjs.unix(nowTs).subtract(weeks, 'week').unix());
+  purgeBreaksStmt.run(cutoff);
+  const n = purgeShiftsStmt.run(cutoff).changes + purgeSnapshotsStmt.run(cutoff).changes + purgeTimesheetsStmt.run(cutoff).changes +
+    purgeSchedulesStmt.run(cutoff, cutoff).changes;
+  purgeAlertsStmt.run(cutoff);
+  purgeTargetAlertsStmt.run(cutoff);
+  purgeResetsStmt.run(cutoff);
+  deleteStaleBreaksStmt.run();
+  return n;
+}
+
+/** Invoices **/
+const insertInvoiceStmt = db.prepare(`INSERT INTO invoices (user_id, period_start, period_end, total, issued_ts) VALUES (?, ?, ?, ?, ?)`);
+const updateInvoiceStmt = db.prepare(`UPDATE invoices SET total = ? WHERE id = ?`);
+const getInvoiceStmt = db.prepare(`SELECT * FROM invoices WHERE user_id = ? AND period_start = ? AND period_end = ?`);
+
+// The invoice row for a user's period: the next number the first time, the same one (with the total
+// updated) after. Not an upsert: a conflicting insert would still use up a number.
+function issueInvoice(userId, period, total, nowTs) {
+  return db.transaction(() => {
+    const row = getInvoiceStmt.get(userId, period.start, period.end);
+    if (row) updateInvoiceStmt.run(total, row.id);
+    else insertInvoiceStmt.run(userId, period.start, period.end, total, nowTs);
+    return getInvoiceStmt.get(userId, period.start, period.end);
+  })();
+}
+
+/** Timesheet approval **/
+const submitTimesheetStmt = db.prepare(`
+INSERT INTO timesheets (user_id, period_kind, period_start, period_end, status, hours, pay, submitted_ts)
+VALUES (@user_id, @period_kind, @period_start, @period_end, 'submitted', @hours, @pay, @submitted_ts)
+ON CONFLICT(user_id, period_start) DO UPDATE SET
+  status='submitted',
+  hours=excluded.hours,
+  pay=excluded.pay,
+  submitted_ts=excluded.submitted_ts,
+  decided_by=NULL,
+  decided_ts=NULL,
+  comment=NULL
+`);
+const getTimesheetStmt = db.prepare(`SELECT * FROM timesheets WHERE id = ?`);
+const getTimesheetForStmt = db.prepare(`SELECT * FROM timesheets WHERE user_id = ? AND period_start = ?`);
+const listTimesheetsStmt = db.prepare(`SELECT * FROM timesheets WHERE status = ? ORDER BY period_start, id`);
+const latestTimesheetStmt = db.prepare(`
+SELECT * FROM timesheets WHERE user_id = ? AND status IN (SELECT value FROM json_each(?))
+ORDER BY period_start DESC LIMIT 1
+`);
+const decideTimesheetStmt = db.prepare(`
+UPDATE timesheets SET status = ?, decided_by = ?, decided_ts = ?, comment = ? WHERE id = ? AND status = 'submitted'
+`);
+const commentTimesheetStmt = db.prepare(`UPDATE timesheets SET comment = ? WHERE id = ?`);
+const payTimesheetStmt = db.prepare(`UPDATE timesheets SET status = 'paid', paid_ts = ? WHERE id = ?`);
+const purgeTimesheetsStmt = db.prepare(`DELETE FROM timesheets WHERE period_start < ? AND status = 'paid'`);
+// Submitted, approved and paid timesheets settle their period's figures (rejected ones reopen it)
+const lockedTimesheetStmt = db.prepare(`
+SELECT * FROM timesheets WHERE user_id = ? AND status IN ('submitted', 'approved', 'paid') AND period_start <= ? AND period_end >= ?
+ORDER BY period_start LIMIT 1
+`);
+const lockedSinceStmt = db.prepare(`
+SELECT * FROM timesheets WHERE (@user_id IS NULL OR user_id = @user_id) AND status IN ('submitted', 'approved', 'paid') AND period_end >= @day
+ORDER BY period_end DESC LIMIT 1
+`);
+const LOCK_REASONS = {
+  submitted: 'is waiting for approval (a manager can reject it to reopen it)',
+  approved: 'was already approved',
+  paid: 'was already paid out',
+};
+
+// Submit (or resubmit after a rejection) a closed period with its current totals
+function submitTimesheet(userId, period, hours, pay, nowTs) {
+  submitTimesheetStmt.run({
+    user_id: userId,
+    period_kind: period.kind,
+    period_start: period.start,
+    period_end: period.end,
+    hours,
+    pay,
+    submitted_ts: nowTs
+  });
+  return getTimesheetForStmt.get(userId, period.start);
+}
+function lockedMessage(ts) {
+  return ts ? `The pay period ${friendlyRangeLabel(ts.period_start, ts.period_end)} ${LOCK_REASONS[ts.status]}.` : null;
+}
+// Why nothing may change on the local days [first, last] (shifts, leave, adjustments), null if it may
+function lockedPeriod(userId, first, last = first) {
+  return lockedMessage(lockedTimesheetStmt.get(userId, last, first));
+}
+// The same for anything that applies from `day` on (rates); userId null = anyone's
+function lockedSince(userId, day) {
+  return lockedMessage(lockedSinceStmt.get({ user_id: userId, day }));
+}
+function getTimesheet(id) {
+  return getTimesheetStmt.get(id) || null;
+}
+function getTimesheetFor(userId, startKey) {
+  return getTimesheetForStmt.get(userId, startKey) || null;
+}
+function listTimesheets(status) {
+  return listTimesheetsStmt.all(status);
+}
+// The user's most recent timesheet in one of `statuses`
+function latestTimesheet(userId, statuses) {
+  return latestTimesheetStmt.get(userId, JSON.stringify(statuses)) || null;
+}
+// Managers and owners who may decide a user's timesheets (never the user themselves)
+function canApprove(actorId, userId) {
+  const role = getUserRole(actorId);
+  return actorId !== userId && hasRole(role, 'manager') && canManage(role, getUserRole(userId));
+}
+function timesheetApprovers(userId) {
+  return listTeam().filter((u) => canApprove(u.user_id, userId));
+}
+// Approve or reject a submitted timesheet (actorId null = automatic); a comment goes back to the employee
+function decideTimesheet(actorId, id, status, comment, nowTs) {
+  const ts = getTimesheet(id);
+  if (!ts || ts.status !== 'submitted') return { ok: false, message: 'This timesheet is no longer waiting for approval.' };
+  if (actorId !== null && !canApprove(actorId, ts.user_id)) return { ok: false, message: 'You cannot decide on this timesheet.' };
+  decideTimesheetStmt.run(status, actorId, nowTs, comment || null, id);
+  return { ok: true, ts: getTimesheet(id) };
+}
+function commentTimesheet(id, comment) {
+  commentTimesheetStmt.run(comment, id);
+  return getTimesheet(id);
+}
+function markTimesheetPaid(id, nowTs) {
+  payTimesheetStmt.run(nowTs, id);
+}
+
+/** Resets **/
+const insertResetStmt = db.prepare(`INSERT INTO resets (user_id, scope, range_key, created_ts) VALUES (?, ?, ?, ?)`);
+const resetDayStmt = db.prepare(`UPDATE shifts SET reset_id = ? WHERE user_id = ? AND day_key = ? AND reset_id IS NULL`);
+const resetWeekStmt = db.prepare(`UPDATE shifts SET reset_id = ? WHERE user_id = ? AND week_key = ? AND reset_id IS NULL`);
+const lastResetStmt = db.prepare(`SELECT * FROM resets WHERE user_id = ? ORDER BY id DESC LIMIT 1`);
+const listResetShiftsStmt = db.prepare(`
+SELECT id, user_id, day_key, start_ts, end_ts, project, flagged, adjusted, ${BREAK_SECS} AS break_s, ${UNPAID_SECS} AS unpaid_s
+FROM shifts WHERE reset_id = ?
+ORDER BY start_ts ASC
+`);
+const restoreShiftsStmt = db.prepare(`UPDATE shifts SET reset_id = NULL WHERE reset_id = ?`);
+const markUndoneStmt = db.prepare(`UPDATE resets SET undone_ts = ? WHERE id = ?`);
+
+// Why the day or week of a reset may not be cleared or restored (a locked pay period), null if it may
+function resetLocked(userId, scope, key) {
+  return lockedPeriod(userId, key, scope === 'day' ? key : dayjs(key).add(6, 'day').format('YYYY-MM-DD'));
+}
+// What /resetday (scope 'day') or /resetweek would clear at nowTs:
+// { scope, key (day_key or week_key), shifts, locked (why it can't be cleared, or null) }
+function resetTarget(userId, scope, nowTs) {
+  const tz = getUserTz(userId);
+  const key = scope === 'day' ? dayKey(nowTs, tz) : isoMonday(nowTs, tz);
+  const shifts = scope === 'day' ? listRangeStmt.all(userId, key, key) : listWeekStmt.all(userId, key);
+  return { scope, key, shifts, locked: resetLocked(userId, scope, key) };
+}
+// Soft-delete the shifts of a day or week (the running one too): { ok, shifts } ([] if there were none),
+// or { ok: false, message } when a pay period on those days is locked
+function resetShifts(userId, scope, key, nowTs) {
+  const locked = resetLocked(userId, scope, key);
+  if (locked) return { ok: false, message: locked };
+  return db.transaction(() => {
+    const shifts = scope === 'day' ? listRangeStmt.all(userId, key, key) : listWeekStmt.all(userId, key);
+    if (!shifts.length) return { ok: true, shifts };
+    const resetId = Number(insertResetStmt.run(userId, scope, key, nowTs).lastInsertRowid);
+    (scope === 'day' ? resetDayStmt : resetWeekStmt).run(resetId, userId, key);
+    return { ok: true, shifts };
+  })();
+}
+// Put back the shifts of the user's last reset, if it is recent enough and nothing added since overlaps them
+function undoReset(userId, nowTs) {
+  const reset = lastResetStmt.get(userId);
+  if (!reset || reset.undone_ts != null || reset.created_ts + RESET_UNDO_MINUTES * 60 < nowTs) {
+    return { ok: false, message: `Nothing to undo. Only the last /resetday or /resetweek can be undone, within ${RESET_UNDO_MINUTES} minutes.` };
+  }
+  const locked = resetLocked(userId, reset.scope, reset.range_key);
+  if (locked) return { ok: false, message: locked };
+  const shifts = listResetShiftsStmt.all(reset.id);
+  for (const s of shifts) {
+    const clash = overlapStmt.get(userId, s.id, s.end_ts ?? Number.MAX_SAFE_INTEGER, s.start_ts);
+    if (clash) return { ok: false, message: `Can’t undo: shift #${s.id} would overlap shift #${clash.id}. Delete or edit that one first.` };
+  }
+  db.transaction(() => {
+    restoreShiftsStmt.run(reset.id);
+    markUndoneStmt.run(nowTs, reset.id);
+  })();
+  return { ok: true, reset, shifts };
+}
+
+/** Leave **/
+const insertLeaveStmt = db.prepare(`
+INSERT INTO leave (user_id, kind, day_key, hours, paid, created_by, created_ts) VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const getLeaveStmt = db.prepare(`SELECT * FROM leave WHERE id = ?`);
+const deleteLeaveStmt = db.prepare(`DELETE FROM leave WHERE id = ?`);
+const listLeaveStmt = db.prepare(`
+SELECT * FROM leave WHERE user_id = ? AND day_key BETWEEN ? AND ? ORDER BY day_key ASC, id ASC
+`);
+const sumLeaveDayStmt = db.prepare(`SELECT COALESCE(SUM(hours), 0) AS hours FROM leave WHERE user_id = ? AND day_key = ?`);
+const getAllowanceStmt = db.prepare(`SELECT days FROM leave_allowances WHERE user_id = ? AND kind = ?`);
+const setAllowanceStmt = db.prepare(`
+INSERT INTO leave_allowances (user_id, kind, days) VALUES (?, ?, ?)
+ON CONFLICT(user_id, kind) DO UPDATE SET days = excluded.days
+`);
+const clearAllowanceStmt = db.prepare(`DELETE FROM leave_allowances WHERE user_id = ? AND kind = ?`);
+
+function unknownLeaveType(kind) {
+  return `Unknown leave type "${kind}". Types: ${Object.keys(LEAVE_TYPES).join(', ')}.`;
+}
+// Yearly allowance in days, null = unlimited
+function getLeaveAllowance(userId, kind) {
+  return getAllowanceStmt.get(userId, kind)?.days ?? LEAVE_TYPES[kind]?.allowance ?? null;
+}
+// days null goes back to the LEAVE_TYPES default
+function setLeaveAllowance(userId, kind, days) {
+  if (!LEAVE_TYPES[kind]) return { ok: false, message: unknownLeaveType(kind) };
+  if (days != null && !(days >= 0 && days <= 366)) return { ok: false, message: 'The allowance must be 0–366 days.' };
+  if (days == null) clearAllowanceStmt.run(userId, kind);
+  else setAllowanceStmt.run(userId, kind, days);
+  const now = getLeaveAllowance(userId, kind);
+  return { ok: true, days: now, message: `Yearly ${kind} allowance: ${now == null ? 'unlimited' : `${now} days`} ✅` };
+}
+/**
+ * Leave taken per type in a calendar year against the allowance; days count LEAVE_DAY_HOURS each.
+ * Every configured type is listed, plus any type still on record that was dropped from LEAVE_TYPES.
+ * @returns {{kind, paid, allowance, usedHours, usedDays, leftDays}[]} allowance and leftDays null = unlimited
+ */
+function leaveBalance(userId, year) {
+  const used = {};
+  for (const l of listLeaveStmt.all(userId, `${year}-01-01`, `${year}-12-31`)) used[l.kind] = (used[l.kind] || 0) + l.hours;
+  return [...new Set([...Object.keys(LEAVE_TYPES), ...Object.keys(used)])].map(kind => {
+    const allowance = getLeaveAllowance(userId, kind);
+    const usedHours = used[kind] || 0;
+    const usedDays = usedHours / LEAVE_DAY_HOURS;
+    return { kind, paid: LEAVE_TYPES[kind]?.paid ?? null, allowance, usedHours, usedDays, leftDays: allowance == null ? null : allowance - usedDays };
+  });
+}
+function formatLeave(l) {
+  return `#${l.id} ${dayjs(l.day_key).format('ddd, MMM D, YYYY')} ${l.kind} ${+l.hours.toFixed(2)}h${l.paid ? '' : ' (unpaid)'}`;
+}
+// Record leave on a local day; refused past the yearly allowance or beyond 24h of leave that day
+function addLeave({ userId, kind, day, hours = LEAVE_DAY_HOURS, actorId = userId }, nowTs) {
+  const type = LEAVE_TYPES[kind];
+  if (!type) return { ok: false, message: unknownLeaveType(kind) };
+  if (!(hours > 0 && hours <= 24)) return { ok: false, message: 'Leave must be more than 0 and at most 24 hours.' };
+  const locked = lockedPeriod(userId, day);
+  if (locked) return { ok: false, message: locked };
+  if (sumLeaveDayStmt.get(userId, day).hours + hours > 24) return { ok: false, message: `That would be more than 24h of leave on ${day}.` };
+  const year = day.slice(0, 4);
+  const left = leaveBalance(userId, year).find(b => b.kind === kind).leftDays;
+  if (left != null && hours > left * LEAVE_DAY_HOURS + 1e-9) {
+    return { ok: false, message: `Not enough ${kind} allowance left for ${year}: ${+Math.max(0, left).toFixed(2)} days (${+Math.max(0, left * LEAVE_DAY_HOURS).toFixed(2)}h).` };
+  }
+  const id = Number(insertLeaveStmt.run(userId, kind, day, hours, type.paid ? 1 : 0, actorId, nowTs).lastInsertRowid);
+  const leave = getLeaveStmt.get(id);
+  return { ok: true, leave, message: `Recorded ${formatLeave(leave)} ✅` };
+}
+function getLeave(id) {
+  return getLeaveStmt.get(id) || null;
+}
+function deleteLeave(id) {
+  const leave = getLeave(id);
+  if (!leave) return { ok: false, message: `Leave #${id} not found.` };
+  const locked = lockedPeriod(leave.user_id, leave.day_key);
+  if (locked) return { ok: false, message: locked };
+  deleteLeaveStmt.run(id);
+  return { ok: true, leave, message: `Deleted ${formatLeave(leave)}` };
+}
+function listLeave(userId, startKey, endKey) {
+  return listLeaveStmt.all(userId, startKey, endKey);
+}
+
+/** Pay adjustments **/
+const insertAdjustmentStmt = db.prepare(`
+INSERT INTO pay_adjustments (user_id, day_key, amount, category, note, created_by, created_ts) VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const getAdjustmentStmt = db.prepare(`SELECT * FROM pay_adjustments WHERE id = ?`);
+const deleteAdjustmentStmt = db.prepare(`DELETE FROM pay_adjustments WHERE id = ?`);
+const listAdjustmentsStmt = db.prepare(`
+SELECT * FROM pay_adjustments WHERE user_id = ? AND day_key BETWEEN ? AND ? ORDER BY day_key ASC, id ASC
+`);
+
+// "bonus: Q3 target" (the category alone without a note), as exports show it
+function adjustmentNote(a) {
+  return a.note ? `${a.category}: ${a.note}` : a.category;
+}
+function formatAdjustmentRow(a) {
+  const label = ADJUSTMENT_CATEGORIES[a.category] || a.category;
+  return `#${a.id} ${dayjs(a.day_key).format('ddd, MMM D, YYYY')} ${label}${a.note ? ` (${a.note})` : ''} ${signedUsd(a.amount)}`;
+}
+// Add money to (or take it off) the pay period containing `day`; submitted, approved and paid periods are closed
+function addAdjustment({ userId, day, amount, category, note = '', actorId }, nowTs) {
+  if (!ADJUSTMENT_CATEGORIES[category]) {
+    return { ok: false, message: `Unknown category "${category}". Categories: ${Object.keys(ADJUSTMENT_CATEGORIES).join(', ')}.` };
+  }
+  if (!(Number.isFinite(amount) && amount !== 0 && Math.abs(amount) <= 1e6)) return { ok: false, message: 'The amount must be a non-zero number, e.g. +25 or -10.50.' };
+  if (note.length > 100) return { ok: false, message: 'Keep the note to 100 characters.' };
+  const locked = lockedPeriod(userId, day);
+  if (locked) return { ok: false, message: `${locked} Put it in the current one.` };
+  const id = Number(insertAdjustmentStmt.run(userId, day, Math.round(amount * 100) / 100, category, note || null, actorId, nowTs).lastInsertRowid);
+  const adjustment = getAdjustmentStmt.get(id);
+  return { ok: true, adjustment, message: `Recorded ${formatAdjustmentRow(adjustment)} ✅` };
+}
+function getAdjustment(id) {
+  return getAdjustmentStmt.get(id) || null;
+}
+function deleteAdjustment(id) {
+  const adjustment = getAdjustment(id);
+  if (!adjustment) return { ok: false, message: `Adjustment #${id} not found.` };
+  const locked = lockedPeriod(adjustment.user_id, adjustment.day_key);
+  if (locked) return { ok: false, message: locked };
+  deleteAdjustmentStmt.run(id);
+  return { ok: true, adjustment, message: `Deleted ${formatAdjustmentRow(adjustment)}` };
+}
+function listAdjustments(userId, startKey, endKey) {
+  return listAdjustmentsStmt.all(userId, startKey, endKey);
+}
+
+/** Audit log **/
+const insertAuditStmt = db.prepare(`
+INSERT INTO audit_log (ts, actor_id, user_id, chat_id, action, before, after)
+VALUES (@ts, @actor_id, @user_id, @chat_id, @action, @before, @after)
+`);
+const listAuditStmt = db.prepare(`
+SELECT * FROM audit_log
+WHERE (@user_id IS NULL OR user_id = @user_id) AND ts >= @from AND ts < @to
+ORDER BY ts DESC, id DESC
+`);
+
+// Append one entry; before/after are any JSON-able values (null = none)
+function recordAudit({ actorId = null, userId = null, chatId = null, action, before = null, after = null }, nowTs) {
+  insertAuditStmt.run({
+    ts: nowTs,
+    actor_id: actorId,
+    user_id: userId,
+    chat_id: chatId,
+    action,
+    before: before == null ? null : JSON.stringify(before),
+    after: after == null ? null : JSON.stringify(after)
+  });
+}
+// Entries in [fromTs, toTs), newest first, about one user (userId null = everyone)
+function listAudit(userId, fromTs, toTs) {
+  return listAuditStmt.all({ user_id: userId, from: fromTs, to: toTs }).map(r => ({
+    ...r,
+    before: r.before == null ? null : JSON.parse(r.before),
+    after: r.after == null ? null : JSON.parse(r.after)
+  }));
+}
+
+// Shifts stored before midnight splits sat whole under their start day; split them once, which
+// PRAGMA user_version 1 records (splitShift keeps every later shift split)
+if (db.pragma('user_version', { simple: true }) < 1) {
+  const listClosedShiftsStmt = db.prepare(`SELECT id, user_id, start_ts, end_ts FROM shifts WHERE end_ts IS NOT NULL`);
+  db.transaction(() => {
+    for (const s of listClosedShiftsStmt.all()) {
+      const tz = getUserTz(s.user_id);
+      if (nextMidnight(s.start_ts, tz) < s.end_ts) splitShift(s.id, tz);
+    }
+    db.pragma('user_version = 1');
+  })();
 }
 
 module.exports = {
   db,
+  DEFAULT_TZ,
   upsertUser,
+  getUserTz,
+  setUserTz,
+  getUserPeriod,
+  setUserPeriod,
+  getUserRole,
+  userLabel,
+  findUser,
+  listTeam,
+  setRole,
+  createInvite,
+  redeemInvite,
   clockIn,
   clockOut,
+  getOpenShift,
+  noteChatMember,
+  dropChatMember,
+  teamStatus,
+  getBoard,
+  setBoard,
+  removeBoard,
+  boardsFor,
+  switchProject,
+  cutOpenShift,
+  startBreak,
+  endBreak,
+  getShift,
+  addShift,
+  editShift,
+  deleteShift,
+  stageImport,
+  confirmImport,
+  cancelImport,
+  formatShift,
+  checkOpenShifts,
+  markReminded,
+  listFlaggedShifts,
+  confirmShifts,
+  addSchedule,
+  getSchedule,
+  listSchedules,
+  removeSchedule,
+  formatSchedule,
+  scheduledShifts,
+  scheduleVariance,
+  checkSchedules,
+  markScheduleAlert,
+  getTarget,
+  setTarget,
+  getWeekProgress,
+  checkTargets,
+  markTargetAlert,
+  listWeekShifts,
   getTodayHours,
+  getTodayTotals,
   getWeekHours,
-  exportWeekCSV,
-  resetDay,
-  resetWeek
+  getWeekDays,
+  getExportSessions,
+  getPayPeriod,
+  getPeriodHours,
+  getPeriodEntries,
+  getRangeBreakdown,
+  issueInvoice,
+  setRate,
+  getRate,
+  getRateHistory,
+  getProjectRates,
+  resetTarget,
+  resetShifts,
+  undoReset,
+  getLeaveAllowance,
+  setLeaveAllowance,
+  leaveBalance,
+  formatLeave,
+  addLeave,
+  getLeave,
+  deleteLeave,
+  listLeave,
+  formatAdjustmentRow,
+  addAdjustment,
+  getAdjustment,
+  deleteAdjustment,
+  listAdjustments,
+  recordAudit,
+  listAudit,
+  archivePeriod,
+  closingPeriod,
+  submitTimesheet,
+  getTimesheet,
+  getTimesheetFor,
+  listTimesheets,
+  latestTimesheet,
+  canApprove,
+  timesheetApprovers,
+  decideTimesheet,
+  commentTimesheet,
+  markTimesheetPaid,
+  getPeriodSnapshot,
+  getWeekSnapshot,
+  listHistory,
+  purgeHistory
 };
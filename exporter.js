@@ -0,0 +1,296 @@
+/**
+ * Session exports shared by both bots (index.js and src/worker.js): one schema, four formats.
+ * Plain JavaScript without Node APIs, so the Worker bundle can use it too.
+ *
+ * A session is { id, date, start, end, hours, break_hours, unpaid_break_hours, project, type, adjusted, amount, note }:
+ * date is the local day it is counted on, start/end are ISO 8601 local times with their
+ * UTC offset ("2025-09-01T09:00:00+02:00"), hours are worked hours (unpaid breaks taken out).
+ * type is "work" for shifts; leave (/leave) rows carry the leave type instead, with the hours
+ * taken off and no start or end. adjusted is true when a punch time was typed in (/in 09:15)
+ * rather than taken from the moment of the punch. Pay adjustments (/adjust) are rows of type
+ * "adjustment" with no hours, their signed amount of money and a note ("bonus: Q3 target").
+ * parseSessionsCSV reads such a CSV (or a spreadsheet's own) back for the CSV import.
+ */
+const EXPORT_FORMATS = {
+  csv: 'text/csv',
+  json: 'application/json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ics: 'text/calendar',
+};
+const COLUMNS = ['id', 'date', 'start', 'end', 'hours', 'break_hours', 'unpaid_break_hours', 'project', 'type', 'adjusted', 'amount', 'note'];
+const HOUR_COLUMNS = ['hours', 'break_hours', 'unpaid_break_hours'];
+
+// The schema row for one session: hour columns rounded to 2 decimals, missing values empty
+function exportRow(s) {
+  s = { type: 'work', adjusted: false, ...s };
+  return Object.fromEntries(COLUMNS.map((c) => [c, HOUR_COLUMNS.includes(c) ? Math.round(s[c] * 100) / 100 : s[c] ?? '']));
+}
+
+function toCSV(rows) {
+  const cell = (v) => {
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [COLUMNS, ...rows.map((r) => COLUMNS.map((c) => r[c]))].map((r) => r.map(cell).join(',')).join('\n') + '\n';
+}
+
+// total_hours is worked time only; leave_hours adds up the leave rows, adjustments_total the adjustments' money
+function toJSON(rows, meta) {
+  const sum = (list, key = 'hours') => Math.round(list.reduce((t, r) => t + r[key], 0) * 100) / 100;
+  const work = rows.filter((r) => r.type === 'work');
+  const adjustments = rows.filter((r) => r.type === 'adjustment');
+  const leave = rows.filter((r) => r.type !== 'work' && r.type !== 'adjustment');
+  return JSON.stringify({
+    ...meta,
+    total_hours: sum(work),
+    leave_hours: sum(leave),
+    adjustments_total: sum(adjustments, 'amount'),
+    sessions: rows,
+  }, null, 2) + '\n';
+}
+
+/** iCalendar: one event per session, times in UTC; leave is an all-day event, pay adjustments are left out **/
+function icsText(s) {
+  return String(s).replace(/[\\;,]/g, (c) => '\\' + c).replace(/\n/g, '\\n');
+}
+function icsTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+function toICS(rows, meta) {
+  const stamp = icsTime(meta.generated);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Work Hours Bot//Export//EN', 'CALSCALE:GREGORIAN'];
+  for (const r of rows) {
+    if (r.type === 'adjustment') continue;
+    if (r.type !== 'work') {
+      const next = new Date(Date.parse(`${r.date}T00:00:00Z`) + 86400_000).toISOString().slice(0, 10);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${r.id}-${meta.user}@work-hours-bot`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${r.date.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${next.replace(/-/g, '')}`,
+        `SUMMARY:${icsText(`Leave: ${r.type}`)}`,
+        `DESCRIPTION:${icsText(`${r.hours.toFixed(2)}h ${r.type} leave`)}`,
+        'END:VEVENT'
+      );
+      continue;
+    }
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${r.id}-${meta.user}@work-hours-bot`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsTime(r.start)}`,
+      `DTEND:${icsTime(r.end)}`,
+      `SUMMARY:${icsText(r.project ? `Work: ${r.project}` : 'Work')}`,
+      `DESCRIPTION:${icsText(`Shift #${r.id}: ${r.hours.toFixed(2)}h worked, ${r.break_hours.toFixed(2)}h breaks (${r.unpaid_break_hours.toFixed(2)}h unpaid)${r.adjusted ? ', times adjusted by hand' : ''}`)}`,
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+/** XLSX: one sheet, inline strings, written as an uncompressed zip **/
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+// files: [{ name, data: string }] -> zip bytes (method 0 = stored)
+function zip(files) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  const header = (size) => {
+    const buf = new Uint8Array(size);
+    return { buf, view: new DataView(buf.buffer) };
+  };
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = enc.encode(f.data);
+    const crc = crc32(data);
+    const local = header(30);
+    local.view.setUint32(0, 0x04034b50, true);
+    local.view.setUint16(4, 20, true);
+    local.view.setUint16(12, 0x0021, true); // 1980-01-01
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, data.length, true);
+    local.view.setUint32(22, data.length, true);
+    local.view.setUint16(26, name.length, true);
+    const dir = header(46);
+    dir.view.setUint32(0, 0x02014b50, true);
+    dir.view.setUint16(4, 20, true);
+    dir.view.setUint16(6, 20, true);
+    dir.view.setUint16(14, 0x0021, true);
+    dir.view.setUint32(16, crc, true);
+    dir.view.setUint32(20, data.length, true);
+    dir.view.setUint32(24, data.length, true);
+    dir.view.setUint16(28, name.length, true);
+    dir.view.setUint32(42, offset, true);
+    parts.push(local.buf, name, data);
+    central.push(dir.buf, name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = central.reduce((t, b) => t + b.length, 0);
+  const end = header(22);
+  end.view.setUint32(0, 0x06054b50, true);
+  end.view.setUint16(8, files.length, true);
+  end.view.setUint16(10, files.length, true);
+  end.view.setUint32(12, size, true);
+  end.view.setUint32(16, offset, true);
+  const out = new Uint8Array(offset + size + 22);
+  let at = 0;
+  for (const b of [...parts, ...central, end.buf]) {
+    out.set(b, at);
+    at += b.length;
+  }
+  return out;
+}
+function xmlText(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+function toXLSX(rows) {
+  const ref = (col, row) => `${String.fromCharCode(65 + col)}${row}`;
+  const cell = (v, col, row) => (typeof v === 'number'
+    ? `<c r="${ref(col, row)}"><v>${v}</v></c>`
+    : `<c r="${ref(col, row)}" t="inlineStr"><is><t>${xmlText(v)}</t></is></c>`);
+  const sheetRows = [COLUMNS, ...rows.map((r) => COLUMNS.map((c) => r[c]))]
+    .map((r, i) => `<row r="${i + 1}">${r.map((v, col) => cell(v, col, i + 1)).join('')}</row>`);
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xml}<workbook xmlns="${main}" xmlns:r="${rel}"><sheets><sheet name="Sessions" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xml}<worksheet xmlns="${main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+/** CSV import **/
+const IMPORT_MAX_ROWS = 500;
+
+// Quoted fields may hold the delimiter, doubled quotes and line breaks
+function csvRecords(text, delim) {
+  const out = [];
+  let rec = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) { rec.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      rec.push(field); out.push(rec);
+      rec = []; field = '';
+    } else field += c;
+  }
+  if (field || rec.length) { rec.push(field); out.push(rec); }
+  return out;
+}
+// "9:00" on the row's date or "2025-09-01 09:00" -> { date, time } local to the user;
+// an ISO time with an offset ("2025-09-01T09:00:00+02:00", "...Z") -> { utcMs }; null if unreadable
+function importTime(date, value) {
+  let m = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (m) return date ? { date, time: `${m[1].padStart(2, '0')}:${m[2]}` } : null;
+  m = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::\d{2})?$/.exec(value);
+  if (m) return { date: m[1], time: `${m[2].padStart(2, '0')}:${m[3]}` };
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value)) return null;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? { utcMs: ms } : null;
+}
+
+/**
+ * Read shifts from an uploaded CSV (comma or semicolon separated). The header names the columns:
+ * start and end are required, date (or day) is needed when they are bare times, project is optional
+ * and anything else is ignored. Rows whose type is not "work" (leave in our own exports) are skipped. A bare end time at or before the start time is on the next day.
+ * @param {string} text
+ * @returns {{rows: {row: number, start: object, end: object, project: string}[], errors: {row: number, message: string}[]}}
+ *   row is the spreadsheet row (the header is row 1); start/end are { date, time } local or { utcMs }
+ */
+function parseSessionsCSV(text) {
+  const body = String(text).replace(/^\uFEFF/, '');
+  const first = body.split(/\r?\n/, 1)[0];
+  const delim = first.includes(';') && !first.includes(',') ? ';' : ',';
+  const [header = [], ...records] = csvRecords(body, delim);
+  const cols = header.map((h) => h.trim().toLowerCase());
+  const col = (...names) => cols.findIndex((c) => names.includes(c));
+  const iDate = col('date', 'day'), iStart = col('start', 'in'), iEnd = col('end', 'out'), iProject = col('project'), iType = col('type');
+  if (iStart < 0 || iEnd < 0) {
+    return { rows: [], errors: [{ row: 1, message: 'The header needs start and end columns (and date when they are bare times).' }] };
+  }
+  if (records.length > IMPORT_MAX_ROWS) return { rows: [], errors: [{ row: 1, message: `At most ${IMPORT_MAX_ROWS} rows per file.` }] };
+
+  const rows = [], errors = [];
+  records.forEach((rec, i) => {
+    const row = i + 2;
+    const get = (j) => (j < 0 ? '' : String(rec[j] ?? '').trim());
+    if (rec.every((v) => !v.trim())) return;
+    if (get(iType) && get(iType).toLowerCase() !== 'work') return;
+    const date = get(iDate);
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return errors.push({ row, message: `Bad date "${date}", use YYYY-MM-DD.` });
+    const start = importTime(date, get(iStart)), end = importTime(date, get(iEnd));
+    if (!start || !end) {
+      const [name, value] = start ? ['end', get(iEnd)] : ['start', get(iStart)];
+      return errors.push({ row, message: `Bad ${name} "${value}", use HH:mm (with a date column) or YYYY-MM-DD HH:mm.` });
+    }
+    if (/^\d{1,2}:\d{2}$/.test(get(iEnd)) && start.date === end.date && end.time <= start.time) {
+      end.date = new Date(Date.parse(`${end.date}T00:00:00Z`) + 86400_000).toISOString().slice(0, 10);
+    }
+    rows.push({ row, start, end, project: get(iProject) });
+  });
+  return { rows, errors };
+}
+
+/**
+ * Render sessions in one of EXPORT_FORMATS.
+ * @param {string} format - csv | json | xlsx | ics
+ * @param {object[]} sessions - closed sessions in the schema above, in order
+ * @param {{user: string|number, timezone: string, from: string, to: string}} meta - from/to are the
+ *   first and last local day covered
+ * @returns {{filename: string, mime: string, content: string|Uint8Array}}
+ */
+function exportSessions(format, sessions, meta) {
+  const rows = sessions.map(exportRow);
+  const info = { user: String(meta.user), timezone: String(meta.timezone), from: meta.from, to: meta.to, generated: new Date().toISOString() };
+  const content = format === 'json' ? toJSON(rows, info)
+    : format === 'xlsx' ? toXLSX(rows)
+    : format === 'ics' ? toICS(rows, info)
+    : toCSV(rows);
+  const ext = EXPORT_FORMATS[format] ? format : 'csv';
+  return { filename: `sessions_${meta.from}_${meta.to}.${ext}`, mime: EXPORT_FORMATS[ext], content };
+}
+
+module.exports = { EXPORT_FORMATS, COLUMNS, exportSessions, parseSessionsCSV };
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { Telegraf } = require('telegraf');
+const { Telegraf, Markup } = require('telegraf');
 const cron = require('node-cron');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
@@ -8,28 +8,156 @@ const isoWeek = require('dayjs/plugin/isoWeek');
 dayjs.extend(utc);
 dayjs.extend(tz);
 dayjs.extend(isoWeek);
-dayjs.tz.setDefault('Asia/Manila');
 
 const {
   db,
+  DEFAULT_TZ,
   upsertUser,
+  getUserTz,
+  setUserTz,
+  getUserPeriod,
+  setUserPeriod,
+  getUserRole,
+  userLabel,
+  findUser,
+  listTeam,
+  setRole,
+  createInvite,
+  redeemInvite,
   clockIn,
   clockOut,
-  getTodayHours,
+  getOpenShift,
+  noteChatMember,
+  dropChatMember,
+  teamStatus,
+  getBoard,
+  setBoard,
+  removeBoard,
+  boardsFor,
+  switchProject,
+  cutOpenShift,
+  startBreak,
+  endBreak,
+  getShift,
+  addShift,
+  editShift,
+  deleteShift,
+  stageImport,
+  confirmImport,
+  cancelImport,
+  formatShift,
+  checkOpenShifts,
+  markReminded,
+  listFlaggedShifts,
+  confirmShifts,
+  addSchedule,
+  getSchedule,
+  listSchedules,
+  removeSchedule,
+  formatSchedule,
+  scheduledShifts,
+  scheduleVariance,
+  checkSchedules,
+  markScheduleAlert,
+  setTarget,
+  getWeekProgress,
+  checkTargets,
+  markTargetAlert,
+  listWeekShifts,
+  getTodayTotals,
   getWeekHours,
-  exportWeekCSV,
-  resetDay,
-  resetWeek,
+  getExportSessions,
+  getPayPeriod,
+  getPeriodHours,
+  getPeriodEntries,
+  getRangeBreakdown,
+  issueInvoice,
+  setRate,
+  getRate,
+  getRateHistory,
+  getProjectRates,
+  resetTarget,
+  resetShifts,
+  undoReset,
+  getLeaveAllowance,
+  setLeaveAllowance,
+  leaveBalance,
+  formatLeave,
+  addLeave,
+  getLeave,
+  deleteLeave,
+  listLeave,
+  formatAdjustmentRow,
+  addAdjustment,
+  getAdjustment,
+  deleteAdjustment,
+  listAdjustments,
+  recordAudit,
+  listAudit,
+  archivePeriod,
+  closingPeriod,
+  getPeriodSnapshot,
+  getWeekSnapshot,
+  listHistory,
+  purgeHistory,
+  submitTimesheet,
+  getTimesheet,
+  getTimesheetFor,
+  listTimesheets,
+  latestTimesheet,
+  canApprove,
+  timesheetApprovers,
+  decideTimesheet,
+  commentTimesheet,
+  markTimesheetPaid,
 } = require('./db');
+dayjs.tz.setDefault(DEFAULT_TZ);
 
 const {
   HOURLY_RATE,
+  HISTORY_WEEKS,
+  PAY_RULES,
+  PAY_PERIODS,
+  PAY_PERIOD,
+  REMIND_AFTER_HOURS,
+  MAX_SHIFT_HOURS,
+  SCHEDULE_REMIND_MINUTES,
+  LATE_GRACE_MINUTES,
+  TARGET_CAP_WARN_HOURS,
+  RESET_UNDO_MINUTES,
+  TARGET_BEHIND_DAYS_LEFT,
+  LEAVE_TYPES,
+  LEAVE_DAY_HOURS,
+  ADJUSTMENT_CATEGORIES,
+  ROLES,
+  OWNER_IDS,
+  INVITE_TTL_HOURS,
+  BUSINESS,
+  INVOICE_TITLE,
+  PERMISSIONS,
+  hasRole,
+  canManage,
   usd,
   formatHours,
-  weeklyPay,
+  periodPay,
+  formatPayLines,
+  signedUsd,
+  invoiceNumber,
+  invoiceLines,
+  normalizeProject,
   nowUnix,
+  parseDateTime,
+  parsePunchTime,
+  parseWeekdays,
+  REPORT_DAY_LINES,
+  reportRange,
+  friendlyRangeLabel,
   friendlyWeekLabel,
+  periodFilename,
+  payPeriodRange,
 } = require('./services');
+const { renderInvoiceHtml, renderInvoicePdf } = require('./invoice');
+const { EXPORT_FORMATS, exportSessions, parseSessionsCSV } = require('./exporter');
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 if (!BOT_TOKEN) {
@@ -41,131 +169,1606 @@ const bot = new Telegraf(BOT_TOKEN);
 
 /** Utils */
 function replyUsage(ctx) {
+  const manager = hasRole(getUserRole(ctx.from.id), 'manager');
   return ctx.reply(
     [
       'Commands:',
       '/start - Set up your profile',
-      '/in - Clock in',
-      '/out - Clock out',
+      '/menu - Buttons to clock in/out and see today, week, pay or export',
+      '/in [time] [project] - Clock in, optionally on a project or at an earlier time (09:15, 20m ago)',
+      '/out [time] - Clock out, optionally at an earlier time (17:30, yesterday 23:10)',
+      '/switch <project|none> - Move to another project without clocking out',
+      '/break [paid|unpaid] - Pause your shift (unpaid by default)',
+      '/resume - End your break',
       '/today - Show today’s hours',
-      '/week - Show this week’s hours',
-      `/pay - Show this week’s pay ($${HOURLY_RATE}/hr)`,
-      '/resetday - Clear today’s entries',
-      '/resetweek - Clear this week’s entries',
-      '/export - Export this week CSV',
+      '/week [date] - Show this week’s hours (or the week containing date)',
+      '/history [n] - Show the last n archived pay periods',
+      '/holidays - List paid holidays',
+      '/settz <zone> - Set your time zone (e.g. Europe/Berlin)',
+      '/target <hours|off> [cap] - Set your weekly target hours and an optional cap',
+      `/leave <type> <date> [hours] - Record a day off (${Object.keys(LEAVE_TYPES).join(', ')}); /leave lists this year’s`,
+      '/leave del <id> - Remove recorded leave',
+      '/leavebalance [year] - Leave taken and left per type',
+      `/pay - Show this pay period’s pay ($${getRate(ctx.from.id, null, nowUnix())}/hr)`,
+      '/rates - Your hourly rate and how it changed',
+      '/adjust [last] - Your bonuses, tips, reimbursements and deductions this pay period (or the last one)',
+      '/report <from> <to> - Hours and pay by day and week for a date range, with CSV',
+      '/month [YYYY-MM] - Report for a month (this month by default)',
+      '/year [YYYY] - Report for a year (this year by default)',
+      `/invoice [last|date|YYYY-MM] - ${INVOICE_TITLE} for this pay period (or another one) as HTML and PDF`,
+      '/projects - Hours and pay by project this pay period',
+      '/shifts - List this week’s shifts with IDs',
+      '/add <date> <start> <end> [project] - Add a missed shift',
+      '/edit <id> [date] <start> <end> - Fix a shift',
+      '/del <id> - Delete a shift',
+      '/confirm [id] - Accept an auto-closed shift as it is (all if no id)',
+      '/resetday - Clear today’s entries (asks first)',
+      '/resetweek - Clear this week’s entries (asks first)',
+      '/undo - Bring back the shifts of your last reset',
+      '/export [csv|json|xlsx|ics] [period] - Export your shifts (this week by default; last, pay, a date, YYYY-MM, YYYY or two dates)',
+      '/import - Load shifts from a CSV file (date, start, end, project)',
+      '/schedule - Your scheduled shifts for the coming week',
+      '/submit - Resubmit a rejected timesheet after fixing it',
+      '/join <code> - Join with an invite code',
       '/help - Show help',
+      ...(manager ? [
+        '',
+        'Managers:',
+        '/setperiod <weekly|biweekly|semimonthly|monthly> [@user] - Set a pay period',
+        '/target <hours|off> [cap] @user - Set someone’s weekly target',
+        '/leave <type> <date> [hours] @user - Record someone’s leave (/leavebalance @user for theirs)',
+        '/setallowance <type> <days|default> [@user] - Set someone’s yearly leave allowance',
+        '/setrate <rate> [@user] [project] [date] - Set someone’s hourly rate from now (or from date)',
+        '/projectrate <project> <rate|off> [date] - Set a project’s own hourly rate',
+        '/rates @user - Someone’s rate history',
+        '/adjust @user <+amount|-amount> [category] ["note"] [last|date] - Add a bonus, tip, reimbursement, advance or deduction',
+        '/adjust del <id> - Remove a pay adjustment (/adjust @user lists them)',
+        '/allhours - Everyone’s hours this week',
+        '/allpay - Everyone’s latest approved pay',
+        '/pending - Timesheets waiting for approval',
+        '/schedule add [@user] <date|mon-fri> <start> <end> [project] - Schedule a shift, once or weekly',
+        '/schedule del <id> - Remove a scheduled shift (/schedule @user lists them)',
+        '/audit [@user] [period] - Who changed whose time, rates or roles (this week by default)',
+        '/who - Who is clocked in (in a group: its members)',
+        '/board [off] - Pin a live status board in this group',
+        '/team - List everyone with a role',
+        '/invite [employee|manager] - Create an invite code',
+        '/grant <role> [@user] - Give someone a role (or reply to their message)',
+        '/revoke [@user] - Take someone’s role away',
+      ] : []),
     ].join('\n')
   );
 }
 
+// "Sep 1–Sep 15, 2025" for a snapshot row; rows from before pay periods are single weeks
+function periodLabel(row) {
+  return row.period_end ? friendlyRangeLabel(row.week_key, row.period_end) : friendlyWeekLabel(row.week_key);
+}
+
+// Auto-closed shifts still waiting for /confirm or /edit
+function reviewLines(shifts) {
+  if (!shifts.length) return '';
+  return '\n⚠️ Needs review (auto-closed, use /confirm <id> or /edit <id>):\n' + shifts.map(formatShift).join('\n');
+}
+
+// A scheduled shift as "Mon Sep 1 09:00–17:00 [acme]" in the user's zone
+function scheduledLabel(o) {
+  const tz = getUserTz(o.user_id);
+  const at = (ts, format) => dayjs.unix(ts).tz(tz).format(format);
+  return `${at(o.start_ts, 'ddd MMM D HH:mm')}–${at(o.end_ts, 'HH:mm')}${o.project ? ` [${o.project}]` : ''}`;
+}
+// Scheduled vs. worked hours with late and missed shifts ('' when nothing was scheduled)
+function scheduleLines(userId, startKey, endKey, now) {
+  const v = scheduleVariance(userId, startKey, endKey, now, LATE_GRACE_MINUTES);
+  if (!v) return '';
+  const diff = v.workedHours - v.scheduledHours;
+  return (
+    `\n📅 Scheduled: ${formatHours(v.scheduledHours)}, worked ${formatHours(v.workedHours)} ` +
+    `(${diff < 0 ? '−' : '+'}${formatHours(Math.abs(diff))})` +
+    v.late.map((o) => `\nLate: ${scheduledLabel(o)} (+${o.minutes} min)`).join('') +
+    v.missed.map((o) => `\nMissed: ${scheduledLabel(o)}`).join('')
+  );
+}
+
+// Timesheets: the pay period a row covers, and how it is named in messages
+function timesheetPeriod(ts) {
+  return { kind: ts.period_kind, start: ts.period_start, end: ts.period_end };
+}
+function timesheetLabel(ts) {
+  return `${PAY_PERIODS[ts.period_kind]} timesheet ${friendlyRangeLabel(ts.period_start, ts.period_end)}`;
+}
+function nameOf(userId) {
+  const u = findUser(String(userId));
+  return u ? userLabel(u) : `User ${userId}`;
+}
+
+// What approvers see, with Approve / Reject buttons
+function timesheetCard(ts) {
+  const pay = periodPay(getPeriodEntries(ts.user_id, timesheetPeriod(ts)));
+  return [
+    [
+      `🧾 #${ts.id} ${nameOf(ts.user_id)} — ${timesheetLabel(ts)}`,
+      `Hours: ${formatHours(ts.hours)}`,
+      ...formatPayLines(pay),
+      `Pay: ${usd(ts.pay)}`,
+    ].join('\n') + reviewLines(listFlaggedShifts(ts.user_id, ts.period_start, ts.period_end)),
+    Markup.inlineKeyboard([
+      Markup.button.callback('✅ Approve', `ts:ok:${ts.id}`),
+      Markup.button.callback('❌ Reject', `ts:no:${ts.id}`),
+    ]),
+  ];
+}
+
+// Submit a closed period (or resubmit a rejected one) with its current totals and notify approvers
+// (ctx = whoever resubmitted it; null for the pay period job)
+async function submitPeriod(userId, period, now, ctx = null) {
+  const { hours } = getPeriodHours(userId, period);
+  const pay = periodPay(getPeriodEntries(userId, period));
+  const ts = submitTimesheet(userId, period, hours, pay.amount, now);
+  audit(ctx, 'submit', userId, null, { timesheet: ts.id, period: `${period.start}–${period.end}`, hours, pay: pay.amount });
+  const approvers = timesheetApprovers(userId);
+  if (!approvers.length) {
+    // Nobody else could ever approve it (e.g. a sole owner), so it goes straight to payout
+    decideTimesheet(null, ts.id, 'approved', null, now);
+    audit(null, 'approve', userId, null, { timesheet: ts.id, period: `${period.start}–${period.end}` });
+    return ts;
+  }
+  try {
+    await bot.telegram.sendMessage(
+      userId,
+      `🕒 Your ${timesheetLabel(ts)} (${formatHours(hours)}, ${usd(pay.amount)}) was submitted for approval.` +
+      reviewLines(listFlaggedShifts(userId, period.start, period.end))
+    );
+  } catch (err) {
+    console.error(`[timesheet] Could not notify ${userId}:`, err.message);
+  }
+  for (const u of approvers) {
+    try {
+      await bot.telegram.sendMessage(u.user_id, ...timesheetCard(ts));
+    } catch (err) {
+      console.error(`[timesheet] Could not notify ${u.user_id}:`, err.message);
+    }
+  }
+  return ts;
+}
+
+// A period's shifts, leave and pay adjustments as a CSV file, in the same layout as /export
+function periodCSV(userId, period) {
+  const sessions = getExportSessions(userId, period);
+  const { content } = exportSessions('csv', sessions, { user: userId, timezone: getUserTz(userId), from: period.start, to: period.end });
+  return { source: Buffer.from(content, 'utf8'), filename: periodFilename(period) };
+}
+
+// Pay out an approved timesheet at the hours and pay that were approved (the period is locked from
+// submission on): archive the period and mark it paid, then send the summary + CSV to the employee.
+// Delivery comes last so a blocked bot or a failed upload never pays out twice.
+async function payOut(ts, now) {
+  const period = timesheetPeriod(ts);
+  const { hours } = ts;
+  const pay = periodPay(getPeriodEntries(ts.user_id, period));
+
+  archivePeriod(ts.user_id, period, getRate(ts.user_id, null, now), ts.pay);
+  markTimesheetPaid(ts.id, now);
+  audit(null, 'payout', ts.user_id, null, { timesheet: ts.id, period: `${period.start}–${period.end}`, hours, pay: ts.pay });
+
+  try {
+    await bot.telegram.sendMessage(
+      ts.user_id,
+      [
+        `${PAY_PERIODS[period.kind]} Summary (${friendlyRangeLabel(period.start, period.end)}):`,
+        `Hours: ${formatHours(hours)}`,
+        ...formatPayLines(pay),
+        `Pay: ${usd(ts.pay)}`,
+        ts.decided_by ? `✅ Approved by ${nameOf(ts.decided_by)}` : '✅ Approved automatically',
+        ...(ts.comment ? [`💬 “${ts.comment}”`] : []),
+      ].join('\n') + scheduleLines(ts.user_id, period.start, period.end, now)
+    );
+    await bot.telegram.sendDocument(ts.user_id, periodCSV(ts.user_id, period));
+  } catch (err) {
+    console.error(`[payout] Could not send timesheet #${ts.id} to ${ts.user_id}:`, err.message);
+  }
+}
+
+// Per-day and per-week hours, totals and pay for an inclusive day range, then the shifts as CSV
+async function replyReport(ctx, title, range) {
+  const userId = ctx.from.id;
+  const { days, weeks } = getRangeBreakdown(userId, range);
+  const label = friendlyRangeLabel(range.start, range.end);
+  if (!days.length) return ctx.reply(`${title} (${label}): no hours recorded.`);
+
+  const totals = getPeriodHours(userId, range);
+  const pay = periodPay(getPeriodEntries(userId, range));
+  const lines = [`📊 ${title} (${label})`, ''];
+  if (days.length <= REPORT_DAY_LINES) {
+    lines.push('By day:', ...days.map((d) => `${dayjs(d.date).format('ddd MMM D')}: ${formatHours(d.hours)}`), '');
+  }
+  lines.push(
+    'By week:',
+    ...weeks.map((w) => {
+      // weeks cut by the range only count (and show) their days inside it
+      const start = w.week < range.start ? range.start : w.week;
+      const weekEnd = dayjs(w.week).add(6, 'day').format('YYYY-MM-DD');
+      return `${friendlyRangeLabel(start, weekEnd > range.end ? range.end : weekEnd)}: ${formatHours(w.hours)}`;
+    }),
+    '',
+    `Hours: ${formatHours(totals.hours)}` + breakLine(totals),
+    ...formatPayLines(pay),
+    `Pay: ${usd(pay.amount)}`
+  );
+  await ctx.reply(lines.join('\n') + reviewLines(listFlaggedShifts(userId, range.start, range.end)));
+  await ctx.replyWithDocument(periodCSV(userId, range), { caption: `Shifts ${label}` });
+}
+
+// Progress towards the weekly target and cap ('' without either), running shift included
+function targetLines(userId, now) {
+  const p = getWeekProgress(userId, now);
+  if (p.min == null && p.max == null) return '';
+  const lines = [];
+  if (p.min != null && p.hours >= p.min) {
+    lines.push(`🎯 Weekly target ${formatHours(p.min)} reached ✅ (${formatHours(p.hours)} so far)`);
+  } else if (p.min != null) {
+    const left = p.min - p.hours;
+    const pace = p.hours / p.elapsedDays; // hours per day so far
+    lines.push(`🎯 Weekly target ${formatHours(p.min)}: ${formatHours(p.hours)} done (${Math.floor((100 * p.hours) / p.min)}%), ${formatHours(left)} to go`);
+    if (pace > 0 && left / pace < p.daysLeft) {
+      const finish = dayjs.unix(now + Math.round((left / pace) * 86400)).tz(getUserTz(userId));
+      lines.push(`At your pace (${formatHours(pace)}/day) you reach it ${finish.format('ddd HH:mm')}`);
+    } else if (p.daysLeft > 0) {
+      lines.push(`At your pace you end the week at ${formatHours(p.hours + pace * p.daysLeft)}; ${formatHours(left / p.daysLeft)}/day needed`);
+    }
+  }
+  if (p.max != null) {
+    lines.push(p.hours >= p.max ? `🛑 Weekly cap ${formatHours(p.max)} reached` : `Cap ${formatHours(p.max)}: ${formatHours(p.max - p.hours)} left`);
+  }
+  return '\n' + lines.join('\n');
+}
+
+// What /today, /week and /pay (and the menu buttons) show
+function todayText(userId, now) {
+  const t = getTodayTotals(userId, now);
+  return `Today: ${formatHours(t.hours)}` + breakLine(t) + targetLines(userId, now) + reviewLines(listFlaggedShifts(userId, t.dayKey, t.dayKey));
+}
+function weekText(userId, at) {
+  const totals = getWeekHours(userId, at);
+  const { hours, weekKey } = totals;
+  const snap = getWeekSnapshot(userId, weekKey);
+  const weekEnd = dayjs(weekKey).add(6, 'day').format('YYYY-MM-DD');
+  if (snap) {
+    return (
+      `Week ${friendlyWeekLabel(weekKey)} (archived)\n` +
+      `Hours: ${formatHours(snap.hours)}\n` +
+      `Rate: $${snap.rate}/hr\n` +
+      `Pay: ${usd(snap.pay)}` +
+      scheduleLines(userId, weekKey, weekEnd, nowUnix())
+    );
+  }
+  const current = weekKey === getWeekHours(userId, nowUnix()).weekKey;
+  return (
+    `Week ${friendlyWeekLabel(weekKey)}: ${formatHours(hours)}` +
+    breakLine(totals) +
+    (current ? targetLines(userId, nowUnix()) : '') +
+    scheduleLines(userId, weekKey, weekEnd, nowUnix()) +
+    reviewLines(listFlaggedShifts(userId, weekKey, weekEnd))
+  );
+}
+function payText(userId, now) {
+  const period = getPayPeriod(userId, now);
+  const { hours } = getPeriodHours(userId, period);
+  const pay = periodPay(getPeriodEntries(userId, period));
+  return (
+    `${PAY_PERIODS[period.kind]} period ${friendlyRangeLabel(period.start, period.end)}\n` +
+    `Hours: ${formatHours(hours)}\n` +
+    formatPayLines(pay, getRate(userId, null, now)).join('\n') + '\n' +
+    `Pay: ${usd(pay.amount)}`
+  );
+}
+
+const NO_ACCESS = '🔒 You don’t have access yet. Ask a manager for an invite code, then send /join <code>.';
+
+// The user a manager command is about: an @username or id argument, else the replied-to user, else the sender
+function commandTarget(ctx, ref) {
+  if (ref) return findUser(ref);
+  const replied = ctx.message?.reply_to_message?.from;
+  if (replied && !replied.is_bot) {
+    upsertUser(replied);
+    return findUser(String(replied.id));
+  }
+  return findUser(String(ctx.from.id));
+}
+
+// Audit trail (see /audit): ctx (a command or button) gives the actor and chat; scheduled jobs pass null
+function audit(ctx, action, userId, before = null, after = null) {
+  recordAudit({ actorId: ctx?.from?.id ?? null, userId, chatId: ctx?.chat?.id ?? null, action, before, after }, nowUnix());
+}
+// A shift as the audit log keeps it
+function auditShift(s) {
+  return { id: s.id, start_ts: s.start_ts, end_ts: s.end_ts ?? null, project: s.project || null };
+}
+
+const PROJECT_USAGE = 'Project names are 1–40 letters, digits, dots, dashes or underscores, e.g. acme-website';
+
+function breakLine({ breakHours, unpaidBreakHours }) {
+  if (!breakHours) return '';
+  return `\nBreaks: ${formatHours(breakHours)} (${formatHours(unpaidBreakHours)} unpaid)`;
+}
+
 /** Middleware: capture user to DB */
 bot.use(async (ctx, next) => {
   try {
     if (ctx.from) upsertUser(ctx.from);
+    if (ctx.from && ['group', 'supergroup'].includes(ctx.chat?.type)) noteChatMember(ctx.chat.id, ctx.from.id, nowUnix());
   } catch (e) {
     console.error('upsertUser error:', e);
   }
   return next();
 });
 
+/** Middleware: check commands against PERMISSIONS */
+bot.use((ctx, next) => {
+  const m = /^\/([a-z0-9_]+)(?:@(\w+))?/i.exec(ctx.message?.text || '');
+  if (!m || !ctx.from) return next();
+  if (m[2] && ctx.botInfo && m[2].toLowerCase() !== ctx.botInfo.username.toLowerCase()) return; // meant for another bot
+  const command = m[1].toLowerCase();
+  const role = getUserRole(ctx.from.id);
+  const needed = Object.hasOwn(PERMISSIONS, command) ? PERMISSIONS[command] : 'owner';
+  if (hasRole(role, needed)) return next();
+  if (!role) return ctx.reply(NO_ACCESS);
+  if (Object.hasOwn(PERMISSIONS, command)) return ctx.reply(`⛔ /${command} is for ${needed}s and up.`);
+});
+
 /** Commands */
 bot.start((ctx) => {
+  if (ctx.payload) {
+    const before = getUserRole(ctx.from.id);
+    const res = redeemInvite(ctx.from.id, ctx.payload, nowUnix());
+    if (res.ok) audit(ctx, 'join', ctx.from.id, { role: before }, { role: res.role });
+    return ctx.reply(res.message);
+  }
+  if (!getUserRole(ctx.from.id)) return ctx.reply(NO_ACCESS);
   ctx.reply(
     `Welcome, ${ctx.from.first_name || 'friend'}!\n` +
-    `Use /in to clock in and /out to clock out.\n` +
-    `Rate: $${HOURLY_RATE}/hour.\n\n` +
+    `Use /in to clock in and /out to clock out, or /menu for buttons.\n` +
+    `Rate: $${getRate(ctx.from.id, null, nowUnix())}/hour.\n\n` +
     `Type /help to see all commands.`
   );
 });
 
 bot.command('help', replyUsage);
 
+const PUNCH_TIME_USAGE = 'Times: 09:15, yesterday 23:10, 2025-09-01 08:00, 20m ago or 1h30m ago (in your time zone, see /settz).';
+
+// The time typed after /in or /out ({ ts, args }), or { error } when it can't be used; no time = now
+function punchTime(ctx, usage) {
+  const now = nowUnix();
+  const { ts, args } = parsePunchTime(ctx.args, getUserTz(ctx.from.id), now);
+  if (ts == null) return { ts: now, args, adjusted: false };
+  if (!Number.isFinite(ts)) return { error: `${usage}\n${PUNCH_TIME_USAGE}` };
+  if (ts > now) return { error: 'That time is still to come. For a time before midnight use yesterday HH:mm.' };
+  return { ts, args, adjusted: ts < now };
+}
+
 bot.command('in', (ctx) => {
-  const res = clockIn(ctx.from.id, nowUnix());
+  const usage = 'Usage: /in [time] [project]';
+  const { ts, args, adjusted, error } = punchTime(ctx, usage);
+  if (error) return ctx.reply(error);
+  if (MAX_SHIFT_HOURS && nowUnix() - ts > MAX_SHIFT_HOURS * 3600) return ctx.reply(`That is more than ${MAX_SHIFT_HOURS}h ago. Use /add to record a past shift.`);
+  const project = args[0] ? normalizeProject(args[0]) : null;
+  if (args[0] && !project) return ctx.reply(`${usage}\n${PROJECT_USAGE}`);
+  const res = clockIn(ctx.from.id, ts, project, adjusted);
   ctx.reply(res.message);
+  if (!res.ok) return;
+  audit(ctx, 'in', ctx.from.id, null, { id: res.id, start_ts: ts, project, ...(adjusted && { adjusted: true }) });
+  refreshBoards(ctx.from.id);
+});
+
+bot.command('switch', (ctx) => {
+  const none = /^(none|-)$/i.test(ctx.args[0] || '');
+  const project = none ? null : normalizeProject(ctx.args[0]);
+  if (!none && !project) return ctx.reply('Usage: /switch <project|none>\n' + PROJECT_USAGE);
+  const res = switchProject(ctx.from.id, nowUnix(), project);
+  ctx.reply(res.message);
+  if (!res.ok) return;
+  audit(ctx, 'switch', ctx.from.id, auditShift(res.shift), { project });
+  refreshBoards(ctx.from.id);
 });
 
 bot.command('out', (ctx) => {
-  const res = clockOut(ctx.from.id, nowUnix());
+  const { ts, args, adjusted, error } = punchTime(ctx, 'Usage: /out [time]');
+  if (error || args.length) return ctx.reply(error || `Usage: /out [time]\n${PUNCH_TIME_USAGE}`);
+  const res = clockOut(ctx.from.id, ts, adjusted);
+  ctx.reply(res.message);
+  if (!res.ok) return;
+  audit(ctx, 'out', ctx.from.id, null, { ...auditShift(res.shift), ...(adjusted && { adjusted: true }) });
+  refreshBoards(ctx.from.id);
+});
+
+bot.command('break', (ctx) => {
+  const kind = (ctx.args[0] || 'unpaid').toLowerCase();
+  if (kind !== 'paid' && kind !== 'unpaid') return ctx.reply('Usage: /break [paid|unpaid]');
+  const res = startBreak(ctx.from.id, nowUnix(), kind === 'paid');
   ctx.reply(res.message);
+  if (!res.ok) return;
+  audit(ctx, 'break', ctx.from.id, null, { kind });
+  refreshBoards(ctx.from.id);
 });
 
-bot.command('today', (ctx) => {
-  const h = getTodayHours(ctx.from.id, nowUnix());
-  ctx.reply(`Today: ${formatHours(h)}`);
+bot.command('resume', (ctx) => {
+  const res = endBreak(ctx.from.id, nowUnix());
+  ctx.reply(res.message);
+  if (!res.ok) return;
+  audit(ctx, 'resume', ctx.from.id, null, { start_ts: res.brk.start_ts, end_ts: res.brk.end_ts });
+  refreshBoards(ctx.from.id);
 });
 
+bot.command('today', (ctx) => ctx.reply(todayText(ctx.from.id, nowUnix())));
+
 bot.command('week', (ctx) => {
-  const { hours, weekKey } = getWeekHours(ctx.from.id, nowUnix());
-  ctx.reply(`Week ${friendlyWeekLabel(weekKey)}: ${formatHours(hours)}`);
+  const at = ctx.args[0] ? parseDateTime(ctx.args[0], '12:00', getUserTz(ctx.from.id)) : nowUnix();
+  if (!Number.isFinite(at)) return ctx.reply('Usage: /week [YYYY-MM-DD]');
+  ctx.reply(weekText(ctx.from.id, at));
 });
 
-bot.command('pay', (ctx) => {
-  const { hours, weekKey } = getWeekHours(ctx.from.id, nowUnix());
-  const pay = weeklyPay(hours);
+bot.command('history', (ctx) => {
+  const n = Math.min(Math.max(parseInt(ctx.args[0], 10) || 4, 1), HISTORY_WEEKS);
+  const rows = listHistory(ctx.from.id, n);
+  if (!rows.length) return ctx.reply('No archived weeks yet.');
   ctx.reply(
-    `Week ${friendlyWeekLabel(weekKey)}\n` +
-    `Hours: ${formatHours(hours)}\n` +
-    `Rate: $${HOURLY_RATE}/hr\n` +
-    `Pay: ${usd(pay)}`
+    `Last ${rows.length} period(s):\n` +
+    rows.map((r) => `${periodLabel(r)}: ${formatHours(r.hours)} — ${usd(r.pay)}`).join('\n') +
+    '\nUse /week <date> for details.'
   );
 });
 
-bot.command('resetday', (ctx) => {
-  const n = resetDay(ctx.from.id, nowUnix());
-  ctx.reply(`Deleted ${n} entries for today.`);
+bot.command('pay', (ctx) => ctx.reply(payText(ctx.from.id, nowUnix())));
+
+/** Team status: /who, and a pinned board in group chats that is edited whenever someone clocks in or out */
+function whoText(chatId) {
+  const team = teamStatus(chatId);
+  if (!team.length) return chatId == null ? 'Nobody has a role yet.' : 'Nobody from the team has talked in this chat yet.';
+  const now = nowUnix();
+  const at = (ts) => dayjs.unix(ts).tz(DEFAULT_TZ).format('HH:mm');
+  const working = team.filter((t) => t.shift);
+  const lines = [`👥 Clocked in: ${working.length} of ${team.length}`];
+  for (const { user, shift, brk } of working) {
+    const on = shift.project ? ` [${shift.project}]` : '';
+    lines.push(brk
+      ? `☕ ${userLabel(user)} on a break since ${at(brk.start_ts)} (in since ${at(shift.start_ts)})${on}`
+      : `🟢 ${userLabel(user)} since ${at(shift.start_ts)} (${formatHours((now - shift.start_ts) / 3600)})${on}`);
+  }
+  const away = team.filter((t) => !t.shift).map((t) => userLabel(t.user));
+  if (away.length) lines.push(`⚪ Not in: ${away.join(', ')}`);
+  return lines.join('\n');
+}
+function boardText(chatId) {
+  return `${whoText(chatId)}\n\nUpdated ${dayjs.unix(nowUnix()).tz(DEFAULT_TZ).format('HH:mm')} (${DEFAULT_TZ})`;
+}
+// A board whose message is gone (deleted, or the bot was removed) is dropped
+async function updateBoard(b) {
+  try {
+    await bot.telegram.editMessageText(b.chat_id, b.message_id, undefined, boardText(b.chat_id));
+  } catch (err) {
+    const why = err.description || err.message;
+    if (/not found|can't be edited|kicked|not a member/i.test(why)) removeBoard(b.chat_id);
+    else if (!/not modified/i.test(why)) console.error(`[board] Could not update ${b.chat_id}:`, why);
+  }
+}
+// Edit the boards of every group the user is in
+async function refreshBoards(userId) {
+  for (const b of boardsFor(userId)) await updateBoard(b);
+}
+
+bot.command('who', (ctx) => ctx.reply(whoText(ctx.chat.type === 'private' ? null : ctx.chat.id)));
+
+bot.command('board', async (ctx) => {
+  if (ctx.chat.type === 'private') return ctx.reply('Use /board in a team group chat.');
+  const old = getBoard(ctx.chat.id);
+  if (old) await ctx.unpinChatMessage(old.message_id).catch(() => {});
+  if ((ctx.args[0] || '').toLowerCase() === 'off') {
+    if (!old) return ctx.reply('There is no status board here.');
+    removeBoard(ctx.chat.id);
+    return ctx.reply('Status board stopped.');
+  }
+  const msg = await ctx.reply(boardText(ctx.chat.id));
+  setBoard(ctx.chat.id, msg.message_id, ctx.from.id, nowUnix());
+  try {
+    await ctx.pinChatMessage(msg.message_id, { disable_notification: true });
+  } catch {
+    await ctx.reply('I couldn’t pin the board (make me an admin who can pin messages), but I’ll keep it up to date.');
+  }
+});
+
+bot.on('left_chat_member', (ctx) => {
+  dropChatMember(ctx.chat.id, ctx.message.left_chat_member.id);
+  const board = getBoard(ctx.chat.id);
+  if (board) updateBoard(board);
+});
+
+/** Menu: a status message with buttons; each tap edits it in place instead of sending a new message */
+const MENU_COMMANDS = { in: 'in', out: 'out', today: 'today', week: 'week', pay: 'pay', export: 'export', home: 'menu' };
+
+function menuStatus(userId) {
+  const zone = getUserTz(userId);
+  const at = (ts) => dayjs.unix(ts).tz(zone).format('HH:mm');
+  const { shift, brk } = getOpenShift(userId);
+  if (!shift) return '⚪ Not clocked in';
+  const on = shift.project ? ` on ${shift.project}` : '';
+  if (brk) return `☕ On a${brk.paid ? ' paid' : 'n unpaid'} break since ${at(brk.start_ts)} (clocked in${on} since ${at(shift.start_ts)})`;
+  return `🟢 Clocked in${on} since ${at(shift.start_ts)}`;
+}
+// [text, keyboard] for ctx.reply / ctx.editMessageText; note is what the last tap showed
+function menu(userId, note = '') {
+  const button = (label, action) => Markup.button.callback(label, `m:${action}:${userId}`);
+  return [
+    `⏱ ${menuStatus(userId)}` + (note ? `\n\n${note}` : ''),
+    Markup.inlineKeyboard([
+      [getOpenShift(userId).shift ? button('🔴 Clock out', 'out') : button('🟢 Clock in', 'in')],
+      [button('📅 Today', 'today'), button('🗓 Week', 'week'), button('💵 Pay', 'pay')],
+      [button('📤 Export', 'export'), button('🔄 Refresh', 'home')],
+    ]),
+  ];
+}
+
+bot.command('menu', (ctx) => ctx.reply(...menu(ctx.from.id)));
+
+bot.action(/^m:(\w+):(\d+)$/, async (ctx) => {
+  const [, action, owner] = ctx.match;
+  const userId = ctx.from.id;
+  if (Number(owner) !== userId) return ctx.answerCbQuery('This menu belongs to someone else. Send /menu for your own.');
+  const command = MENU_COMMANDS[action];
+  if (!command) return ctx.answerCbQuery();
+  const role = getUserRole(userId);
+  if (!hasRole(role, PERMISSIONS[command])) return ctx.answerCbQuery(role ? `⛔ /${command} is for ${PERMISSIONS[command]}s and up.` : NO_ACCESS);
+
+  const now = nowUnix();
+  let note = '';
+  if (action === 'in' || action === 'out') {
+    const res = action === 'in' ? clockIn(userId, now) : clockOut(userId, now);
+    note = res.message;
+    if (res.ok) {
+      audit(ctx, action, userId, null, action === 'in' ? { id: res.id, start_ts: now, project: null } : auditShift(res.shift));
+      refreshBoards(userId);
+    }
+  }
+  else if (action === 'today') note = todayText(userId, now);
+  else if (action === 'week') note = weekText(userId, now);
+  else if (action === 'pay') note = payText(userId, now);
+  else if (action === 'export') {
+    const week = payPeriodRange('weekly', dayjs.unix(now).tz(getUserTz(userId)).format('YYYY-MM-DD'));
+    note = (await sendExport(ctx, 'csv', week)).message;
+  }
+  await ctx.answerCbQuery();
+  try {
+    await ctx.editMessageText(...menu(userId, note));
+  } catch (err) {
+    // Refresh with nothing new to show
+    if (!/message is not modified/.test(err.description || err.message)) throw err;
+  }
+});
+
+bot.command('report', (ctx) => {
+  const range = reportRange(ctx.args[0], ctx.args[1]);
+  if (!range || !ctx.args[1]) return ctx.reply('Usage: /report <YYYY-MM-DD> <YYYY-MM-DD> (at most a year), e.g. /report 2025-09-01 2025-09-30');
+  return replyReport(ctx, 'Report', range);
 });
 
-bot.command('resetweek', (ctx) => {
-  const n = resetWeek(ctx.from.id, nowUnix());
-  ctx.reply(`Deleted ${n} entries for this week.`);
+bot.command('month', (ctx) => {
+  const month = ctx.args[0] || dayjs.unix(nowUnix()).tz(getUserTz(ctx.from.id)).format('YYYY-MM');
+  const range = /^\d{4}-\d{2}$/.test(month) && reportRange(month);
+  if (!range) return ctx.reply('Usage: /month [YYYY-MM]');
+  return replyReport(ctx, dayjs(range.start).format('MMMM YYYY'), range);
 });
 
-bot.command('export', async (ctx) => {
-  const { weekKey, csv } = exportWeekCSV(ctx.from.id, nowUnix());
-  const filename = `workweek_${weekKey}.csv`;
+bot.command('year', (ctx) => {
+  const year = ctx.args[0] || dayjs.unix(nowUnix()).tz(getUserTz(ctx.from.id)).format('YYYY');
+  const range = /^\d{4}$/.test(year) && reportRange(year);
+  if (!range) return ctx.reply('Usage: /year [YYYY]');
+  return replyReport(ctx, `Year ${year}`, range);
+});
+
+// The pay period of userId an argument names: none = the current one, "last" = the one before,
+// a YYYY-MM-DD date = the one containing it; null if unreadable
+function namedPayPeriod(userId, arg, now) {
+  const tz = getUserTz(userId);
+  if (!arg) return getPayPeriod(userId, now);
+  if (arg === 'last') {
+    const current = getPayPeriod(userId, now);
+    return getPayPeriod(userId, parseDateTime(dayjs(current.start).subtract(1, 'day').format('YYYY-MM-DD'), '12:00', tz));
+  }
+  const at = /^\d{4}-\d{2}-\d{2}$/.test(arg) ? parseDateTime(arg, '12:00', tz) : NaN;
+  return Number.isFinite(at) ? getPayPeriod(userId, at) : null;
+}
+
+const INVOICE_USAGE = 'Usage: /invoice [last | YYYY-MM-DD | YYYY-MM] (this pay period by default; a date picks its pay period)';
+
+bot.command('invoice', async (ctx) => {
+  const userId = ctx.from.id;
+  const tz = getUserTz(userId);
+  const now = nowUnix();
+  const arg = (ctx.args[0] || '').toLowerCase();
+  const period = /^\d{4}-\d{2}$/.test(arg) ? reportRange(arg) : namedPayPeriod(userId, arg, now);
+  if (!period) return ctx.reply(INVOICE_USAGE);
+
+  const label = friendlyRangeLabel(period.start, period.end);
+  const entries = getPeriodEntries(userId, period);
+  if (!entries.some((e) => !e.prior)) return ctx.reply(`No hours recorded for ${label}.`);
+  const totals = invoiceLines(entries, periodPay(entries));
+  const row = issueInvoice(userId, period, totals.total, now);
+  const u = findUser(String(userId));
+  const invoice = {
+    title: INVOICE_TITLE,
+    number: invoiceNumber(row.id),
+    issued: dayjs.unix(row.issued_ts).tz(tz).format('MMM D, YYYY'),
+    business: BUSINESS,
+    worker: { name: [u.first_name, u.last_name].filter(Boolean).join(' ') || userLabel(u), id: userId },
+    period,
+    ...totals,
+  };
+  const base = `${INVOICE_TITLE.toLowerCase()}_${invoice.number}`.replace(/[^\w.-]+/g, '_');
+  await ctx.replyWithDocument({ source: Buffer.from(renderInvoiceHtml(invoice), 'utf8'), filename: `${base}.html` });
   await ctx.replyWithDocument(
-    { source: Buffer.from(csv, 'utf8'), filename },
-    { caption: `Export for ${friendlyWeekLabel(weekKey)}` }
+    { source: Buffer.from(renderInvoicePdf(invoice)), filename: `${base}.pdf` },
+    { caption: `${INVOICE_TITLE} ${invoice.number}: ${usd(invoice.total)} for ${label}` }
+  );
+});
+
+bot.command('holidays', (ctx) => {
+  const dates = Object.keys(PAY_RULES.holidays).sort();
+  if (!dates.length) return ctx.reply('No holidays configured (set HOLIDAYS in .env).');
+  ctx.reply(
+    `Holidays (paid × ${PAY_RULES.holidayMultiplier}):\n` +
+    dates.map((d) => `${d}: ${PAY_RULES.holidays[d]}`).join('\n')
+  );
+});
+
+bot.command('settz', (ctx) => {
+  if (!ctx.args[0]) {
+    return ctx.reply(`Your time zone: ${getUserTz(ctx.from.id)}\nUsage: /settz <zone>, e.g. /settz Europe/Berlin`);
+  }
+  const before = getUserTz(ctx.from.id);
+  const res = setUserTz(ctx.from.id, ctx.args[0]);
+  if (res.ok) audit(ctx, 'tz', ctx.from.id, { tz: before }, { tz: res.tz });
+  ctx.reply(res.message);
+});
+
+const TARGET_USAGE = 'Usage: /target <hours|off> [cap] [@user], e.g. /target 30 or /target 30 40 (only a cap: /target - 40)';
+
+bot.command('target', (ctx) => {
+  const args = [...ctx.args];
+  const ref = /^@/.test(args[args.length - 1] || '') ? args.pop() : null;
+  const target = commandTarget(ctx, ref);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const self = target.user_id === ctx.from.id;
+  if (!args.length) {
+    const p = getWeekProgress(target.user_id, nowUnix());
+    if (p.min == null && p.max == null) return ctx.reply(`${self ? 'You have' : `${userLabel(target)} has`} no weekly target.\n${TARGET_USAGE}`);
+    return ctx.reply(`${self ? 'Your' : `${userLabel(target)}’s`} week so far:${targetLines(target.user_id, nowUnix())}`);
+  }
+  const role = getUserRole(ctx.from.id);
+  if (!self && !(hasRole(role, 'manager') && canManage(role, getUserRole(target.user_id)))) {
+    return ctx.reply('Only managers can set someone else’s target (owners for managers and owners).');
+  }
+  const hours = (v) => (v == null || v === '-' ? null : Number(v));
+  const [min, max] = /^off$/i.test(args[0]) ? [null, null] : [hours(args[0]), hours(args[1])];
+  if ([min, max].some((h) => h !== null && !(Number.isFinite(h) && h > 0 && h <= 168)) || (min == null && max == null && !/^off$/i.test(args[0]))) {
+    return ctx.reply(TARGET_USAGE);
+  }
+  const res = setTarget(target.user_id, min, max);
+  ctx.reply(self || !res.ok ? res.message : `${userLabel(target)}: ${res.message}`);
+});
+
+/** Leave: days off per type (LEAVE_TYPES), paid ones on their own pay line; someone else's is for managers */
+const LEAVE_USAGE = `Usage: /leave <type> <date|today|yesterday> [hours] [@user], e.g. /leave vacation 2025-12-24 or /leave sick today 4\n` +
+  `Types: ${Object.keys(LEAVE_TYPES).join(', ')}. A day counts as ${LEAVE_DAY_HOURS}h. /leave del <id> removes an entry.`;
+
+// Whether the sender may record or change leave and allowances of `target`
+function managesLeave(ctx, target) {
+  const role = getUserRole(ctx.from.id);
+  return target.user_id === ctx.from.id || (hasRole(role, 'manager') && canManage(role, getUserRole(target.user_id)));
+}
+function auditLeave(l) {
+  return { id: l.id, kind: l.kind, day: l.day_key, hours: l.hours };
+}
+// "2.5 days" (null = unlimited)
+function leaveDays(days) {
+  return days == null ? 'unlimited' : `${+days.toFixed(2)} day${days === 1 ? '' : 's'}`;
+}
+
+bot.command('leave', (ctx) => {
+  const args = [...ctx.args];
+  const ref = /^(@\S+|\d{5,})$/.test(args[args.length - 1] || '') ? args.pop() : null;
+  const target = commandTarget(ctx, ref);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const self = target.user_id === ctx.from.id;
+  const tz = getUserTz(target.user_id);
+  if (!managesLeave(ctx, target)) return ctx.reply('Only managers can see or record someone else’s leave (owners for managers and owners).');
+
+  if (!args.length) {
+    const year = dayjs.unix(nowUnix()).tz(tz).format('YYYY');
+    const rows = listLeave(target.user_id, `${year}-01-01`, `${year}-12-31`);
+    const whose = self ? 'Your' : `${userLabel(target)}’s`;
+    if (!rows.length) return ctx.reply(`${whose} leave in ${year}: none.\n${LEAVE_USAGE}`);
+    return ctx.reply(`${whose} leave in ${year}:\n${rows.map(formatLeave).join('\n')}`);
+  }
+  if (/^del(ete)?$/i.test(args[0])) {
+    const id = Number(args[1]);
+    const leave = Number.isInteger(id) ? getLeave(id) : null;
+    const owner = leave && findUser(String(leave.user_id));
+    if (!leave || !managesLeave(ctx, owner)) return ctx.reply(`Leave #${args[1] || '?'} not found.`);
+    const res = deleteLeave(id);
+    if (res.ok) audit(ctx, 'leavedel', leave.user_id, auditLeave(leave), null);
+    return ctx.reply(res.message);
+  }
+  const [kind, date, hoursArg] = args;
+  const at = parseDateTime(date, '12:00', tz);
+  const hours = hoursArg == null ? LEAVE_DAY_HOURS : Number(hoursArg);
+  if (!Number.isFinite(at) || !Number.isFinite(hours) || args.length > 3) return ctx.reply(LEAVE_USAGE);
+  const day = dayjs.unix(at).tz(tz).format('YYYY-MM-DD');
+  const res = addLeave({ userId: target.user_id, kind: kind.toLowerCase(), day, hours, actorId: ctx.from.id }, nowUnix());
+  if (res.ok) audit(ctx, 'leave', target.user_id, null, auditLeave(res.leave));
+  ctx.reply(self || !res.ok ? res.message : `${userLabel(target)}: ${res.message}`);
+});
+
+bot.command('leavebalance', (ctx) => {
+  const args = [...ctx.args];
+  const ref = /^(@\S+|\d{5,})$/.test(args[0] || '') ? args.shift() : null;
+  const target = commandTarget(ctx, ref);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  if (!managesLeave(ctx, target)) return ctx.reply('Only managers can see someone else’s leave balance (owners for managers and owners).');
+  const year = args[0] || dayjs.unix(nowUnix()).tz(getUserTz(target.user_id)).format('YYYY');
+  if (!/^\d{4}$/.test(year)) return ctx.reply('Usage: /leavebalance [@user] [YYYY]');
+  const lines = leaveBalance(target.user_id, year).map((b) => {
+    const used = `${leaveDays(b.usedDays)} taken (${formatHours(b.usedHours)})`;
+    const left = b.allowance == null ? '' : `, ${leaveDays(b.leftDays)} left of ${leaveDays(b.allowance)}`;
+    return `${b.kind}${b.paid === false ? ' (unpaid)' : ''}: ${used}${left}`;
+  });
+  ctx.reply(`${target.user_id === ctx.from.id ? 'Your' : `${userLabel(target)}’s`} leave ${year}:\n${lines.join('\n')}`);
+});
+
+bot.command('setallowance', (ctx) => {
+  const [kind, daysArg, ref] = ctx.args;
+  const days = /^default$/i.test(daysArg || '') ? null : Number(daysArg);
+  if (!kind || !daysArg || !(days === null || Number.isFinite(days))) {
+    return ctx.reply(`Usage: /setallowance <type> <days|default> [@user], e.g. /setallowance vacation 25 @ana\nTypes: ${Object.keys(LEAVE_TYPES).join(', ')}`);
+  }
+  const target = commandTarget(ctx, ref);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const role = getUserRole(ctx.from.id);
+  if (!canManage(role, getUserRole(target.user_id))) {
+    return ctx.reply('Only owners can set the leave allowance of managers and owners (including their own).');
+  }
+  const type = kind.toLowerCase();
+  const before = getLeaveAllowance(target.user_id, type);
+  const res = setLeaveAllowance(target.user_id, type, days);
+  if (res.ok) audit(ctx, 'allowance', target.user_id, { kind: type, days: before }, { kind: type, days: res.days });
+  ctx.reply(target.user_id === ctx.from.id || !res.ok ? res.message : `${userLabel(target)}: ${res.message}`);
+});
+
+const ADJUST_USAGE =
+  'Usage: /adjust @user <+amount|-amount> [category] ["note"] [last|YYYY-MM-DD], e.g. /adjust @ana +25 bonus "Q3 target"\n' +
+  `Categories: ${Object.keys(ADJUSTMENT_CATEGORIES).join(', ')}. It counts in this pay period, the last one, or the one containing the date.\n` +
+  '/adjust [@user] [last] lists them; /adjust del <id> removes one.';
+
+function auditAdjustment(a) {
+  return { id: a.id, category: a.category, day: a.day_key, amount: a.amount, note: a.note || null };
+}
+// The words of an /adjust command with the quoted note taken out first, so nothing inside it is read
+// as the user, amount or period: { args, note } (note null without quotes)
+function adjustArgs(text) {
+  const m = /["“]([^"”]*)["”]/.exec(text || '');
+  const rest = m ? `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}` : text || '';
+  return { args: rest.split(/\s+/).filter(Boolean), note: m ? m[1].trim() : null };
+}
+
+// Bonuses, tips, reimbursements, advances and deductions: managers add them, everyone sees their own
+bot.command('adjust', (ctx) => {
+  const { args, note } = adjustArgs(ctx.payload);
+  // The user is an @name first or last, or a numeric id first (last only when the amount is signed);
+  // the amount is signed, or an unsigned number right after the user
+  const isSigned = (a) => /^[+-]\d+(\.\d{1,2})?$/.test(a || '');
+  const last = args.length - 1;
+  const refAt = /^@\S+$/.test(args[0] || '') ? 0
+    : last > 0 && /^@\S+$/.test(args[last]) ? last
+    : /^\d{5,}$/.test(args[0] || '') ? 0
+    : last > 0 && /^\d{5,}$/.test(args[last]) && args.some(isSigned) ? last
+    : -1;
+  let amountAt = args.findIndex(isSigned);
+  if (amountAt < 0 && refAt >= 0 && /^\d+(\.\d{1,2})?$/.test(args[refAt + 1] || '')) amountAt = refAt + 1;
+  const amountArg = amountAt >= 0 ? args[amountAt] : null;
+  const ref = refAt >= 0 ? args[refAt] : null;
+  if (ref) args.splice(refAt, 1);
+  const target = commandTarget(ctx, ref);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const role = getUserRole(ctx.from.id);
+  const self = target.user_id === ctx.from.id;
+  const manages = hasRole(role, 'manager') && canManage(role, getUserRole(target.user_id));
+  const notAllowed = hasRole(role, 'manager')
+    ? 'Only owners can adjust the pay of managers and owners (including their own).'
+    : 'Only managers can add or remove pay adjustments.';
+  const now = nowUnix();
+
+  if (/^del(ete)?$/i.test(args[0] || '')) {
+    if (!hasRole(role, 'manager')) return ctx.reply(notAllowed);
+    const id = Number(args[1]);
+    const adjustment = Number.isInteger(id) ? getAdjustment(id) : null;
+    if (!adjustment || !canManage(role, getUserRole(adjustment.user_id))) return ctx.reply(`Adjustment #${args[1] || '?'} not found.`);
+    const res = deleteAdjustment(id);
+    if (res.ok) audit(ctx, 'adjustdel', adjustment.user_id, auditAdjustment(adjustment), null);
+    return ctx.reply(res.message);
+  }
+
+  const periodArg = (args.find((a) => /^(last|\d{4}-\d{2}-\d{2})$/i.test(a)) || '').toLowerCase();
+  const period = namedPayPeriod(target.user_id, periodArg, now);
+  if (!period) return ctx.reply(ADJUST_USAGE);
+  if (!amountArg) {
+    if (args.length > (periodArg ? 1 : 0) || note != null) return ctx.reply(ADJUST_USAGE);
+    if (!self && !manages) return ctx.reply('Only managers can see someone else’s pay adjustments (owners for managers and owners).');
+    const rows = listAdjustments(target.user_id, period.start, period.end);
+    const head = `${self ? 'Your' : `${userLabel(target)}’s`} pay adjustments ${friendlyRangeLabel(period.start, period.end)}`;
+    if (!rows.length) return ctx.reply(`${head}: none.`);
+    const total = rows.reduce((t, a) => t + a.amount, 0);
+    return ctx.reply(`${head}:\n${rows.map(formatAdjustmentRow).join('\n')}\nTotal: ${signedUsd(total)}`);
+  }
+
+  if (!manages) return ctx.reply(notAllowed);
+  const rest = args.filter((a) => a !== amountArg && a.toLowerCase() !== periodArg);
+  const category = rest.length && Object.hasOwn(ADJUSTMENT_CATEGORIES, rest[0].toLowerCase()) ? rest.shift().toLowerCase() : 'other';
+  if (note != null && rest.length) return ctx.reply(ADJUST_USAGE);
+  const tz = getUserTz(target.user_id);
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(periodArg) ? periodArg
+    : periodArg === 'last' ? period.end : dayjs.unix(now).tz(tz).format('YYYY-MM-DD');
+  const res = addAdjustment({ userId: target.user_id, day, amount: Number(amountArg), category, note: note ?? rest.join(' ').trim(), actorId: ctx.from.id }, now);
+  if (res.ok) audit(ctx, 'adjust', target.user_id, null, auditAdjustment(res.adjustment));
+  ctx.reply(self || !res.ok ? res.message : `${userLabel(target)}: ${res.message}`);
+});
+
+bot.command('setperiod', (ctx) => {
+  const [kind, who] = ctx.args;
+  if (!kind) {
+    return ctx.reply(
+      `Your pay period: ${PAY_PERIODS[getUserPeriod(ctx.from.id)].toLowerCase()}\n` +
+      `Usage: /setperiod <${Object.keys(PAY_PERIODS).join('|')}> [@user]`
+    );
+  }
+  const target = commandTarget(ctx, who);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  if (!canManage(getUserRole(ctx.from.id), getUserRole(target.user_id))) {
+    return ctx.reply('Only owners can change the pay period of managers and owners (including their own).');
+  }
+  const before = getUserPeriod(target.user_id);
+  const res = setUserPeriod(target.user_id, kind);
+  if (res.ok) audit(ctx, 'period', target.user_id, { period: before }, { period: res.kind });
+  ctx.reply(target.user_id === ctx.from.id || !res.ok ? res.message : `${userLabel(target)}: ${res.message}`);
+});
+
+bot.command('projects', (ctx) => {
+  const now = nowUnix();
+  const period = getPayPeriod(ctx.from.id, now);
+  const pay = periodPay(getPeriodEntries(ctx.from.id, period).filter((e) => !e.leave && !e.adjustment));
+  const own = getRate(ctx.from.id, null, now);
+  const names = Object.keys(pay.projects).sort((a, b) => (a === '') - (b === '') || a.localeCompare(b));
+  if (!names.length) return ctx.reply(`No hours for ${friendlyRangeLabel(period.start, period.end)} yet.`);
+  ctx.reply(
+    `Projects ${friendlyRangeLabel(period.start, period.end)}:\n` +
+    names.map((name) => {
+      const p = pay.projects[name];
+      const current = name ? getRate(ctx.from.id, name, now) : own;
+      const rate = current !== own ? ` @ $${current}/hr` : '';
+      return `${name || '(no project)'}: ${formatHours(p.hours)} — ${usd(p.amount)}${rate}`;
+    }).join('\n') +
+    `\nTotal: ${formatHours(pay.hours)} — ${usd(pay.amount)}`
+  );
+});
+
+// Rates are kept as a history: a change applies from now (or from the start of a given day in the
+// target's zone) and every shift is paid at the rate in force when it started
+const SETRATE_USAGE =
+  'Usage: /setrate <rate|off> [@user] [project] [YYYY-MM-DD]\n' +
+  '• from now on, or from that day (a past day reprices the shifts since then)\n' +
+  '• with a project: their rate on that project only; off ends it\n' +
+  '• in a group you can also reply to the person’s message';
+const PROJECTRATE_USAGE = 'Usage: /projectrate <project> <rate|off> [YYYY-MM-DD], e.g. /projectrate acme-website 12.5';
+
+bot.command('setrate', (ctx) => {
+  const args = [...ctx.args];
+  const value = args.shift() || '';
+  const date = args.find((a) => /^(\d{4}-\d{2}-\d{2}|today|yesterday)$/i.test(a));
+  const ref = args.find((a) => a !== date && /^(@\S+|\d+)$/.test(a));
+  const rest = args.filter((a) => a !== date && a !== ref);
+  const off = /^off$/i.test(value), rate = Number(value);
+  if (rest.length > 1 || (!off && !(Number.isFinite(rate) && rate > 0))) return ctx.reply(SETRATE_USAGE);
+  const project = rest.length ? normalizeProject(rest[0]) : null;
+  if (rest.length && !project) return ctx.reply(PROJECT_USAGE);
+  if (off && !project) return ctx.reply('Only a project rate can be turned off; set a new rate instead.');
+  const target = commandTarget(ctx, ref);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  if (!canManage(getUserRole(ctx.from.id), getUserRole(target.user_id))) {
+    return ctx.reply('Only owners can set the rate of managers and owners (including their own).');
+  }
+  const now = nowUnix(), tz = getUserTz(target.user_id);
+  const from = date ? parseDateTime(date, '00:00', tz, now) : now;
+  if (!Number.isFinite(from)) return ctx.reply(SETRATE_USAGE);
+  const before = getRate(target.user_id, project, from);
+  const res = setRate({ userId: target.user_id, project, rate: off ? null : rate, effectiveTs: from, setBy: ctx.from.id }, now);
+  if (!res.ok) return ctx.reply(res.message);
+  audit(ctx, 'rate', target.user_id, { rate: before }, { rate: off ? null : rate, from_ts: from, project });
+  const who = target.user_id === ctx.from.id ? 'your' : `${userLabel(target)}’s`;
+  const when = date ? `from ${dayjs.unix(from).tz(tz).format('YYYY-MM-DD')}` : 'from now on';
+  ctx.reply(off ? `Ended ${who} own ${project} rate ${when} ✅` : `Set ${who} rate${project ? ` on ${project}` : ''} to $${rate}/hr ${when} ✅`);
+});
+
+bot.command('projectrate', (ctx) => {
+  const [name, value, date] = ctx.args;
+  const now = nowUnix();
+  if (!value) {
+    const rates = getProjectRates(now);
+    const list = Object.keys(rates).map((p) => `${p}: $${rates[p]}/hr`).join('\n');
+    return ctx.reply(`${PROJECTRATE_USAGE}\n${list ? 'Project rates:\n' + list : 'No project rates set.'}`);
+  }
+  const project = normalizeProject(name);
+  if (!project) return ctx.reply(PROJECT_USAGE);
+  const tz = getUserTz(ctx.from.id);
+  const from = date ? parseDateTime(date, '00:00', tz, now) : now;
+  if (!Number.isFinite(from)) return ctx.reply(PROJECTRATE_USAGE);
+  const when = date ? ` from ${dayjs.unix(from).tz(tz).format('YYYY-MM-DD')}` : '';
+  const before = { rate: getProjectRates(from)[project] ?? null };
+  if (/^off$/i.test(value)) {
+    const res = setRate({ project, rate: null, effectiveTs: from, setBy: ctx.from.id }, now);
+    if (!res.ok) return ctx.reply(res.message);
+    audit(ctx, 'projectrate', null, before, { rate: null, from_ts: from, project });
+    return ctx.reply(`${project} now uses each person’s own rate${when}.`);
+  }
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate <= 0) return ctx.reply('Please provide a positive number, e.g. /projectrate acme-website 12.5');
+  const res = setRate({ project, rate, effectiveTs: from, setBy: ctx.from.id }, now);
+  if (!res.ok) return ctx.reply(res.message);
+  audit(ctx, 'projectrate', null, before, { rate, from_ts: from, project });
+  ctx.reply(`Set ${project} rate to $${rate}/hr${when} ✅`);
+});
+
+// A user's rates, newest first: their own, then project rates (everyone's and theirs)
+function ratesText(target, self, now) {
+  const tz = getUserTz(target.user_id);
+  const from = (ts) => (ts ? dayjs.unix(ts).tz(tz).format('YYYY-MM-DD HH:mm') : 'the start');
+  const note = (...parts) => (parts.some(Boolean) ? ` (${parts.filter(Boolean).join(', ')})` : '');
+  const by = (r) => r.set_by && `by ${nameOf(r.set_by)}`;
+  const rows = getRateHistory(target.user_id).reverse();
+  const own = rows.filter((r) => r.project == null);
+  const projects = rows.filter((r) => r.project != null);
+  return [
+    `💵 ${self ? 'Your' : `${userLabel(target)}’s`} rate: $${getRate(target.user_id, null, now)}/hr`,
+    '',
+    ...own.map((r) => `• from ${from(r.effective_ts)}: $${r.rate}/hr${note(by(r))}`),
+    `• ${own.length ? 'before' : 'always'}: $${HOURLY_RATE}/hr (default)`,
+    ...(projects.length ? ['', 'Projects:'] : []),
+    ...projects.map((r) =>
+      `• ${r.project} from ${from(r.effective_ts)}: ${r.rate == null ? 'off' : `$${r.rate}/hr`}${note(r.user_id != null && 'own', by(r))}`),
+  ].join('\n');
+}
+
+bot.command('rates', (ctx) => {
+  const target = commandTarget(ctx, ctx.args[0]);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const role = getUserRole(ctx.from.id);
+  if (target.user_id !== ctx.from.id && !(hasRole(role, 'manager') && canManage(role, getUserRole(target.user_id)))) {
+    return ctx.reply('Only managers can see someone else’s rates (owners for managers and owners).');
+  }
+  ctx.reply(ratesText(target, target.user_id === ctx.from.id, nowUnix()));
+});
+
+bot.command('shifts', (ctx) => {
+  const { weekKey, shifts } = listWeekShifts(ctx.from.id, nowUnix());
+  if (!shifts.length) return ctx.reply(`No shifts for ${friendlyWeekLabel(weekKey)}.`);
+  ctx.reply(`Shifts ${friendlyWeekLabel(weekKey)}:\n` + shifts.map(formatShift).join('\n'));
+});
+
+bot.command('add', (ctx) => {
+  const [date, start, end, tag] = ctx.args;
+  if (!end) return ctx.reply('Usage: /add <YYYY-MM-DD> <HH:mm> <HH:mm> [project]\nExample: /add 2025-09-01 09:00 17:30 acme-website');
+  const project = tag ? normalizeProject(tag) : null;
+  if (tag && !project) return ctx.reply(PROJECT_USAGE);
+  const zone = getUserTz(ctx.from.id);
+  const [startTs, endTs] = [parseDateTime(date, start, zone), parseDateTime(date, end, zone)];
+  const res = addShift(ctx.from.id, startTs, endTs, project);
+  if (res.ok) audit(ctx, 'add', ctx.from.id, null, { id: res.id, start_ts: startTs, end_ts: endTs, project });
+  ctx.reply(res.message);
+});
+
+bot.command('edit', (ctx) => {
+  const [idArg, ...rest] = ctx.args;
+  const id = Number(String(idArg || '').replace(/^#/, ''));
+  if (!Number.isInteger(id) || rest.length < 2) {
+    return ctx.reply('Usage: /edit <id> [YYYY-MM-DD] <HH:mm> <HH:mm>\nExample: /edit 12 09:15 17:30');
+  }
+  const shift = getShift(ctx.from.id, id);
+  if (!shift) return ctx.reply(`Shift #${id} not found.`);
+  const [date, start, end] = rest.length >= 3 ? rest : [shift.day_key, ...rest];
+  const zone = getUserTz(ctx.from.id);
+  const [startTs, endTs] = [parseDateTime(date, start, zone), parseDateTime(date, end, zone)];
+  const res = editShift(ctx.from.id, id, startTs, endTs);
+  if (res.ok) audit(ctx, 'edit', ctx.from.id, auditShift(shift), { id, start_ts: startTs, end_ts: endTs, project: shift.project || null });
+  ctx.reply(res.message);
+});
+
+bot.command('del', (ctx) => {
+  const id = Number(String(ctx.args[0] || '').replace(/^#/, ''));
+  if (!Number.isInteger(id)) return ctx.reply('Usage: /del <id> (see /shifts for IDs)');
+  const res = deleteShift(ctx.from.id, id);
+  if (res.ok) audit(ctx, 'del', ctx.from.id, auditShift(res.shift));
+  ctx.reply(res.message);
+});
+
+bot.command('confirm', (ctx) => {
+  const id = ctx.args[0] ? Number(String(ctx.args[0]).replace(/^#/, '')) : null;
+  if (id !== null && !Number.isInteger(id)) return ctx.reply('Usage: /confirm [id]');
+  const n = confirmShifts(ctx.from.id, id);
+  if (!n) return ctx.reply(id ? `Shift #${id} is not waiting for review.` : 'Nothing is waiting for review.');
+  audit(ctx, 'confirm', ctx.from.id, null, { id: id ?? 'all', shifts: n });
+  ctx.reply(`Confirmed ${n} shift(s) ✅`);
+});
+
+/** Resets: ask with Delete / Cancel buttons first; the shifts are only soft-deleted, so /undo can bring them back */
+function resetLabel(scope, key) {
+  return scope === 'day' ? `today (${key})` : `this week (${friendlyWeekLabel(key)})`;
+}
+function askReset(ctx, scope) {
+  const { key, shifts, locked } = resetTarget(ctx.from.id, scope, nowUnix());
+  if (!shifts.length) return ctx.reply(`No entries for ${resetLabel(scope, key)}.`);
+  if (locked) return ctx.reply(locked);
+  const ref = `${scope}:${key}:${ctx.from.id}`;
+  return ctx.reply(
+    `🗑 Delete these ${shifts.length} shift(s) for ${resetLabel(scope, key)}?
+` +
+    shifts.map(formatShift).join('\n') + '\n' +
+    (RESET_UNDO_MINUTES > 0 ? `You can /undo it within ${RESET_UNDO_MINUTES} minutes.` : 'This can’t be undone.'),
+    Markup.inlineKeyboard([
+      Markup.button.callback(`🗑 Delete ${shifts.length}`, `rst:ok:${ref}`),
+      Markup.button.callback('Cancel', `rst:no:${ref}`),
+    ])
+  );
+}
+
+bot.command('resetday', (ctx) => askReset(ctx, 'day'));
+bot.command('resetweek', (ctx) => askReset(ctx, 'week'));
+
+bot.action(/^rst:(ok|no):(day|week):(\d{4}-\d{2}-\d{2}):(\d+)$/, async (ctx) => {
+  const [, action, scope, key, owner] = ctx.match;
+  if (Number(owner) !== ctx.from.id) return ctx.answerCbQuery('This reset belongs to someone else.');
+  const text = ctx.callbackQuery.message.text;
+  if (action === 'no') {
+    await ctx.answerCbQuery('Cancelled');
+    return ctx.editMessageText(`${text}\n\n✖️ Cancelled, nothing was deleted.`);
+  }
+  const res = resetShifts(ctx.from.id, scope, key, nowUnix());
+  if (!res.ok) {
+    await ctx.answerCbQuery();
+    return ctx.editMessageText(`${text}\n\n⛔ ${res.message}`);
+  }
+  const { shifts } = res;
+  await ctx.answerCbQuery(shifts.length ? 'Deleted' : undefined);
+  if (!shifts.length) return ctx.editMessageText(`${text}\n\nNothing left to delete.`);
+  audit(ctx, `reset${scope}`, ctx.from.id, shifts.map(auditShift));
+  refreshBoards(ctx.from.id);
+  return ctx.editMessageText(`${text}\n\n🗑 Deleted ${shifts.length} shift(s) for ${resetLabel(scope, key)}.`);
+});
+
+bot.command('undo', (ctx) => {
+  const res = undoReset(ctx.from.id, nowUnix());
+  if (!res.ok) return ctx.reply(res.message);
+  audit(ctx, 'undo', ctx.from.id, null, res.shifts.map(auditShift));
+  refreshBoards(ctx.from.id);
+  ctx.reply(`↩️ Restored ${res.shifts.length} shift(s) for ${resetLabel(res.reset.scope, res.reset.range_key)}:\n` + res.shifts.map(formatShift).join('\n'));
+});
+
+/** Scheduled shifts: anyone sees their own, managers see and change those of the people they manage */
+const SCHEDULE_USAGE =
+  'Usage: /schedule [@user]\n' +
+  '/schedule add [@user] <YYYY-MM-DD | mon | mon-fri | sat,sun> <HH:mm> <HH:mm> [project]\n' +
+  '/schedule del <id>\n' +
+  'Example: /schedule add @anna mon-fri 09:00 17:00 acme-website';
+
+bot.command('schedule', (ctx) => {
+  const args = [...ctx.args];
+  const action = /^(add|del)$/i.test(args[0] || '') ? args.shift().toLowerCase() : null;
+  const role = getUserRole(ctx.from.id);
+  if (action && !hasRole(role, 'manager')) return ctx.reply('⛔ Only managers can change schedules.');
+  const now = nowUnix();
+
+  if (action === 'del') {
+    const id = Number(String(args[0] || '').replace(/^#/, ''));
+    if (!Number.isInteger(id)) return ctx.reply(SCHEDULE_USAGE);
+    const s = getSchedule(id);
+    if (s && !canManage(role, getUserRole(s.user_id))) return ctx.reply('Only owners can change the schedules of managers and owners.');
+    const res = removeSchedule(id, now);
+    if (res.ok) audit(ctx, 'schedule_del', s.user_id, { schedule: formatSchedule(s) }, null);
+    return ctx.reply(res.message);
+  }
+
+  const target = commandTarget(ctx, /^(@\w+|\d+)$/.test(args[0] || '') ? args.shift() : null);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const self = target.user_id === ctx.from.id;
+  if (!self && !hasRole(role, 'manager')) return ctx.reply('You can only see your own schedule.');
+
+  if (action === 'add') {
+    const [when, start, end, tag] = args;
+    if (!end) return ctx.reply(SCHEDULE_USAGE);
+    if (!canManage(role, getUserRole(target.user_id))) {
+      return ctx.reply('Only owners can schedule managers and owners (including themselves).');
+    }
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(when) && dayjs(when).format('YYYY-MM-DD') === when ? when : null;
+    const weekdays = day ? [null] : parseWeekdays(when);
+    if (!weekdays) return ctx.reply(SCHEDULE_USAGE);
+    const project = tag ? normalizeProject(tag) : null;
+    if (tag && !project) return ctx.reply(PROJECT_USAGE);
+    const added = [];
+    for (const weekday of weekdays) {
+      const res = addSchedule(ctx.from.id, target.user_id, { day, weekday, start, end, project }, now);
+      if (!res.ok) return ctx.reply(res.message);
+      added.push(formatSchedule(res.schedule));
+    }
+    audit(ctx, 'schedule_add', target.user_id, null, { schedule: added });
+    return ctx.reply(`Scheduled for ${userLabel(target)} ✅\n${added.join('\n')}`);
+  }
+
+  const rules = listSchedules(target.user_id, now);
+  const who = self ? 'you' : userLabel(target);
+  if (!rules.length) return ctx.reply(`No shifts scheduled for ${who}.`);
+  const today = dayjs.unix(now).tz(getUserTz(target.user_id));
+  const upcoming = scheduledShifts(target.user_id, today.format('YYYY-MM-DD'), today.add(6, 'day').format('YYYY-MM-DD'))
+    .filter((o) => o.end_ts > now);
+  ctx.reply(
+    `📅 Scheduled for ${who} (${getUserTz(target.user_id)}):\n` +
+    rules.map(formatSchedule).join('\n') +
+    `\n\nComing up:\n${upcoming.length ? upcoming.map(scheduledLabel).join('\n') : 'Nothing in the next 7 days.'}`
+  );
+});
+
+bot.command('join', (ctx) => {
+  if (!ctx.args[0]) return ctx.reply('Usage: /join <invite code>');
+  const before = getUserRole(ctx.from.id);
+  const res = redeemInvite(ctx.from.id, ctx.args[0], nowUnix());
+  if (res.ok) audit(ctx, 'join', ctx.from.id, { role: before }, { role: res.role });
+  ctx.reply(res.message);
+});
+
+bot.command('team', (ctx) => {
+  const team = listTeam();
+  if (!team.length) return ctx.reply('Nobody has a role yet.');
+  ctx.reply(
+    'Team:\n' +
+    [...ROLES].reverse().flatMap((role) => team.filter((u) => u.role === role).map((u) => `${userLabel(u)} — ${role}`)).join('\n')
+  );
+});
+
+bot.command('invite', (ctx) => {
+  const role = (ctx.args[0] || 'employee').toLowerCase();
+  const res = createInvite(ctx.from.id, role, nowUnix(), INVITE_TTL_HOURS);
+  if (!res.ok) return ctx.reply(res.message);
+  ctx.reply(
+    `Invite code for a new ${role}: ${res.code}\n` +
+    `They can open https://t.me/${ctx.botInfo.username}?start=${res.code} or send /join ${res.code} ` +
+    `(single use, valid ${INVITE_TTL_HOURS}h).`
+  );
+});
+
+bot.command('grant', (ctx) => {
+  const [role, who] = ctx.args;
+  if (!role || !ROLES.includes(role.toLowerCase())) {
+    return ctx.reply(`Usage: /grant <${ROLES.join('|')}> <@user|id> (or reply to their message)`);
+  }
+  const target = commandTarget(ctx, who);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const before = getUserRole(target.user_id);
+  const res = setRole(ctx.from.id, target, role.toLowerCase());
+  if (res.ok) audit(ctx, 'role', target.user_id, { role: before }, { role: role.toLowerCase() });
+  ctx.reply(res.message);
+});
+
+bot.command('revoke', (ctx) => {
+  const target = commandTarget(ctx, ctx.args[0]);
+  if (!target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const before = getUserRole(target.user_id);
+  const res = setRole(ctx.from.id, target, null);
+  if (res.ok) audit(ctx, 'role', target.user_id, { role: before }, { role: null });
+  ctx.reply(res.message);
+});
+
+/** Audit log: who changed whose time, rates or roles, and from what to what (managers; see PERMISSIONS) */
+const AUDIT_USAGE = 'Usage: /audit [@user] [today | week | last | YYYY-MM-DD | YYYY-MM | YYYY | <from> <to>] (this week by default)';
+const AUDIT_LINES = 30;
+const AUDIT_ACTIONS = {
+  in: 'clocked in', out: 'clocked out', switch: 'switched project', break: 'started a break', resume: 'ended a break',
+  add: 'added a shift', edit: 'edited a shift', del: 'deleted a shift', confirm: 'confirmed auto-closed shifts',
+  import: 'imported shifts', resetday: 'reset the day', resetweek: 'reset the week', undo: 'undid a reset',
+  autoclose: 'shift closed automatically', rate: 'rate changed', projectrate: 'project rate changed',
+  period: 'pay period changed', tz: 'time zone changed',
+  role: 'role changed', join: 'joined with an invite', submit: 'timesheet submitted', approve: 'timesheet approved',
+  reject: 'timesheet rejected', payout: 'paid out', purge: 'old data purged',
+  leave: 'leave recorded', leavedel: 'leave removed', allowance: 'leave allowance changed',
+  adjust: 'pay adjusted', adjustdel: 'pay adjustment removed',
+  schedule_add: 'shift scheduled', schedule_del: 'scheduled shift removed',
+};
+
+// Shifts as "#12 Sep 1 09:00–17:00 [acme]", a single value as itself, others as "key value, …"; times in tz
+function auditValue(v, tz) {
+  const at = (ts, format = 'MMM D HH:mm') => dayjs.unix(ts).tz(tz).format(format);
+  if (v == null) return '—';
+  if (Array.isArray(v)) return v.map((x) => auditValue(x, tz)).join('; ');
+  if (typeof v !== 'object') return String(v);
+  if (v.start_ts != null) {
+    return `${v.id ? `#${v.id} ` : ''}${at(v.start_ts)}–${v.end_ts != null ? at(v.end_ts, 'HH:mm') : '…'}${v.project ? ` [${v.project}]` : ''}${v.adjusted ? ' (adjusted)' : ''}`;
+  }
+  const keys = Object.keys(v);
+  if (keys.length === 1) return String(v[keys[0]] ?? 'none');
+  return keys.filter((k) => v[k] != null)
+    .map((k) => (k.endsWith('_ts') ? `${k.slice(0, -3)} ${at(v[k], 'YYYY-MM-DD HH:mm')}` : `${k} ${v[k]}`))
+    .join(', ');
+}
+function auditLine(e, tz) {
+  const actor = e.actor_id == null ? '⚙️ system' : nameOf(e.actor_id);
+  const whom = e.user_id == null ? ' → everyone' : e.user_id !== e.actor_id ? ` → ${nameOf(e.user_id)}` : '';
+  const change = e.before != null && e.after != null ? `${auditValue(e.before, tz)} → ${auditValue(e.after, tz)}`
+    : e.before != null ? `was ${auditValue(e.before, tz)}` : auditValue(e.after, tz);
+  return `${dayjs.unix(e.ts).tz(tz).format('MMM D HH:mm')} ${actor}${whom}: ${AUDIT_ACTIONS[e.action] || e.action}` +
+    (change !== '—' ? ` — ${change}` : '') + (e.chat_id < 0 ? ` (group ${e.chat_id})` : '');
+}
+
+bot.command('audit', (ctx) => {
+  const args = [...ctx.args];
+  const ref = /^(@\S+|\d{5,})$/.test(args[0] || '') ? args.shift() : null;
+  const target = ref ? findUser(ref) : null;
+  if (ref && !target) return ctx.reply('Unknown user. They need to message the bot first (or use their numeric id).');
+  const role = getUserRole(ctx.from.id);
+  if (target && target.user_id !== ctx.from.id && !canManage(role, getUserRole(target.user_id))) {
+    return ctx.reply('Only owners can see the audit log of managers and owners.');
+  }
+  const tz = getUserTz(ctx.from.id);
+  const today = dayjs.unix(nowUnix()).tz(tz);
+  const [arg = 'week', to] = args.map((a) => a.toLowerCase());
+  const weekOf = (date) => payPeriodRange('weekly', date);
+  let range = null;
+  if (arg === 'today' && !to) range = { start: today.format('YYYY-MM-DD'), end: today.format('YYYY-MM-DD') };
+  else if (arg === 'week' && !to) range = weekOf(today.format('YYYY-MM-DD'));
+  else if (arg === 'last' && !to) range = weekOf(today.subtract(7, 'day').format('YYYY-MM-DD'));
+  else range = reportRange(arg, to || (/^\d{4}-\d{2}-\d{2}$/.test(arg) ? arg : undefined));
+  if (!range) return ctx.reply(AUDIT_USAGE);
+
+  // managers only see what happened to themselves and the people they manage (and shared changes)
+  const entries = listAudit(target?.user_id ?? null, dayjs.tz(range.start, tz).unix(), dayjs.tz(range.end, tz).add(1, 'day').unix())
+    .filter((e) => e.user_id == null || e.user_id === ctx.from.id || canManage(role, getUserRole(e.user_id)));
+  const title = `🧾 Audit${target ? ` for ${userLabel(target)}` : ''}, ${friendlyRangeLabel(range.start, range.end)} (${tz})`;
+  if (!entries.length) return ctx.reply(`${title}: nothing recorded.`);
+  const more = entries.length - AUDIT_LINES;
+  ctx.reply(
+    `${title}, newest first:\n` +
+    entries.slice(0, AUDIT_LINES).map((e) => auditLine(e, tz)).join('\n') +
+    (more > 0 ? `\n…and ${more} older entr${more === 1 ? 'y' : 'ies'} (pick a shorter period or a user)` : '')
+  );
+});
+
+const EXPORT_USAGE = `Usage: /export [${Object.keys(EXPORT_FORMATS).join('|')}] [week | last | pay | YYYY-MM-DD | YYYY-MM | YYYY | <from> <to>]\n` +
+  '(CSV for this week by default; a date picks its week, pay is this pay period)';
+
+// Send the user's finished shifts in range as a file in the chat; message = its caption, or why nothing was sent
+async function sendExport(ctx, format, range) {
+  const userId = ctx.from.id;
+  const label = friendlyRangeLabel(range.start, range.end);
+  const sessions = getExportSessions(userId, range);
+  if (!sessions.length) return { ok: false, message: `No finished shifts, leave or pay adjustments for ${label}.` };
+  const file = exportSessions(format, sessions, { user: userId, timezone: getUserTz(userId), from: range.start, to: range.end });
+  const adjustments = sessions.filter((x) => x.type === 'adjustment').length;
+  const leave = sessions.filter((x) => x.type && x.type !== 'adjustment').length;
+  const caption = `${sessions.length - leave - adjustments} shift(s)${leave ? `, ${leave} leave` : ''}` +
+    `${adjustments ? `, ${adjustments} adjustment(s)` : ''}, ${label} (${format.toUpperCase()})`;
+  await ctx.replyWithDocument({ source: Buffer.from(file.content), filename: file.filename }, { caption });
+  return { ok: true, message: caption };
+}
+
+bot.command('export', async (ctx) => {
+  const userId = ctx.from.id;
+  const tz = getUserTz(userId);
+  const now = nowUnix();
+  const args = ctx.args.map((a) => a.toLowerCase());
+  const format = args.find((a) => Object.hasOwn(EXPORT_FORMATS, a)) || 'csv';
+  const [arg = 'week', to] = args.filter((a) => a !== format);
+  const weekOf = (date) => payPeriodRange('weekly', date);
+  const today = dayjs.unix(now).tz(tz);
+  let range = null;
+  if (arg === 'week') range = weekOf(today.format('YYYY-MM-DD'));
+  else if (arg === 'last') range = weekOf(today.subtract(7, 'day').format('YYYY-MM-DD'));
+  else if (arg === 'pay') range = getPayPeriod(userId, now);
+  else if (/^\d{4}-\d{2}-\d{2}$/.test(arg) && !to) range = dayjs(arg).format('YYYY-MM-DD') === arg ? weekOf(arg) : null;
+  else range = reportRange(arg, to);
+  if (!range) return ctx.reply(EXPORT_USAGE);
+  const res = await sendExport(ctx, format, range);
+  if (!res.ok) ctx.reply(res.message);
+});
+
+/** CSV import: an uploaded file is checked and previewed; nothing is written until its owner taps Import */
+const IMPORT_MAX_BYTES = 512 * 1024;
+const IMPORT_PREVIEW_LINES = 10;
+const IMPORT_HELP =
+  'Send me a CSV file with a header row: start and end (HH:mm with a date column, or YYYY-MM-DD HH:mm), ' +
+  'optionally project. Files from /export work too. You’ll see a preview before anything is saved.';
+
+bot.command('import', (ctx) => ctx.reply(IMPORT_HELP));
+
+// First lines of a list, with a count of the rest
+function previewLines(lines) {
+  const more = lines.length - IMPORT_PREVIEW_LINES;
+  return more > 0 ? [...lines.slice(0, IMPORT_PREVIEW_LINES), `…and ${more} more`] : lines;
+}
+function rowErrors(errors) {
+  return previewLines(errors.sort((a, b) => a.row - b.row).map((e) => `Row ${e.row}: ${e.message}`));
+}
+
+bot.on('document', async (ctx) => {
+  const doc = ctx.message.document;
+  if (!/\.csv$/i.test(doc.file_name || '') && doc.mime_type !== 'text/csv') return;
+  if (!hasRole(getUserRole(ctx.from.id), PERMISSIONS.import)) return ctx.reply(NO_ACCESS);
+  if (doc.file_size > IMPORT_MAX_BYTES) return ctx.reply(`That file is too big to import (at most ${IMPORT_MAX_BYTES / 1024} KB).`);
+  const res = await fetch(await ctx.telegram.getFileLink(doc.file_id));
+  if (!res.ok) return ctx.reply('Couldn’t download that file. Please send it again.');
+
+  const userId = ctx.from.id;
+  const zone = getUserTz(userId);
+  const { rows, errors } = parseSessionsCSV(await res.text());
+  const toTs = (t) => (t.utcMs != null ? Math.floor(t.utcMs / 1000) : parseDateTime(t.date, t.time, zone));
+  const shifts = [];
+  for (const r of rows) {
+    const project = r.project ? normalizeProject(r.project) : null;
+    if (r.project && !project) errors.push({ row: r.row, message: PROJECT_USAGE });
+    else shifts.push({ row: r.row, start_ts: toTs(r.start), end_ts: toTs(r.end), project });
+  }
+  const staged = stageImport(userId, shifts, nowUnix());
+  errors.push(...staged.errors);
+  const lines = [];
+  if (staged.shifts.length) {
+    const hours = staged.shifts.reduce((t, s) => t + (s.end_ts - s.start_ts) / 3600, 0);
+    lines.push(`📥 Import preview: ${staged.shifts.length} shift(s), ${formatHours(hours)}`);
+    lines.push(...previewLines(staged.shifts.map((s) => {
+      const start = dayjs.unix(s.start_ts).tz(zone);
+      const end = dayjs.unix(s.end_ts).tz(zone);
+      const until = end.isSame(start, 'day') ? end.format('HH:mm') : end.format('YYYY-MM-DD HH:mm');
+      return `Row ${s.row}: ${start.format('YYYY-MM-DD HH:mm')}–${until}${s.project ? ` [${s.project}]` : ''}`;
+    })));
+  } else {
+    lines.push('📥 Nothing to import from that file.');
+  }
+  if (errors.length) lines.push('', `⚠️ ${errors.length} row(s) can’t be imported:`, ...rowErrors(errors));
+  if (!staged.shifts.length) return ctx.reply(lines.join('\n'));
+  return ctx.reply(lines.join('\n'), Markup.inlineKeyboard([
+    Markup.button.callback(`✅ Import ${staged.shifts.length}`, `imp:ok:${userId}`),
+    Markup.button.callback('Cancel', `imp:no:${userId}`),
+  ]));
+});
+
+bot.action(/^imp:(ok|no):(\d+)$/, async (ctx) => {
+  if (Number(ctx.match[2]) !== ctx.from.id) return ctx.answerCbQuery('This import belongs to someone else.');
+  const text = ctx.callbackQuery.message.text;
+  if (ctx.match[1] === 'no') {
+    cancelImport(ctx.from.id);
+    await ctx.answerCbQuery('Cancelled');
+    return ctx.editMessageText(`${text}\n\n✖️ Cancelled, nothing was imported.`);
+  }
+  const res = confirmImport(ctx.from.id, nowUnix());
+  if (!res.ok) {
+    await ctx.answerCbQuery();
+    return ctx.editMessageText(`${text}\n\n${res.message}`);
+  }
+  if (res.added.length) audit(ctx, 'import', ctx.from.id, null, { shifts: res.added.length, ids: res.added.join(' ') });
+  await ctx.answerCbQuery('Imported');
+  const lines = [`${text}\n\n✅ Imported ${res.added.length} shift(s). See /shifts or /week.`];
+  if (res.errors.length) lines.push(`⚠️ Skipped ${res.errors.length} row(s) that clash with shifts added since:`, ...rowErrors(res.errors));
+  return ctx.editMessageText(lines.join('\n'));
+});
+
+bot.command('submit', async (ctx) => {
+  const ts = latestTimesheet(ctx.from.id, ['rejected']);
+  if (!ts) return ctx.reply('You have no rejected timesheet to resubmit.');
+  await submitPeriod(ctx.from.id, timesheetPeriod(ts), nowUnix(), ctx);
+  ctx.reply(`Resubmitted your ${timesheetLabel(ts)} ✅`);
+});
+
+bot.command('pending', async (ctx) => {
+  const mine = listTimesheets('submitted').filter((ts) => canApprove(ctx.from.id, ts.user_id));
+  if (!mine.length) return ctx.reply('No timesheets are waiting for your approval.');
+  for (const ts of mine) await ctx.reply(...timesheetCard(ts));
+});
+
+/** Timesheet buttons: approve right away, or ask for a reason before rejecting */
+bot.action(/^ts:(ok|no):(\d+)$/, async (ctx) => {
+  const id = Number(ctx.match[2]);
+  const ts = getTimesheet(id);
+  if (!ts || !canApprove(ctx.from.id, ts.user_id)) return ctx.answerCbQuery('You cannot decide on this timesheet.');
+  if (ts.status !== 'submitted') return ctx.answerCbQuery(`Already ${ts.status}.`);
+  const who = `${nameOf(ts.user_id)}’s ${timesheetLabel(ts)}`;
+
+  if (ctx.match[1] === 'no') {
+    await ctx.answerCbQuery();
+    return ctx.reply(`Reason for rejecting ${who}? Reply to this message. [ts #${id}]`, Markup.forceReply());
+  }
+  const res = decideTimesheet(ctx.from.id, id, 'approved', null, nowUnix());
+  if (!res.ok) return ctx.answerCbQuery(res.message);
+  audit(ctx, 'approve', ts.user_id, null, { timesheet: id, period: `${ts.period_start}–${ts.period_end}` });
+  await ctx.answerCbQuery('Approved');
+  await ctx.editMessageText(`${ctx.callbackQuery.message.text}\n\n✅ Approved by ${userLabel(ctx.from)}`);
+  await ctx.reply(
+    `Approved ${who}; it will be paid out within the hour. Reply to this message to add a comment. [ts #${id}]`,
+    Markup.forceReply()
   );
 });
 
 /**
- * Weekly payout message
- * Runs every Sunday at 23:00 Asia/Manila
+ * Pay period close and payout
+ * Runs hourly; once their pay period has ended (midnight in their own time zone) each user's
+ * period is submitted for approval, with a still running shift cut at the period end, and approved
+ * timesheets are paid out and archived
  */
 const listUsersStmt = db.prepare('SELECT user_id FROM users');
 cron.schedule(
-  '0 23 * * 0', // 23:00 every Sunday
+  '0 * * * *', // top of every hour
   async () => {
     try {
+      const now = nowUnix();
       const users = listUsersStmt.all().map((r) => r.user_id);
+      // one user's or timesheet's failure must not hold up everyone after them
       for (const userId of users) {
-        const { hours, weekKey } = getWeekHours(userId, Math.floor(Date.now() / 1000));
-        const pay = weeklyPay(hours);
+        try {
+          const { period, endTs, due } = closingPeriod(userId, now);
+          if (!due || getTimesheetFor(userId, period.start) || getPeriodSnapshot(userId, period.start)) continue;
+          cutOpenShift(userId, endTs); // the part worked before the end is paid with this period
+          if (!getPeriodEntries(userId, period).some((e) => !e.prior)) continue; // nothing worked or paid, nothing to approve
+          await submitPeriod(userId, period, now);
+        } catch (err) {
+          console.error(`[cron] Error submitting the timesheet of ${userId}:`, err);
+        }
+      }
+      for (const ts of listTimesheets('approved')) {
+        try {
+          await payOut(ts, now);
+        } catch (err) {
+          console.error(`[cron] Error paying out timesheet #${ts.id}:`, err);
+        }
+      }
+      const purged = purgeHistory(now, HISTORY_WEEKS);
+      if (purged) {
+        audit(null, 'purge', null, null, { rows: purged, weeks: HISTORY_WEEKS });
+        console.log(`[cron] Purged ${purged} rows past retention.`);
+      }
+    } catch (err) {
+      console.error('[cron] Error submitting or paying out timesheets:', err);
+    }
+  },
+  { timezone: 'UTC' }
+);
 
+/**
+ * Forgotten clock-outs
+ * Every 15 minutes: remind after REMIND_AFTER_HOURS, close and flag at MAX_SHIFT_HOURS
+ */
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const now = nowUnix();
+    const { reminders, capped } = checkOpenShifts(now, REMIND_AFTER_HOURS, MAX_SHIFT_HOURS);
+    // each send on its own, so one blocked user does not cost everyone after them their message
+    for (const s of reminders) {
+      const since = dayjs.unix(s.start_ts).tz(getUserTz(s.user_id)).format('HH:mm');
+      try {
+        await bot.telegram.sendMessage(
+          s.user_id,
+          `⏰ You have been clocked in since ${since} (${formatHours((now - s.start_ts) / 3600)}). Forgot to /out?`
+        );
+        markReminded(s.id, now);
+      } catch (err) {
+        console.error(`[shifts] Could not remind ${s.user_id}:`, err.message);
+      }
+    }
+    for (const s of capped) {
+      audit(null, 'autoclose', s.user_id, { id: s.id, start_ts: s.start_ts, end_ts: null, project: s.project || null }, s.parts.map(auditShift));
+      refreshBoards(s.user_id);
+      try {
         await bot.telegram.sendMessage(
-          userId,
-          [
-            `Weekly Summary (${friendlyWeekLabel(weekKey)}):`,
-            `Hours: ${formatHours(hours)}`,
-            `Rate: $${HOURLY_RATE}/hr`,
-            `Pay: ${usd(pay)}`,
-          ].join('\n')
+          s.user_id,
+          `⚠️ Your shift was still open after ${MAX_SHIFT_HOURS}h, so it was closed and flagged for review:\n` +
+          `${s.parts.map(formatShift).join('\n')}\n` +
+          (s.parts.length > 1
+            ? 'Use /confirm if that is right, or /edit <id> to fix a part.'
+            : `Use /confirm ${s.id} if that is right, or /edit ${s.id} to fix it.`)
         );
+      } catch (err) {
+        console.error(`[shifts] Could not tell ${s.user_id} about auto-closed shift #${s.id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[cron] Error checking open shifts:', err);
+  }
+});
 
-        const { csv } = exportWeekCSV(userId, Math.floor(Date.now() / 1000));
-        const filename = `workweek_${weekKey}.csv`;
-        await bot.telegram.sendDocument(userId, { source: Buffer.from(csv, 'utf8'), filename });
+/**
+ * Weekly targets
+ * Every 15 minutes: tell people when they reach their target, near their cap, or fall behind late in the week
+ */
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const now = nowUnix();
+    const { reached, nearCap, behind } = checkTargets(now, TARGET_CAP_WARN_HOURS, TARGET_BEHIND_DAYS_LEFT);
+    // each alert is recorded only once delivered, so a failed one is tried again next run
+    const notify = async (p, kind, text) => {
+      try {
+        await bot.telegram.sendMessage(p.user_id, text);
+        markTargetAlert(p, kind, now);
+      } catch (err) {
+        console.error(`[target] Could not notify ${p.user_id}:`, err.message);
       }
-      console.log('[cron] Weekly payout messages sent.');
-    } catch (err) {
-      console.error('[cron] Error sending weekly summaries:', err);
+    };
+    for (const p of reached) {
+      await notify(p, 'reached', `🎯 You reached your weekly target: ${formatHours(p.hours)} of ${formatHours(p.min)} ✅`);
     }
-  },
-  { timezone: 'Asia/Manila' }
-);/**
- * Admin-only commands
+    for (const p of nearCap) {
+      const left = p.max - p.hours;
+      await notify(
+        p,
+        'cap',
+        left > 0
+          ? `⚠️ ${formatHours(left)} left before your weekly cap of ${formatHours(p.max)} (${formatHours(p.hours)} so far).`
+          : `🛑 You reached your weekly cap of ${formatHours(p.max)} (${formatHours(p.hours)} so far).`
+      );
+    }
+    for (const p of behind) {
+      const left = p.min - p.hours;
+      await notify(
+        p,
+        'behind',
+        `⏳ You are behind your weekly target: ${formatHours(p.hours)} of ${formatHours(p.min)}, ` +
+        `${formatHours(left)} to go in ${p.daysLeft.toFixed(1)} days (${formatHours(left / p.daysLeft)}/day).`
+      );
+    }
+  } catch (err) {
+    console.error('[cron] Error checking weekly targets:', err);
+  }
+});
+
+/**
+ * Scheduled shifts
+ * Every 5 minutes: remind people SCHEDULE_REMIND_MINUTES before a scheduled shift, and tell their
+ * managers when nobody clocked in LATE_GRACE_MINUTES after its start
+ */
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const now = nowUnix();
+    const { reminders, noShows } = checkSchedules(now, SCHEDULE_REMIND_MINUTES, LATE_GRACE_MINUTES);
+    // an alert counts as sent only once it reached someone, so a failed one is tried again next run
+    for (const o of reminders) {
+      try {
+        await bot.telegram.sendMessage(o.user_id, `📅 Reminder: you are scheduled ${scheduledLabel(o)}. Send /in${o.project ? ` ${o.project}` : ''} when you start.`);
+        markScheduleAlert(o, 'reminder', now);
+      } catch (err) {
+        console.error(`[schedule] Could not remind ${o.user_id}:`, err.message);
+      }
+    }
+    for (const o of noShows) {
+      const approvers = timesheetApprovers(o.user_id);
+      let delivered = !approvers.length; // nobody to tell
+      for (const u of approvers) {
+        try {
+          await bot.telegram.sendMessage(
+            u.user_id,
+            `🚨 ${nameOf(o.user_id)} has not clocked in for their shift ${scheduledLabel(o)} (${LATE_GRACE_MINUTES} min past the start).`
+          );
+          delivered = true;
+        } catch (err) {
+          console.error(`[schedule] Could not notify ${u.user_id}:`, err.message);
+        }
+      }
+      if (delivered) markScheduleAlert(o, 'noshow', now);
+    }
+  } catch (err) {
+    console.error('[cron] Error checking scheduled shifts:', err);
+  }
+});
+
+/**
+ * Manager commands (see PERMISSIONS)
  * Show all users' weekly totals and pay
  */
 const listUsersFullStmt = db.prepare(`
@@ -181,11 +1784,8 @@ bot.command('allhours', async (ctx) => {
 
     let report = '📊 Weekly Hours (All Users):\n\n';
     for (const u of users) {
-      const { hours, weekKey } = getWeekHours(u.user_id, nowUnix());
-      const name = u.username
-        ? '@' + u.username
-        : (u.first_name || 'User ' + u.user_id);
-      report += `${name}: ${formatHours(hours)}\n`;
+      const { hours } = getWeekHours(u.user_id, nowUnix());
+      report += `${userLabel(u)}: ${formatHours(hours)}\n`;
     }
     ctx.reply(report);
   } else {
@@ -198,27 +1798,70 @@ bot.command('allpay', async (ctx) => {
     const users = listUsersFullStmt.all();
     if (!users.length) return ctx.reply('No users found.');
 
-    let report = '💰 Weekly Pay (All Users):\n\n';
+    let report = '💰 Approved Pay (latest period per user):\n\n';
+    let total = 0;
     for (const u of users) {
-      const { hours, weekKey } = getWeekHours(u.user_id, nowUnix());
-      const pay = weeklyPay(hours);
-      const name = u.username
-        ? '@' + u.username
-        : (u.first_name || 'User ' + u.user_id);
-      report += `${name}: ${usd(pay)} (${formatHours(hours)})\n`;
+      const ts = latestTimesheet(u.user_id, ['approved', 'paid']);
+      if (!ts) continue;
+      const pay = periodPay(getPeriodEntries(u.user_id, timesheetPeriod(ts)));
+      const state = ts.status === 'paid' ? 'paid' : 'to be paid';
+      report += `${userLabel(u)}: ${usd(ts.pay)} (${formatHours(ts.hours)}, ${friendlyRangeLabel(ts.period_start, ts.period_end)}, ${state})\n`;
+      for (const line of formatPayLines(pay)) report += `  ${line}\n`;
+      total += ts.pay;
     }
+    report += `\nTotal: ${usd(total)}`;
+    const pending = listTimesheets('submitted').length;
+    if (pending) report += `\n⏳ ${pending} timesheet(s) waiting for approval, see /pending.`;
     ctx.reply(report);
   } else {
     ctx.reply('⚠️ For privacy, /allpay works only in private chat with the bot.');
   }
 });
 
+/** Replies to the reject / comment prompts sent by the timesheet buttons */
+bot.on('text', async (ctx) => {
+  const prompt = ctx.message.reply_to_message;
+  const m = prompt?.from?.id === ctx.botInfo.id && /\[ts #(\d+)\]$/.exec(prompt.text || '');
+  if (!m) return;
+  const id = Number(m[1]);
+  const text = ctx.message.text.trim();
+
+  if (prompt.text.startsWith('Reason for rejecting')) {
+    const res = decideTimesheet(ctx.from.id, id, 'rejected', text, nowUnix());
+    if (!res.ok) return ctx.reply(res.message);
+    audit(ctx, 'reject', res.ts.user_id, null, { timesheet: id, period: `${res.ts.period_start}–${res.ts.period_end}`, comment: text });
+    // the rejection is stored either way; a blocked bot only means the employee has to be told some other way
+    try {
+      await bot.telegram.sendMessage(
+        res.ts.user_id,
+        `❌ Your ${timesheetLabel(res.ts)} was rejected by ${userLabel(ctx.from)}:\n“${text}”\n` +
+        'Fix your shifts with /add, /edit or /del, then send /submit.'
+      );
+    } catch (err) {
+      console.error(`[timesheet] Could not send the rejection of #${id} to ${res.ts.user_id}:`, err.message);
+      return ctx.reply(`Rejected, but ${nameOf(res.ts.user_id)} could not be told (they may have blocked the bot). Please let them know.`);
+    }
+    return ctx.reply(`Rejected; sent back to ${nameOf(res.ts.user_id)} with your reason.`);
+  }
+
+  const ts = getTimesheet(id);
+  if (!ts || ts.decided_by !== ctx.from.id) return;
+  commentTimesheet(id, text);
+  try {
+    await bot.telegram.sendMessage(ts.user_id, `💬 ${userLabel(ctx.from)} on your ${timesheetLabel(ts)}: “${text}”`);
+  } catch (err) {
+    console.error(`[timesheet] Could not send a comment on #${id} to ${ts.user_id}:`, err.message);
+    return ctx.reply(`Comment saved, but ${nameOf(ts.user_id)} could not be told (they may have blocked the bot).`);
+  }
+  ctx.reply('Comment sent ✅');
+});
 
 // Start bot
 console.log(">>> Starting Work Hours Bot...");
 bot.launch().then(() => {
   console.log('Bot is up. Timezone:', dayjs.tz.guess());
-  console.log('Auto weekly payout: Sunday 11:00 PM Asia/Manila');
+  if (!OWNER_IDS.length) console.warn('OWNER_ID is not set: nobody can manage roles or invite new users.');
+  console.log(`Timesheets: submitted at the end of each pay period, in each user’s time zone (default ${DEFAULT_TZ}, ${PAY_PERIOD}); paid out once approved`);
 });
 
 // Graceful stop
@@ -0,0 +1,191 @@
+/**
+ * Invoice and payslip documents shared by both bots (index.js and src/worker.js): one invoice
+ * object rendered as a standalone HTML page and as a plain PDF (standard Helvetica, no dependencies).
+ * Plain JavaScript without Node APIs or requires, so the Worker bundle can use it too.
+ *
+ * invoice = { title, number, issued, business: BUSINESS, worker: { name, id }, period: { start, end },
+ *             lines, subtotal, adjustments, total } (lines/subtotal/adjustments/total from invoiceLines)
+ */
+
+// As services.js writes amounts, hours and ranges ("Sep 1–Sep 15, 2025"); kept here without dayjs
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+function usd(amount) {
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+}
+function formatHours(h) {
+  return `${h.toFixed(2)}h`;
+}
+function friendlyRangeLabel(startKey, endKey) {
+  const day = (key) => `${MONTHS[Number(key.slice(5, 7)) - 1]} ${Number(key.slice(8, 10))}`;
+  return `${day(startKey)}–${day(endKey)}, ${endKey.slice(0, 4)}`;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderInvoiceHtml(inv) {
+  const b = inv.business;
+  const row = (cells, cls = '') => `<tr${cls ? ` class="${cls}"` : ''}>${cells.map((c, i) => `<td${i ? ' class="num"' : ''}>${escapeHtml(c)}</td>`).join('')}</tr>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${inv.title} ${inv.number}`)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 40px auto; padding: 0 20px; }
+  header { display: flex; justify-content: space-between; border-bottom: 2px solid #222; padding-bottom: 12px; }
+  h1 { margin: 0; font-size: 28px; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; white-space: nowrap; }
+  tr.total td { font-weight: bold; border-top: 2px solid #222; border-bottom: none; }
+</style>
+</head>
+<body>
+<header>
+  <div>
+    <strong>${escapeHtml(b.name)}</strong><br>
+    ${[...b.address, b.email, b.taxId && `Tax ID: ${b.taxId}`].filter(Boolean).map(escapeHtml).join('<br>\n    ')}
+  </div>
+  <div class="num">
+    <h1>${escapeHtml(inv.title)}</h1>
+    No. ${escapeHtml(inv.number)}<br>
+    Issued ${escapeHtml(inv.issued)}
+  </div>
+</header>
+<p>
+  <span class="muted">For</span> <strong>${escapeHtml(inv.worker.name)}</strong> <span class="muted">(Telegram ID ${escapeHtml(inv.worker.id)})</span><br>
+  <span class="muted">Period</span> ${escapeHtml(friendlyRangeLabel(inv.period.start, inv.period.end))}
+</p>
+<table>
+  <thead><tr><th>Description</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+  <tbody>
+  ${inv.lines.map((l) => row([l.description, formatHours(l.hours), `${usd(l.rate)}/hr`, usd(l.amount)])).join('\n  ')}
+  ${row(['Subtotal', '', '', usd(inv.subtotal)])}
+  ${inv.adjustments.map((a) => row([a.description, '', '', usd(a.amount)])).join('\n  ')}
+  ${row(['Total', '', '', usd(inv.total)], 'total')}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/** PDF **/
+// A4 in points; text is written in WinAnsiEncoding (Latin-1 plus the typographic marks below)
+const PAGE_W = 595;
+const PAGE_H = 842;
+const MARGIN = 50;
+const WIN_ANSI = { '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+// Helvetica advance widths (per 1000) for what amounts are made of; anything else counts as 556
+const WIDTHS = { ' ': 278, '.': 278, ',': 278, ':': 278, '/': 278, '-': 333, '(': 333, ')': 333, r: 333 };
+
+function pdfString(s) {
+  let out = '';
+  for (const ch of String(s)) {
+    const code = WIN_ANSI[ch] ?? ch.codePointAt(0);
+    const c = String.fromCharCode(code <= 0xff ? code : 0x3f); // '?' for anything Helvetica lacks
+    out += c === '(' || c === ')' || c === '\\' ? '\\' + c : c;
+  }
+  return `(${out})`;
+}
+function textWidth(s, size) {
+  let w = 0;
+  for (const ch of String(s)) w += WIDTHS[ch] ?? 556;
+  return (w * size) / 1000;
+}
+
+// Objects: 1 catalog, 2 page tree, 3/4 fonts, then a page and its content stream per page.
+// Every character is one byte (see pdfString), so string lengths are byte offsets.
+function pdfDocument(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+  pages.forEach((ops, i) => {
+    const stream = ops.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((obj, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(pdf, (c) => c.charCodeAt(0));
+}
+
+function renderInvoicePdf(inv) {
+  const pages = [[]];
+  let y = PAGE_H - MARGIN;
+  const text = (x, s, { size = 10, bold = false, right = false } = {}) => {
+    const left = right ? x - textWidth(s, size) : x;
+    pages[pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(s)} Tj ET`);
+  };
+  // a horizontal line `above` points over the current baseline
+  const rule = (width = 0.5, above = 0) => {
+    const at = (y + above).toFixed(2);
+    pages[pages.length - 1].push(`${width} w ${MARGIN} ${at} m ${PAGE_W - MARGIN} ${at} l S`);
+  };
+  const down = (h) => {
+    y -= h;
+    if (y < MARGIN) {
+      pages.push([]);
+      y = PAGE_H - MARGIN;
+    }
+  };
+  const right = PAGE_W - MARGIN;
+  const row = (cells, opts = {}) => {
+    text(MARGIN, cells[0], opts);
+    if (cells[1]) text(390, cells[1], { ...opts, right: true });
+    if (cells[2]) text(465, cells[2], { ...opts, right: true });
+    text(right, cells[3], { ...opts, right: true });
+    down(16);
+  };
+
+  const b = inv.business;
+  text(MARGIN, b.name, { size: 14, bold: true });
+  text(right, inv.title, { size: 22, bold: true, right: true });
+  down(18);
+  const details = [...b.address, b.email, b.taxId && `Tax ID: ${b.taxId}`].filter(Boolean);
+  const meta = [`No. ${inv.number}`, `Issued ${inv.issued}`];
+  for (let i = 0; i < Math.max(details.length, meta.length); i++) {
+    if (details[i]) text(MARGIN, details[i]);
+    if (meta[i]) text(right, meta[i], { right: true });
+    down(14);
+  }
+  down(4);
+  rule(1.5);
+  down(24);
+  text(MARGIN, `For: ${inv.worker.name} (Telegram ID ${inv.worker.id})`, { bold: true });
+  down(14);
+  text(MARGIN, `Period: ${friendlyRangeLabel(inv.period.start, inv.period.end)}`);
+  down(28);
+
+  row(['Description', 'Hours', 'Rate', 'Amount'], { bold: true });
+  rule(0.5, 11);
+  down(4);
+  for (const l of inv.lines) row([l.description, formatHours(l.hours), `${usd(l.rate)}/hr`, usd(l.amount)]);
+  rule(0.5, 11);
+  down(4);
+  row(['Subtotal', '', '', usd(inv.subtotal)]);
+  for (const a of inv.adjustments) row([a.description, '', '', usd(a.amount)]);
+  rule(1.5, 11);
+  down(4);
+  row(['Total', '', '', usd(inv.total)], { bold: true, size: 12 });
+  return pdfDocument(pages);
+}
+
+module.exports = { renderInvoiceHtml, renderInvoicePdf };
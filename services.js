@@ -2,32 +2,502 @@
  * Business logic helpers
  */
 const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const isoWeek = require('dayjs/plugin/isoWeek');
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(isoWeek);
 
 const HOURLY_RATE = 2.5; // $/hour
+const HISTORY_WEEKS = Number(process.env.HISTORY_WEEKS) || 52; // retention for past weeks
 
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) ? n : fallback;
+}
+// HOLIDAYS="2025-12-25:Christmas,2026-01-01:New Year" (names optional)
+function parseHolidays(spec) {
+  const out = {};
+  for (const item of String(spec || '').split(',')) {
+    const [date, ...name] = item.trim().split(':');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) out[date] = name.join(':').trim() || 'Holiday';
+  }
+  return out;
+}
+
+/**
+ * Pay rules. A threshold of 0 (or a multiplier of 1) switches that rule off.
+ * Overtime hours are paid at their overtime multiplier only; the weekend and
+ * holiday premiums apply to the remaining straight-time hours of those days.
+ */
+const PAY_RULES = {
+  dailyOvertimeAfter: envNumber('DAILY_OT_HOURS', 8),
+  dailyOvertimeMultiplier: envNumber('DAILY_OT_MULTIPLIER', 1.5),
+  weeklyOvertimeAfter: envNumber('WEEKLY_OT_HOURS', 40),
+  weeklyOvertimeMultiplier: envNumber('WEEKLY_OT_MULTIPLIER', 1.5),
+  weekendDays: String(process.env.WEEKEND_DAYS || '0,6').split(',').map(Number), // 0 = Sunday
+  weekendMultiplier: envNumber('WEEKEND_MULTIPLIER', 1),
+  holidayMultiplier: envNumber('HOLIDAY_MULTIPLIER', 2),
+  holidays: parseHolidays(process.env.HOLIDAYS),
+};
+
+// Forgotten clock-outs: remind after this many hours on the clock, close and flag at the max (0 = off)
+const REMIND_AFTER_HOURS = envNumber('REMIND_AFTER_HOURS', 10);
+const MAX_SHIFT_HOURS = envNumber('MAX_SHIFT_HOURS', 16);
+
+// Scheduled shifts (/schedule): DM a reminder this many minutes before the start; alert managers when
+// nobody clocked in this many minutes after it (0 = off)
+const SCHEDULE_REMIND_MINUTES = envNumber('SCHEDULE_REMIND_MINUTES', 30);
+const LATE_GRACE_MINUTES = envNumber('LATE_GRACE_MINUTES', 15);
+
+// Weekly targets (/target): warn this many hours before the cap, and when the target is not met with
+// fewer than this many days of the week left (0 = off)
+const TARGET_CAP_WARN_HOURS = envNumber('TARGET_CAP_WARN_HOURS', 2);
+const TARGET_BEHIND_DAYS_LEFT = envNumber('TARGET_BEHIND_DAYS_LEFT', 2);
+
+// /resetday and /resetweek can be taken back with /undo for this many minutes (0 = never)
+const RESET_UNDO_MINUTES = envNumber('RESET_UNDO_MINUTES', 60);
+
+/**
+ * Leave (/leave). LEAVE_TYPES="vacation:paid:20,sick:paid:10,holiday:paid,unpaid:unpaid" lists
+ * type:paid|unpaid:days, where days is the yearly allowance (none = unlimited; /setallowance
+ * overrides it per person). A day off recorded without hours counts as LEAVE_DAY_HOURS.
+ */
+function parseLeaveTypes(spec) {
+  const out = {};
+  for (const item of String(spec).split(',')) {
+    const [name, paid, days] = item.trim().toLowerCase().split(':');
+    if (!/^[a-z][a-z0-9_-]{0,19}$/.test(name || '') || name === 'work' || name === 'adjustment') continue; // export types
+    const allowance = days ? Number(days) : NaN;
+    out[name] = { paid: paid !== 'unpaid', allowance: Number.isFinite(allowance) ? allowance : null };
+  }
+  return out;
+}
+const LEAVE_TYPES = parseLeaveTypes(process.env.LEAVE_TYPES || 'vacation:paid:20,sick:paid:10,holiday:paid,unpaid:unpaid');
+const LEAVE_DAY_HOURS = envNumber('LEAVE_DAY_HOURS', 8);
+
+// Pay adjustments (/adjust): money on top of (or taken off) hours × rate, by category, with its label
+const ADJUSTMENT_CATEGORIES = {
+  bonus: 'Bonus',
+  tip: 'Tips',
+  reimbursement: 'Reimbursement',
+  advance: 'Advance',
+  deduction: 'Deduction',
+  other: 'Adjustment',
+};
+
+/**
+ * Pay periods. Bi-weekly periods are counted in 14-day steps from
+ * PAY_PERIOD_ANCHOR (a Monday); semi-monthly ones run 1st–15th and 16th–end of month.
+ */
+const PAY_PERIODS = {
+  weekly: 'Weekly',
+  biweekly: 'Bi-weekly',
+  semimonthly: 'Semi-monthly',
+  monthly: 'Monthly',
+};
+const PAY_PERIOD = PAY_PERIODS[process.env.PAY_PERIOD] ? process.env.PAY_PERIOD : 'weekly';
+const PAY_PERIOD_ANCHOR = process.env.PAY_PERIOD_ANCHOR || '2024-01-01';
+
+// Longest /report range (a leap year); per-day lines are only listed up to REPORT_DAY_LINES days
+const REPORT_MAX_DAYS = 366;
+const REPORT_DAY_LINES = 31;
+
+/**
+ * Roles, lowest to highest. OWNER_ID (comma-separated Telegram ids) are always owners;
+ * everyone else gets a role from /grant or an invite code (/invite, then /join <code>).
+ */
+const ROLES = ['employee', 'manager', 'owner'];
+const OWNER_IDS = String(process.env.OWNER_ID || '').split(',').map((s) => s.trim()).filter(Boolean);
+const INVITE_TTL_HOURS = envNumber('INVITE_TTL_HOURS', 72);
+
+/**
+ * Invoices and payslips (/invoice). The business details head every document;
+ * numbers are INVOICE_PREFIX + a running sequence, e.g. INV-00042.
+ */
+const BUSINESS = {
+  name: process.env.BUSINESS_NAME || 'Work Hours',
+  address: String(process.env.BUSINESS_ADDRESS || '').split('|').map((s) => s.trim()).filter(Boolean), // "|" = new line
+  email: process.env.BUSINESS_EMAIL || '',
+  taxId: process.env.BUSINESS_TAX_ID || '',
+};
+const INVOICE_TITLE = process.env.INVOICE_TITLE || 'Invoice'; // e.g. "Payslip"
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX ?? 'INV-';
+
+// Least role each command needs (null = anyone, even without a role); commands missing here are owner-only
+const PERMISSIONS = {
+  start: null,
+  help: null,
+  join: null,
+  in: 'employee',
+  out: 'employee',
+  switch: 'employee',
+  break: 'employee',
+  resume: 'employee',
+  today: 'employee',
+  week: 'employee',
+  history: 'employee',
+  pay: 'employee',
+  holidays: 'employee',
+  settz: 'employee',
+  projects: 'employee',
+  shifts: 'employee',
+  add: 'employee',
+  edit: 'employee',
+  del: 'employee',
+  confirm: 'employee',
+  resetday: 'employee',
+  resetweek: 'employee',
+  undo: 'employee',
+  export: 'employee',
+  import: 'employee',
+  menu: 'employee',
+  invoice: 'employee',
+  report: 'employee',
+  month: 'employee',
+  year: 'employee',
+  submit: 'employee',
+  rates: 'employee', // someone else's: managers, checked in the command
+  setrate: 'manager',
+  setperiod: 'manager',
+  projectrate: 'manager',
+  allhours: 'manager',
+  allpay: 'manager',
+  team: 'manager',
+  invite: 'manager',
+  grant: 'manager',
+  revoke: 'manager',
+  pending: 'manager',
+  schedule: 'employee', // viewing; adding and removing shifts is checked in the command (managers)
+  target: 'employee', // setting someone else's is checked in the command (managers)
+  who: 'manager',
+  board: 'manager',
+  audit: 'manager',
+  leave: 'employee', // for someone else: managers, checked in the command
+  leavebalance: 'employee',
+  setallowance: 'manager',
+  adjust: 'employee', // viewing; adding and removing is checked in the command (managers)
+};
+
+const PAY_LINES = [
+  ['regular', 'Regular'],
+  ['dailyOvertime', 'Overtime (daily)'],
+  ['weeklyOvertime', 'Overtime (weekly)'],
+  ['weekend', 'Weekend'],
+  ['holiday', 'Holiday'],
+  ['leave', 'Paid leave'],
+];
+
+function hasRole(role, needed) {
+  return needed == null || ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+// Owners manage everyone; managers only people below them (employees and people without a role)
+function canManage(actorRole, targetRole) {
+  return actorRole === 'owner' || ROLES.indexOf(actorRole) > ROLES.indexOf(targetRole);
+}
 function usd(amount) {
-  return `$${amount.toFixed(2)}`;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
 }
 function formatHours(h) {
   return `${h.toFixed(2)}h`;
 }
-function weeklyPay(hours) {
-  return hours * HOURLY_RATE;
+/**
+ * Itemised pay for one pay period. Weekly overtime is counted per ISO week (Monday start, in both bots) and
+ * daily overtime per day; within a day, the hours worked last are the ones that go over.
+ * @param {{date: string, hours: number, rate?: number, project?: string, leave?: string, prior?: boolean}[]} entries -
+ *   worked hours per local day, or per shift in the order worked; `rate` overrides the default (project rates).
+ *   Entries with `prior` are hours worked earlier in the period's first week (see getPeriodEntries): they count
+ *   towards that week's overtime threshold but were paid with the previous period, so are not paid again.
+ *   Entries with `leave` (paid leave) go on their own line at straight time and never count towards overtime;
+ *   entries with `adjustment` (a key of ADJUSTMENT_CATEGORIES) carry a signed `amount` instead of hours
+ * @returns {{lines: {key, label, hours, multiplier, rate, amount}[], adjustments: {date, category, label, note, amount}[],
+ *   hours: number, amount: number, projects: Object<string, {hours: number, amount: number}>}} amount includes
+ *   the adjustments; projects is keyed by tag ('' = untagged)
+ */
+function periodPay(entries, rate = HOURLY_RATE, rules = PAY_RULES) {
+  const buckets = {};
+  const projects = {};
+  const adjustments = [];
+  let entry = null;
+  const add = (key, hours, multiplier) => {
+    if (hours <= 0) return;
+    const r = entry.rate ?? rate;
+    const id = `${key}@${r}`;
+    const b = buckets[id] || (buckets[id] = { key, hours: 0, multiplier, rate: r, amount: 0 });
+    b.hours += hours;
+    b.amount += hours * r * multiplier;
+    if (entry.leave) return;
+    const p = projects[entry.project || ''] || (projects[entry.project || ''] = { hours: 0, amount: 0 });
+    p.hours += hours;
+    p.amount += hours * r * multiplier;
+  };
+  let week = null;
+  let day = null;
+  let dayHours = 0;
+  let straightSoFar = 0;
+  for (entry of [...entries].sort((a, b) => a.date.localeCompare(b.date))) {
+    if (entry.adjustment) {
+      const category = ADJUSTMENT_CATEGORIES[entry.adjustment] ? entry.adjustment : 'other';
+      adjustments.push({ date: entry.date, category, label: ADJUSTMENT_CATEGORIES[category], note: entry.note || '', amount: entry.amount });
+      continue;
+    }
+    if (entry.leave) {
+      add('leave', entry.hours, 1);
+      continue;
+    }
+    const dayWeek = dayjs(entry.date).isoWeekday(1).format('YYYY-MM-DD');
+    if (dayWeek !== week) {
+      week = dayWeek;
+      straightSoFar = 0;
+    }
+    if (entry.date !== day) {
+      day = entry.date;
+      dayHours = 0;
+    }
+    const dailyOt = rules.dailyOvertimeAfter > 0
+      ? Math.min(entry.hours, Math.max(0, dayHours + entry.hours - rules.dailyOvertimeAfter))
+      : 0;
+    dayHours += entry.hours;
+    let straight = entry.hours - dailyOt;
+    const weeklyOt = rules.weeklyOvertimeAfter > 0
+      ? Math.min(straight, Math.max(0, straightSoFar + straight - rules.weeklyOvertimeAfter))
+      : 0;
+    straightSoFar += straight;
+    straight -= weeklyOt;
+    if (entry.prior) continue;
+
+    const isHoliday = Boolean(rules.holidays[entry.date]) && rules.holidayMultiplier !== 1;
+    const isWeekend = rules.weekendDays.includes(dayjs(entry.date).day()) && rules.weekendMultiplier !== 1;
+    if (isHoliday) add('holiday', straight, rules.holidayMultiplier);
+    else if (isWeekend) add('weekend', straight, rules.weekendMultiplier);
+    else add('regular', straight, 1);
+    add('dailyOvertime', dailyOt, rules.dailyOvertimeMultiplier);
+    add('weeklyOvertime', weeklyOt, rules.weeklyOvertimeMultiplier);
+  }
+  const order = PAY_LINES.map(([key]) => key);
+  const labels = Object.fromEntries(PAY_LINES);
+  const lines = Object.values(buckets)
+    .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key) || a.rate - b.rate)
+    .map((b) => ({ label: labels[b.key], ...b }));
+  return {
+    lines,
+    adjustments,
+    hours: lines.reduce((t, l) => t + l.hours, 0),
+    amount: lines.reduce((t, l) => t + l.amount, 0) + adjustments.reduce((t, a) => t + a.amount, 0),
+    projects,
+  };
+}
+// "+$25.00" / "−$10.00"
+function signedUsd(amount) {
+  return `${amount < 0 ? '−' : '+'}${usd(Math.abs(amount))}`;
+}
+// "Bonus (Q3 target): +$25.00"
+function formatAdjustment(a) {
+  return `${a.label}${a.note ? ` (${a.note})` : ''}: ${signedUsd(a.amount)}`;
+}
+function formatPayLines(pay, rate = HOURLY_RATE) {
+  const lines = pay.lines.length ? pay.lines.map((l) => {
+    const r = l.rate ?? rate;
+    const at = l.multiplier === 1 ? `$${r}/hr` : `$${r}/hr × ${l.multiplier}`;
+    return `${l.label}: ${formatHours(l.hours)} @ ${at} = ${usd(l.amount)}`;
+  }) : [`Regular: ${formatHours(0)} @ $${rate}/hr = ${usd(0)}`];
+  return [...lines, ...(pay.adjustments || []).map(formatAdjustment)];
+}
+function invoiceNumber(seq) {
+  return `${INVOICE_PREFIX}${String(seq).padStart(5, '0')}`;
+}
+/**
+ * Invoice lines for a period: straight time per day, or per project when any shift is tagged,
+ * then paid leave per type; overtime, weekend and holiday premiums and the pay adjustments (/adjust) follow as
+ * adjustments, so the total matches periodPay.
+ * @param {{date, hours, rate?, project?}[]} entries - as for periodPay
+ * @param {ReturnType<periodPay>} pay - periodPay of the same entries
+ * @returns {{lines: {description, hours, rate, amount}[], subtotal, adjustments: {description, amount}[], total}}
+ */
+function invoiceLines(entries, pay, rate = HOURLY_RATE) {
+  const byProject = entries.some((e) => e.project);
+  const groups = new Map();
+  const leave = new Map();
+  for (const e of [...entries].sort((a, b) => a.date.localeCompare(b.date))) {
+    if (e.adjustment || e.prior) continue;
+    const key = e.leave || (byProject ? e.project || '' : e.date);
+    const into = e.leave ? leave : groups;
+    const description = e.leave ? `Paid leave (${e.leave})` : byProject ? e.project || 'Untagged' : dayjs(e.date).format('ddd, MMM D, YYYY');
+    const g = into.get(key) || { description, hours: 0, amount: 0 };
+    g.hours += e.hours;
+    g.amount += e.hours * (e.rate ?? rate);
+    into.set(key, g);
+  }
+  const keys = [...groups.keys()];
+  if (byProject) keys.sort();
+  const lines = [...keys.map((k) => groups.get(k)), ...leave.values()].map((g) => ({ ...g, rate: g.hours ? g.amount / g.hours : rate }));
+  const adjustments = pay.lines
+    .filter((l) => l.multiplier !== 1)
+    .map((l) => ({
+      description: `${l.label} premium: ${formatHours(l.hours)} × $${l.rate}/hr × ${+(l.multiplier - 1).toFixed(4)}`,
+      amount: l.hours * l.rate * (l.multiplier - 1),
+    }))
+    .concat(pay.adjustments.map((a) => ({ description: a.note ? `${a.label}: ${a.note}` : a.label, amount: a.amount })));
+  const subtotal = lines.reduce((t, l) => t + l.amount, 0);
+  return { lines, subtotal, adjustments, total: subtotal + adjustments.reduce((t, a) => t + a.amount, 0) };
+}
+// Project tags are lowercase words like "acme-website"; null if the name is unusable
+function normalizeProject(name) {
+  const p = String(name || '').trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9._-]{0,39}$/.test(p) ? p : null;
+}
+// "mon", "monday", "mon,wed,fri" or "mon-fri" as ISO weekdays (1 = Monday … 7 = Sunday); null if malformed
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+function parseWeekdays(spec) {
+  const days = new Set();
+  const day = (name) => WEEKDAYS.findIndex((d) => d === name || d.slice(0, 3) === name) + 1;
+  for (const part of String(spec || '').toLowerCase().split(',')) {
+    const [from, to] = part.split('-').map(day);
+    if (!from || to === 0) return null;
+    for (let d = from; ; d = d % 7 + 1) {
+      days.add(d);
+      if (d === (to || from)) break;
+    }
+  }
+  return [...days].sort((a, b) => a - b);
 }
 function nowUnix() {
   return Math.floor(Date.now() / 1000);
 }
-function friendlyWeekLabel(weekKeyMonday) {
-  const start = dayjs(weekKeyMonday, 'YYYY-MM-DD');
-  const end = start.add(6, 'day');
+// Parse a "YYYY-MM-DD" (or today/yesterday) + "HH:mm" pair, local to `tz`, into unix seconds; NaN if invalid
+function parseDateTime(dateStr, timeStr, tz, nowTs = nowUnix()) {
+  let date = String(dateStr || '').toLowerCase();
+  if (date === 'today') date = dayjs.unix(nowTs).tz(tz).format('YYYY-MM-DD');
+  if (date === 'yesterday') date = dayjs.unix(nowTs).tz(tz).subtract(1, 'day').format('YYYY-MM-DD');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{1,2}:\d{2}$/.test(timeStr || '')) return NaN;
+  const [hh, mm] = timeStr.split(':').map(Number);
+  if (hh > 23 || mm > 59) return NaN;
+  const d = dayjs.tz(`${date} ${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}`, tz);
+  if (!d.isValid() || d.format('YYYY-MM-DD') !== date) return NaN;
+  return d.unix();
+}
+/**
+ * A punch time typed after /in or /out: "09:15" (today), "yesterday 23:10", "2025-09-01 08:00",
+ * "20m ago", "1h30m ago" or "20 min ago", at the start of the arguments.
+ * @param {string[]} args - the command arguments
+ * @returns {{ts: number|null, args: string[]}} ts is null when no time was given and NaN when it
+ *   is unreadable; args are the ones left after the time
+ */
+function parsePunchTime(args, tz, nowTs = nowUnix()) {
+  const [first = '', second = ''] = args;
+  if (/^(today|yesterday|\d{4}-\d{2}-\d{2})$/i.test(first)) return { ts: parseDateTime(first, second, tz, nowTs), args: args.slice(2) };
+  if (/^\d{1,2}:\d{2}$/.test(first)) return { ts: parseDateTime('today', first, tz, nowTs), args: args.slice(1) };
+  const ago = args.findIndex((a) => a.toLowerCase() === 'ago');
+  if (ago < 1 || ago > 4) return { ts: null, args };
+  const m = /^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/i.exec(args.slice(0, ago).join(' '));
+  const secs = m && (m[1] || m[2]) ? Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 : NaN;
+  return { ts: nowTs - secs, args: args.slice(ago + 1) };
+}
+/**
+ * The pay period of `kind` containing a local date.
+ * @param {string} kind - one of PAY_PERIODS
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {{kind: string, start: string, end: string}} first and last day (inclusive)
+ */
+function payPeriodRange(kind, date) {
+  const d = dayjs(date);
+  let start, end;
+  if (kind === 'biweekly') {
+    const anchor = dayjs(PAY_PERIOD_ANCHOR);
+    start = anchor.add(Math.floor(d.diff(anchor, 'day') / 14) * 14, 'day');
+    end = start.add(13, 'day');
+  } else if (kind === 'semimonthly') {
+    start = d.date() <= 15 ? d.startOf('month') : d.date(16);
+    end = d.date() <= 15 ? d.date(15) : d.endOf('month');
+  } else if (kind === 'monthly') {
+    start = d.startOf('month');
+    end = d.endOf('month');
+  } else {
+    start = d.isoWeekday(1);
+    end = start.add(6, 'day');
+  }
+  return { kind, start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') };
+}
+/**
+ * Inclusive day range for a report: "2025-09-01 2025-09-30", a month "2025-09" or a year "2025".
+ * @returns {{start: string, end: string} | null} null if malformed, reversed or longer than REPORT_MAX_DAYS
+ */
+function reportRange(from, to) {
+  let start, end;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(from || '') && /^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+    start = dayjs(from);
+    end = dayjs(to);
+    if (start.format('YYYY-MM-DD') !== from || end.format('YYYY-MM-DD') !== to) return null;
+  } else if (/^\d{4}-\d{2}$/.test(from || '') && !to) {
+    start = dayjs(`${from}-01`);
+    if (start.format('YYYY-MM') !== from) return null;
+    end = start.endOf('month');
+  } else if (/^\d{4}$/.test(from || '') && !to) {
+    start = dayjs(`${from}-01-01`);
+    end = start.endOf('year');
+  } else {
+    return null;
+  }
+  if (!start.isValid() || end.isBefore(start, 'day') || end.diff(start, 'day') >= REPORT_MAX_DAYS) return null;
+  return { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') };
+}
+function friendlyRangeLabel(startKey, endKey) {
+  const start = dayjs(startKey, 'YYYY-MM-DD');
+  const end = dayjs(endKey, 'YYYY-MM-DD');
   return `${start.format('MMM D')}–${end.format('MMM D, YYYY')}`;
 }
+function friendlyWeekLabel(weekKeyMonday) {
+  return friendlyRangeLabel(weekKeyMonday, dayjs(weekKeyMonday).add(6, 'day').format('YYYY-MM-DD'));
+}
+// CSV name for a period's export; weekly periods keep the original workweek_<monday>.csv
+function periodFilename(period) {
+  if (!period.kind) return `report_${period.start}_${period.end}.csv`;
+  return period.kind === 'weekly' ? `workweek_${period.start}.csv` : `payperiod_${period.start}_${period.end}.csv`;
+}
 
 module.exports = {
   HOURLY_RATE,
+  HISTORY_WEEKS,
+  PAY_RULES,
+  PAY_PERIODS,
+  PAY_PERIOD,
+  REMIND_AFTER_HOURS,
+  MAX_SHIFT_HOURS,
+  SCHEDULE_REMIND_MINUTES,
+  LATE_GRACE_MINUTES,
+  TARGET_CAP_WARN_HOURS,
+  TARGET_BEHIND_DAYS_LEFT,
+  RESET_UNDO_MINUTES,
+  LEAVE_TYPES,
+  LEAVE_DAY_HOURS,
+  ADJUSTMENT_CATEGORIES,
+  ROLES,
+  OWNER_IDS,
+  INVITE_TTL_HOURS,
+  BUSINESS,
+  INVOICE_TITLE,
+  PERMISSIONS,
+  hasRole,
+  canManage,
   usd,
   formatHours,
-  weeklyPay,
+  periodPay,
+  formatPayLines,
+  formatAdjustment,
+  signedUsd,
+  invoiceNumber,
+  invoiceLines,
+  normalizeProject,
   nowUnix,
+  parseDateTime,
+  parsePunchTime,
+  parseWeekdays,
+  payPeriodRange,
+  REPORT_MAX_DAYS,
+  REPORT_DAY_LINES,
+  reportRange,
+  friendlyRangeLabel,
   friendlyWeekLabel,
+  periodFilename,
 };
@@ -1,10 +1,31 @@
 // Work Hours Tracker — Cloudflare Workers + KV
-// Commands: /in /out /today /week /pay /help
-// Weekly cron: Saturday 22:59 UTC (23:59 local when TZ_OFFSET=+1) -> sends previous local week summary + CSV, then clears it
-// -> sends previous local week summary + CSV, then clears it
+// Commands: /in [time] [project] /out [time] /switch <project> /projects /projectrate /rates /confirm [id] /break [paid|unpaid] /resume /today /week [date] /pay /report <from> <to> /month [YYYY-MM] /year [YYYY] /invoice [period] /export [format] [period] /import /menu /history [n] /holidays /shifts /add /edit /del /submit /schedule /target /leave /leavebalance /setallowance /adjust /setrate /settz /setperiod /help
+//           roles: /join <code> /team /invite [role] /grant <role> [@user] /revoke [@user] /pending /audit [@user] [period] /who /board [off] (see PERMISSIONS)
+// Cron: hourly at :59 UTC -> in the first hour after each user's pay period ends (their own zone), submits the period's timesheet
+//       to managers (approve / reject buttons); approved ones get the period summary + CSV, then are archived;
+//       also reminds users still clocked in after REMIND_AFTER_HOURS and closes + flags shifts at MAX_SHIFT_HOURS;
+//       every 5 minutes -> reminders before scheduled shifts, no-show alerts to managers and weekly target notifications
 // KV: HOURS
-// ENV: BOT_TOKEN, SECRET_TOKEN
-// Optional ENV: TZ_OFFSET (hours, default 0), PAY_RATE (USD/hr, default 2.5), ADMIN_SECRET (for test URL)
+// ENV: BOT_TOKEN, SECRET_TOKEN, OWNER_ID (comma-separated Telegram ids that are always owners)
+// Optional ENV: TIMEZONE (default IANA zone, e.g. "Europe/Berlin"; users override with /settz),
+//               TZ_OFFSET (fixed hours, used when TIMEZONE is unset, default 0), PAY_RATE (USD/hr, default 2.5), ADMIN_SECRET (for test URL),
+//               HISTORY_WEEKS (how long archived weeks are kept, default 52),
+//               PAY_PERIOD (weekly | biweekly | semimonthly | monthly, default weekly; users override with /setperiod),
+//               PAY_PERIOD_ANCHOR (a Sunday that starts a bi-weekly period, default "2023-12-31"),
+//               DAILY_OT_HOURS / DAILY_OT_MULTIPLIER (8 / 1.5), WEEKLY_OT_HOURS / WEEKLY_OT_MULTIPLIER (40 / 1.5),
+//               WEEKEND_DAYS (0=Sun, default "0,6"), WEEKEND_MULTIPLIER (1 = off), HOLIDAY_MULTIPLIER (2),
+//               HOLIDAYS ("2025-12-25:Christmas,2026-01-01"),
+//               REMIND_AFTER_HOURS (10), MAX_SHIFT_HOURS (16) for forgotten clock-outs (0 = off),
+//               SCHEDULE_REMIND_MINUTES (30), LATE_GRACE_MINUTES (15) for scheduled shifts (0 = off),
+//               TARGET_CAP_WARN_HOURS (2), TARGET_BEHIND_DAYS_LEFT (2) for weekly targets (0 = off),
+//               LEAVE_TYPES ("vacation:paid:20,sick:paid:10,holiday:paid,unpaid:unpaid", type:paid|unpaid:days a year),
+//               LEAVE_DAY_HOURS (hours in a day of leave, default 8),
+//               INVITE_TTL_HOURS (how long an invite code works, default 72),
+//               BUSINESS_NAME / BUSINESS_ADDRESS ("|" = new line) / BUSINESS_EMAIL / BUSINESS_TAX_ID (invoice header),
+//               INVOICE_TITLE (default "Invoice", e.g. "Payslip"), INVOICE_PREFIX (default "INV-")
+
+import { EXPORT_FORMATS, exportSessions, parseSessionsCSV } from "../exporter.js";
+import { renderInvoiceHtml, renderInvoicePdf } from "../invoice.js";
 
 export default {
   async fetch(request, env) {
@@ -16,7 +37,7 @@ export default {
       if (url.pathname === "/admin/run-weekly") {
         const ok = (env.ADMIN_SECRET || "") && url.searchParams.get("secret") === env.ADMIN_SECRET;
         if (!ok) return new Response("unauthorized", { status: 401 });
-        await runWeekly(env); // run job now (for testing)
+        await runWeekly(env, { force: true }); // run job now for everyone (for testing)
         return new Response("weekly ok");
       }
       return new Response("not found", { status: 404 });
@@ -28,107 +49,148 @@ export default {
       if (secret !== env.SECRET_TOKEN) return new Response("unauthorized", { status: 401 });
 
       const update = await request.json();
+if (update.callback_query) { await onCallback(env, update.callback_query); return ok(); }
 const msg = update.message;
+if (msg?.left_chat_member) { await onLeftMember(env, msg); return ok(); }
+if (msg?.document) { await onDocument(env, msg); return ok(); }
 if (!msg?.text) return ok();
 
 const text   = msg.text.trim();
 const chatId = msg.chat.id;
 const userId = String(msg.from?.id || chatId);
 
-// 🔒 Owner-only DMs
-const ownerId = String(env.OWNER_ID || "");
-if (chatIsPrivate(msg.chat) && ownerId && userId !== ownerId) {
-  await sendMessage(
-    env,
-    chatId,
-    "This bot is private. Please contact @kvg_dstrct11 to request access."
-  );
+// Replies to the bot's timesheet prompts (rejection reason / approval comment)
+const prompt = msg.reply_to_message;
+const tsRef = String(prompt?.from?.id) === env.BOT_TOKEN.split(":")[0] && TS_REF.exec(prompt.text || "");
+if (tsRef) { await onTimesheetReply(env, msg, chatId, userId, tsRef); return ok(); }
+
+// In groups only commands are for the bot: ordinary chat gets no reply, it only tells /who and
+// /board that a team member is in this group
+if (msg.chat.type !== "private" && !text.startsWith("/")) {
+  if (await userRole(env, userId)) await ensureUserChat(env, userId, chatId, msg.from);
   return ok();
 }
 
-// Remember chats to notify on weekly job
-await ensureUserChat(env, userId, chatId);
-
-
       // Group-friendly parsing: accept "/in@YourBot"
       const firstToken = text.split(/\s+/)[0];
       const baseCmd    = firstToken.split("@")[0].toLowerCase();
 
+// 🔒 Roles: commands are checked against PERMISSIONS; anything else ends at "Unknown command"
+const role = await userRole(env, userId);
+if (!hasRole(role, Object.hasOwn(PERMISSIONS, baseCmd) ? PERMISSIONS[baseCmd] : "employee")) {
+  await sendMessage(env, chatId, role ? `⛔ ${baseCmd} is for ${PERMISSIONS[baseCmd]}s and up.` : NO_ACCESS);
+  return ok();
+}
+
+// Remember chats to notify on weekly job
+if (role) await ensureUserChat(env, userId, chatId, msg.from);
+
       if (baseCmd === "/ping")  { await sendMessage(env, chatId, "pong ✅"); return ok(); }
-      if (baseCmd === "/help")  { await sendMessage(env, chatId, helpText(env)); return ok(); }
-      if (baseCmd === "/in"   || baseCmd === "/clock") { await cmdIn(env, chatId, userId); return ok(); }
-      if (baseCmd === "/out")   { await cmdOut(env, chatId, userId); return ok(); }
+      if (baseCmd === "/help")  { await sendMessage(env, chatId, helpText(env, await userZone(env, userId), role)); return ok(); }
+      if (baseCmd === "/start" || baseCmd === "/join") { await cmdJoin(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/team")  { await cmdTeam(env, chatId); return ok(); }
+      if (baseCmd === "/who")   { await cmdWho(env, msg, chatId); return ok(); }
+      if (baseCmd === "/board") { await cmdBoard(env, msg, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/invite") { await cmdInvite(env, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/grant") { await cmdGrant(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/revoke") { await cmdRevoke(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/menu")  { await cmdMenu(env, chatId, userId); return ok(); }
+      if (baseCmd === "/in"   || baseCmd === "/clock") { await cmdIn(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/out")   { await cmdOut(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/switch") { await cmdSwitch(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/projects") { await cmdProjects(env, chatId, userId); return ok(); }
+      if (baseCmd === "/projectrate") { await cmdProjectRate(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/break") { await cmdBreak(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/resume") { await cmdResume(env, chatId, userId); return ok(); }
       if (baseCmd === "/today") { await cmdToday(env, chatId, userId); return ok(); }
-      if (baseCmd === "/week")  { await cmdWeek(env, chatId, userId); return ok(); }
+      if (baseCmd === "/week")  { await cmdWeek(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/history") { await cmdHistory(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
       if (baseCmd === "/pay")   { await cmdPay(env, chatId, userId); return ok(); }
-// /setrate — DM: sets your own rate; Group: admin can set by replying to someone's message
-if (baseCmd === "/setrate") {
-  const args = text.split(/\s+/).slice(1);
-  if (!args.length) {
-    await sendMessage(env, chatId,
-      "Usage:\n• In DM: /setrate 2.75\n• In a group (admin): reply to a user’s message with /setrate 2.75");
-    return ok();
-  }
-  const desired = Number(args[0]);
-  if (!Number.isFinite(desired) || desired <= 0) {
-    await sendMessage(env, chatId, "Please provide a positive number, e.g. /setrate 2.5");
-    return ok();
-  }
-
-  // Target user: in group if replying, set that user; otherwise self
-  const isGroup = chatIsGroup(msg.chat);
-  const replyUserId = msg?.reply_to_message?.from?.id ? String(msg.reply_to_message.from.id) : null;
-  const targetUserId = isGroup && replyUserId ? replyUserId : userId;
-
-  // In groups, if setting someone else’s rate, require admin
-  if (isGroup && targetUserId !== userId) {
-    const admin = await isChatAdmin(env, chatId, userId).catch(() => false);
-    if (!admin) {
-      await sendMessage(env, chatId, "Only group admins can set other members’ rates (use /setrate as a reply).");
-      return ok();
-    }
-  }
+      if (baseCmd === "/export") { await cmdExport(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/import") { await sendMessage(env, chatId, IMPORT_HELP); return ok(); }
+      if (baseCmd === "/invoice") { await cmdInvoice(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/report" || baseCmd === "/month" || baseCmd === "/year") { await cmdReport(env, chatId, userId, baseCmd, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/settz") { await cmdSetTz(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/setperiod") { await cmdSetPeriod(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/holidays") { await cmdHolidays(env, chatId); return ok(); }
+      if (baseCmd === "/shifts") { await cmdShifts(env, chatId, userId); return ok(); }
+      if (baseCmd === "/add")   { await cmdAdd(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/edit")  { await cmdEdit(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/del")   { await cmdDel(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/confirm") { await cmdConfirm(env, chatId, userId, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/submit") { await cmdSubmit(env, chatId, userId); return ok(); }
+      if (baseCmd === "/pending") { await cmdPending(env, chatId, userId); return ok(); }
+      if (baseCmd === "/target") { await cmdTarget(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/leave") { await cmdLeave(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/leavebalance") { await cmdLeaveBalance(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/setallowance") { await cmdSetAllowance(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/adjust") { await cmdAdjust(env, msg, chatId, userId, role, text.slice(firstToken.length)); return ok(); }
+      if (baseCmd === "/schedule") { await cmdSchedule(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/setrate") { await cmdSetRate(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/rates") { await cmdRates(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
+      if (baseCmd === "/audit") { await cmdAudit(env, msg, chatId, userId, role, text.split(/\s+/).slice(1)); return ok(); }
 
-  try {
-    const v = await setUserRate(env, targetUserId, desired);
-    const who =
-      targetUserId === userId
-        ? "your"
-        : (msg?.reply_to_message?.from?.username
-            ? `@${msg.reply_to_message.from.username}`
-            : (msg?.reply_to_message?.from?.first_name || `ID ${targetUserId}`));
-    await sendMessage(env, chatId, `Set ${who} rate to $${v.toFixed(2)}/hr ✅`);
-  } catch {
-    await sendMessage(env, chatId, "Couldn’t set rate. Try a number like 2.5");
-  }
-  return ok();
-}
-
-      await sendMessage(env, chatId, "Unknown command.\n" + helpText(env));
+      await sendMessage(env, chatId, "Unknown command.\n" + helpText(env, await userZone(env, userId), role));
       return ok();
     }
 
     return new Response("not found", { status: 404 });
   },
 
-  // CRON: add "0 23 * * SUN" in Cloudflare → Settings → Triggers
+  // CRON (see wrangler.toml): hourly, runWeekly picks the users whose local pay period is closing;
+  // every 5 minutes, scheduled shift reminders, no-show alerts and weekly target notifications
   async scheduled(controller, env, ctx) {
-    // simple lock so the job doesn’t double-run
-    const { localMs } = nowLocal(env);
-    const { start } = prevLocalWeekWindow(env, localMs); // Monday 00:00 (local) of the previous week
-    const lockKey = "weeklylock:" + dateKeyLocal(env, start);
-    if (await env.HOURS.get(lockKey)) return;
-    await env.HOURS.put(lockKey, "1", { expirationTtl: 3 * 3600 }); // 3h lock
-    ctx.waitUntil(runWeekly(env));
+    if (controller.cron === SCHEDULE_CRON) ctx.waitUntil(Promise.all([checkSchedules(env), checkTargets(env)]));
+    else ctx.waitUntil(Promise.all([runWeekly(env), checkOpenShifts(env)]));
   }
 };
 
 function ok() { return new Response("ok"); }
 
 /* -------------------- Config & time helpers -------------------- */
+// A zone ("tz") is an IANA name like "Europe/Berlin" or a fixed UTC offset in hours.
+// "Local ms" = the local wall-clock time encoded as if it were UTC, so getUTC*() read local fields.
 function tzOffsetHours(env) { const n = Number(env.TZ_OFFSET); return Number.isFinite(n) ? n : 0; }
+function defaultZone(env)  { return env.TIMEZONE && isValidZone(env.TIMEZONE) ? env.TIMEZONE : tzOffsetHours(env); }
 function rate(env)         { const r = Number(env.PAY_RATE);   return Number.isFinite(r) ? r : 2.5; }
-function nowLocal(env)     { const off = tzOffsetHours(env); const utc = Date.now(); return { utcMs: utc, localMs: utc + off * 3600_000 }; }
+function historyTtl(env)   { const w = Number(env.HISTORY_WEEKS); return (Number.isFinite(w) && w > 0 ? w : 52) * 7 * 86400; }
+function nowLocal(tz)      { const utc = Date.now(); return { utcMs: utc, localMs: localOf(tz, utc) }; }
+function localOf(tz, utcMs) { return utcMs + zoneOffsetMs(tz, utcMs); }
+// Local ms -> UTC ms; a wall time skipped by a DST jump lands just after the gap
+function utcOf(tz, localMs) {
+  const guess = localMs - zoneOffsetMs(tz, localMs);
+  return localMs - zoneOffsetMs(tz, guess);
+}
+// The first local midnight after utcMs, as UTC ms
+function nextMidnightUtc(tz, utcMs) {
+  const localMs = localOf(tz, utcMs);
+  return utcOf(tz, localMs - localMs % 86400_000 + 86400_000);
+}
+
+const zoneFormatters = new Map();
+function zoneFormatter(tz) {
+  let f = zoneFormatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    zoneFormatters.set(tz, f);
+  }
+  return f;
+}
+function zoneOffsetMs(tz, utcMs) {
+  if (typeof tz === "number") return tz * 3600_000;
+  const p = {};
+  for (const { type, value } of zoneFormatter(tz).formatToParts(new Date(utcMs))) p[type] = Number(value);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute, p.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+}
+function isValidZone(tz) {
+  if (typeof tz === "number") return Number.isFinite(tz) && Math.abs(tz) <= 14;
+  try { zoneFormatter(tz); return true; } catch { return false; }
+}
+function zoneLabel(tz) { return typeof tz === "number" ? `UTC${tz >= 0 ? "+" : ""}${tz}` : tz; }
 
 function fmtHM(ms) {
   const s = Math.max(0, Math.floor(ms/1000));
@@ -138,7 +200,7 @@ function fmtHM(ms) {
 }
 function minutes(ms){ return Math.max(0, Math.floor(ms/60000)); }
 function dollarsFromMs(ms, r){ return (ms/3600000) * r; }
-function money(v){ return `$${v.toFixed(2)}`; }
+function money(v){ return `${v < 0 ? "-" : ""}$${Math.abs(v).toFixed(2)}`; }
 function fmtClock(ms){
   const d = new Date(ms);
   const hh = String(d.getUTCHours()).padStart(2,"0");
@@ -146,44 +208,129 @@ function fmtClock(ms){
   return `${hh}:${mm}`;
 }
 
-function dateKeyLocal(env, localMs){
+function dateKeyLocal(tz, localMs){
   const d = new Date(localMs);
   const y = d.getUTCFullYear();
   const m = String(d.getUTCMonth()+1).padStart(2,"0");
   const da= String(d.getUTCDate()).padStart(2,"0");
   return `${y}-${m}-${da}`;
 }
-// Start of week = SUNDAY 00:00 (in *local* time determined by TZ_OFFSET)
-function weekStartLocal(env, localMs) {
+// "YYYY-MM-DD" (or today/yesterday) + "HH:mm" in local time -> UTC ms; NaN if invalid
+function parseLocalDateTime(tz, dateStr, timeStr){
+  let date = String(dateStr || "").toLowerCase();
+  const { localMs } = nowLocal(tz);
+  if (date === "today")     date = dateKeyLocal(tz, localMs);
+  if (date === "yesterday") date = dateKeyLocal(tz, localMs - 86400_000);
+  const dm = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  const tm = /^(\d{1,2}):(\d{2})$/.exec(timeStr || "");
+  if (!dm || !tm || Number(tm[1]) > 23 || Number(tm[2]) > 59) return NaN;
+  const local = Date.UTC(Number(dm[1]), Number(dm[2]) - 1, Number(dm[3]), Number(tm[1]), Number(tm[2]));
+  if (dateKeyLocal(tz, local) !== date) return NaN; // e.g. 2025-02-30
+  return utcOf(tz, local);
+}
+// A punch time at the start of the /in or /out arguments: "09:15" (today), "yesterday 23:10",
+// "2025-09-01 08:00", "20m ago", "1h30m ago" or "20 min ago" -> { utcMs, args } with the rest of
+// the arguments; utcMs is null when no time was given and NaN when it is unreadable
+function parsePunchTime(tz, args){
+  const [first = "", second = ""] = args;
+  if (/^(today|yesterday|\d{4}-\d{2}-\d{2})$/i.test(first)) return { utcMs: parseLocalDateTime(tz, first, second), args: args.slice(2) };
+  if (/^\d{1,2}:\d{2}$/.test(first)) return { utcMs: parseLocalDateTime(tz, "today", first), args: args.slice(1) };
+  const ago = args.findIndex(a => a.toLowerCase() === "ago");
+  if (ago < 1 || ago > 4) return { utcMs: null, args };
+  const m = /^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/i.exec(args.slice(0, ago).join(" "));
+  const ms = m && (m[1] || m[2]) ? Number(m[1] || 0) * 3600_000 + Number(m[2] || 0) * 60_000 : NaN;
+  return { utcMs: Date.now() - ms, args: args.slice(ago + 1) };
+}
+// Start of week = SUNDAY 00:00 (in the *local* time of the zone the caller works in)
+function weekStartLocal(tz, localMs) {
   const d = new Date(localMs);
   const dow = d.getUTCDay(); // 0 = Sunday, 6 = Saturday
   const start = new Date(d.getTime() - dow * 86400_000);
   return Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
 }
+// Start of the overtime week = MONDAY 00:00 local (ISO weeks, as in the Node bot's periodPay)
+function overtimeWeekStart(localMs){
+  const d = new Date(localMs);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+}
 
-// Fully-completed previous local week [Sun..Sat]
-function prevLocalWeekWindow(env, localMs) {
-  // step back a bit so we’re definitely inside the intended week
-  const anchor = localMs - 12 * 3600_000; // -12h
-  const start = weekStartLocal(env, anchor); // Sunday 00:00 local (UTC ms)
-  const end   = start + 7 * 86400_000;       // next Sunday 00:00 local
-  return { start, end };
+// Pay period containing localMs: { kind, start, end } as local midnights, end exclusive.
+// Bi-weekly periods step 14 days from PAY_PERIOD_ANCHOR; semi-monthly = 1st–15th and 16th–end.
+const PAY_PERIODS = { weekly: "Weekly", biweekly: "Bi-weekly", semimonthly: "Semi-monthly", monthly: "Monthly" };
+function payPeriodKind(env){ return PAY_PERIODS[env.PAY_PERIOD] ? env.PAY_PERIOD : "weekly"; }
+function periodWindow(env, kind, localMs) {
+  const d = new Date(localMs);
+  const y = d.getUTCFullYear(), m = d.getUTCMonth(), day = d.getUTCDate();
+  if (kind === "biweekly") {
+    const a = Date.parse(`${env.PAY_PERIOD_ANCHOR}T00:00:00Z`);
+    const anchor = Number.isFinite(a) ? a : Date.UTC(2023, 11, 31);
+    const start = anchor + Math.floor((Date.UTC(y, m, day) - anchor) / (14 * 86400_000)) * 14 * 86400_000;
+    return { kind, start, end: start + 14 * 86400_000 };
+  }
+  if (kind === "semimonthly") {
+    return day <= 15 ? { kind, start: Date.UTC(y, m, 1), end: Date.UTC(y, m, 16) }
+                     : { kind, start: Date.UTC(y, m, 16), end: Date.UTC(y, m + 1, 1) };
+  }
+  if (kind === "monthly") return { kind, start: Date.UTC(y, m, 1), end: Date.UTC(y, m + 1, 1) };
+  const start = weekStartLocal(null, localMs);
+  return { kind: "weekly", start, end: start + 7 * 86400_000 };
 }
+function periodLabel(tz, win){ return `${dateKeyLocal(tz, win.start)} → ${dateKeyLocal(tz, win.end - 86400_000)}`; }
 
 /* -------------------- KV keys & helpers -------------------- */
-const kOpen = (u) => `u:${u}:open`;            // { startUtcMs }
-const kDay  = (u, day) => `d:${u}:${day}`;     // { sessions:[{inUtcMs,outUtcMs?}], totalMs }
-const kMeta = (u) => `meta:${u}`;              // { chats:number[] }
+const kOpen = (u) => `u:${u}:open`;            // { startUtcMs, id?, project?, remindedAt?, breaks?:[{startUtcMs,endUtcMs?,paid}] }
+const kDay  = (u, day) => `d:${u}:${day}`;     // { sessions:[{id,inUtcMs,outUtcMs?,project?,breaks?}], totalMs, breakMs?, unpaidBreakMs? }
+const kMeta = (u) => `meta:${u}`;              // { chats:number[], username?, name? }
+const kSeq  = (u) => `seq:${u}`;               // last session id handed out
+const kSid  = (u, id) => `sid:${u}:${id}`;     // session id -> day key holding it
+const kHist = (u, week) => `hist:${u}:${week}`; // archived week snapshot (see archiveWeek)
+const kProj = (name) => `proj:${name}`;         // { rate? (before rates), rates?: rate history } project-wide rate override
+const kReview = (u, id) => `review:${u}:${id}`; // auto-closed session awaiting /confirm or /edit
+const kRole = (u) => `role:${u}`;               // { role: one of ROLES | null (revoked), by, at }
+const kInvite = (code) => `invite:${code}`;     // { role, by, at }, expires after INVITE_TTL_HOURS
+const kUname = (name) => `uname:${name.toLowerCase()}`; // Telegram username -> user id
 
 async function getJSON(kv, key, def){ const s = await kv.get(key); return s ? JSON.parse(s) : def; }
 async function putJSON(kv, key, obj){ await kv.put(key, JSON.stringify(obj)); }
 async function getOpen(env, userId){ return getJSON(env.HOURS, kOpen(userId), null); }
-async function ensureUserChat(env, userId, chatId){
+async function nextSessionId(env, userId){
+  const id = (Number(await env.HOURS.get(kSeq(userId))) || 0) + 1;
+  await env.HOURS.put(kSeq(userId), String(id));
+  return id;
+}
+// Day record with every session carrying an id (older records get theirs on first read)
+async function getDay(env, userId, dayKey){
+  const rec = await getJSON(env.HOURS, kDay(userId, dayKey), { sessions: [], totalMs: 0 });
+  if (rec.sessions.some(s => s.id == null)) {
+    for (const s of rec.sessions) {
+      if (s.id != null) continue;
+      s.id = await nextSessionId(env, userId);
+      await env.HOURS.put(kSid(userId, s.id), dayKey);
+    }
+    await putJSON(env.HOURS, kDay(userId, dayKey), rec);
+  }
+  return rec;
+}
+function recomputeTotal(rec){
+  rec.sessions.sort((a, b) => a.inUtcMs - b.inUtcMs);
+  const closed = rec.sessions.filter(s => s.outUtcMs != null);
+  rec.totalMs = closed.reduce((t, s) => t + sessionWorkedMs(s), 0);
+  rec.breakMs = closed.reduce((t, s) => t + breakMs(s.breaks, s.outUtcMs), 0);
+  rec.unpaidBreakMs = closed.reduce((t, s) => t + breakMs(s.breaks, s.outUtcMs, false), 0);
+  return rec;
+}
+// Also keeps the Telegram username (and the uname: index used by /grant @user) and display name current
+async function ensureUserChat(env, userId, chatId, from = {}){
   const m = await getJSON(env.HOURS, kMeta(userId), { chats: [] });
-  if (!m.chats.includes(chatId)) { m.chats.push(chatId); await putJSON(env.HOURS, kMeta(userId), m); }
+  const name = [from.first_name, from.last_name].filter(Boolean).join(" ") || undefined;
+  if (m.chats.includes(chatId) && m.username === from.username && m.name === name) return;
+  if (!m.chats.includes(chatId)) m.chats.push(chatId);
+  if (from.username && from.username !== m.username) await env.HOURS.put(kUname(from.username), userId);
+  Object.assign(m, { username: from.username, name });
+  await putJSON(env.HOURS, kMeta(userId), m);
 }
 // Per-user config (rate/TZ overrides)
-const kCfg = (u) => `cfg:${u}`;   // { rate?: number, tz?: number }
+const kCfg = (u) => `cfg:${u}`;   // { rate?: number (before rates), rates?: rate history (see setUserRate), tz?: string|number (IANA zone or UTC offset hours), period?: key of PAY_PERIODS, target?/cap?: weekly hours, leave?: { [type]: yearly allowance in days } }
 
 async function getCfg(env, userId) {
   return await getJSON(env.HOURS, kCfg(userId), {});
@@ -192,19 +339,41 @@ async function putCfg(env, userId, cfg) {
   await putJSON(env.HOURS, kCfg(userId), cfg);
 }
 
-async function userRate(env, userId) {
+// The user's own rate at utcMs: their rate history, before it the rate they had (cfg.rate), else PAY_RATE
+async function userRate(env, userId, utcMs = Date.now()) {
+  return ownRate(env, await getCfg(env, userId), utcMs);
+}
+function ownRate(env, cfg, utcMs) {
+  const hit = rateEntryAt(cfg.rates, utcMs);
+  const r = Number(hit ? hit.rate : cfg.rate);
+  return Number.isFinite(r) ? r : rate(env);
+}
+async function userZone(env, userId) {
   const cfg = await getCfg(env, userId);
-  const r = Number(cfg.rate);
-  return Number.isFinite(r) ? r : rate(env); // fallback to global PAY_RATE
+  return cfg.tz != null && isValidZone(cfg.tz) ? cfg.tz : defaultZone(env); // fallback to TIMEZONE/TZ_OFFSET
 }
-async function setUserRate(env, userId, newRate) {
-  const v = Number(newRate);
-  if (!Number.isFinite(v) || v <= 0) throw new Error("bad_rate");
+async function userPeriod(env, userId) {
   const cfg = await getCfg(env, userId);
-  cfg.rate = v;
+  return PAY_PERIODS[cfg.period] ? cfg.period : payPeriodKind(env); // fallback to PAY_PERIOD
+}
+// Rate histories are [{ rate, from (UTC ms), project?, by, at }] sorted by from; an entry applies until the next one
+// for the same project (none = their rate for any project), and rate null ends a project rate
+async function setUserRate(env, userId, newRate, { from = Date.now(), project = null, by = null } = {}) {
+  const v = newRate == null ? null : Number(newRate);
+  if (v == null ? !project : !Number.isFinite(v) || v <= 0) throw new Error("bad_rate");
+  const cfg = await getCfg(env, userId);
+  cfg.rates = withRateEntry(cfg.rates, { rate: v, from, ...(project ? { project } : {}), by, at: Date.now() });
   await putCfg(env, userId, cfg);
   return v;
 }
+function rateEntryAt(history, utcMs, project = null){
+  return (history || []).filter(h => (h.project || null) === project && h.from <= utcMs).at(-1) || null;
+}
+// A second change with the same start (and project) replaces the first
+function withRateEntry(history, entry){
+  return [...(history || []).filter(h => h.from !== entry.from || (h.project || null) !== (entry.project || null)), entry]
+    .sort((a, b) => a.from - b.from);
+}
 
 /* -------------------- Throttle + Telegram helpers -------------------- */
 // keep replies ≥1.1s apart per chat and retry once on 429/5xx
@@ -232,9 +401,9 @@ async function tgCall(env, method, body, isForm = false){
   }
   return data;
 }
-async function sendMessage(env, chat_id, text){
+async function sendMessage(env, chat_id, text, extra = {}){
   await throttlePerChat(env, chat_id);
-  return tgCall(env, "sendMessage", { chat_id, text });
+  return tgCall(env, "sendMessage", { chat_id, text, ...extra });
 }
 async function sendDocument(env, chat_id, filename, content, mime = "text/csv"){
   await throttlePerChat(env, chat_id);
@@ -243,197 +412,2401 @@ async function sendDocument(env, chat_id, filename, content, mime = "text/csv"){
   fd.append("document", new File([content], filename, { type: mime }));
   return tgCall(env, "sendDocument", fd, true);
 }
-function chatIsGroup(chat) {
-  const t = (chat?.type || "").toLowerCase();
-  return t === "group" || t === "supergroup";
-}
-function chatIsPrivate(chat) {
-  return (chat?.type || "").toLowerCase() === "private";
-}
-async function isChatAdmin(env, chatId, userId) {
-  const data = await tgCall(env, "getChatMember", { chat_id: chatId, user_id: userId });
-  const st = data?.result?.status;
-  return st === "creator" || st === "administrator";
-}
-
 /* -------------------- Commands -------------------- */
-// put this helper just above helpText
-function pad2(n){ return String(n).padStart(2, "0"); }
-function helpText(env){
+function helpText(env, tz, role){
   const r = rate(env).toFixed(2);
-  const off = tzOffsetHours(env);
-  const offLabel = `UTC${off>=0?`+${off}`:off}`;
-
-  // Saturday 23:59 LOCAL → compute equivalent UTC hour for display
-  let utcHour = (23 - off) % 24; if (utcHour < 0) utcHour += 24;
-  const utcStr = `${pad2(utcHour)}:59 UTC`;
 
   return [
     "⏱ Work Hours Bot",
-    "/in — clock in",
-    "/out — clock out",
+    "/menu — buttons to clock in/out and see today, week, pay or export",
+    "/in [time] [project] — clock in, optionally on a project or at an earlier time, e.g. /in acme-website, /in 09:15, /in 20m ago",
+    "/out [time] — clock out, optionally at an earlier time, e.g. /out 17:30, /out yesterday 23:10",
+    "/switch <project|none> — move to another project without clocking out",
+    "/projects — hours and pay by project this pay period",
+    "/break [paid|unpaid] — pause your shift (unpaid by default)",
+    "/resume — end your break",
     "/today — show today’s total",
-    "/week — show this week’s total (hours + minutes + pay)",
-    "/pay — show this week’s pay",
-    "/setrate <rate> — DM: set your own rate; Group: admin must reply to a user’s message",
+    "/week [date] — show this week’s total (hours + minutes + pay), or the week containing date",
+    "/history [n] — list the last n archived pay periods (default 4)",
+    "/holidays — list paid holidays",
+    "/pay — show this pay period’s pay",
+    "/report <from> <to> — hours and pay by day and week for a date range, with CSV",
+    "/month [YYYY-MM] — report for a month (this month by default)",
+    "/year [YYYY] — report for a year (this year by default)",
+    `/invoice [last|date|YYYY-MM] — ${(env.INVOICE_TITLE || "invoice").toLowerCase()} for this pay period (or another one) as HTML and PDF`,
+    "/export [csv|json|xlsx|ics] [period] — export your shifts (this week by default; last, pay, a date, YYYY-MM, YYYY or two dates)",
+    "/import — load shifts from a CSV file (date, start, end, project)",
+    "/shifts — list this week’s shifts with IDs",
+    "/add <date> <start> <end> [project] — add a missed shift, e.g. /add 2025-09-01 09:00 17:30",
+    "/edit <id> [date] <start> <end> — fix a shift",
+    "/del <id> — delete a shift",
+    "/confirm [id] — accept an auto-closed shift as it is (all if no id)",
+    "/schedule — your scheduled shifts for the coming week",
+    "/submit — resubmit a rejected timesheet after fixing your shifts",
+    "/settz <zone> — set your time zone, e.g. /settz Europe/Berlin",
+    "/target <hours|off> [cap] — set your weekly target hours and an optional cap",
+    `/leave <type> <date> [hours] — record a day off (${Object.keys(leaveTypes(env)).join(", ")}); /leave lists this year’s`,
+    "/leave del <id> — remove recorded leave",
+    "/leavebalance [year] — leave taken and left per type",
+    "/adjust [last] — bonuses, tips and deductions in your pay period",
+    "/rates — your hourly rate and how it changed",
+    "/join <code> — join with an invite code",
     `/help — show this help (rate: $${r}/hr)`,
-    `Auto: Saturday 23:59 ${offLabel} (= ${utcStr}) → sends pay + CSV, then resets last week (Sun→Sat).`
+    ...(hasRole(role, "manager") ? [
+      "Managers:",
+      "/setrate <rate> [@user] [project] [date] — set someone’s rate from now or from date (or reply to their message in a group)",
+      "/rates @user — someone’s rate history",
+      "/setperiod <weekly|biweekly|semimonthly|monthly> [@user] — set a pay period",
+      "/target <hours|off> [cap] @user — set someone’s weekly target",
+      "/leave <type> <date> [hours] @user — record someone’s leave (/leavebalance @user for theirs)",
+      "/setallowance <type> <days|default> [@user] — set someone’s yearly leave allowance",
+      "/adjust @user <+amount|-amount> [category] [\"note\"] [last|date] — add a bonus, tip, reimbursement or deduction to their pay",
+      "/adjust del <id> @user — remove a pay adjustment (/adjust @user lists them)",
+      "/projectrate <project> <rate|off> [date] — set a project’s own hourly rate",
+      "/pending — timesheets waiting for your approval",
+      "/schedule add [@user] <date|mon-fri> <start> <end> [project] — schedule a shift, once or weekly",
+      "/schedule del <id> — remove a scheduled shift (/schedule @user lists them)",
+      "/audit [@user] [period] — who changed whose time, rates or roles (this week by default)",
+      "/who — who is clocked in (in a group: its members)",
+      "/board [off] — pin a live status board in this group",
+      "/team — list everyone with a role",
+      "/invite [employee|manager] — create a single-use invite code",
+      "/grant <role> [@user] — give someone a role (or reply to their message)",
+      "/revoke [@user] — take someone’s role away",
+    ] : []),
+    `Auto: midnight ${zoneLabel(tz)} after the last day of each pay period → submits your timesheet; once a manager approves it, sends pay + CSV and archives the period.`
   ].join("\n");
 }
 
 
 
 
-async function cmdIn(env, chatId, userId){
+const PUNCH_TIME_USAGE = "Times: 09:15, yesterday 23:10, 2025-09-01 08:00, 20m ago or 1h30m ago (in your time zone, see /settz).";
+
+// The time typed after /in or /out as { utcMs, args, adjusted }, or { error }; no time = now
+function punchTime(tz, args, usage){
+  const now = Date.now();
+  const { utcMs, args: rest } = parsePunchTime(tz, args);
+  if (utcMs == null) return { utcMs: now, args: rest, adjusted: false };
+  if (!Number.isFinite(utcMs)) return { error: `${usage}\n${PUNCH_TIME_USAGE}` };
+  if (utcMs > now) return { error: "That time is still to come. For a time before midnight use yesterday HH:mm." };
+  return { utcMs, args: rest, adjusted: utcMs < now };
+}
+// "09:15", or "2025-09-01 23:10" for a time typed in
+function fmtPunch(tz, utcMs, adjusted){
+  const local = localOf(tz, utcMs);
+  return adjusted ? `${dateKeyLocal(tz, local)} ${fmtClock(local)}` : fmtClock(local);
+}
+
+async function cmdIn(env, chatId, userId, args = [], out = sendMessage){
+  const tz = await userZone(env, userId);
+  const usage = "Usage: /in [time] [project]";
+  const { utcMs, args: rest, adjusted, error } = punchTime(tz, args, usage);
+  if (error) return out(env, chatId, error);
+  const { maxMs } = openShiftLimits(env);
+  if (maxMs && Date.now() - utcMs > maxMs) return out(env, chatId, `That is more than ${fmtHM(maxMs)} ago. Use /add to record a past shift.`);
+  const project = rest[0] ? normalizeProject(rest[0]) : null;
+  if (rest[0] && !project) return out(env, chatId, `${usage}\n${PROJECT_USAGE}`);
   const open = await getOpen(env, userId);
-  const { utcMs, localMs } = nowLocal(env);
   if (open?.startUtcMs) {
-    const startedLocal = open.startUtcMs + tzOffsetHours(env)*3600_000;
-    return sendMessage(env, chatId, `You are already clocked IN since ${fmtClock(startedLocal)}. Use /out to clock out.`);
+    const startedLocal = localOf(tz, open.startUtcMs);
+    return out(env, chatId, `You are already clocked IN since ${fmtClock(startedLocal)}. Use /out to clock out or /switch to change project.`);
   }
-  await putJSON(env.HOURS, kOpen(userId), { startUtcMs: utcMs });
-  const dayKey = dateKeyLocal(env, localMs);
-  const rec = await getJSON(env.HOURS, kDay(userId, dayKey), { sessions: [], totalMs: 0 });
-  rec.sessions.push({ inUtcMs: utcMs });
-  await putJSON(env.HOURS, kDay(userId, dayKey), rec);
-  return sendMessage(env, chatId, `Clocked IN at ${fmtClock(localMs)}.`);
+  // a time typed in may not fall in a locked pay period
+  const locked = adjusted && await lockedPeriod(env, userId, dateKeyLocal(tz, localOf(tz, utcMs)));
+  if (locked) return out(env, chatId, locked);
+  const clash = adjusted && await findOverlap(env, userId, utcMs, Date.now());
+  if (clash) return out(env, chatId, `${fmtClock(localOf(tz, utcMs))} is inside shift #${clash.id}. Pick a time after it ends.`);
+  const id = await openSession(env, userId, tz, utcMs, project, adjusted);
+  await audit(env, "in", userId, { chat: chatId, after: { id, inUtcMs: utcMs, outUtcMs: null, project, ...(adjusted && { adjusted }) } });
+  await refreshBoards(env, userId);
+  return out(env, chatId, `Clocked IN at ${fmtPunch(tz, utcMs, adjusted)}${project ? ` on ${project}` : ""}.`);
 }
 
-async function cmdOut(env, chatId, userId){
+async function cmdOut(env, chatId, userId, args = [], out = sendMessage){
+  const tz = await userZone(env, userId);
+  const { utcMs, args: rest, adjusted, error } = punchTime(tz, args, "Usage: /out [time]");
+  if (error || rest.length) return out(env, chatId, error || `Usage: /out [time]\n${PUNCH_TIME_USAGE}`);
   const open = await getOpen(env, userId);
-  if (!open?.startUtcMs) return sendMessage(env, chatId, "You are not clocked IN. Use /in to start.");
-  const { utcMs, localMs } = nowLocal(env);
-  const delta = utcMs - open.startUtcMs;
-
-  const dayKey = dateKeyLocal(env, localMs);
-  const key = kDay(userId, dayKey);
-  const rec = await getJSON(env.HOURS, key, { sessions: [], totalMs: 0 });
-  for (let i = rec.sessions.length - 1; i >= 0; i--) {
-    if (rec.sessions[i].outUtcMs == null) { rec.sessions[i].outUtcMs = utcMs; break; }
+  if (!open?.startUtcMs) return out(env, chatId, "You are not clocked IN. Use /in to start.");
+  if (utcMs <= open.startUtcMs) {
+    return out(env, chatId, `You clocked in at ${fmtPunch(tz, open.startUtcMs, true)}. The end must be after that.`);
   }
-  rec.totalMs = (rec.totalMs || 0) + delta;
-  await putJSON(env.HOURS, key, rec);
-  await env.HOURS.delete(kOpen(userId));
-
-  return sendMessage(env, chatId, `Clocked OUT at ${fmtClock(localMs)}.\nSession: ${fmtHM(delta)}\nToday so far: ${fmtHM(rec.totalMs)}`);
+  const locked = adjusted && await lockedPeriod(env, userId, dateKeyLocal(tz, localOf(tz, open.startUtcMs)), dateKeyLocal(tz, localOf(tz, utcMs)));
+  if (locked) return out(env, chatId, locked);
+  const { delta, breakTotal, parts } = await closeSession(env, userId, tz, open, utcMs, adjusted);
+  await audit(env, "out", userId, { chat: chatId, after: parts.map(auditSession) });
+  const rec = await getJSON(env.HOURS, kDay(userId, dateKeyLocal(tz, localOf(tz, utcMs))), { totalMs: 0 });
+  const breakNote = breakTotal ? ` (breaks ${fmtHM(breakTotal)})` : "";
+  await refreshBoards(env, userId);
+  return out(env, chatId, `Clocked OUT at ${fmtPunch(tz, utcMs, adjusted)}.\nSession: ${fmtHM(delta)}${breakNote}\n${adjusted ? "That day" : "Today so far"}: ${fmtHM(rec.totalMs)}`);
 }
 
-async function cmdToday(env, chatId, userId){
-  const { utcMs, localMs } = nowLocal(env);
-  const dayKey = dateKeyLocal(env, localMs);
+async function cmdToday(env, chatId, userId, out = sendMessage){
+  const tz = await userZone(env, userId);
+  const { utcMs, localMs } = nowLocal(tz);
+  const dayKey = dateKeyLocal(tz, localMs);
   const rec = await getJSON(env.HOURS, kDay(userId, dayKey), null);
   let total = rec?.totalMs || 0;
+  let breaks = rec?.breakMs || 0, unpaid = rec?.unpaidBreakMs || 0;
   const open = await getOpen(env, userId);
-  if (open?.startUtcMs) total += utcMs - open.startUtcMs;
-  return sendMessage(env, chatId, `Today: ${fmtHM(total)} (${minutes(total)} mins)`);
+  if (open?.startUtcMs) {
+    for (const e of openEntries(tz, open, utcMs)) if (e.date === dayKey) total += e.ms;
+    breaks += breakMs(open.breaks, utcMs);
+    unpaid += breakMs(open.breaks, utcMs, false);
+  }
+  const progress = targetLines(tz, await weekProgress(env, userId, tz));
+  return out(env, chatId, `Today: ${fmtHM(total)} (${minutes(total)} mins)` + breakLine(breaks, unpaid) + progress + await reviewLines(env, userId, tz, dayKey, dayKey));
 }
 
-async function cmdWeek(env, chatId, userId){
-  const { utcMs, localMs } = nowLocal(env);
-  const todayKey = dateKeyLocal(env, localMs);
-  const start = weekStartLocal(env, localMs);
-  let total = 0, lines = [];
+async function cmdWeek(env, chatId, userId, args = [], out = sendMessage){
+  const tz = await userZone(env, userId);
+  const { utcMs, localMs } = nowLocal(tz);
+  const todayKey = dateKeyLocal(tz, localMs);
+  let anchor = localMs;
+  if (args[0]) {
+    const at = parseLocalDateTime(tz, args[0], "12:00");
+    if (!Number.isFinite(at)) return out(env, chatId, "Usage: /week [YYYY-MM-DD]");
+    anchor = localOf(tz, at);
+  }
+  const start = weekStartLocal(tz, anchor);
+  const current = start === weekStartLocal(tz, localMs);
+  if (!current) {
+    const snap = await getJSON(env.HOURS, kHist(userId, dateKeyLocal(tz, start)), null);
+    if (snap && (snap.period || "weekly") === "weekly") {
+      return out(env, chatId, fmtSnapshot(snap) + await scheduleLines(env, userId, tz, snap.week, dateKeyLocal(tz, start + 6*86400_000), snap.totalMs));
+    }
+  }
+  let total = 0, breaks = 0, unpaid = 0, lines = [];
+  const open = await getOpen(env, userId);
+  const running = open?.startUtcMs ? openEntries(tz, open, utcMs) : [];
+  const entries = await priorEntries(env, userId, tz, start, running);
   for (let i = 0; i < 7; i++) {
     const dayMs = start + i*86400_000;
-    const keyDay = dateKeyLocal(env, dayMs);
-    let t = (await getJSON(env.HOURS, kDay(userId, keyDay), null))?.totalMs || 0;
-    if (keyDay === todayKey) { const open = await getOpen(env, userId); if (open?.startUtcMs) t += utcMs - open.startUtcMs; }
-    total += t; lines.push(`${keyDay}: ${fmtHM(t)}`);
+    const keyDay = dateKeyLocal(tz, dayMs);
+    const rec = await getJSON(env.HOURS, kDay(userId, keyDay), null);
+    let t = rec?.totalMs || 0, b = rec?.breakMs || 0;
+    unpaid += rec?.unpaidBreakMs || 0;
+    entries.push(...dayEntries(keyDay, rec));
+    for (const e of running) if (e.date === keyDay) { t += e.ms; entries.push(e); }
+    if (keyDay === todayKey && open?.startUtcMs) {
+      b += breakMs(open.breaks, utcMs);
+      unpaid += breakMs(open.breaks, utcMs, false);
+    }
+    total += t; breaks += b;
+    lines.push(`${keyDay}: ${fmtHM(t)}` + (b ? ` (breaks ${fmtHM(b)})` : ""));
   }
   const r = await userRate(env, userId);
-const mins = minutes(total), pay = money(dollarsFromMs(total, r));
-return sendMessage(env, chatId, `This week: ${fmtHM(total)} (${mins} mins)\nPay @ $${r.toFixed(2)}/hr: ${pay}\n` + lines.join("\n"));
+const mins = minutes(total), pay = periodPay(env, await withRates(env, userId, tz, entries), r);
+const label = current ? "This week" : `Week of ${dateKeyLocal(tz, start)}`;
+const review = await reviewLines(env, userId, tz, dateKeyLocal(tz, start), dateKeyLocal(tz, start + 6*86400_000));
+const planned = await scheduleLines(env, userId, tz, dateKeyLocal(tz, start), dateKeyLocal(tz, start + 6*86400_000), total);
+const progress = current ? targetLines(tz, await weekProgress(env, userId, tz)) : "";
+return out(env, chatId, `${label}: ${fmtHM(total)} (${mins} mins)${breakLine(breaks, unpaid)}${progress}\n${fmtPayLines(pay, r)}\nPay: ${money(pay.amount)}\n` + lines.join("\n") + planned + review);
 }
 
-async function cmdPay(env, chatId, userId){
-  const { utcMs, localMs } = nowLocal(env);
-  const todayKey = dateKeyLocal(env, localMs);
-  const start = weekStartLocal(env, localMs);
+async function cmdPay(env, chatId, userId, out = sendMessage){
+  const tz = await userZone(env, userId);
+  const { utcMs, localMs } = nowLocal(tz);
+  const win = periodWindow(env, await userPeriod(env, userId), localMs);
   let total = 0;
-  for (let i = 0; i < 7; i++) {
-    const dayMs = start + i*86400_000;
-    const keyDay = dateKeyLocal(env, dayMs);
-    let t = (await getJSON(env.HOURS, kDay(userId, keyDay), null))?.totalMs || 0;
-    if (keyDay === todayKey) { const open = await getOpen(env, userId); if (open?.startUtcMs) t += utcMs - open.startUtcMs; }
-    total += t;
+  const open = await getOpen(env, userId);
+  const running = open?.startUtcMs ? openEntries(tz, open, utcMs) : [];
+  const entries = await priorEntries(env, userId, tz, win.start, running);
+  for (let dayMs = win.start; dayMs < win.end; dayMs += 86400_000) {
+    const keyDay = dateKeyLocal(tz, dayMs);
+    const rec = await getJSON(env.HOURS, kDay(userId, keyDay), null);
+    total += rec?.totalMs || 0;
+    entries.push(...dayEntries(keyDay, rec));
+    for (const e of running) if (e.date === keyDay) { total += e.ms; entries.push(e); }
   }
+  const startKey = dateKeyLocal(tz, win.start), endKey = dateKeyLocal(tz, win.end - 86400_000);
+  entries.push(...leavePayEntries(await listLeave(env, userId, startKey, endKey)));
+  entries.push(...adjustmentPayEntries(await listAdjustments(env, userId, startKey, endKey)));
   const r = await userRate(env, userId);
-const mins = minutes(total), pay = money(dollarsFromMs(total, r));
-return sendMessage(env, chatId, `Week total: ${fmtHM(total)} (${mins} mins)\nPay @ $${r.toFixed(2)}/hr: ${pay}`);
+const mins = minutes(total), pay = periodPay(env, await withRates(env, userId, tz, entries), r);
+return out(env, chatId, `${PAY_PERIODS[win.kind]} period ${periodLabel(tz, win)}\nTotal: ${fmtHM(total)} (${mins} mins)\n${fmtPayLines(pay, r)}\nPay: ${money(pay.amount)}`);
 }
 
-/* -------------------- Weekly runner (cron + admin) -------------------- */
-async function runWeekly(env){
-  const { utcMs, localMs } = nowLocal(env);
-  const { start, end } = prevLocalWeekWindow(env, localMs); // completed local week
+/* -------------------- Team status -------------------- */
+// /who lists who is clocked in (in a group: the team members seen there, from meta.chats);
+// /board pins a message in a group that is edited whenever one of them clocks in or out
+const kBoard = (chatId) => `board:${chatId}`; // { messageId, by, at }
 
-  // iterate all users that interacted (meta:*). handle pagination just in case.
+async function whoText(env, chatId = null){
+  const tz = defaultZone(env), now = Date.now();
+  const at = (ms) => fmtClock(localOf(tz, ms));
+  const team = [];
+  for (const id of Object.keys(await listRoles(env))) {
+    if (chatId != null && !(await getJSON(env.HOURS, kMeta(id), { chats: [] })).chats.includes(chatId)) continue;
+    team.push({ name: await userLabel(env, id), open: await getOpen(env, id) });
+  }
+  if (!team.length) return chatId == null ? "Nobody has a role yet." : "Nobody from the team has talked in this chat yet.";
+  const working = team.filter(t => t.open?.startUtcMs).sort((a, b) => a.open.startUtcMs - b.open.startUtcMs);
+  const lines = [`👥 Clocked in: ${working.length} of ${team.length}`];
+  for (const { name, open } of working) {
+    const on = open.project ? ` [${open.project}]` : "";
+    const brk = (open.breaks || []).find(b => b.endUtcMs == null);
+    lines.push(brk ? `☕ ${name} on a break since ${at(brk.startUtcMs)} (in since ${at(open.startUtcMs)})${on}`
+                   : `🟢 ${name} since ${at(open.startUtcMs)} (${fmtHM(now - open.startUtcMs)})${on}`);
+  }
+  const away = team.filter(t => !t.open?.startUtcMs).map(t => t.name);
+  if (away.length) lines.push(`⚪ Not in: ${away.join(", ")}`);
+  return lines.join("\n");
+}
+async function boardText(env, chatId){
+  const tz = defaultZone(env);
+  return `${await whoText(env, chatId)}\n\nUpdated ${fmtClock(nowLocal(tz).localMs)} (${zoneLabel(tz)})`;
+}
+// A board whose message is gone (deleted, or the bot was removed) is dropped
+async function updateBoard(env, chatId){
+  const board = await getJSON(env.HOURS, kBoard(chatId), null);
+  if (!board) return;
+  const res = await tgCall(env, "editMessageText", { chat_id: chatId, message_id: board.messageId, text: await boardText(env, chatId) });
+  if (res.ok === false && /not found|can't be edited|kicked|not a member/i.test(res.description || "")) await env.HOURS.delete(kBoard(chatId));
+}
+// Edit the boards of every group the user is in
+async function refreshBoards(env, userId){
+  const meta = await getJSON(env.HOURS, kMeta(userId), { chats: [] });
+  for (const chatId of meta.chats) if (chatId < 0) await updateBoard(env, chatId);
+}
+
+async function cmdWho(env, msg, chatId){
+  return sendMessage(env, chatId, await whoText(env, msg.chat.type === "private" ? null : chatId));
+}
+async function cmdBoard(env, msg, chatId, userId, args){
+  if (msg.chat.type === "private") return sendMessage(env, chatId, "Use /board in a team group chat.");
+  const old = await getJSON(env.HOURS, kBoard(chatId), null);
+  if (old) await tgCall(env, "unpinChatMessage", { chat_id: chatId, message_id: old.messageId });
+  if ((args[0] || "").toLowerCase() === "off") {
+    if (!old) return sendMessage(env, chatId, "There is no status board here.");
+    await env.HOURS.delete(kBoard(chatId));
+    return sendMessage(env, chatId, "Status board stopped.");
+  }
+  const sent = await sendMessage(env, chatId, await boardText(env, chatId));
+  if (!sent.ok) return;
+  await putJSON(env.HOURS, kBoard(chatId), { messageId: sent.result.message_id, by: userId, at: Date.now() });
+  const pin = await tgCall(env, "pinChatMessage", { chat_id: chatId, message_id: sent.result.message_id, disable_notification: true });
+  if (!pin.ok) return sendMessage(env, chatId, "I couldn’t pin the board (make me an admin who can pin messages), but I’ll keep it up to date.");
+}
+// Someone left a group: they no longer count as one of its members
+async function onLeftMember(env, msg){
+  const userId = String(msg.left_chat_member.id), chatId = msg.chat.id;
+  const meta = await getJSON(env.HOURS, kMeta(userId), null);
+  if (meta?.chats.includes(chatId)) {
+    meta.chats = meta.chats.filter(c => c !== chatId);
+    await putJSON(env.HOURS, kMeta(userId), meta);
+  }
+  return updateBoard(env, chatId);
+}
+
+/* -------------------- Menu -------------------- */
+// /menu: a status message with buttons; each tap edits it in place instead of sending a new message
+const MENU_COMMANDS = { in: "/in", out: "/out", today: "/today", week: "/week", pay: "/pay", export: "/export", home: "/menu" };
+
+async function menuStatus(env, userId){
+  const tz = await userZone(env, userId);
+  const open = await getOpen(env, userId);
+  if (!open?.startUtcMs) return "⚪ Not clocked in";
+  const on = open.project ? ` on ${open.project}` : "", since = fmtClock(localOf(tz, open.startUtcMs));
+  const brk = (open.breaks || []).find(b => b.endUtcMs == null);
+  if (brk) return `☕ On a${brk.paid ? " paid" : "n unpaid"} break since ${fmtClock(localOf(tz, brk.startUtcMs))} (clocked in${on} since ${since})`;
+  return `🟢 Clocked in${on} since ${since}`;
+}
+// { text, reply_markup } for sendMessage / editMessageText; note is what the last tap showed
+async function menu(env, userId, note = ""){
+  const open = await getOpen(env, userId);
+  const button = (text, action) => ({ text, callback_data: `m:${action}:${userId}` });
+  return {
+    text: `⏱ ${await menuStatus(env, userId)}` + (note ? `\n\n${note}` : ""),
+    reply_markup: { inline_keyboard: [
+      [open?.startUtcMs ? button("🔴 Clock out", "out") : button("🟢 Clock in", "in")],
+      [button("📅 Today", "today"), button("🗓 Week", "week"), button("💵 Pay", "pay")],
+      [button("📤 Export", "export"), button("🔄 Refresh", "home")],
+    ] },
+  };
+}
+async function cmdMenu(env, chatId, userId){
+  const { text, ...extra } = await menu(env, userId);
+  return sendMessage(env, chatId, text, extra);
+}
+
+// A tap runs the command with its reply captured as the note under the status
+async function onMenuCallback(env, cq){
+  const [, action, owner] = /^m:(\w+):(\d+)$/.exec(cq.data) || [];
+  const answer = (text) => tgCall(env, "answerCallbackQuery", { callback_query_id: cq.id, ...(text ? { text } : {}) });
+  if (owner !== String(cq.from.id)) return answer("This menu belongs to someone else. Send /menu for your own.");
+  const command = MENU_COMMANDS[action];
+  if (!command) return answer();
+  const role = await userRole(env, owner);
+  if (!hasRole(role, PERMISSIONS[command])) return answer(role ? `⛔ ${command} is for ${PERMISSIONS[command]}s and up.` : NO_ACCESS);
+
+  const chatId = cq.message.chat.id;
+  let note = "";
+  const keep = async (env, chatId, text) => { note = text; };
+  if (action === "in") await cmdIn(env, chatId, owner, [], keep);
+  else if (action === "out") await cmdOut(env, chatId, owner, [], keep);
+  else if (action === "today") await cmdToday(env, chatId, owner, keep);
+  else if (action === "week") await cmdWeek(env, chatId, owner, [], keep);
+  else if (action === "pay") await cmdPay(env, chatId, owner, keep);
+  else if (action === "export") await cmdExport(env, chatId, owner, [], keep);
+  await answer();
+  return tgCall(env, "editMessageText", { chat_id: chatId, message_id: cq.message.message_id, ...await menu(env, owner, note) });
+}
+
+/* -------------------- Time zones -------------------- */
+async function cmdSetTz(env, chatId, userId, args){
+  const current = await userZone(env, userId);
+  if (!args[0]) {
+    return sendMessage(env, chatId,
+      `Your time zone: ${zoneLabel(current)} (local time ${fmtClock(nowLocal(current).localMs)}).\nUsage: /settz Europe/Berlin (or a fixed offset like /settz +2)`);
+  }
+  const fixed = /^(utc)?[+-]?\d{1,2}(\.\d+)?$/i.test(args[0]);
+  let tz = fixed ? Number(args[0].replace(/^utc/i, "")) : args[0];
+  if (!isValidZone(tz)) return sendMessage(env, chatId, "Unknown time zone. Use an IANA name like Europe/Berlin or America/New_York.");
+  if (!fixed) tz = zoneFormatter(tz).resolvedOptions().timeZone; // canonical spelling
+  const cfg = await getCfg(env, userId);
+  cfg.tz = tz;
+  await putCfg(env, userId, cfg);
+  await audit(env, "tz", userId, { chat: chatId, before: { tz: zoneLabel(current) }, after: { tz: zoneLabel(tz) } });
+  return sendMessage(env, chatId, `Time zone set to ${zoneLabel(tz)} ✅ Local time: ${fmtClock(nowLocal(tz).localMs)}.`);
+}
+
+/* -------------------- Projects -------------------- */
+const PROJECT_USAGE = "Project names are 1–40 letters, digits, dots, dashes or underscores, e.g. acme-website";
+// Lowercased tag, or null if the name is unusable
+function normalizeProject(name){
+  const p = String(name || "").trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9._-]{0,39}$/.test(p) ? p : null;
+}
+// A project's own rate at utcMs from its proj: record: its history, before it the rate it had; undefined = none
+function projectRateAt(proj, utcMs){
+  const hit = rateEntryAt(proj?.rates, utcMs);
+  const r = hit ? hit.rate : proj?.rate;
+  return r == null ? undefined : Number(r);
+}
+// Rate for work on project at utcMs: the user's own rate for the project, then the project's, then the user's
+function pickRate(env, cfg, proj, project, utcMs){
+  const own = project ? rateEntryAt(cfg.rates, utcMs, project) : null;
+  if (own?.rate != null) return own.rate;
+  return (project ? projectRateAt(proj, utcMs) : undefined) ?? ownRate(env, cfg, utcMs);
+}
+// Price each entry at the rate in force when it was worked (entries without a start at their day's start)
+async function withRates(env, userId, tz, entries){
+  const cfg = await getCfg(env, userId), projs = {};
+  for (const e of entries) if (e.project && !(e.project in projs)) projs[e.project] = await getJSON(env.HOURS, kProj(e.project), {});
+  return entries.map(e => {
+    const at = e.startUtcMs ?? utcOf(tz, Date.parse(e.date + "T00:00:00Z"));
+    return { ...e, rate: pickRate(env, cfg, projs[e.project], e.project || null, at) };
+  });
+}
+// Worked time of a day record per session, in order: [{ date, ms, project, startUtcMs }];
+// any part of totalMs not matched by a closed session here stays untagged
+function dayEntries(dayKey, rec){
+  const entries = (rec?.sessions || []).filter(s => s.outUtcMs != null)
+    .map(s => ({ date: dayKey, ms: sessionWorkedMs(s), project: s.project, startUtcMs: s.inUtcMs }));
+  const rest = (rec?.totalMs || 0) - entries.reduce((t, e) => t + e.ms, 0);
+  if (rest > 0) entries.push({ date: dayKey, ms: rest });
+  return entries;
+}
+
+// adjusted marks a start typed in by hand (/in 09:15); closeSession carries it onto the stored session
+async function openSession(env, userId, tz, utcMs, project, adjusted = false){
+  const dayKey = dateKeyLocal(tz, localOf(tz, utcMs));
+  const rec = await getJSON(env.HOURS, kDay(userId, dayKey), { sessions: [], totalMs: 0 });
+  const id = await nextSessionId(env, userId);
+  const extra = { ...(project && { project }), ...(adjusted && { adjusted }) };
+  await putJSON(env.HOURS, kOpen(userId), { startUtcMs: utcMs, id, ...extra });
+  rec.sessions.push({ id, inUtcMs: utcMs, ...extra });
+  await putJSON(env.HOURS, kDay(userId, dayKey), rec);
+  await env.HOURS.put(kSid(userId, id), dayKey);
+  return id;
+}
+// Close the running session at utcMs, re-stored split at local midnights; returns the worked delta,
+// its breaks and the stored parts. An adjusted (typed-in, earlier) end cuts the breaks back to it.
+async function closeSession(env, userId, tz, open, utcMs, adjusted = false){
+  let breaks = open.breaks || [];
+  for (const b of breaks) if (b.endUtcMs == null) b.endUtcMs = utcMs;
+  if (adjusted) breaks = clipBreaks(breaks, open.startUtcMs, utcMs) || [];
+  const delta = openWorkedMs({ ...open, breaks }, utcMs);
+  const breakTotal = breakMs(breaks, utcMs);
+
+  // the day record holding the session (by id); older open records sit under their start day
+  const dayKey = (open.id != null && await env.HOURS.get(kSid(userId, open.id))) || dateKeyLocal(tz, localOf(tz, open.startUtcMs));
+  const rec = await getDay(env, userId, dayKey);
+  const idx = rec.sessions.findLastIndex(s => s.outUtcMs == null && (open.id == null || s.id === open.id));
+  const session = idx >= 0 ? rec.sessions.splice(idx, 1)[0] : { id: open.id ?? await nextSessionId(env, userId) };
+  await putJSON(env.HOURS, kDay(userId, dayKey), recomputeTotal(rec));
+  Object.assign(session, { inUtcMs: open.startUtcMs, outUtcMs: utcMs });
+  if (breaks.length) session.breaks = breaks;
+  else delete session.breaks;
+  if (adjusted || open.adjusted) session.adjusted = true;
+  const parts = await insertSession(env, userId, session);
+  await env.HOURS.delete(kOpen(userId));
+  return { delta, breakTotal, parts };
+}
+
+async function cmdSwitch(env, chatId, userId, args){
+  const tz = await userZone(env, userId);
+  const none = /^(none|-)$/i.test(args[0] || "");
+  const project = none ? null : normalizeProject(args[0]);
+  if (!none && !project) return sendMessage(env, chatId, "Usage: /switch <project|none>\n" + PROJECT_USAGE);
+  const open = await getOpen(env, userId);
+  if (!open?.startUtcMs) return sendMessage(env, chatId, "You are not clocked IN. Use /in <project> to start.");
+  if ((open.breaks || []).some(b => b.endUtcMs == null)) return sendMessage(env, chatId, "You are on a break. Use /resume first.");
+  if ((open.project || null) === project) return sendMessage(env, chatId, `You are already on ${project || "no project"}.`);
+  const { utcMs, localMs } = nowLocal(tz);
+  const { delta, parts } = await closeSession(env, userId, tz, open, utcMs);
+  await openSession(env, userId, tz, utcMs, project);
+  await audit(env, "switch", userId, { chat: chatId, before: parts.map(auditSession), after: { project } });
+  await refreshBoards(env, userId);
+  return sendMessage(env, chatId, `Switched to ${project || "no project"} at ${fmtClock(localMs)} (${fmtHM(delta)} on ${open.project || "no project"}).`);
+}
+
+async function cmdProjects(env, chatId, userId){
+  const tz = await userZone(env, userId);
+  const { utcMs, localMs } = nowLocal(tz);
+  const win = periodWindow(env, await userPeriod(env, userId), localMs);
+  const open = await getOpen(env, userId);
+  const running = open?.startUtcMs ? openEntries(tz, open, utcMs) : [];
+  const entries = await priorEntries(env, userId, tz, win.start, running);
+  for (let dayMs = win.start; dayMs < win.end; dayMs += 86400_000) {
+    const keyDay = dateKeyLocal(tz, dayMs);
+    entries.push(...dayEntries(keyDay, await getJSON(env.HOURS, kDay(userId, keyDay), null)));
+    entries.push(...running.filter(e => e.date === keyDay));
+  }
+  const r = await userRate(env, userId);
+  const pay = periodPay(env, await withRates(env, userId, tz, entries), r);
+  const names = Object.keys(pay.projects).sort((a, b) => (a === "") - (b === "") || a.localeCompare(b));
+  if (!names.length) return sendMessage(env, chatId, `No hours for ${periodLabel(tz, win)} yet.`);
+  const cfg = await getCfg(env, userId), lines = [];
+  for (const name of names) {
+    const p = pay.projects[name];
+    const pr = name ? pickRate(env, cfg, await getJSON(env.HOURS, kProj(name), {}), name, utcMs) : r;
+    lines.push(`${name || "(no project)"}: ${fmtHM(p.ms)} — ${money(p.amount)}${pr !== r ? ` @ $${pr.toFixed(2)}/hr` : ""}`);
+  }
+  return sendMessage(env, chatId, `Projects ${periodLabel(tz, win)}:\n${lines.join("\n")}\nTotal: ${fmtHM(pay.ms)} — ${money(pay.amount)}`);
+}
+
+// /projectrate <project> <rate|off> [date]; project rates are shared, so only managers may set them (see PERMISSIONS)
+async function cmdProjectRate(env, chatId, userId, args){
+  const [name, value, date] = args;
+  if (!value) return sendMessage(env, chatId, PROJECTRATE_USAGE);
+  const project = normalizeProject(name);
+  if (!project) return sendMessage(env, chatId, PROJECT_USAGE);
+  const off = /^off$/i.test(value), v = Number(value);
+  if (!off && (!Number.isFinite(v) || v <= 0)) return sendMessage(env, chatId, "Please provide a positive number, e.g. /projectrate acme-website 12.5");
+  const tz = await userZone(env, userId);
+  const from = date ? parseLocalDateTime(tz, date, "00:00") : Date.now();
+  if (!Number.isFinite(from)) return sendMessage(env, chatId, PROJECTRATE_USAGE);
+  const locked = await lockedSince(env, null, dateKeyLocal(tz, localOf(tz, from)));
+  if (locked) return sendMessage(env, chatId, `${locked} Pick a start after it.`);
+  const proj = await getJSON(env.HOURS, kProj(project), {});
+  const before = projectRateAt(proj, from) ?? null;
+  proj.rates = withRateEntry(proj.rates, { rate: off ? null : v, from, by: userId, at: Date.now() });
+  await putJSON(env.HOURS, kProj(project), proj);
+  await audit(env, "projectrate", null, { actor: userId, chat: chatId, before: { rate: before }, after: { rate: off ? null : v, fromUtcMs: from, project } });
+  const when = date ? ` from ${dateKeyLocal(tz, localOf(tz, from))}` : "";
+  return sendMessage(env, chatId, off ? `${project} now uses each person’s own rate${when}.` : `Set ${project} rate to $${v.toFixed(2)}/hr${when} ✅`);
+}
+
+/* -------------------- Rates -------------------- */
+// Rates are kept as histories (see setUserRate): a change applies from now or from the start of a day in the
+// person's zone, and every shift is paid at the rate in force when it was worked
+const SETRATE_USAGE = "Usage: /setrate <rate|off> [@user] [project] [YYYY-MM-DD]\n" +
+  "• from now on, or from that day (a past day reprices the shifts since then)\n" +
+  "• with a project: their rate on that project only; off ends it\n" +
+  "• in a group you can also reply to the person’s message";
+const PROJECTRATE_USAGE = "Usage: /projectrate <project> <rate|off> [YYYY-MM-DD], e.g. /projectrate acme-website 12.5";
+
+// /setrate <rate|off> [@user|id] [project] [date] — managers; in a group you can also reply to the person’s message
+async function cmdSetRate(env, msg, chatId, userId, role, args){
+  const value = args.shift() || "";
+  const date = args.find(a => /^(\d{4}-\d{2}-\d{2}|today|yesterday)$/i.test(a));
+  const ref = args.find(a => a !== date && /^(@\S+|\d+)$/.test(a));
+  const rest = args.filter(a => a !== date && a !== ref);
+  const off = /^off$/i.test(value), v = Number(value);
+  if (rest.length > 1 || (!off && !(Number.isFinite(v) && v > 0))) return sendMessage(env, chatId, SETRATE_USAGE);
+  const project = rest.length ? normalizeProject(rest[0]) : null;
+  if (rest.length && !project) return sendMessage(env, chatId, PROJECT_USAGE);
+  if (off && !project) return sendMessage(env, chatId, "Only a project rate can be turned off; set a new rate instead.");
+
+  const target = await commandTarget(env, msg, userId, ref);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (!canManage(role, await userRole(env, target))) {
+    return sendMessage(env, chatId, "Only owners can set the rate of managers and owners (including their own).");
+  }
+  const tz = await userZone(env, target);
+  const from = date ? parseLocalDateTime(tz, date, "00:00") : Date.now();
+  if (!Number.isFinite(from)) return sendMessage(env, chatId, SETRATE_USAGE);
+  const locked = await lockedSince(env, target, dateKeyLocal(tz, localOf(tz, from)));
+  if (locked) return sendMessage(env, chatId, `${locked} Pick a start after it.`);
+  const cfg = await getCfg(env, target);
+  const before = pickRate(env, cfg, project ? await getJSON(env.HOURS, kProj(project), {}) : null, project, from);
+  await setUserRate(env, target, off ? null : v, { from, project, by: userId });
+  await audit(env, "rate", target, { actor: userId, chat: chatId, before: { rate: before }, after: { rate: off ? null : v, fromUtcMs: from, project } });
+  const who = target === userId ? "your" : `${await userLabel(env, target)}’s`;
+  const when = date ? `from ${dateKeyLocal(tz, localOf(tz, from))}` : "from now on";
+  return sendMessage(env, chatId, off ? `Ended ${who} own ${project} rate ${when} ✅` : `Set ${who} rate${project ? ` on ${project}` : ""} to $${v.toFixed(2)}/hr ${when} ✅`);
+}
+
+// /rates [@user]: the current rate and every change, newest first (someone else’s: managers)
+async function cmdRates(env, msg, chatId, userId, role, args){
+  const target = await commandTarget(env, msg, userId, args[0]);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  const self = target === userId;
+  if (!self && !(hasRole(role, "manager") && canManage(role, await userRole(env, target)))) {
+    return sendMessage(env, chatId, "Only managers can see someone else’s rates (owners for managers and owners).");
+  }
+  const tz = await userZone(env, target), cfg = await getCfg(env, target);
+  const from = (ms) => `${dateKeyLocal(tz, localOf(tz, ms))} ${fmtClock(localOf(tz, ms))}`;
+  const note = (...parts) => parts.some(Boolean) ? ` (${parts.filter(Boolean).join(", ")})` : "";
+  const by = async (h) => h.by && `by ${await userLabel(env, h.by)}`;
+  const value = (r) => r == null ? "off" : `$${Number(r).toFixed(2)}/hr`;
+
+  const own = (cfg.rates || []).filter(h => !h.project).reverse();
+  const lines = [`💵 ${self ? "Your" : `${await userLabel(env, target)}’s`} rate: ${value(ownRate(env, cfg, Date.now()))}`, ""];
+  for (const h of own) lines.push(`• from ${from(h.from)}: ${value(h.rate)}${note(await by(h))}`);
+  const before = Number.isFinite(Number(cfg.rate)) ? value(cfg.rate) : `${value(rate(env))} (default)`;
+  lines.push(`• ${own.length ? "before" : "always"}: ${before}`);
+
+  const projects = (cfg.rates || []).filter(h => h.project).map(h => ({ ...h, own: true }));
+  const list = await env.HOURS.list({ prefix: kProj("") });
+  for (const { name } of list.keys) {
+    const proj = await getJSON(env.HOURS, name, {}), project = name.slice(kProj("").length);
+    projects.push(...(proj.rates || []).map(h => ({ ...h, project })));
+    if (proj.rate != null) projects.push({ project, rate: proj.rate, from: 0 });
+  }
+  if (projects.length) lines.push("", "Projects:");
+  for (const h of projects.sort((a, b) => b.from - a.from || a.project.localeCompare(b.project))) {
+    lines.push(`• ${h.project} from ${h.from ? from(h.from) : "the start"}: ${value(h.rate)}${note(h.own && "own", await by(h))}`);
+  }
+  return sendMessage(env, chatId, lines.join("\n"));
+}
+
+/* -------------------- Pay periods -------------------- */
+// /setperiod <kind> [@user|id] (managers; or reply to the person’s message in a group)
+async function cmdSetPeriod(env, msg, chatId, userId, role, args){
+  const kind = String(args[0] || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (!args[0]) {
+    return sendMessage(env, chatId,
+      `Your pay period: ${PAY_PERIODS[await userPeriod(env, userId)].toLowerCase()}.\nUsage: /setperiod <${Object.keys(PAY_PERIODS).join("|")}> [@user]`);
+  }
+  if (!PAY_PERIODS[kind]) return sendMessage(env, chatId, `Unknown pay period. Use one of: ${Object.keys(PAY_PERIODS).join(", ")}.`);
+  const target = await commandTarget(env, msg, userId, args[1]);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (!canManage(role, await userRole(env, target))) {
+    return sendMessage(env, chatId, "Only owners can change the pay period of managers and owners (including their own).");
+  }
+  const before = await userPeriod(env, target);
+  const cfg = await getCfg(env, target);
+  cfg.period = kind;
+  await putCfg(env, target, cfg);
+  await audit(env, "period", target, { actor: userId, chat: chatId, before: { period: before }, after: { period: kind } });
+  const who = target === userId ? "" : `${await userLabel(env, target)}: `;
+  return sendMessage(env, chatId, `${who}Pay period set to ${PAY_PERIODS[kind].toLowerCase()} ✅`);
+}
+
+/* -------------------- Roles -------------------- */
+// Roles, lowest to highest. OWNER_ID (comma-separated ids) are always owners; everyone else gets a
+// role from /grant or an invite code (/invite, then /join <code> or /start <code>).
+const ROLES = ["employee", "manager", "owner"];
+// Least role each command needs (null = anyone, even without a role)
+const PERMISSIONS = {
+  "/start": null, "/join": null, "/help": null, "/ping": null,
+  "/in": "employee", "/clock": "employee", "/out": "employee", "/switch": "employee", "/projects": "employee",
+  "/break": "employee", "/resume": "employee", "/today": "employee", "/week": "employee", "/history": "employee",
+  "/pay": "employee", "/settz": "employee", "/holidays": "employee", "/shifts": "employee", "/add": "employee",
+  "/edit": "employee", "/del": "employee", "/confirm": "employee", "/submit": "employee",
+  "/report": "employee", "/month": "employee", "/year": "employee", "/invoice": "employee",
+  "/export": "employee", "/import": "employee", "/menu": "employee", "/schedule": "employee", "/target": "employee", "/rates": "employee", // others': managers, see the commands
+  "/leave": "employee", "/leavebalance": "employee", "/setallowance": "manager", "/adjust": "employee", // adding: managers, see cmdAdjust
+  "/setrate": "manager", "/setperiod": "manager", "/projectrate": "manager", "/pending": "manager",
+  "/team": "manager", "/invite": "manager", "/grant": "manager", "/revoke": "manager", "/who": "manager", "/board": "manager",
+  "/audit": "manager",
+};
+const NO_ACCESS = "🔒 You don’t have access yet. Ask a manager for an invite code, then send /join <code>.";
+const UNKNOWN_USER = "Unknown user. They need to message the bot first (or use their numeric id).";
+
+function hasRole(role, needed){ return needed == null || ROLES.indexOf(role) >= ROLES.indexOf(needed); }
+// Owners manage everyone; managers only people below them (employees and people without a role)
+function canManage(actorRole, targetRole){ return actorRole === "owner" || ROLES.indexOf(actorRole) > ROLES.indexOf(targetRole); }
+function ownerIds(env){ return String(env.OWNER_ID || "").split(",").map(s => s.trim()).filter(Boolean); }
+function inviteTtlHours(env){ return envNum(env, "INVITE_TTL_HOURS", 72); }
+
+async function userRole(env, userId){
+  if (ownerIds(env).includes(String(userId))) return "owner";
+  const rec = await getJSON(env.HOURS, kRole(userId), null);
+  if (rec) return ROLES.includes(rec.role) ? rec.role : null;
+  // people who used the bot before roles existed keep their access as employees
+  if (!(await env.HOURS.get(kMeta(userId)))) return null;
+  await putJSON(env.HOURS, kRole(userId), { role: "employee", by: "legacy", at: Date.now() });
+  return "employee";
+}
+async function userLabel(env, userId){
+  const m = await getJSON(env.HOURS, kMeta(userId), {});
+  return m.username ? `@${m.username}` : (m.name || `ID ${userId}`);
+}
+// Who a manager command is about: an @username or id argument, else the replied-to user, else the sender
+async function commandTarget(env, msg, userId, ref){
+  if (ref) return /^\d+$/.test(ref) ? ref : await env.HOURS.get(kUname(ref.replace(/^@/, "")));
+  const replied = msg.reply_to_message?.from;
+  if (replied && !replied.is_bot) return String(replied.id);
+  return userId;
+}
+
+// /join <code> (also /start <code> from an invite link)
+async function cmdJoin(env, msg, chatId, userId, role, args){
+  if (!args[0]) return sendMessage(env, chatId, role ? helpText(env, await userZone(env, userId), role) : NO_ACCESS);
+  const code = args[0].trim().toUpperCase();
+  const invite = await getJSON(env.HOURS, kInvite(code), null);
+  if (!invite) return sendMessage(env, chatId, "That invite code is invalid or has expired.");
+  if (hasRole(role, invite.role)) return sendMessage(env, chatId, `You already have the ${role} role.`);
+  await env.HOURS.delete(kInvite(code));
+  await putJSON(env.HOURS, kRole(userId), { role: invite.role, by: invite.by, at: Date.now() });
+  await audit(env, "join", userId, { chat: chatId, before: { role }, after: { role: invite.role } });
+  await ensureUserChat(env, userId, chatId, msg.from);
+  return sendMessage(env, chatId, `Welcome aboard! You are now ${invite.role === "employee" ? "an" : "a"} ${invite.role}. Type /help to get started.`);
+}
+async function cmdInvite(env, chatId, userId, role, args){
+  const invited = String(args[0] || "employee").toLowerCase();
+  if (!ROLES.includes(invited)) return sendMessage(env, chatId, `Unknown role. Use one of: ${ROLES.join(", ")}.`);
+  if (!canManage(role, invited)) return sendMessage(env, chatId, "Only owners can invite managers and owners.");
+  const bytes = crypto.getRandomValues(new Uint8Array(5));
+  const code = [...bytes].map(b => b.toString(16).padStart(2, "0")).join("").toUpperCase();
+  const ttl = inviteTtlHours(env);
+  await env.HOURS.put(kInvite(code), JSON.stringify({ role: invited, by: userId, at: Date.now() }), { expirationTtl: Math.max(60, Math.round(ttl * 3600)) });
+  return sendMessage(env, chatId, `Invite code for a new ${invited}: ${code}\nThey can send /join ${code} to the bot (single use, valid ${ttl}h).`);
+}
+// Give `target` a role, or take it away with role = null
+async function changeRole(env, chatId, userId, role, target, newRole){
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  const name = await userLabel(env, target);
+  if (target === userId) return sendMessage(env, chatId, "You cannot change your own role.");
+  if (ownerIds(env).includes(target)) return sendMessage(env, chatId, `${name} is an owner through OWNER_ID.`);
+  const current = await userRole(env, target);
+  if (!canManage(role, current) || !canManage(role, newRole)) return sendMessage(env, chatId, "Only owners can change managers and owners.");
+  if (current === newRole) return sendMessage(env, chatId, newRole ? `${name} is already ${newRole}.` : `${name} has no role.`);
+  await putJSON(env.HOURS, kRole(target), { role: newRole, by: userId, at: Date.now() });
+  await audit(env, "role", target, { actor: userId, chat: chatId, before: { role: current }, after: { role: newRole } });
+  return sendMessage(env, chatId, newRole ? `${name} is now ${newRole} ✅` : `Removed ${name}’s ${current} role ✅`);
+}
+async function cmdGrant(env, msg, chatId, userId, role, args){
+  const newRole = String(args[0] || "").toLowerCase();
+  if (!ROLES.includes(newRole)) return sendMessage(env, chatId, `Usage: /grant <${ROLES.join("|")}> <@user|id> (or reply to their message)`);
+  return changeRole(env, chatId, userId, role, await commandTarget(env, msg, userId, args[1]), newRole);
+}
+async function cmdRevoke(env, msg, chatId, userId, role, args){
+  return changeRole(env, chatId, userId, role, await commandTarget(env, msg, userId, args[0]), null);
+}
+// { userId: role } for everyone who has a role
+async function listRoles(env){
+  const team = {};
+  for (const id of ownerIds(env)) team[id] = "owner";
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: "role:", cursor });
+    for (const k of list.keys) {
+      const id = k.name.slice("role:".length);
+      const rec = await getJSON(env.HOURS, k.name, null);
+      if (!team[id] && ROLES.includes(rec?.role)) team[id] = rec.role;
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return team;
+}
+async function cmdTeam(env, chatId){
+  const team = await listRoles(env);
+  const lines = [];
+  for (const r of [...ROLES].reverse()) {
+    for (const id of Object.keys(team).filter(id => team[id] === r)) lines.push(`${await userLabel(env, id)} — ${r}`);
+  }
+  return sendMessage(env, chatId, lines.length ? "Team:\n" + lines.join("\n") : "Nobody has a role yet.");
+}
+
+/* -------------------- Audit log -------------------- */
+// Who changed whose time, rates or roles: one key per entry, appended and never expired (see /audit).
+// actor null = a cron job, user null = everyone (project rates); before/after hold sessions as auditSession
+// or single settings like { rate: 12 }
+const kAudit = (u, utcMs) => `audit:${u ?? "-"}:${String(utcMs).padStart(13, "0")}:${crypto.randomUUID().slice(0, 8)}`; // { at, actor, user, chat, action, before, after }
+const AUDIT_USAGE = "Usage: /audit [@user] [today | week | last | YYYY-MM-DD | YYYY-MM | YYYY | <from> <to>] (this week by default)";
+const AUDIT_LINES = 30;
+const AUDIT_ACTIONS = {
+  in: "clocked in", out: "clocked out", switch: "switched project", break: "started a break", resume: "ended a break",
+  add: "added a shift", edit: "edited a shift", del: "deleted a shift", confirm: "confirmed auto-closed shifts",
+  import: "imported shifts", autoclose: "shift closed automatically", rate: "rate changed", projectrate: "project rate changed",
+  period: "pay period changed", tz: "time zone changed", role: "role changed", join: "joined with an invite",
+  submit: "timesheet submitted", approve: "timesheet approved", reject: "timesheet rejected", payout: "paid out",
+  leave: "leave recorded", leavedel: "leave removed", allowance: "leave allowance changed",
+  adjust: "pay adjusted", adjustdel: "pay adjustment removed",
+  schedule_add: "shift scheduled", schedule_del: "scheduled shift removed",
+};
+
+async function audit(env, action, user, { actor = user, chat = null, before = null, after = null } = {}){
+  const at = Date.now();
+  await putJSON(env.HOURS, kAudit(user, at), { at, actor, user, chat, action, before, after });
+}
+function auditSession(s){
+  return { id: s.id, inUtcMs: s.inUtcMs, outUtcMs: s.outUtcMs ?? null, project: s.project || null, ...(s.adjusted && { adjusted: true }) };
+}
+// Entries in [fromUtcMs, toUtcMs) about one user (null = everyone), newest first
+async function listAudit(env, user, fromUtcMs, toUtcMs){
+  const out = [];
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: user ? `audit:${user}:` : "audit:", cursor });
+    for (const k of list.keys) {
+      const at = Number(k.name.split(":")[2]);
+      if (at < fromUtcMs || at >= toUtcMs) continue;
+      const e = await getJSON(env.HOURS, k.name, null);
+      if (e) out.push(e);
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return out.sort((a, b) => b.at - a.at);
+}
+// Sessions as "#12 2025-09-01 09:00–17:00 [acme]", a single setting as its value, others as "key value, …"
+function auditValue(tz, v){
+  const at = (utcMs) => `${dateKeyLocal(tz, localOf(tz, utcMs))} ${fmtClock(localOf(tz, utcMs))}`;
+  if (v == null) return "—";
+  if (Array.isArray(v)) return v.map(x => auditValue(tz, x)).join("; ");
+  if (typeof v !== "object") return String(v);
+  if (v.inUtcMs != null) {
+    return `${v.id ? `#${v.id} ` : ""}${at(v.inUtcMs)}–${v.outUtcMs != null ? fmtClock(localOf(tz, v.outUtcMs)) : "…"}${v.project ? ` [${v.project}]` : ""}${v.adjusted ? " (adjusted)" : ""}`;
+  }
+  const keys = Object.keys(v);
+  if (keys.length === 1) return String(v[keys[0]] ?? "none");
+  return keys.filter(k => v[k] != null).map(k => k.endsWith("UtcMs") ? `${k.slice(0, -5)} ${at(v[k])}` : `${k} ${v[k]}`).join(", ");
+}
+async function auditLine(env, tz, e){
+  const actor = e.actor == null ? "⚙️ system" : await userLabel(env, e.actor);
+  const whom = e.user == null ? " → everyone" : e.user !== e.actor ? ` → ${await userLabel(env, e.user)}` : "";
+  const change = e.before != null && e.after != null ? `${auditValue(tz, e.before)} → ${auditValue(tz, e.after)}`
+    : e.before != null ? `was ${auditValue(tz, e.before)}` : auditValue(tz, e.after);
+  const at = localOf(tz, e.at);
+  return `${dateKeyLocal(tz, at)} ${fmtClock(at)} ${actor}${whom}: ${AUDIT_ACTIONS[e.action] || e.action}` +
+    (change !== "—" ? ` — ${change}` : "") + (e.chat < 0 ? ` (group ${e.chat})` : "");
+}
+
+// /audit [@user|id] [period] — managers; besides shared changes, non-owners only see themselves and the people they manage
+async function cmdAudit(env, msg, chatId, userId, role, args){
+  const ref = /^(@\S+|\d{5,})$/.test(args[0] || "") ? args.shift() : null;
+  const target = ref ? await commandTarget(env, msg, userId, ref) : null;
+  if (ref && !target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (target && target !== userId && !canManage(role, await userRole(env, target))) {
+    return sendMessage(env, chatId, "Only owners can see the audit log of managers and owners.");
+  }
+  const tz = await userZone(env, userId);
+  const { localMs } = nowLocal(tz);
+  const [arg = "week", to] = args.map(a => a.toLowerCase());
+  const from = arg === "today" && !to ? dateKeyLocal(tz, localMs) : arg;
+  let win = null;
+  if (arg === "week" && !to) win = periodWindow(env, "weekly", localMs);
+  else if (arg === "last" && !to) win = periodWindow(env, "weekly", localMs - 7 * 86400_000);
+  else win = reportWindow(from, to || (/^\d{4}-\d{2}-\d{2}$/.test(from) ? from : undefined));
+  if (!win) return sendMessage(env, chatId, AUDIT_USAGE);
+
+  const entries = [], roles = {};
+  for (const e of await listAudit(env, target, utcOf(tz, win.start), utcOf(tz, win.end))) {
+    if (e.user != null && e.user !== userId && !canManage(role, roles[e.user] ??= await userRole(env, e.user))) continue;
+    entries.push(e);
+  }
+  const title = `🧾 Audit${target ? ` for ${await userLabel(env, target)}` : ""}, ${periodLabel(tz, win)} (${zoneLabel(tz)})`;
+  if (!entries.length) return sendMessage(env, chatId, `${title}: nothing recorded.`);
+  const lines = [];
+  for (const e of entries.slice(0, AUDIT_LINES)) lines.push(await auditLine(env, tz, e));
+  const more = entries.length - AUDIT_LINES;
+  return sendMessage(env, chatId, `${title}, newest first:\n${lines.join("\n")}` +
+    (more > 0 ? `\n…and ${more} older entr${more === 1 ? "y" : "ies"} (pick a shorter period or a user)` : ""));
+}
+
+/* -------------------- Pay rules -------------------- */
+// A threshold of 0 (or a multiplier of 1) switches that rule off. Overtime hours are paid
+// at their overtime multiplier only; weekend/holiday premiums apply to the remaining straight time.
+function envNum(env, name, def){ const n = Number(env[name]); return env[name] != null && env[name] !== "" && Number.isFinite(n) ? n : def; }
+function holidays(env){
+  const out = {};
+  for (const item of String(env.HOLIDAYS || "").split(",")) {
+    const [date, ...name] = item.trim().split(":");
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) out[date] = name.join(":").trim() || "Holiday";
+  }
+  return out;
+}
+function payRules(env){
+  return {
+    dailyOtMs: envNum(env, "DAILY_OT_HOURS", 8) * 3600_000,
+    dailyOtMult: envNum(env, "DAILY_OT_MULTIPLIER", 1.5),
+    weeklyOtMs: envNum(env, "WEEKLY_OT_HOURS", 40) * 3600_000,
+    weeklyOtMult: envNum(env, "WEEKLY_OT_MULTIPLIER", 1.5),
+    weekendDays: String(env.WEEKEND_DAYS ?? "0,6").split(",").map(Number),
+    weekendMult: envNum(env, "WEEKEND_MULTIPLIER", 1),
+    holidayMult: envNum(env, "HOLIDAY_MULTIPLIER", 2),
+    holidays: holidays(env),
+  };
+}
+const PAY_LINES = [["regular","Regular"],["dailyOt","Overtime (daily)"],["weeklyOt","Overtime (weekly)"],["weekend","Weekend"],["holiday","Holiday"],["leave","Paid leave"]];
+
+// entries: [{ date, ms, rate?, project?, leave?, adjustment?, amount?, note? }] of one pay period, per day or per session
+// in the order worked -> { lines:[{key,label,ms,mult,rate,amount}], adjustments:[{date,category,label,note,amount}], ms,
+// amount, projects:{[tag]:{ms,amount}} }; the weekly overtime threshold restarts every Monday, and a day's last hours
+// are its daily overtime. Paid leave (entries with leave) is its own line at straight time and never counts towards
+// overtime; pay adjustments (entries with adjustment, see /adjust) are listed as they are and included in amount.
+// Entries with prior (see priorEntries) only count towards the weekly threshold and are not paid here
+function periodPay(env, entries, r){
+  const rules = payRules(env);
+  const buckets = {}, projects = {}, adjustments = [];
+  let e = null;
+  const add = (key, ms, mult) => {
+    if (ms <= 0) return;
+    const rate = e.rate ?? r, amount = dollarsFromMs(ms, rate) * mult;
+    const b = buckets[`${key}@${rate}`] || (buckets[`${key}@${rate}`] = { key, ms: 0, mult, rate, amount: 0 });
+    b.ms += ms; b.amount += amount;
+    if (e.leave) return;
+    const p = projects[e.project || ""] || (projects[e.project || ""] = { ms: 0, amount: 0 });
+    p.ms += ms; p.amount += amount;
+  };
+  let week = null, day = null, dayMs = 0, straightSoFar = 0;
+  for (e of [...entries].sort((a, b) => a.date.localeCompare(b.date))) {
+    if (e.adjustment) {
+      const category = ADJUSTMENT_CATEGORIES[e.adjustment] ? e.adjustment : "other";
+      adjustments.push({ date: e.date, category, label: ADJUSTMENT_CATEGORIES[category], note: e.note || "", amount: e.amount });
+      continue;
+    }
+    if (e.leave) { add("leave", e.ms, 1); continue; }
+    const dayWeek = overtimeWeekStart(Date.parse(e.date + "T00:00:00Z"));
+    if (dayWeek !== week) { week = dayWeek; straightSoFar = 0; }
+    if (e.date !== day) { day = e.date; dayMs = 0; }
+    const dailyOt = rules.dailyOtMs > 0 ? Math.min(e.ms, Math.max(0, dayMs + e.ms - rules.dailyOtMs)) : 0;
+    dayMs += e.ms;
+    let straight = e.ms - dailyOt;
+    const weeklyOt = rules.weeklyOtMs > 0 ? Math.min(straight, Math.max(0, straightSoFar + straight - rules.weeklyOtMs)) : 0;
+    straightSoFar += straight;
+    straight -= weeklyOt;
+    if (e.prior) continue;
+    const dow = new Date(e.date + "T00:00:00Z").getUTCDay();
+    if (rules.holidays[e.date] && rules.holidayMult !== 1) add("holiday", straight, rules.holidayMult);
+    else if (rules.weekendDays.includes(dow) && rules.weekendMult !== 1) add("weekend", straight, rules.weekendMult);
+    else add("regular", straight, 1);
+    add("dailyOt", dailyOt, rules.dailyOtMult);
+    add("weeklyOt", weeklyOt, rules.weeklyOtMult);
+  }
+  const order = PAY_LINES.map(([k]) => k), labels = Object.fromEntries(PAY_LINES);
+  const lines = Object.values(buckets)
+    .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key) || a.rate - b.rate)
+    .map(b => ({ label: labels[b.key], ...b }));
+  const amount = lines.reduce((t, l) => t + l.amount, 0) + adjustments.reduce((t, a) => t + a.amount, 0);
+  return { lines, adjustments, ms: lines.reduce((t, l) => t + l.ms, 0), amount, projects };
+}
+function fmtPayLines(pay, r){
+  const lines = pay.lines.length ? pay.lines.map(l =>
+    `${l.label}: ${fmtHM(l.ms)} @ $${(l.rate ?? r).toFixed(2)}/hr${l.mult === 1 ? "" : ` × ${l.mult}`} = ${money(l.amount)}`
+  ) : [`Regular: 0h 0m @ $${r.toFixed(2)}/hr = ${money(0)}`];
+  return [...lines, ...(pay.adjustments || []).map(fmtAdjustment)].join("\n");
+}
+
+async function cmdHolidays(env, chatId){
+  const list = holidays(env);
+  const dates = Object.keys(list).sort();
+  if (!dates.length) return sendMessage(env, chatId, "No holidays configured (set HOLIDAYS).");
+  const mult = payRules(env).holidayMult;
+  return sendMessage(env, chatId, `Holidays (paid × ${mult}):\n` + dates.map(d => `${d}: ${list[d]}`).join("\n"));
+}
+
+/* -------------------- Breaks -------------------- */
+// Break time up to nowMs for still-running breaks; paid=true/false narrows to that kind
+function breakMs(breaks, nowMs, paid = null){
+  return (breaks || []).reduce((t, b) =>
+    paid == null || !!b.paid === paid ? t + Math.max(0, (b.endUtcMs ?? nowMs) - b.startUtcMs) : t, 0);
+}
+// Worked (paid) time = time on the clock minus unpaid breaks
+function openWorkedMs(open, nowMs){ return nowMs - open.startUtcMs - breakMs(open.breaks, nowMs, false); }
+function sessionWorkedMs(s){ return s.outUtcMs - s.inUtcMs - breakMs(s.breaks, s.outUtcMs, false); }
+// Closed breaks cut to [fromMs, toMs); undefined when nothing is left
+function clipBreaks(breaks, fromMs, toMs){
+  const out = (breaks || [])
+    .map(b => ({ ...b, startUtcMs: Math.max(b.startUtcMs, fromMs), endUtcMs: Math.min(b.endUtcMs, toMs) }))
+    .filter(b => b.endUtcMs > b.startUtcMs);
+  return out.length ? out : undefined;
+}
+// Worked time of the running session per local day so far: [{ date, ms, project, startUtcMs }]
+function openEntries(tz, open, nowMs){
+  const out = [];
+  for (let from = open.startUtcMs; from < nowMs; ) {
+    const to = Math.min(nowMs, nextMidnightUtc(tz, from));
+    const unpaid = (open.breaks || []).filter(b => !b.paid)
+      .reduce((t, b) => t + Math.max(0, Math.min(to, b.endUtcMs ?? nowMs) - Math.max(from, b.startUtcMs)), 0);
+    out.push({ date: dateKeyLocal(tz, localOf(tz, from)), ms: to - from - unpaid, project: open.project, startUtcMs: from });
+    from = to;
+  }
+  return out;
+}
+// Worked time from the Monday before startMs (local midnight) up to it, as prior entries: a week
+// that began before the period still counts those hours towards its weekly overtime (see periodPay)
+async function priorEntries(env, userId, tz, startMs, running = []){
+  const out = [];
+  for (let dayMs = overtimeWeekStart(startMs); dayMs < startMs; dayMs += 86400_000) {
+    const keyDay = dateKeyLocal(tz, dayMs);
+    const worked = [...dayEntries(keyDay, await getJSON(env.HOURS, kDay(userId, keyDay), null)), ...running.filter(e => e.date === keyDay)];
+    out.push(...worked.map(e => ({ date: e.date, ms: e.ms, prior: true })));
+  }
+  return out;
+}
+function breakLine(breaks, unpaid){
+  return breaks ? `\nBreaks: ${fmtHM(breaks)} (${fmtHM(unpaid)} unpaid)` : "";
+}
+
+async function cmdBreak(env, chatId, userId, args){
+  const tz = await userZone(env, userId);
+  const kind = (args[0] || "unpaid").toLowerCase();
+  if (kind !== "paid" && kind !== "unpaid") return sendMessage(env, chatId, "Usage: /break [paid|unpaid]");
+  const open = await getOpen(env, userId);
+  if (!open?.startUtcMs) return sendMessage(env, chatId, "You are not clocked IN. Use /in to start.");
+  open.breaks = open.breaks || [];
+  if (open.breaks.some(b => b.endUtcMs == null)) return sendMessage(env, chatId, "You are already on a break. Use /resume to continue.");
+  const { utcMs, localMs } = nowLocal(tz);
+  open.breaks.push({ startUtcMs: utcMs, paid: kind === "paid" });
+  await putJSON(env.HOURS, kOpen(userId), open);
+  await audit(env, "break", userId, { chat: chatId, after: { kind } });
+  await refreshBoards(env, userId);
+  return sendMessage(env, chatId, `${kind === "paid" ? "Paid" : "Unpaid"} break started at ${fmtClock(localMs)}. Use /resume when you are back.`);
+}
+
+async function cmdResume(env, chatId, userId){
+  const tz = await userZone(env, userId);
+  const open = await getOpen(env, userId);
+  const b = (open?.breaks || []).find(x => x.endUtcMs == null);
+  if (!b) return sendMessage(env, chatId, "You are not on a break.");
+  const { utcMs, localMs } = nowLocal(tz);
+  b.endUtcMs = utcMs;
+  await putJSON(env.HOURS, kOpen(userId), open);
+  await audit(env, "resume", userId, { chat: chatId, after: { inUtcMs: b.startUtcMs, outUtcMs: utcMs } });
+  await refreshBoards(env, userId);
+  return sendMessage(env, chatId, `Resumed at ${fmtClock(localMs)} (break ${fmtHM(utcMs - b.startUtcMs)}).`);
+}
+
+/* -------------------- Manual entries -------------------- */
+function fmtSession(tz, s){
+  const inLocal = localOf(tz, s.inUtcMs);
+  const b = s.outUtcMs != null ? breakMs(s.breaks, s.outUtcMs) : 0;
+  const end = s.outUtcMs != null
+    ? `${fmtClock(localOf(tz, s.outUtcMs))} (${fmtHM(sessionWorkedMs(s))}${b ? `, breaks ${fmtHM(b)}` : ""})`
+    : "open";
+  return `#${s.id} ${dateKeyLocal(tz, inLocal)} ${fmtClock(inLocal)}–${end}${s.project ? ` [${s.project}]` : ""}${s.adjusted ? " ✎ adjusted" : ""}`;
+}
+function parseSessionId(arg){
+  const id = Number(String(arg || "").replace(/^#/, ""));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// First session (or the running one) overlapping [inUtcMs, outUtcMs), skipping ignoreId
+async function findOverlap(env, userId, inUtcMs, outUtcMs, ignoreId = null){
+  const tz = await userZone(env, userId);
+  const open = await getOpen(env, userId);
+  for (let ms = localOf(tz, inUtcMs) - 86400_000; ms < localOf(tz, outUtcMs) + 86400_000; ms += 86400_000) {
+    const rec = await getJSON(env.HOURS, kDay(userId, dateKeyLocal(tz, ms)), null);
+    for (const s of rec?.sessions || []) {
+      if (ignoreId != null && s.id === ignoreId) continue;
+      const end = s.outUtcMs ?? Infinity;
+      if (s.inUtcMs < outUtcMs && end > inUtcMs) return s;
+    }
+  }
+  if (open?.startUtcMs && open.startUtcMs < outUtcMs) return { id: "open", inUtcMs: open.startUtcMs };
+  return null;
+}
+async function validateSession(env, userId, inUtcMs, outUtcMs, ignoreId = null){
+  if (!Number.isFinite(inUtcMs) || !Number.isFinite(outUtcMs)) return "Invalid date or time. Use YYYY-MM-DD and HH:mm.";
+  if (outUtcMs <= inUtcMs) return "End time must be after start time.";
+  const tz = await userZone(env, userId);
+  const locked = await lockedPeriod(env, userId, dateKeyLocal(tz, localOf(tz, inUtcMs)), dateKeyLocal(tz, localOf(tz, outUtcMs - 1)));
+  if (locked) return locked;
+  const clash = await findOverlap(env, userId, inUtcMs, outUtcMs, ignoreId);
+  if (clash) return clash.id === "open" ? "That overlaps your running shift." : `That overlaps shift #${clash.id}.`;
+  return null;
+}
+// Store a closed session under its local day, cut at every local midnight it crosses so each day
+// (and week and pay period) holds only its own share; later parts get their own ids
+async function insertSession(env, userId, session){
+  const tz = await userZone(env, userId);
+  const parts = [session];
+  for (let cut = nextMidnightUtc(tz, session.inUtcMs); cut < session.outUtcMs; cut = nextMidnightUtc(tz, cut)) {
+    const prev = parts[parts.length - 1];
+    const next = { ...prev, id: await nextSessionId(env, userId), inUtcMs: cut, breaks: clipBreaks(prev.breaks, cut, prev.outUtcMs) };
+    Object.assign(prev, { outUtcMs: cut, breaks: clipBreaks(prev.breaks, prev.inUtcMs, cut) });
+    parts.push(next);
+  }
+  for (const part of parts) {
+    if (!part.breaks) delete part.breaks;
+    const dayKey = dateKeyLocal(tz, localOf(tz, part.inUtcMs));
+    const rec = await getDay(env, userId, dayKey);
+    rec.sessions.push(part);
+    await putJSON(env.HOURS, kDay(userId, dayKey), recomputeTotal(rec));
+    await env.HOURS.put(kSid(userId, part.id), dayKey);
+  }
+  return parts;
+}
+// Detach a session from its day record; returns it (or null if unknown)
+async function takeSession(env, userId, id){
+  const dayKey = await env.HOURS.get(kSid(userId, id));
+  if (!dayKey) return null;
+  const rec = await getDay(env, userId, dayKey);
+  const idx = rec.sessions.findIndex(s => s.id === id);
+  if (idx < 0) return null;
+  const [session] = rec.sessions.splice(idx, 1);
+  await putJSON(env.HOURS, kDay(userId, dayKey), recomputeTotal(rec));
+  await env.HOURS.delete(kSid(userId, id));
+  await env.HOURS.delete(kReview(userId, id)); // an edit or delete settles any review
+  return session;
+}
+async function findSession(env, userId, id){
+  const dayKey = await env.HOURS.get(kSid(userId, id));
+  if (!dayKey) return null;
+  const rec = await getDay(env, userId, dayKey);
+  const session = rec.sessions.find(s => s.id === id);
+  return session ? { session, dayKey } : null;
+}
+
+async function cmdShifts(env, chatId, userId){
+  const tz = await userZone(env, userId);
+  const { localMs } = nowLocal(tz);
+  const start = weekStartLocal(tz, localMs);
+  const flagged = new Set((await listReviews(env, userId)).map(s => s.id));
+  const lines = [];
+  for (let i = 0; i < 7; i++) {
+    const rec = await getDay(env, userId, dateKeyLocal(tz, start + i*86400_000));
+    for (const s of rec.sessions) lines.push(fmtSession(tz, s) + (flagged.has(s.id) ? " ⚠️ review" : ""));
+  }
+  return sendMessage(env, chatId, lines.length ? "This week’s shifts:\n" + lines.join("\n") : "No shifts this week.");
+}
+
+async function cmdAdd(env, chatId, userId, args){
+  const tz = await userZone(env, userId);
+  const [date, start, end, tag] = args;
+  if (!end) return sendMessage(env, chatId, "Usage: /add <YYYY-MM-DD> <HH:mm> <HH:mm> [project]\nExample: /add 2025-09-01 09:00 17:30 acme-website");
+  const project = tag ? normalizeProject(tag) : null;
+  if (tag && !project) return sendMessage(env, chatId, PROJECT_USAGE);
+  const inUtcMs = parseLocalDateTime(tz, date, start);
+  const outUtcMs = parseLocalDateTime(tz, date, end);
+  const err = await validateSession(env, userId, inUtcMs, outUtcMs);
+  if (err) return sendMessage(env, chatId, err);
+  const session = { id: await nextSessionId(env, userId), inUtcMs, outUtcMs, ...(project ? { project } : {}) };
+  const parts = await insertSession(env, userId, session);
+  await audit(env, "add", userId, { chat: chatId, after: parts.map(auditSession) });
+  return sendMessage(env, chatId, `Added ${parts.map(s => fmtSession(tz, s)).join("\n")}`);
+}
+
+async function cmdEdit(env, chatId, userId, args){
+  const tz = await userZone(env, userId);
+  const [idArg, ...rest] = args;
+  const id = parseSessionId(idArg);
+  if (!id || rest.length < 2) return sendMessage(env, chatId, "Usage: /edit <id> [YYYY-MM-DD] <HH:mm> <HH:mm>\nExample: /edit 12 09:15 17:30");
+  const found = await findSession(env, userId, id);
+  if (!found) return sendMessage(env, chatId, `Shift #${id} not found.`);
+  if (found.session.outUtcMs == null) return sendMessage(env, chatId, `Shift #${id} is still open. Use /out first.`);
+  const locked = await lockedPeriod(env, userId, found.dayKey);
+  if (locked) return sendMessage(env, chatId, locked);
+  const [date, start, end] = rest.length >= 3 ? rest : [found.dayKey, ...rest];
+  const inUtcMs = parseLocalDateTime(tz, date, start);
+  const outUtcMs = parseLocalDateTime(tz, date, end);
+  const err = await validateSession(env, userId, inUtcMs, outUtcMs, id);
+  if (err) return sendMessage(env, chatId, err);
+  const session = await takeSession(env, userId, id);
+  Object.assign(session, { inUtcMs, outUtcMs, breaks: clipBreaks(session.breaks, inUtcMs, outUtcMs) });
+  const parts = await insertSession(env, userId, session);
+  await audit(env, "edit", userId, { chat: chatId, before: auditSession(found.session), after: parts.map(auditSession) });
+  return sendMessage(env, chatId, `Updated ${parts.map(s => fmtSession(tz, s)).join("\n")}`);
+}
+
+async function cmdDel(env, chatId, userId, args){
+  const tz = await userZone(env, userId);
+  const id = parseSessionId(args[0]);
+  if (!id) return sendMessage(env, chatId, "Usage: /del <id> (see /shifts for IDs)");
+  const found = await findSession(env, userId, id);
+  if (!found) return sendMessage(env, chatId, `Shift #${id} not found.`);
+  const locked = await lockedPeriod(env, userId, found.dayKey);
+  if (locked) return sendMessage(env, chatId, locked);
+  const session = await takeSession(env, userId, id);
+  if (session.outUtcMs == null) await env.HOURS.delete(kOpen(userId));
+  await audit(env, "del", userId, { chat: chatId, before: auditSession(session) });
+  return sendMessage(env, chatId, `Deleted ${fmtSession(tz, session)}`);
+}
+
+/* -------------------- Forgotten clock-outs -------------------- */
+// Runs with the hourly cron: one reminder after REMIND_AFTER_HOURS on the clock; at MAX_SHIFT_HOURS the
+// session is closed at start + max and kept under review:<u>:<id> until /confirm, /edit or /del
+function openShiftLimits(env){
+  return { remindMs: envNum(env, "REMIND_AFTER_HOURS", 10) * 3600_000, maxMs: envNum(env, "MAX_SHIFT_HOURS", 16) * 3600_000 };
+}
+async function checkOpenShifts(env){
+  const { remindMs, maxMs } = openShiftLimits(env);
   let cursor = undefined;
   do {
     const list = await env.HOURS.list({ prefix: "meta:", cursor });
     for (const item of list.keys) {
       const userId = item.name.split(":")[1];
+      const open = await getOpen(env, userId);
+      if (!open?.startUtcMs) continue;
       const meta = await getJSON(env.HOURS, item.name, { chats: [] });
-      if (!meta.chats.length) continue;
+      // prefer the private chat for personal nudges
+      const dm = meta.chats.filter(c => String(c) === userId);
+      const chats = dm.length ? dm : meta.chats;
+      const tz = await userZone(env, userId);
+      const age = Date.now() - open.startUtcMs;
+      if (maxMs > 0 && age >= maxMs) {
+        const outUtcMs = open.startUtcMs + maxMs;
+        const { parts } = await closeSession(env, userId, tz, open, outUtcMs);
+        for (const s of parts) await putJSON(env.HOURS, kReview(userId, s.id), s);
+        await audit(env, "autoclose", userId, {
+          actor: null, before: auditSession({ id: open.id, inUtcMs: open.startUtcMs, project: open.project }), after: parts.map(auditSession),
+        });
+        await refreshBoards(env, userId);
+        const text = `⚠️ Your shift was still open after ${fmtHM(maxMs)}, so it was closed and flagged for review:\n` +
+          parts.map(s => fmtSession(tz, s)).join("\n") + "\n" +
+          (parts.length > 1 ? "Use /confirm if that is right, or /edit <id> to fix a part." : `Use /confirm ${parts[0].id} if that is right, or /edit ${parts[0].id} to fix it.`);
+        for (const chatId of chats) await sendMessage(env, chatId, text);
+      } else if (remindMs > 0 && age >= remindMs && !open.remindedAt) {
+        open.remindedAt = Date.now();
+        await putJSON(env.HOURS, kOpen(userId), open);
+        const text = `⏰ You have been clocked in since ${fmtClock(localOf(tz, open.startUtcMs))} (${fmtHM(age)}). Forgot to /out?`;
+        for (const chatId of chats) await sendMessage(env, chatId, text);
+      }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+}
+async function listReviews(env, userId){
+  const out = [];
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: kReview(userId, ""), cursor });
+    for (const k of list.keys) { const s = await getJSON(env.HOURS, k.name, null); if (s) out.push(s); }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return out.sort((a, b) => a.inUtcMs - b.inUtcMs);
+}
+// Flagged sessions starting on local days startKey..endKey, as a block to append to a reply
+async function reviewLines(env, userId, tz, startKey, endKey){
+  const hits = (await listReviews(env, userId)).filter(s => {
+    const day = dateKeyLocal(tz, localOf(tz, s.inUtcMs));
+    return day >= startKey && day <= endKey;
+  });
+  if (!hits.length) return "";
+  return "\n⚠️ Needs review (auto-closed, use /confirm <id> or /edit <id>):\n" + hits.map(s => fmtSession(tz, s)).join("\n");
+}
+async function cmdConfirm(env, chatId, userId, args){
+  const id = args[0] ? parseSessionId(args[0]) : null;
+  if (args[0] && !id) return sendMessage(env, chatId, "Usage: /confirm [id]");
+  const reviews = (await listReviews(env, userId)).filter(s => id == null || s.id === id);
+  if (!reviews.length) return sendMessage(env, chatId, id ? `Shift #${id} is not waiting for review.` : "Nothing is waiting for review.");
+  for (const s of reviews) await env.HOURS.delete(kReview(userId, s.id));
+  await audit(env, "confirm", userId, { chat: chatId, after: { id: id ?? "all", shifts: reviews.length } });
+  return sendMessage(env, chatId, `Confirmed ${reviews.length} shift(s) ✅`);
+}
+
+/* -------------------- Schedules -------------------- */
+// Expected shifts set by managers with /schedule: one-off on `day`, or weekly on `weekday` (0 = Sunday) from
+// `from` until `until` (exclusive). Times are HH:mm in the user's zone; an end at or before the start is on
+// the next day. The 5-minute cron reminds people SCHEDULE_REMIND_MINUTES before a start and tells their
+// managers when nobody clocked in LATE_GRACE_MINUTES after it (0 = off).
+const kSched = (u) => `sched:${u}`; // { rules:[{ id, day?, weekday?, from, until?, start, end, project?, by, at }] }
+const kSchedSeq = "schedseq";
+const SCHEDULE_CRON = "*/5 * * * *"; // must match the second trigger in wrangler.toml       // last scheduled shift id handed out
+const kSchedSent = (u, id, day, kind) => `schedsent:${u}:${id}:${day}:${kind}`; // reminder / no-show sent, expires after 2 days
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const SCHEDULE_USAGE = "Usage: /schedule [@user]\n/schedule add [@user] <YYYY-MM-DD | mon | mon-fri | sat,sun> <HH:mm> <HH:mm> [project]\n/schedule del <id>\nExample: /schedule add @anna mon-fri 09:00 17:00 acme-website";
+
+function scheduleLimits(env){
+  return { remindMs: envNum(env, "SCHEDULE_REMIND_MINUTES", 30) * 60_000, graceMs: envNum(env, "LATE_GRACE_MINUTES", 15) * 60_000 };
+}
+// "mon", "monday", "mon,wed,fri" or "mon-fri" as weekdays (0 = Sunday); null if malformed
+function parseWeekdays(spec){
+  const days = new Set();
+  const day = (name) => WEEKDAYS.findIndex(d => d === name || d.slice(0, 3) === name);
+  for (const part of String(spec || "").toLowerCase().split(",")) {
+    const [from, to = from] = part.split("-").map(day);
+    if (from < 0 || to < 0) return null;
+    for (let d = from; ; d = (d + 1) % 7) { days.add(d); if (d === to) break; }
+  }
+  return [...days].sort((a, b) => (a || 7) - (b || 7)); // Monday first
+}
+// "09:00" for "9:00", null if not a time of day
+function normalizeTime(t){
+  const m = /^(\d{1,2}):(\d{2})$/.exec(t || "");
+  return m && Number(m[1]) <= 23 && Number(m[2]) <= 59 ? `${m[1].padStart(2, "0")}:${m[2]}` : null;
+}
+function fmtRule(r){
+  const when = r.day ? r.day : `every ${WEEKDAYS[r.weekday][0].toUpperCase()}${WEEKDAYS[r.weekday].slice(1)}`;
+  return `#${r.id} ${when} ${r.start}–${r.end}${r.project ? ` [${r.project}]` : ""}`;
+}
+// "Mon 2025-09-01 09:00–17:00 [acme]"
+function fmtScheduled(o){
+  const d = WEEKDAYS[new Date(`${o.day}T00:00:00Z`).getUTCDay()];
+  return `${d[0].toUpperCase()}${d.slice(1, 3)} ${o.day} ${o.start}–${o.end}${o.project ? ` [${o.project}]` : ""}`;
+}
+async function getRules(env, userId){ return (await getJSON(env.HOURS, kSched(userId), { rules: [] })).rules; }
+// The user's scheduled shifts starting on local days startKey..endKey, in start order
+async function scheduledShifts(env, userId, tz, startKey, endKey){
+  const rules = await getRules(env, userId);
+  const out = [];
+  const hm = (t) => Number(t.slice(0, 2)) * 3600_000 + Number(t.slice(3)) * 60_000;
+  for (let dayMs = Date.parse(`${startKey}T00:00:00Z`); dateKeyLocal(tz, dayMs) <= endKey; dayMs += 86400_000) {
+    const day = dateKeyLocal(tz, dayMs);
+    for (const r of rules) {
+      const applies = r.day ? r.day === day
+        : r.weekday === new Date(dayMs).getUTCDay() && day >= r.from && (!r.until || day < r.until);
+      if (!applies) continue;
+      const endDay = r.end > r.start ? dayMs : dayMs + 86400_000;
+      out.push({ id: r.id, user: userId, day, start: r.start, end: r.end, project: r.project,
+        startUtcMs: utcOf(tz, dayMs + hm(r.start)), endUtcMs: utcOf(tz, endDay + hm(r.end)) });
+    }
+  }
+  return out.sort((a, b) => a.startUtcMs - b.startUtcMs);
+}
+// Earliest clock-in of a session (or the running one) overlapping a scheduled shift; null if none
+async function firstPunch(env, userId, tz, o){
+  const now = Date.now();
+  const sessions = [];
+  for (const dayMs of [Date.parse(`${o.day}T00:00:00Z`), Date.parse(`${o.day}T00:00:00Z`) + 86400_000]) {
+    sessions.push(...((await getJSON(env.HOURS, kDay(userId, dateKeyLocal(tz, dayMs)), null))?.sessions || []));
+  }
+  const open = await getOpen(env, userId);
+  if (open?.startUtcMs) sessions.push({ inUtcMs: open.startUtcMs });
+  const hits = sessions.filter(s => s.inUtcMs < o.endUtcMs && (s.outUtcMs ?? now) > o.startUtcMs).map(s => s.inUtcMs);
+  return hits.length ? Math.min(...hits) : null;
+}
+// Scheduled vs. worked time over local days startKey..endKey, with late and missed shifts ("" if nothing
+// was scheduled yet). Only shifts that have ended count towards the scheduled time.
+async function scheduleLines(env, userId, tz, startKey, endKey, workedMs){
+  const now = Date.now(), { graceMs } = scheduleLimits(env);
+  const shifts = (await scheduledShifts(env, userId, tz, startKey, endKey)).filter(o => o.startUtcMs <= now);
+  if (!shifts.length) return "";
+  const scheduled = shifts.filter(o => o.endUtcMs <= now).reduce((t, o) => t + o.endUtcMs - o.startUtcMs, 0);
+  const diff = workedMs - scheduled;
+  const lines = [`📅 Scheduled: ${fmtHM(scheduled)}, worked ${fmtHM(workedMs)} (${diff < 0 ? "−" : "+"}${fmtHM(Math.abs(diff))})`];
+  for (const o of shifts) {
+    const first = await firstPunch(env, userId, tz, o);
+    if (first == null && now >= o.startUtcMs + graceMs) lines.push(`Missed: ${fmtScheduled(o)}`);
+    else if (first != null && first > o.startUtcMs + graceMs) lines.push(`Late: ${fmtScheduled(o)} (+${minutes(first - o.startUtcMs)} min)`);
+  }
+  return "\n" + lines.join("\n");
+}
+
+// /schedule [@user] · /schedule add [@user] <date|weekdays> <start> <end> [project] · /schedule del <id>
+// Everyone sees their own schedule; managers see and change those of the people they manage
+async function cmdSchedule(env, msg, chatId, userId, role, args){
+  const action = /^(add|del)$/i.test(args[0] || "") ? args.shift().toLowerCase() : null;
+  if (action && !hasRole(role, "manager")) return sendMessage(env, chatId, "⛔ Only managers can change schedules.");
 
-      // Sum the week + build CSV (Date,Sessions,Total,Minutes)
-      let total = 0;
-      const rows = [["Date","Sessions","Total (h:m)","Minutes"]];
-      for (let i = 0; i < 7; i++) {
-        const dayMs = start + i*86400_000;
-        const dayKey = dateKeyLocal(env, dayMs);
-        const rec = await getJSON(env.HOURS, kDay(userId, dayKey), null);
-        const t = rec?.totalMs || 0;
-        total += t;
-        rows.push([dayKey, String(rec?.sessions?.length || 0), fmtHM(t), String(minutes(t))]);
+  if (action === "del") {
+    const id = parseSessionId(args[0]);
+    if (!id) return sendMessage(env, chatId, SCHEDULE_USAGE);
+    let cursor = undefined;
+    do {
+      const list = await env.HOURS.list({ prefix: "sched:", cursor });
+      for (const k of list.keys) {
+        const owner = k.name.slice("sched:".length);
+        const rules = await getRules(env, owner);
+        const r = rules.find(x => x.id === id);
+        if (!r) continue;
+        if (!canManage(role, await userRole(env, owner))) return sendMessage(env, chatId, "Only owners can change the schedules of managers and owners.");
+        // a weekly shift that already applied ends today, so past weeks keep their schedule
+        const tz = await userZone(env, owner);
+        const today = dateKeyLocal(tz, nowLocal(tz).localMs);
+        const before = { schedule: fmtRule(r) };
+        if (r.weekday != null && r.from < today) r.until = today;
+        else rules.splice(rules.indexOf(r), 1);
+        await putJSON(env.HOURS, kSched(owner), { rules });
+        await audit(env, "schedule_del", owner, { actor: userId, chat: chatId, before });
+        return sendMessage(env, chatId, `Removed scheduled shift #${id} ✅`);
       }
-      // include any running session up to end of week
-      const open = await getOpen(env, userId);
-      if (open?.startUtcMs) {
-        const extra = Math.max(0, Math.min(utcMs, end) - open.startUtcMs);
-        if (extra > 0) {
-          total += extra;
-          const lastIdx = rows.length - 1;
-          // add note by appending "(+running)" to last row total
-          rows[lastIdx][2] = rows[lastIdx][2] + " (+running)";
+      cursor = list.list_complete ? undefined : list.cursor;
+    } while (cursor);
+    return sendMessage(env, chatId, `Scheduled shift #${id} not found.`);
+  }
+
+  const target = await commandTarget(env, msg, userId, /^(@\w+|\d+)$/.test(args[0] || "") ? args.shift() : null);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (target !== userId && !hasRole(role, "manager")) return sendMessage(env, chatId, "You can only see your own schedule.");
+  const tz = await userZone(env, target);
+  const today = dateKeyLocal(tz, nowLocal(tz).localMs);
+
+  if (action === "add") {
+    const [when, startArg, endArg, tag] = args;
+    if (!endArg) return sendMessage(env, chatId, SCHEDULE_USAGE);
+    if (!canManage(role, await userRole(env, target))) {
+      return sendMessage(env, chatId, "Only owners can schedule managers and owners (including themselves).");
+    }
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(when) && Number.isFinite(parseLocalDateTime(tz, when, "12:00")) ? when : null;
+    const weekdays = day ? [null] : parseWeekdays(when);
+    if (!weekdays) return sendMessage(env, chatId, SCHEDULE_USAGE);
+    const start = normalizeTime(startArg), end = normalizeTime(endArg);
+    if (!start || !end) return sendMessage(env, chatId, "Times are HH:mm, e.g. 09:00 17:30.");
+    if (start === end) return sendMessage(env, chatId, "A scheduled shift needs an end different from its start.");
+    const project = tag ? normalizeProject(tag) : null;
+    if (tag && !project) return sendMessage(env, chatId, PROJECT_USAGE);
+    const rules = await getRules(env, target);
+    const added = [];
+    for (const weekday of weekdays) {
+      const id = (Number(await env.HOURS.get(kSchedSeq)) || 0) + 1;
+      await env.HOURS.put(kSchedSeq, String(id));
+      const r = day ? { id, day, from: day } : { id, weekday, from: today };
+      Object.assign(r, { start, end, ...(project ? { project } : {}), by: userId, at: Date.now() });
+      rules.push(r);
+      added.push(fmtRule(r));
+    }
+    await putJSON(env.HOURS, kSched(target), { rules });
+    await audit(env, "schedule_add", target, { actor: userId, chat: chatId, after: { schedule: added } });
+    return sendMessage(env, chatId, `Scheduled for ${await userLabel(env, target)} ✅\n${added.join("\n")}`);
+  }
+
+  const who = target === userId ? "you" : await userLabel(env, target);
+  const active = (await getRules(env, target))
+    .filter(r => r.day ? r.day >= today : !r.until || r.until > today)
+    .sort((a, b) => !!a.day - !!b.day || ((a.weekday || 7) - (b.weekday || 7)) || String(a.day).localeCompare(String(b.day)) || a.start.localeCompare(b.start));
+  if (!active.length) return sendMessage(env, chatId, `No shifts scheduled for ${who}.`);
+  const weekAhead = dateKeyLocal(tz, Date.parse(`${today}T00:00:00Z`) + 6 * 86400_000);
+  const upcoming = (await scheduledShifts(env, target, tz, today, weekAhead)).filter(o => o.endUtcMs > Date.now());
+  return sendMessage(env, chatId, `📅 Scheduled for ${who} (${zoneLabel(tz)}):\n${active.map(fmtRule).join("\n")}\n\nComing up:\n` +
+    (upcoming.length ? upcoming.map(fmtScheduled).join("\n") : "Nothing in the next 7 days."));
+}
+
+// Runs every 5 minutes: each reminder and no-show alert goes out once per scheduled shift and day
+async function checkSchedules(env){
+  const { remindMs, graceMs } = scheduleLimits(env);
+  const now = Date.now();
+  const once = async (o, kind) => {
+    const key = kSchedSent(o.user, o.id, o.day, kind);
+    if (await env.HOURS.get(key)) return false;
+    await env.HOURS.put(key, "1", { expirationTtl: 2 * 86400 });
+    return true;
+  };
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: "sched:", cursor });
+    for (const k of list.keys) {
+      const userId = k.name.slice("sched:".length);
+      const tz = await userZone(env, userId);
+      const { localMs } = nowLocal(tz);
+      // yesterday for overnight shifts, tomorrow for reminders just before midnight
+      const shifts = await scheduledShifts(env, userId, tz, dateKeyLocal(tz, localMs - 86400_000), dateKeyLocal(tz, localMs + 86400_000));
+      for (const o of shifts) {
+        if (now >= o.endUtcMs) continue;
+        if (now < o.startUtcMs) {
+          if (remindMs <= 0 || now < o.startUtcMs - remindMs || (await getOpen(env, userId))?.startUtcMs || !(await once(o, "reminder"))) continue;
+          const meta = await getJSON(env.HOURS, kMeta(userId), { chats: [] });
+          const dm = meta.chats.filter(c => String(c) === userId);
+          for (const chatId of dm.length ? dm : meta.chats) {
+            await sendMessage(env, chatId, `📅 Reminder: you are scheduled ${fmtScheduled(o)}. Send /in${o.project ? ` ${o.project}` : ""} when you start.`);
+          }
+        } else if (graceMs > 0 && now >= o.startUtcMs + graceMs) {
+          if (await firstPunch(env, userId, tz, o) != null || !(await once(o, "noshow"))) continue;
+          const text = `🚨 ${await userLabel(env, userId)} has not clocked in for their shift ${fmtScheduled(o)} (${minutes(graceMs)} min past the start).`;
+          for (const id of await timesheetApprovers(env, userId)) await sendMessage(env, Number(id), text);
         }
       }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+}
 
-      const r = await userRate(env, userId);
-const mins = minutes(total);
-const pay  = money(dollarsFromMs(total, r));
-const summary = `Weekly summary (last local week)
-Total: ${fmtHM(total)} (${mins} mins)
-Pay @ $${r.toFixed(2)}/hr: ${pay}
-
-✅ Reset for new week.`;
+/* -------------------- Weekly targets -------------------- */
+// /target <hours|off> [cap] [@user] keeps a weekly minimum and maximum in cfg:<user> (target, cap). The 5-minute cron
+// tells people when they reach the target, come within TARGET_CAP_WARN_HOURS of the cap, or still miss the target
+// with fewer than TARGET_BEHIND_DAYS_LEFT days of the week to go (0 = off); each once a week.
+const kTargetSent = (u, week, kind) => `targetsent:${u}:${week}:${kind}`; // kind: reached | cap | behind; expires after 8 days
+const TARGET_KINDS = ["reached", "cap", "behind"];
+const TARGET_USAGE = "Usage: /target <hours|off> [cap] [@user], e.g. /target 30 or /target 30 40 (only a cap: /target - 40)";
 
+function targetLimits(env){
+  return { capWarnMs: envNum(env, "TARGET_CAP_WARN_HOURS", 2) * 3600_000, behindDaysLeft: envNum(env, "TARGET_BEHIND_DAYS_LEFT", 2) };
+}
+// This week's worked time (running session included) against the user's target and cap in ms (null = none)
+async function weekProgress(env, userId, tz){
+  const { utcMs, localMs } = nowLocal(tz);
+  const start = weekStartLocal(tz, localMs);
+  const cfg = await getCfg(env, userId);
+  const open = await getOpen(env, userId);
+  const running = open?.startUtcMs ? openEntries(tz, open, utcMs) : [];
+  let total = 0;
+  for (let i = 0; i < 7; i++) {
+    const keyDay = dateKeyLocal(tz, start + i*86400_000);
+    total += (await getJSON(env.HOURS, kDay(userId, keyDay), null))?.totalMs || 0;
+    for (const e of running) if (e.date === keyDay) total += e.ms;
+  }
+  return {
+    week: dateKeyLocal(tz, start), totalMs: total,
+    targetMs: cfg.target ? cfg.target * 3600_000 : null, capMs: cfg.cap ? cfg.cap * 3600_000 : null,
+    elapsedMs: localMs - start, leftMs: start + 7*86400_000 - localMs,
+  };
+}
+// Progress, what is left and where the current pace ends up ("" without a target or cap)
+function targetLines(tz, p){
+  if (p.targetMs == null && p.capMs == null) return "";
+  const lines = [];
+  if (p.targetMs != null && p.totalMs >= p.targetMs) lines.push(`🎯 Weekly target ${fmtHM(p.targetMs)} reached ✅ (${fmtHM(p.totalMs)} so far)`);
+  else if (p.targetMs != null) {
+    const left = p.targetMs - p.totalMs, pace = p.totalMs / p.elapsedMs; // worked ms per ms of the week so far
+    lines.push(`🎯 Weekly target ${fmtHM(p.targetMs)}: ${fmtHM(p.totalMs)} done (${Math.floor(100 * p.totalMs / p.targetMs)}%), ${fmtHM(left)} to go`);
+    if (pace > 0 && left / pace < p.leftMs) {
+      const finish = localOf(tz, Date.now() + left / pace), d = WEEKDAYS[new Date(finish).getUTCDay()];
+      lines.push(`At your pace (${fmtHM(pace * 86400_000)}/day) you reach it ${d[0].toUpperCase()}${d.slice(1, 3)} ${fmtClock(finish)}`);
+    } else if (p.leftMs > 0) {
+      lines.push(`At your pace you end the week at ${fmtHM(p.totalMs + pace * p.leftMs)}; ${fmtHM(left / p.leftMs * 86400_000)}/day needed`);
+    }
+  }
+  if (p.capMs != null) lines.push(p.totalMs >= p.capMs ? `🛑 Weekly cap ${fmtHM(p.capMs)} reached` : `Cap ${fmtHM(p.capMs)}: ${fmtHM(p.capMs - p.totalMs)} left`);
+  return "\n" + lines.join("\n");
+}
 
-      // CSV
-      const csv = rows.map(r => r.map(x => {
-        const s = String(x);
-        return s.includes(",") ? `"${s.replace(/"/g,'""')}"` : s;
-      }).join(",")).join("\n");
-      const fname = `workweek_${dateKeyLocal(env, start)}.csv`;
+async function cmdTarget(env, msg, chatId, userId, role, args){
+  const ref = /^@/.test(args[args.length - 1] || "") ? args.pop() : null;
+  const target = await commandTarget(env, msg, userId, ref);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  const self = target === userId, tz = await userZone(env, target);
+  const who = self ? "" : await userLabel(env, target);
+  if (!args.length) {
+    const lines = targetLines(tz, await weekProgress(env, target, tz));
+    if (!lines) return sendMessage(env, chatId, `${self ? "You have" : `${who} has`} no weekly target.\n${TARGET_USAGE}`);
+    return sendMessage(env, chatId, `${self ? "Your" : `${who}’s`} week so far:${lines}`);
+  }
+  if (!self && !(hasRole(role, "manager") && canManage(role, await userRole(env, target)))) {
+    return sendMessage(env, chatId, "Only managers can set someone else’s target (owners for managers and owners).");
+  }
+  const off = /^off$/i.test(args[0]);
+  const hours = (v) => (v == null || v === "-" ? null : Number(v));
+  const [min, max] = off ? [null, null] : [hours(args[0]), hours(args[1])];
+  if ([min, max].some(h => h !== null && !(Number.isFinite(h) && h > 0 && h <= 168)) || (min == null && max == null && !off)) {
+    return sendMessage(env, chatId, TARGET_USAGE);
+  }
+  if (min != null && max != null && max < min) return sendMessage(env, chatId, "The cap must be at least the target.");
+  const cfg = await getCfg(env, target);
+  delete cfg.target; delete cfg.cap;
+  if (min != null) cfg.target = min;
+  if (max != null) cfg.cap = max;
+  await putCfg(env, target, cfg);
+  // notifications start over for the new numbers
+  const week = dateKeyLocal(tz, weekStartLocal(tz, nowLocal(tz).localMs));
+  for (const kind of TARGET_KINDS) await env.HOURS.delete(kTargetSent(target, week, kind));
+  const text = off ? "Weekly target cleared." : min == null ? `Weekly cap: ${max}h ✅` : `Weekly target: ${min}h${max != null ? `, cap ${max}h` : ""} ✅`;
+  return sendMessage(env, chatId, self ? text : `${who}: ${text}`);
+}
 
-      // Send to all chats this user used
-      for (const chatId of meta.chats) {
-        await sendMessage(env, chatId, summary);
-        await sendDocument(env, chatId, fname, csv, "text/csv");
+// Runs every 5 minutes for everyone with a target or cap in their cfg
+async function checkTargets(env){
+  const { capWarnMs, behindDaysLeft } = targetLimits(env);
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: "cfg:", cursor });
+    for (const k of list.keys) {
+      const userId = k.name.slice("cfg:".length);
+      const cfg = await getJSON(env.HOURS, k.name, {});
+      if (!cfg.target && !cfg.cap) continue;
+      const tz = await userZone(env, userId);
+      const p = await weekProgress(env, userId, tz);
+      const notes = [];
+      if (p.targetMs != null && p.totalMs >= p.targetMs) notes.push(["reached", `🎯 You reached your weekly target: ${fmtHM(p.totalMs)} of ${fmtHM(p.targetMs)} ✅`]);
+      else if (p.targetMs != null && behindDaysLeft > 0 && p.leftMs < behindDaysLeft * 86400_000) {
+        const left = p.targetMs - p.totalMs;
+        notes.push(["behind", `⏳ You are behind your weekly target: ${fmtHM(p.totalMs)} of ${fmtHM(p.targetMs)}, ${fmtHM(left)} to go in ${(p.leftMs / 86400_000).toFixed(1)} days (${fmtHM(left / p.leftMs * 86400_000)}/day).`]);
+      }
+      if (p.capMs != null && capWarnMs > 0 && p.totalMs >= p.capMs - capWarnMs) {
+        notes.push(["cap", p.totalMs < p.capMs ? `⚠️ ${fmtHM(p.capMs - p.totalMs)} left before your weekly cap of ${fmtHM(p.capMs)} (${fmtHM(p.totalMs)} so far).`
+                                               : `🛑 You reached your weekly cap of ${fmtHM(p.capMs)} (${fmtHM(p.totalMs)} so far).`]);
       }
+      for (const [kind, text] of notes) {
+        if (await env.HOURS.get(kTargetSent(userId, p.week, kind))) continue;
+        await env.HOURS.put(kTargetSent(userId, p.week, kind), "1", { expirationTtl: 8 * 86400 });
+        const meta = await getJSON(env.HOURS, kMeta(userId), { chats: [] });
+        const dm = meta.chats.filter(c => String(c) === userId);
+        for (const chatId of dm.length ? dm : meta.chats) await sendMessage(env, chatId, text);
+      }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+}
+
+/* -------------------- Leave -------------------- */
+// /leave <type> <date> [hours] [@user] records a day off. LEAVE_TYPES ("vacation:paid:20,sick:paid:10,holiday:paid,unpaid:unpaid",
+// type:paid|unpaid:days a year, no days = unlimited) says which types are paid and their default yearly allowance;
+// /setallowance overrides it per person (cfg.leave). Paid leave is its own pay line at the rate of its day.
+const kLeave = (u) => `leave:${u}`; // { seq, entries:[{ id, kind, date, hours, paid, by, at }] }, kept for the yearly balances
+
+function leaveTypes(env){
+  const out = {};
+  for (const item of String(env.LEAVE_TYPES || "vacation:paid:20,sick:paid:10,holiday:paid,unpaid:unpaid").split(",")) {
+    const [name, paid, days] = item.trim().toLowerCase().split(":");
+    if (!/^[a-z][a-z0-9_-]{0,19}$/.test(name || "") || name === "work" || name === "adjustment") continue; // export types
+    const allowance = days ? Number(days) : NaN;
+    out[name] = { paid: paid !== "unpaid", allowance: Number.isFinite(allowance) ? allowance : null };
+  }
+  return out;
+}
+function leaveDayHours(env){ return envNum(env, "LEAVE_DAY_HOURS", 8); }
+function leaveUsage(env){
+  return "Usage: /leave <type> <YYYY-MM-DD|today|yesterday> [hours] [@user], e.g. /leave vacation 2025-12-24 or /leave sick today 4\n" +
+    `Types: ${Object.keys(leaveTypes(env)).join(", ")}. A day counts as ${leaveDayHours(env)}h. /leave del <id> removes an entry.`;
+}
+// The user's leave on local days startKey..endKey, in date order
+async function listLeave(env, userId, startKey, endKey){
+  const rec = await getJSON(env.HOURS, kLeave(userId), { entries: [] });
+  return rec.entries.filter(l => l.date >= startKey && l.date <= endKey).sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+}
+// Paid leave as periodPay entries (withRates prices them at their day's start)
+function leavePayEntries(list){ return list.filter(l => l.paid).map(l => ({ date: l.date, ms: l.hours * 3600_000, leave: l.kind })); }
+function fmtLeave(l){ return `#${l.id} ${l.date} ${l.kind} ${+l.hours.toFixed(2)}h${l.paid ? "" : " (unpaid)"}`; }
+function fmtDays(days){ return days == null ? "unlimited" : `${+days.toFixed(2)} day${days === 1 ? "" : "s"}`; }
+// Yearly allowance in days (null = unlimited): the person's own, else the LEAVE_TYPES default
+function leaveAllowance(env, cfg, kind){ return cfg.leave?.[kind] ?? leaveTypes(env)[kind]?.allowance ?? null; }
+// Per type (configured ones, plus any dropped from LEAVE_TYPES but still on record) for a calendar year:
+// [{ kind, paid, allowance, usedHours, usedDays, leftDays }], allowance and leftDays null = unlimited
+async function leaveBalance(env, userId, year){
+  const types = leaveTypes(env), cfg = await getCfg(env, userId), used = {};
+  for (const l of await listLeave(env, userId, `${year}-01-01`, `${year}-12-31`)) used[l.kind] = (used[l.kind] || 0) + l.hours;
+  return [...new Set([...Object.keys(types), ...Object.keys(used)])].map(kind => {
+    const allowance = leaveAllowance(env, cfg, kind), usedHours = used[kind] || 0, usedDays = usedHours / leaveDayHours(env);
+    return { kind, paid: types[kind]?.paid ?? null, allowance, usedHours, usedDays, leftDays: allowance == null ? null : allowance - usedDays };
+  });
+}
+// Managers record and see the leave of people they manage; everyone their own
+async function managesLeave(env, userId, role, target){
+  return target === userId || (hasRole(role, "manager") && canManage(role, await userRole(env, target)));
+}
+
+async function cmdLeave(env, msg, chatId, userId, role, args){
+  const ref = /^(@\S+|\d{5,})$/.test(args[args.length - 1] || "") ? args.pop() : null;
+  const target = await commandTarget(env, msg, userId, ref);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (!(await managesLeave(env, userId, role, target))) {
+    return sendMessage(env, chatId, "Only managers can see or record someone else’s leave (owners for managers and owners).");
+  }
+  const self = target === userId, tz = await userZone(env, target);
+  const who = self ? "" : await userLabel(env, target);
+  const rec = await getJSON(env.HOURS, kLeave(target), { seq: 0, entries: [] });
+
+  if (!args.length) {
+    const year = dateKeyLocal(tz, nowLocal(tz).localMs).slice(0, 4);
+    const list = await listLeave(env, target, `${year}-01-01`, `${year}-12-31`);
+    const whose = self ? "Your" : `${who}’s`;
+    if (!list.length) return sendMessage(env, chatId, `${whose} leave in ${year}: none.\n${leaveUsage(env)}`);
+    return sendMessage(env, chatId, `${whose} leave in ${year}:\n${list.map(fmtLeave).join("\n")}`);
+  }
+  if (/^del(ete)?$/i.test(args[0])) {
+    const i = rec.entries.findIndex(l => String(l.id) === args[1]);
+    if (i < 0) return sendMessage(env, chatId, `Leave #${args[1] || "?"} not found.`);
+    const locked = await lockedPeriod(env, target, rec.entries[i].date);
+    if (locked) return sendMessage(env, chatId, locked);
+    const [gone] = rec.entries.splice(i, 1);
+    await putJSON(env.HOURS, kLeave(target), rec);
+    await audit(env, "leavedel", target, { actor: userId, chat: chatId, before: { id: gone.id, kind: gone.kind, date: gone.date, hours: gone.hours } });
+    return sendMessage(env, chatId, `Deleted ${fmtLeave(gone)}`);
+  }
+
+  const [name, date, hoursArg] = args;
+  const kind = String(name).toLowerCase(), type = leaveTypes(env)[kind];
+  const at = parseLocalDateTime(tz, date, "12:00");
+  const hours = hoursArg == null ? leaveDayHours(env) : Number(hoursArg);
+  if (!Number.isFinite(at) || !Number.isFinite(hours) || args.length > 3) return sendMessage(env, chatId, leaveUsage(env));
+  if (!type) return sendMessage(env, chatId, `Unknown leave type "${kind}". Types: ${Object.keys(leaveTypes(env)).join(", ")}.`);
+  if (!(hours > 0 && hours <= 24)) return sendMessage(env, chatId, "Leave must be more than 0 and at most 24 hours.");
+  const day = dateKeyLocal(tz, localOf(tz, at)), year = day.slice(0, 4);
+  const locked = await lockedPeriod(env, target, day);
+  if (locked) return sendMessage(env, chatId, locked);
+  if (rec.entries.filter(l => l.date === day).reduce((t, l) => t + l.hours, 0) + hours > 24) {
+    return sendMessage(env, chatId, `That would be more than 24h of leave on ${day}.`);
+  }
+  const left = (await leaveBalance(env, target, year)).find(b => b.kind === kind).leftDays;
+  if (left != null && hours > left * leaveDayHours(env) + 1e-9) {
+    const l = Math.max(0, left);
+    return sendMessage(env, chatId, `Not enough ${kind} allowance left for ${year}: ${fmtDays(l)} (${+(l * leaveDayHours(env)).toFixed(2)}h).`);
+  }
+  const entry = { id: (rec.seq || 0) + 1, kind, date: day, hours, paid: type.paid, by: userId, at: Date.now() };
+  rec.seq = entry.id;
+  rec.entries.push(entry);
+  await putJSON(env.HOURS, kLeave(target), rec);
+  await audit(env, "leave", target, { actor: userId, chat: chatId, after: { id: entry.id, kind, date: day, hours } });
+  const text = `Recorded ${fmtLeave(entry)} ✅`;
+  return sendMessage(env, chatId, self ? text : `${who}: ${text}`);
+}
+
+async function cmdLeaveBalance(env, msg, chatId, userId, role, args){
+  const ref = /^(@\S+|\d{5,})$/.test(args[0] || "") ? args.shift() : null;
+  const target = await commandTarget(env, msg, userId, ref);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (!(await managesLeave(env, userId, role, target))) {
+    return sendMessage(env, chatId, "Only managers can see someone else’s leave balance (owners for managers and owners).");
+  }
+  const tz = await userZone(env, target);
+  const year = args[0] || dateKeyLocal(tz, nowLocal(tz).localMs).slice(0, 4);
+  if (!/^\d{4}$/.test(year)) return sendMessage(env, chatId, "Usage: /leavebalance [@user] [YYYY]");
+  const lines = (await leaveBalance(env, target, year)).map(b =>
+    `${b.kind}${b.paid === false ? " (unpaid)" : ""}: ${fmtDays(b.usedDays)} taken (${fmtHM(b.usedHours * 3600_000)})` +
+    (b.allowance == null ? "" : `, ${fmtDays(b.leftDays)} left of ${fmtDays(b.allowance)}`));
+  return sendMessage(env, chatId, `${target === userId ? "Your" : `${await userLabel(env, target)}’s`} leave ${year}:\n${lines.join("\n")}`);
+}
+
+// /setallowance <type> <days|default> [@user] (managers, see PERMISSIONS)
+async function cmdSetAllowance(env, msg, chatId, userId, role, args){
+  const [name, value, ref] = args;
+  const kind = String(name || "").toLowerCase(), types = leaveTypes(env);
+  const days = /^default$/i.test(value || "") ? null : Number(value);
+  if (!name || !value || !(days === null || Number.isFinite(days))) {
+    return sendMessage(env, chatId, `Usage: /setallowance <type> <days|default> [@user], e.g. /setallowance vacation 25 @ana\nTypes: ${Object.keys(types).join(", ")}`);
+  }
+  if (!types[kind]) return sendMessage(env, chatId, `Unknown leave type "${kind}". Types: ${Object.keys(types).join(", ")}.`);
+  if (days != null && !(days >= 0 && days <= 366)) return sendMessage(env, chatId, "The allowance must be 0–366 days.");
+  const target = await commandTarget(env, msg, userId, ref);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  if (!canManage(role, await userRole(env, target))) {
+    return sendMessage(env, chatId, "Only owners can set the leave allowance of managers and owners (including their own).");
+  }
+  const cfg = await getCfg(env, target);
+  const before = leaveAllowance(env, cfg, kind);
+  cfg.leave = { ...cfg.leave };
+  if (days == null) delete cfg.leave[kind]; else cfg.leave[kind] = days;
+  await putCfg(env, target, cfg);
+  const now = leaveAllowance(env, cfg, kind);
+  await audit(env, "allowance", target, { actor: userId, chat: chatId, before: { kind, days: before }, after: { kind, days: now } });
+  const text = `Yearly ${kind} allowance: ${now == null ? "unlimited" : `${now} days`} ✅`;
+  return sendMessage(env, chatId, target === userId ? text : `${await userLabel(env, target)}: ${text}`);
+}
+
+/* -------------------- Pay adjustments -------------------- */
+// /adjust @user <+amount|-amount> [category] ["note"] [last|date] (managers) adds money to or takes it off a pay
+// period on top of hours × rate: bonuses, tips, reimbursements, advances, deductions. It is dated on a day of the
+// period and shows as its own line wherever the period's pay does; periods already paid out are closed.
+const kAdj = (u) => `adj:${u}`; // { seq, entries:[{ id, date, amount, category, note, by, at }] }
+const ADJUSTMENT_CATEGORIES = { bonus: "Bonus", tip: "Tips", reimbursement: "Reimbursement", advance: "Advance", deduction: "Deduction", other: "Adjustment" };
+const ADJUST_USAGE = "Usage: /adjust @user <+amount|-amount> [category] [\"note\"] [last|YYYY-MM-DD], e.g. /adjust @ana +25 bonus \"Q3 target\"\n" +
+  `Categories: ${Object.keys(ADJUSTMENT_CATEGORIES).join(", ")}. It counts in this pay period, the last one, or the one containing the date.\n` +
+  "/adjust [@user] [last] lists them; /adjust del <id> @user removes one.";
+
+// The user's adjustments dated on local days startKey..endKey, in date order
+async function listAdjustments(env, userId, startKey, endKey){
+  const rec = await getJSON(env.HOURS, kAdj(userId), { entries: [] });
+  return rec.entries.filter(a => a.date >= startKey && a.date <= endKey).sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+}
+// Adjustments as periodPay entries: a signed amount and no time
+function adjustmentPayEntries(list){ return list.map(a => ({ date: a.date, ms: 0, adjustment: a.category, amount: a.amount, note: a.note || "" })); }
+function signedMoney(v){ return `${v < 0 ? "−" : "+"}${money(Math.abs(v))}`; }
+// "Bonus (Q3 target): +$25.00"
+function fmtAdjustment(a){ return `${a.label}${a.note ? ` (${a.note})` : ""}: ${signedMoney(a.amount)}`; }
+function fmtAdjustmentEntry(a){ return `#${a.id} ${a.date} ${ADJUSTMENT_CATEGORIES[a.category] || a.category}${a.note ? ` (${a.note})` : ""} ${signedMoney(a.amount)}`; }
+function auditAdjustment(a){ return { id: a.id, category: a.category, date: a.date, amount: a.amount, note: a.note || null }; }
+
+// The words of an /adjust command with the quoted note taken out first, so nothing inside it is read
+// as the user, amount or period: { args, note } (note null without quotes)
+function adjustArgs(text){
+  const m = /["“]([^"”]*)["”]/.exec(text || "");
+  const rest = m ? `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}` : text || "";
+  return { args: rest.split(/\s+/).filter(Boolean), note: m ? m[1].trim() : null };
+}
+async function cmdAdjust(env, msg, chatId, userId, role, payload){
+  const { args, note: quoted } = adjustArgs(payload);
+  // The user is an @name first or last, or a numeric id first (last only when the amount is signed);
+  // the amount is signed, or an unsigned number right after the user
+  const isSigned = (a) => /^[+-]\d+(\.\d{1,2})?$/.test(a || "");
+  const last = args.length - 1;
+  const refAt = /^@\S+$/.test(args[0] || "") ? 0
+    : last > 0 && /^@\S+$/.test(args[last]) ? last
+    : /^\d{5,}$/.test(args[0] || "") ? 0
+    : last > 0 && /^\d{5,}$/.test(args[last]) && args.some(isSigned) ? last
+    : -1;
+  let amountAt = args.findIndex(isSigned);
+  if (amountAt < 0 && refAt >= 0 && /^\d+(\.\d{1,2})?$/.test(args[refAt + 1] || "")) amountAt = refAt + 1;
+  const amountArg = amountAt >= 0 ? args[amountAt] : null;
+  const ref = refAt >= 0 ? args[refAt] : null;
+  if (ref) args.splice(refAt, 1);
+  const target = await commandTarget(env, msg, userId, ref);
+  if (!target) return sendMessage(env, chatId, UNKNOWN_USER);
+  const self = target === userId, tz = await userZone(env, target);
+  const who = self ? "" : await userLabel(env, target);
+  const manages = hasRole(role, "manager") && canManage(role, await userRole(env, target));
+  const notAllowed = hasRole(role, "manager")
+    ? "Only owners can adjust the pay of managers and owners (including their own)."
+    : "Only managers can add or remove pay adjustments.";
+  const rec = await getJSON(env.HOURS, kAdj(target), { seq: 0, entries: [] });
+
+  if (/^del(ete)?$/i.test(args[0] || "")) {
+    if (!manages) return sendMessage(env, chatId, notAllowed);
+    const i = rec.entries.findIndex(a => String(a.id) === args[1]);
+    if (i < 0) return sendMessage(env, chatId, `Adjustment #${args[1] || "?"} not found.`);
+    const locked = await lockedPeriod(env, target, rec.entries[i].date);
+    if (locked) return sendMessage(env, chatId, locked);
+    const [gone] = rec.entries.splice(i, 1);
+    await putJSON(env.HOURS, kAdj(target), rec);
+    await audit(env, "adjustdel", target, { actor: userId, chat: chatId, before: auditAdjustment(gone) });
+    return sendMessage(env, chatId, `Deleted ${fmtAdjustmentEntry(gone)}`);
+  }
+
+  const periodArg = (args.find(a => /^(last|\d{4}-\d{2}-\d{2})$/i.test(a)) || "").toLowerCase();
+  const { localMs } = nowLocal(tz), kind = await userPeriod(env, target);
+  let win = null;
+  if (!periodArg) win = periodWindow(env, kind, localMs);
+  else if (periodArg === "last") win = periodWindow(env, kind, periodWindow(env, kind, localMs).start - 86400_000);
+  else {
+    const at = parseLocalDateTime(tz, periodArg, "12:00");
+    if (Number.isFinite(at)) win = periodWindow(env, kind, localOf(tz, at));
+  }
+  if (!win) return sendMessage(env, chatId, ADJUST_USAGE);
+  const startKey = dateKeyLocal(tz, win.start), endKey = dateKeyLocal(tz, win.end - 86400_000);
+
+  if (!amountArg) {
+    if (args.length > (periodArg ? 1 : 0) || quoted != null) return sendMessage(env, chatId, ADJUST_USAGE);
+    if (!self && !manages) return sendMessage(env, chatId, "Only managers can see someone else’s pay adjustments (owners for managers and owners).");
+    const list = await listAdjustments(env, target, startKey, endKey);
+    const head = `${self ? "Your" : `${who}’s`} pay adjustments ${periodLabel(tz, win)}`;
+    if (!list.length) return sendMessage(env, chatId, `${head}: none.`);
+    return sendMessage(env, chatId, `${head}:\n${list.map(fmtAdjustmentEntry).join("\n")}\nTotal: ${signedMoney(list.reduce((t, a) => t + a.amount, 0))}`);
+  }
+
+  if (!manages) return sendMessage(env, chatId, notAllowed);
+  const rest = args.filter(a => a !== amountArg && a.toLowerCase() !== periodArg);
+  const category = rest.length && Object.hasOwn(ADJUSTMENT_CATEGORIES, rest[0].toLowerCase()) ? rest.shift().toLowerCase() : "other";
+  if (quoted != null && rest.length) return sendMessage(env, chatId, ADJUST_USAGE);
+  const note = quoted ?? rest.join(" ").trim(), amount = Math.round(Number(amountArg) * 100) / 100;
+  if (!(amount !== 0 && Math.abs(amount) <= 1e6)) return sendMessage(env, chatId, "The amount must be a non-zero number, e.g. +25 or -10.50.");
+  if (note.length > 100) return sendMessage(env, chatId, "Keep the note to 100 characters.");
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(periodArg) ? periodArg : periodArg === "last" ? endKey : dateKeyLocal(tz, localMs);
+  const locked = await lockedPeriod(env, target, day);
+  if (locked) return sendMessage(env, chatId, `${locked} Put it in the current one.`);
+  const entry = { id: (rec.seq || 0) + 1, date: day, amount, category, note, by: userId, at: Date.now() };
+  rec.seq = entry.id;
+  rec.entries.push(entry);
+  await putJSON(env.HOURS, kAdj(target), rec);
+  await audit(env, "adjust", target, { actor: userId, chat: chatId, after: auditAdjustment(entry) });
+  const text = `Recorded ${fmtAdjustmentEntry(entry)} ✅`;
+  return sendMessage(env, chatId, self ? text : `${who}: ${text}`);
+}
+
+/* -------------------- Weekly runner (cron + admin) -------------------- */
+// force = run for everyone now (admin route); otherwise only users whose local pay period is closing.
+// Closing periods are submitted as timesheets (see Timesheets); approved ones are paid out and archived.
+async function runWeekly(env, { force = false } = {}){
+  // iterate all users that interacted (meta:*). handle pagination just in case.
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: "meta:", cursor });
+    for (const item of list.keys) {
+      const userId = item.name.split(":")[1];
+      const meta = await getJSON(env.HOURS, item.name, { chats: [] });
+      if (!meta.chats.length) continue;
+
+      const tz = await userZone(env, userId);
+      const { localMs } = nowLocal(tz);
+      // step back 12h so we're inside the period that is closing (or just closed)
+      const win = periodWindow(env, await userPeriod(env, userId), localMs - 12 * 3600_000);
+      // due once it has ended, so a running shift counts up to the period end; later runs find its timesheet and skip it
+      if (!force && localMs < win.end) continue;
+      const startKey = dateKeyLocal(tz, win.start);
+      if (await env.HOURS.get(kTs(userId, startKey)) || await env.HOURS.get(kHist(userId, startKey))) continue;
 
-      // Clear last week’s data for this user
-      await deleteWeekRange(env, userId, start, end);
+      const report = await periodReport(env, userId, tz, win);
+      if (!report.pay.ms && !report.pay.adjustments.length) continue; // nothing worked, paid or adjusted, nothing to approve
+      await submitTimesheet(env, userId, tz, win, report);
     }
     cursor = list.cursor;
   } while (cursor);
+  await payApproved(env);
 }
 
-async function deleteWeekRange(env, userId, startUtcMs, endUtcMs){
-  // delete Mon..Sun local day keys and any open flag
-  for (let ms = startUtcMs; ms < endUtcMs; ms += 86400_000) {
-    const dayKey = dateKeyLocal(env, ms);
-    await env.HOURS.delete(kDay(userId, dayKey));
+// Totals, pay and CSV of one pay period (running session included up to now)
+async function periodReport(env, userId, tz, win){
+  const { start, end } = win;
+  const utcMs = Date.now();
+  const startKey = dateKeyLocal(tz, start), endKey = dateKeyLocal(tz, end - 86400_000);
+  const leave = await listLeave(env, userId, startKey, endKey);
+  const adjustments = await listAdjustments(env, userId, startKey, endKey);
+  // Sum the period; the CSV is the /export one (closed sessions, leave and adjustments)
+  let total = 0;
+  const sessions = [];
+  const open = await getOpen(env, userId);
+  const running = open?.startUtcMs ? openEntries(tz, open, Math.min(utcMs, utcOf(tz, end))) : [];
+  const days = [], entries = await priorEntries(env, userId, tz, start, running);
+  for (let dayMs = start; dayMs < end; dayMs += 86400_000) {
+    const dayKey = dateKeyLocal(tz, dayMs);
+    const rec = await getJSON(env.HOURS, kDay(userId, dayKey), null);
+    const t = rec?.totalMs || 0;
+    total += t;
+    sessions.push(...exportDay(tz, dayKey, rec));
+    days.push({ date: dayKey, totalMs: t, breakMs: rec?.breakMs || 0, sessions: rec?.sessions || [] });
+    entries.push(...dayEntries(dayKey, rec));
   }
-  await env.HOURS.delete(kOpen(userId));
+  // include any running session up to end of period
+  for (const e of running) {
+    const i = days.findIndex(d => d.date === e.date);
+    if (i < 0 || e.ms <= 0) continue;
+    total += e.ms;
+    days[i].totalMs += e.ms;
+    entries.push(e);
+  }
+
+  entries.push(...leavePayEntries(leave), ...adjustmentPayEntries(adjustments));
+  const r = await userRate(env, userId);
+  const priced = await withRates(env, userId, tz, entries);
+  const pay = periodPay(env, priced, r);
+  const review = await reviewLines(env, userId, tz, startKey, endKey);
+
+  sessions.push(...exportOff(leave, adjustments));
+  sessions.sort((a, b) => a.date.localeCompare(b.date));
+  const csv = exportSessions("csv", sessions, { user: userId, timezone: zoneLabel(tz), from: startKey, to: endKey }).content;
+  const fname = win.kind === "weekly" ? `workweek_${startKey}.csv`
+              : PAY_PERIODS[win.kind] ? `payperiod_${startKey}_${endKey}.csv` : `report_${startKey}_${endKey}.csv`;
+  return { total, days, entries: priced, leave, adjustments, rate: r, pay, review, csv, fname, startKey, endKey };
+}
+
+/* -------------------- Reports -------------------- */
+// /report <from> <to>, /month [YYYY-MM], /year [YYYY]: any range up to a year, by day and by week
+const REPORT_MAX_DAYS = 366, REPORT_DAY_LINES = 31;
+
+// "2025-09-01" + "2025-09-30", "2025-09" or "2025" -> { kind: "report", start, end } as local midnights (end exclusive); null if invalid
+function reportWindow(from, to){
+  const day = (s) => { const ms = Date.parse(`${s}T00:00:00Z`); return Number.isFinite(ms) && dateKeyLocal(null, ms) === s ? ms : NaN; };
+  let start, end;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(from || "") && /^\d{4}-\d{2}-\d{2}$/.test(to || "")) {
+    start = day(from); end = day(to) + 86400_000;
+  } else if (/^\d{4}-(0[1-9]|1[0-2])$/.test(from || "") && !to) {
+    const [y, m] = from.split("-").map(Number);
+    start = Date.UTC(y, m - 1, 1); end = Date.UTC(y, m, 1);
+  } else if (/^\d{4}$/.test(from || "") && !to) {
+    start = Date.UTC(Number(from), 0, 1); end = Date.UTC(Number(from) + 1, 0, 1);
+  }
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start || end - start > REPORT_MAX_DAYS * 86400_000) return null;
+  return { kind: "report", start, end };
+}
+
+const REPORT_USAGE = {
+  "/report": "/report <YYYY-MM-DD> <YYYY-MM-DD> (at most a year), e.g. /report 2025-09-01 2025-09-30",
+  "/month": "/month [YYYY-MM]",
+  "/year": "/year [YYYY]",
+};
+async function cmdReport(env, chatId, userId, cmd, args){
+  const tz = await userZone(env, userId);
+  const today = dateKeyLocal(tz, nowLocal(tz).localMs);
+  const arg = args[0] || (cmd === "/month" ? today.slice(0, 7) : cmd === "/year" ? today.slice(0, 4) : "");
+  const shape = { "/report": /^\d{4}-\d{2}-\d{2}$/, "/month": /^\d{4}-\d{2}$/, "/year": /^\d{4}$/ }[cmd];
+  const win = shape.test(arg) && (cmd === "/report") === Boolean(args[1]) ? reportWindow(arg, args[1]) : null;
+  if (!win) return sendMessage(env, chatId, `Usage: ${REPORT_USAGE[cmd]}`);
+  const title = cmd === "/report" ? "Report" : cmd === "/month" ? `Month ${arg}` : `Year ${arg}`;
+
+  const report = await periodReport(env, userId, tz, win);
+  const label = periodLabel(tz, win);
+  if (!report.total && !report.leave.length && !report.adjustments.length) return sendMessage(env, chatId, `${title} (${label}): no hours recorded.`);
+
+  const days = report.days.filter(d => d.totalMs > 0);
+  const weeks = [];
+  for (const d of days) {
+    // weeks cut by the range only count their days inside it
+    const week = dateKeyLocal(tz, Math.max(weekStartLocal(tz, Date.parse(`${d.date}T00:00:00Z`)), win.start));
+    if (weeks.at(-1)?.week === week) weeks.at(-1).totalMs += d.totalMs;
+    else weeks.push({ week, totalMs: d.totalMs });
+  }
+  const lines = [`📊 ${title} (${label})`];
+  if (days.length <= REPORT_DAY_LINES) lines.push("By day:", ...days.map(d => `${d.date}: ${fmtHM(d.totalMs)}`));
+  lines.push("By week:", ...weeks.map(w => `Week of ${w.week}: ${fmtHM(w.totalMs)}`));
+  lines.push(`Total: ${fmtHM(report.total)} (${minutes(report.total)} mins)`, fmtPayLines(report.pay, report.rate), `Pay: ${money(report.pay.amount)}`);
+  await sendMessage(env, chatId, lines.join("\n") + report.review);
+  return sendDocument(env, chatId, report.fname, report.csv, "text/csv");
+}
+
+/* -------------------- Invoices -------------------- */
+// /invoice [last|date|YYYY-MM]: a pay period (or month) as an invoice or payslip, sent as HTML and PDF.
+// Header: BUSINESS_NAME, BUSINESS_ADDRESS ("|" = new line), BUSINESS_EMAIL, BUSINESS_TAX_ID; INVOICE_TITLE (default
+// "Invoice"). Numbers are INVOICE_PREFIX + a running sequence; issuing the same period again keeps its number.
+const kInv = (u, start, end) => `inv:${u}:${start}:${end}`; // { seq, issuedAt, total }
+const kInvSeq = "invseq";                                    // last invoice number handed out
+const INVOICE_USAGE = "Usage: /invoice [last | YYYY-MM-DD | YYYY-MM] (this pay period by default; a date picks its pay period)";
+
+function business(env){
+  return {
+    name: env.BUSINESS_NAME || "Work Hours",
+    address: String(env.BUSINESS_ADDRESS || "").split("|").map(s => s.trim()).filter(Boolean),
+    email: env.BUSINESS_EMAIL || "", taxId: env.BUSINESS_TAX_ID || "",
+  };
+}
+// Straight time per day (or per project when any session is tagged), then paid leave per type; overtime/weekend/
+// holiday premiums and the pay adjustments (/adjust) follow as adjustments, so subtotal + adjustments = pay.amount.
+// Lines carry hours, as invoice.js renders them.
+function invoiceLines(entries, pay, r){
+  const byProject = entries.some(e => e.project);
+  const groups = new Map(), leave = new Map();
+  for (const e of [...entries].sort((a, b) => a.date.localeCompare(b.date))) {
+    if (e.adjustment || e.prior) continue;
+    const key = e.leave || (byProject ? e.project || "" : e.date), into = e.leave ? leave : groups;
+    const g = into.get(key) || { description: e.leave ? `Paid leave (${e.leave})` : byProject ? e.project || "Untagged" : e.date, ms: 0, amount: 0 };
+    g.ms += e.ms; g.amount += dollarsFromMs(e.ms, e.rate ?? r);
+    into.set(key, g);
+  }
+  const keys = [...groups.keys()];
+  if (byProject) keys.sort();
+  const lines = [...keys.map(k => groups.get(k)), ...leave.values()]
+    .map(({ ms, ...g }) => ({ ...g, hours: ms / 3600000, rate: ms ? g.amount / (ms / 3600000) : r }));
+  const adjustments = pay.lines.filter(l => l.mult !== 1).map(l => ({
+    description: `${l.label} premium: ${fmtHM(l.ms)} × $${l.rate.toFixed(2)}/hr × ${+(l.mult - 1).toFixed(4)}`,
+    amount: dollarsFromMs(l.ms, l.rate) * (l.mult - 1),
+  })).concat(pay.adjustments.map(a => ({ description: a.note ? `${a.label}: ${a.note}` : a.label, amount: a.amount })));
+  const subtotal = lines.reduce((t, l) => t + l.amount, 0);
+  return { lines, subtotal, adjustments, total: subtotal + adjustments.reduce((t, a) => t + a.amount, 0) };
+}
+
+async function cmdInvoice(env, chatId, userId, args){
+  const tz = await userZone(env, userId);
+  const { localMs } = nowLocal(tz);
+  const kind = await userPeriod(env, userId);
+  const arg = String(args[0] || "").toLowerCase();
+  let win = null;
+  if (!arg) win = periodWindow(env, kind, localMs);
+  else if (arg === "last") win = periodWindow(env, kind, periodWindow(env, kind, localMs).start - 86400_000);
+  else if (/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
+    const at = parseLocalDateTime(tz, arg, "12:00");
+    if (Number.isFinite(at)) win = periodWindow(env, kind, localOf(tz, at));
+  } else if (/^\d{4}-\d{2}$/.test(arg)) win = reportWindow(arg);
+  if (!win) return sendMessage(env, chatId, INVOICE_USAGE);
+
+  const report = await periodReport(env, userId, tz, win);
+  if (!report.pay.ms && !report.pay.adjustments.length) return sendMessage(env, chatId, `No hours recorded for ${periodLabel(tz, win)}.`);
+  const totals = invoiceLines(report.entries, report.pay, report.rate);
+  const key = kInv(userId, report.startKey, report.endKey);
+  let rec = await getJSON(env.HOURS, key, null);
+  if (!rec) {
+    const seq = (Number(await env.HOURS.get(kInvSeq)) || 0) + 1;
+    await env.HOURS.put(kInvSeq, String(seq));
+    rec = { seq, issuedAt: Date.now() };
+  }
+  await putJSON(env.HOURS, key, { ...rec, total: totals.total });
+
+  const meta = await getJSON(env.HOURS, kMeta(userId), {});
+  const title = env.INVOICE_TITLE || "Invoice";
+  const inv = {
+    title, number: `${env.INVOICE_PREFIX ?? "INV-"}${String(rec.seq).padStart(5, "0")}`, issued: dateKeyLocal(tz, localOf(tz, rec.issuedAt)),
+    business: business(env), worker: { name: meta.name || await userLabel(env, userId), id: userId },
+    period: { start: report.startKey, end: report.endKey }, ...totals,
+  };
+  const base = `${title.toLowerCase()}_${inv.number}`.replace(/[^\w.-]+/g, "_");
+  await sendDocument(env, chatId, `${base}.html`, renderInvoiceHtml(inv), "text/html");
+  return sendDocument(env, chatId, `${base}.pdf`, renderInvoicePdf(inv), "application/pdf");
+}
+
+/* -------------------- Exports -------------------- */
+// /export [csv|json|xlsx|ics] [period]: finished shifts one per row, then leave and pay adjustments, in the schema shared with the SQLite bot (exporter.js)
+const EXPORT_USAGE = `Usage: /export [${Object.keys(EXPORT_FORMATS).join("|")}] [week | last | pay | YYYY-MM-DD | YYYY-MM | YYYY | <from> <to>]\n` +
+  "(CSV for this week by default; a date picks its week, pay is this pay period)";
+
+// UTC ms -> "2025-09-01T09:00:00+02:00" in the zone
+function isoLocal(tz, utcMs){
+  const off = Math.round(zoneOffsetMs(tz, utcMs) / 60000), a = Math.abs(off);
+  const sign = off < 0 ? "-" : "+";
+  return new Date(Math.floor(utcMs / 1000) * 1000 + off * 60000).toISOString().slice(0, 19) +
+    `${sign}${String(Math.floor(a / 60)).padStart(2, "0")}:${String(a % 60).padStart(2, "0")}`;
+}
+// One day's finished sessions in the shared export schema (see exporter.js)
+function exportDay(tz, dayKey, rec){
+  return (rec?.sessions || []).filter(s => s.outUtcMs).map(s => ({
+    id: s.id ?? "", date: dayKey, start: isoLocal(tz, s.inUtcMs), end: isoLocal(tz, s.outUtcMs),
+    hours: sessionWorkedMs(s) / 3600_000, break_hours: breakMs(s.breaks, s.outUtcMs) / 3600_000,
+    unpaid_break_hours: breakMs(s.breaks, s.outUtcMs, false) / 3600_000, project: s.project || "",
+    adjusted: Boolean(s.adjusted),
+  }));
+}
+// Leave and pay adjustments as export rows (sorted in among the shifts by date afterwards)
+function exportOff(leave, adjustments){
+  return [
+    ...leave.map(l => ({ id: `L${l.id}`, date: l.date, hours: l.hours, break_hours: 0, unpaid_break_hours: 0, type: l.kind })),
+    ...adjustments.map(a => ({
+      id: `A${a.id}`, date: a.date, hours: 0, break_hours: 0, unpaid_break_hours: 0, type: "adjustment",
+      amount: a.amount, note: a.note ? `${a.category}: ${a.note}` : a.category,
+    })),
+  ];
+}
+
+async function cmdExport(env, chatId, userId, args, out = sendMessage){
+  const tz = await userZone(env, userId);
+  const { localMs } = nowLocal(tz);
+  const lower = args.map(a => a.toLowerCase());
+  const format = lower.find(a => Object.hasOwn(EXPORT_FORMATS, a)) || "csv";
+  const [arg = "week", to] = lower.filter(a => a !== format);
+  const weekOf = (ms) => periodWindow(env, "weekly", ms);
+  let win = null;
+  if (arg === "week") win = weekOf(localMs);
+  else if (arg === "last") win = weekOf(localMs - 7 * 86400_000);
+  else if (arg === "pay") win = periodWindow(env, await userPeriod(env, userId), localMs);
+  else if (/^\d{4}-\d{2}-\d{2}$/.test(arg) && !to) {
+    const at = parseLocalDateTime(tz, arg, "12:00");
+    if (Number.isFinite(at)) win = weekOf(localOf(tz, at));
+  } else win = reportWindow(arg, to);
+  if (!win) return out(env, chatId, EXPORT_USAGE);
+
+  const sessions = [];
+  for (let dayMs = win.start; dayMs < win.end; dayMs += 86400_000) {
+    const dayKey = dateKeyLocal(tz, dayMs);
+    sessions.push(...exportDay(tz, dayKey, await getJSON(env.HOURS, kDay(userId, dayKey), null)));
+  }
+  const label = periodLabel(tz, win);
+  const startKey = dateKeyLocal(tz, win.start), endKey = dateKeyLocal(tz, win.end - 86400_000);
+  const leave = await listLeave(env, userId, startKey, endKey);
+  const adjustments = await listAdjustments(env, userId, startKey, endKey);
+  if (!sessions.length && !leave.length && !adjustments.length) return out(env, chatId, `No finished shifts, leave or pay adjustments for ${label}.`);
+  const shifts = sessions.length;
+  sessions.push(...exportOff(leave, adjustments));
+  sessions.sort((a, b) => a.date.localeCompare(b.date));
+  const file = exportSessions(format, sessions, { user: userId, timezone: zoneLabel(tz), from: startKey, to: endKey });
+  await out(env, chatId, `${shifts} shift(s)${leave.length ? `, ${leave.length} leave` : ""}${adjustments.length ? `, ${adjustments.length} adjustment(s)` : ""}, ${label} (${format.toUpperCase()})`);
+  return sendDocument(env, chatId, file.filename, file.content, file.mime);
+}
+
+/* -------------------- CSV import -------------------- */
+// Send a CSV (date, start, end, project; /export files work too): it is checked and previewed, and
+// nothing is written until its owner taps Import. Rows go in through the same path as /add.
+const kImport = (u) => `import:${u}`; // { shifts:[{row,inUtcMs,outUtcMs,project?}] }, expires after a day
+const IMPORT_MAX_BYTES = 512 * 1024, IMPORT_PREVIEW_LINES = 10;
+const IMPORT_HELP = "Send me a CSV file with a header row: start and end (HH:mm with a date column, or YYYY-MM-DD HH:mm), " +
+  "optionally project. Files from /export work too. You’ll see a preview before anything is saved.";
+
+function previewLines(lines){
+  const more = lines.length - IMPORT_PREVIEW_LINES;
+  return more > 0 ? [...lines.slice(0, IMPORT_PREVIEW_LINES), `…and ${more} more`] : lines;
+}
+function rowErrors(errors){ return previewLines(errors.sort((a, b) => a.row - b.row).map(e => `Row ${e.row}: ${e.message}`)); }
+
+async function onDocument(env, msg){
+  const doc = msg.document, chatId = msg.chat.id, userId = String(msg.from?.id || chatId);
+  if (!/\.csv$/i.test(doc.file_name || "") && doc.mime_type !== "text/csv") return;
+  if (!hasRole(await userRole(env, userId), PERMISSIONS["/import"])) return sendMessage(env, chatId, NO_ACCESS);
+  if (doc.file_size > IMPORT_MAX_BYTES) return sendMessage(env, chatId, `That file is too big to import (at most ${IMPORT_MAX_BYTES / 1024} KB).`);
+  const file = await tgCall(env, "getFile", { file_id: doc.file_id });
+  const res = file.ok && await fetch(`https://api.telegram.org/file/bot${env.BOT_TOKEN}/${file.result.file_path}`);
+  if (!res?.ok) return sendMessage(env, chatId, "Couldn’t download that file. Please send it again.");
+
+  const tz = await userZone(env, userId);
+  const { rows, errors } = parseSessionsCSV(await res.text());
+  const toUtc = (t) => t.utcMs ?? parseLocalDateTime(tz, t.date, t.time);
+  const shifts = [];
+  for (const r of rows) {
+    const project = r.project ? normalizeProject(r.project) : null;
+    if (r.project && !project) { errors.push({ row: r.row, message: PROJECT_USAGE }); continue; }
+    const s = { row: r.row, inUtcMs: toUtc(r.start), outUtcMs: toUtc(r.end), ...(project ? { project } : {}) };
+    // against the user's shifts, then against the rows already accepted from this file
+    const twin = shifts.find(g => g.inUtcMs < s.outUtcMs && g.outUtcMs > s.inUtcMs);
+    const err = await validateSession(env, userId, s.inUtcMs, s.outUtcMs) || (twin && `That overlaps row ${twin.row}.`);
+    if (err) errors.push({ row: r.row, message: err });
+    else shifts.push(s);
+  }
+  if (!shifts.length) {
+    await env.HOURS.delete(kImport(userId));
+    const lines = ["📥 Nothing to import from that file."];
+    if (errors.length) lines.push("", `⚠️ ${errors.length} row(s) can’t be imported:`, ...rowErrors(errors));
+    return sendMessage(env, chatId, lines.join("\n"));
+  }
+  await env.HOURS.put(kImport(userId), JSON.stringify({ shifts }), { expirationTtl: 86400 });
+
+  const total = shifts.reduce((t, s) => t + s.outUtcMs - s.inUtcMs, 0);
+  const lines = [`📥 Import preview: ${shifts.length} shift(s), ${fmtHM(total)}`, ...previewLines(shifts.map(s => {
+    const inLocal = localOf(tz, s.inUtcMs), outLocal = localOf(tz, s.outUtcMs);
+    const until = dateKeyLocal(tz, outLocal) === dateKeyLocal(tz, inLocal) ? fmtClock(outLocal) : `${dateKeyLocal(tz, outLocal)} ${fmtClock(outLocal)}`;
+    return `Row ${s.row}: ${dateKeyLocal(tz, inLocal)} ${fmtClock(inLocal)}–${until}${s.project ? ` [${s.project}]` : ""}`;
+  }))];
+  if (errors.length) lines.push("", `⚠️ ${errors.length} row(s) can’t be imported:`, ...rowErrors(errors));
+  return sendMessage(env, chatId, lines.join("\n"), { reply_markup: { inline_keyboard: [[
+    { text: `✅ Import ${shifts.length}`, callback_data: `imp:ok:${userId}` },
+    { text: "Cancel", callback_data: `imp:no:${userId}` },
+  ]] } });
+}
+
+// Import / Cancel buttons under a preview; rows that clash with shifts added since are skipped
+async function onImportCallback(env, cq){
+  const [, action, owner] = /^imp:(ok|no):(\d+)$/.exec(cq.data) || [];
+  const answer = (text) => tgCall(env, "answerCallbackQuery", { callback_query_id: cq.id, ...(text ? { text } : {}) });
+  if (owner !== String(cq.from.id)) return answer("This import belongs to someone else.");
+  const edit = (text) => tgCall(env, "editMessageText", { chat_id: cq.message.chat.id, message_id: cq.message.message_id, text: `${cq.message.text}\n\n${text}` });
+  const pending = await getJSON(env.HOURS, kImport(owner), null);
+  await env.HOURS.delete(kImport(owner));
+  if (action === "no") { await answer("Cancelled"); return edit("✖️ Cancelled, nothing was imported."); }
+  if (!pending) { await answer(); return edit("Nothing to import (previews expire after a day). Send the CSV file again."); }
+
+  const added = [], errors = [];
+  for (const { row, ...s } of pending.shifts) {
+    const err = await validateSession(env, owner, s.inUtcMs, s.outUtcMs);
+    if (err) { errors.push({ row, message: err }); continue; }
+    const id = await nextSessionId(env, owner);
+    await insertSession(env, owner, { id, ...s });
+    added.push(id);
+  }
+  if (added.length) await audit(env, "import", owner, { chat: cq.message.chat.id, after: { shifts: added.length, ids: added.join(" ") } });
+  await answer("Imported");
+  const lines = [`✅ Imported ${added.length} shift(s). See /shifts or /week.`];
+  if (errors.length) lines.push(`⚠️ Skipped ${errors.length} row(s) that clash with shifts added since:`, ...rowErrors(errors));
+  return edit(lines.join("\n"));
+}
+
+/* -------------------- Timesheets -------------------- */
+// A closing pay period becomes a "submitted" timesheet for managers to approve (buttons or /pending).
+// Approved timesheets are paid out on the next hourly run; rejected ones go back to the employee,
+// who fixes their shifts and sends /submit.
+const kTs = (u, start) => `ts:${u}:${start}`; // { user, start, end, kind, status, totalMs, pay, submittedAt, decidedBy?, decidedAt?, comment?, paidAt? }
+const TS_REF = /\[ts (\d+):(\d{4}-\d{2}-\d{2})\]$/; // tag on the reject/comment prompts, answered by replying
+
+async function putTimesheet(env, ts, opts = {}){
+  await env.HOURS.put(kTs(ts.user, ts.start), JSON.stringify(ts), { ...opts, metadata: { status: ts.status } });
+}
+async function listTimesheets(env, status){
+  const out = [];
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: "ts:", cursor });
+    for (const k of list.keys) {
+      if (k.metadata?.status !== status) continue;
+      const ts = await getJSON(env.HOURS, k.name, null);
+      if (ts) out.push(ts);
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return out;
+}
+function timesheetWindow(ts){
+  return { kind: ts.kind, start: Date.parse(`${ts.start}T00:00:00Z`), end: Date.parse(`${ts.end}T00:00:00Z`) + 86400_000 };
+}
+function timesheetLabel(ts){ return `${PAY_PERIODS[ts.kind]} timesheet ${ts.start} → ${ts.end}`; }
+
+// From submission on a period is locked: shifts, leave, adjustments and rates on its days stay as
+// submitted until a manager rejects it, so the approved figures are the ones paid out
+const LOCK_REASONS = {
+  submitted: "is waiting for approval (a manager can reject it to reopen it)",
+  approved: "was already approved",
+  paid: "was already paid out",
+};
+// The first submitted, approved or paid timesheet covering a local day in [first, last] (last null = any
+// day from first on) of userId, or of anyone with userId null
+async function lockingTimesheet(env, userId, first, last){
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: userId == null ? "ts:" : kTs(userId, ""), cursor });
+    for (const k of list.keys) {
+      if (!LOCK_REASONS[k.metadata?.status]) continue;
+      const ts = await getJSON(env.HOURS, k.name, null);
+      if (ts && ts.end >= first && (last == null || ts.start <= last)) return ts;
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return null;
+}
+function lockedMessage(ts){ return ts ? `The pay period ${ts.start} → ${ts.end} ${LOCK_REASONS[ts.status]}.` : null; }
+// Why nothing may change on the local days [first, last] (shifts, leave, adjustments), null if it may
+async function lockedPeriod(env, userId, first, last = first){
+  const ts = await lockingTimesheet(env, userId, first, last);
+  if (ts) return lockedMessage(ts);
+  // periods archived by the pay period job before they had timesheets
+  const win = periodWindow(env, await userPeriod(env, userId), Date.parse(`${first}T12:00:00Z`));
+  const startKey = dateKeyLocal(null, win.start), endKey = dateKeyLocal(null, win.end - 86400_000);
+  return await env.HOURS.get(kHist(userId, startKey)) ? lockedMessage({ start: startKey, end: endKey, status: "paid" }) : null;
+}
+// The same for anything that applies from `day` on (rates); userId null = anyone's
+async function lockedSince(env, userId, day){
+  return lockedMessage(await lockingTimesheet(env, userId, day, null));
+}
+// Managers and owners who may decide on `userId`'s timesheets (never the user themselves)
+async function canApprove(env, actorId, userId){
+  const role = await userRole(env, actorId);
+  return actorId !== userId && hasRole(role, "manager") && canManage(role, await userRole(env, userId));
+}
+async function timesheetApprovers(env, userId){
+  const team = await listRoles(env);
+  const out = [];
+  for (const id of Object.keys(team)) if (await canApprove(env, id, userId)) out.push(id);
+  return out;
+}
+async function timesheetCard(env, ts){
+  const text = [
+    `🧾 ${await userLabel(env, ts.user)} — ${timesheetLabel(ts)}`,
+    `Total: ${fmtHM(ts.totalMs)} (${minutes(ts.totalMs)} mins)`,
+    `Pay: ${money(ts.pay)}`,
+  ].join("\n");
+  const ref = `${ts.user}:${ts.start}`;
+  return [text, { reply_markup: { inline_keyboard: [[
+    { text: "✅ Approve", callback_data: `ts:ok:${ref}` },
+    { text: "❌ Reject", callback_data: `ts:no:${ref}` },
+  ]] } }];
+}
+
+// Submit (or resubmit) a period with its current totals and ask the approvers
+// (via = { actor, chat } of a /submit; the pay period job leaves it empty)
+async function submitTimesheet(env, userId, tz, win, report, via = {}){
+  const ts = {
+    user: userId, start: report.startKey, end: report.endKey, kind: win.kind, status: "submitted",
+    totalMs: report.total, pay: report.pay.amount, submittedAt: Date.now(),
+  };
+  const period = `${ts.start}–${ts.end}`;
+  await audit(env, "submit", userId, { actor: null, ...via, after: { period, total: fmtHM(ts.totalMs), pay: money(ts.pay) } });
+  const approvers = await timesheetApprovers(env, userId);
+  if (!approvers.length) {
+    // nobody else could ever approve it (e.g. a sole owner), so it goes straight to payout
+    await audit(env, "approve", userId, { actor: null, after: { period } });
+    return putTimesheet(env, { ...ts, status: "approved", decidedAt: ts.submittedAt });
+  }
+  await putTimesheet(env, ts);
+  const meta = await getJSON(env.HOURS, kMeta(userId), { chats: [] });
+  for (const chatId of meta.chats) {
+    await sendMessage(env, chatId, `🕒 Your ${timesheetLabel(ts)} (${fmtHM(ts.totalMs)}, ${money(ts.pay)}) was submitted for approval.${report.review}`);
+  }
+  const card = await timesheetCard(env, ts);
+  for (const id of approvers) await sendMessage(env, Number(id), ...card); // private chat with the approver
+}
+
+// Pay out every approved timesheet; one that fails is logged and retried on the next hourly run
+async function payApproved(env){
+  for (const ts of await listTimesheets(env, "approved")) {
+    try {
+      await payOut(env, ts);
+    } catch (err) {
+      console.error(`[payout] Timesheet ${ts.user}:${ts.start} failed:`, err);
+    }
+  }
+}
+// Pay out at the time and pay that were approved (the period is locked from submission on): archive the
+// period and mark it paid, then send the summary + CSV, so a failed delivery never pays out twice
+async function payOut(env, ts){
+  const tz = await userZone(env, ts.user);
+  const win = timesheetWindow(ts);
+  const report = await periodReport(env, ts.user, tz, win);
+
+  // Keep the period's data for this user, expiring under the retention policy
+  await archiveWeek(env, ts.user, {
+    week: report.startKey, end: report.endKey, period: win.kind, totalMs: ts.totalMs, rate: report.rate,
+    pay: ts.pay, payLines: report.pay.lines, payAdjustments: report.pay.adjustments, days: report.days, archivedAt: Date.now(),
+  });
+  await putTimesheet(env, { ...ts, status: "paid", paidAt: Date.now() }, { expirationTtl: historyTtl(env) });
+  await audit(env, "payout", ts.user, {
+    actor: null, after: { period: `${ts.start}–${ts.end}`, total: fmtHM(ts.totalMs), pay: money(ts.pay) },
+  });
+
+  const summary = `${PAY_PERIODS[win.kind]} summary (${periodLabel(tz, win)})
+Total: ${fmtHM(ts.totalMs)} (${minutes(ts.totalMs)} mins)
+${fmtPayLines(report.pay, report.rate)}
+Pay: ${money(ts.pay)}
+${ts.decidedBy ? `✅ Approved by ${await userLabel(env, ts.decidedBy)}` : "✅ Approved automatically"}${ts.comment ? `\n💬 “${ts.comment}”` : ""}${await scheduleLines(env, ts.user, tz, report.startKey, report.endKey, ts.totalMs)}${report.review}
+
+📦 Archived for new period — see /history.`;
+
+  // Send to all chats this user used
+  const meta = await getJSON(env.HOURS, kMeta(ts.user), { chats: [] });
+  for (const chatId of meta.chats) {
+    try {
+      await sendMessage(env, chatId, summary);
+      await sendDocument(env, chatId, report.fname, report.csv, "text/csv");
+    } catch (err) {
+      console.error(`[payout] Could not send timesheet ${ts.user}:${ts.start} to ${chatId}:`, err);
+    }
+  }
+}
+
+// Inline buttons on a timesheet card: approve right away, or ask for a reason before rejecting
+async function onCallback(env, cq){
+  if (/^imp:/.test(cq.data || "")) return onImportCallback(env, cq);
+  if (/^m:/.test(cq.data || "")) return onMenuCallback(env, cq);
+  const m = /^ts:(ok|no):(\d+):(\d{4}-\d{2}-\d{2})$/.exec(cq.data || "");
+  const answer = (text) => tgCall(env, "answerCallbackQuery", { callback_query_id: cq.id, ...(text ? { text } : {}) });
+  if (!m) return answer();
+  const actorId = String(cq.from.id), [, action, user, start] = m;
+  const ts = await getJSON(env.HOURS, kTs(user, start), null);
+  if (!ts || !(await canApprove(env, actorId, user))) return answer("You cannot decide on this timesheet.");
+  if (ts.status !== "submitted") return answer(`Already ${ts.status}.`);
+  const chatId = cq.message.chat.id, who = `${await userLabel(env, user)}’s ${timesheetLabel(ts)}`;
+
+  if (action === "no") {
+    await answer();
+    return sendMessage(env, chatId, `Reason for rejecting ${who}? Reply to this message. [ts ${user}:${start}]`, { reply_markup: { force_reply: true } });
+  }
+  await putTimesheet(env, { ...ts, status: "approved", decidedBy: actorId, decidedAt: Date.now() });
+  await audit(env, "approve", user, { actor: actorId, chat: chatId, after: { period: `${ts.start}–${ts.end}` } });
+  await answer("Approved");
+  await tgCall(env, "editMessageText", { chat_id: chatId, message_id: cq.message.message_id, text: `${cq.message.text}\n\n✅ Approved by ${await userLabel(env, actorId)}` });
+  return sendMessage(env, chatId,
+    `Approved ${who}; it will be paid out within the hour. Reply to this message to add a comment. [ts ${user}:${start}]`,
+    { reply_markup: { force_reply: true } });
+}
+
+// A reply to one of the prompts above: the rejection reason, or a comment on an approval
+async function onTimesheetReply(env, msg, chatId, userId, ref){
+  const [, user, start] = ref;
+  const ts = await getJSON(env.HOURS, kTs(user, start), null);
+  const text = msg.text.trim(), name = await userLabel(env, userId);
+  const meta = await getJSON(env.HOURS, kMeta(user), { chats: [] });
+
+  if (msg.reply_to_message.text.startsWith("Reason for rejecting")) {
+    if (!ts || ts.status !== "submitted") return sendMessage(env, chatId, "This timesheet is no longer waiting for approval.");
+    if (!(await canApprove(env, userId, user))) return sendMessage(env, chatId, "You cannot decide on this timesheet.");
+    await putTimesheet(env, { ...ts, status: "rejected", decidedBy: userId, decidedAt: Date.now(), comment: text });
+    await audit(env, "reject", user, { actor: userId, chat: chatId, after: { period: `${ts.start}–${ts.end}`, comment: text } });
+    for (const c of meta.chats) {
+      await sendMessage(env, c, `❌ Your ${timesheetLabel(ts)} was rejected by ${name}:\n“${text}”\nFix your shifts with /add, /edit or /del, then send /submit.`);
+    }
+    return sendMessage(env, chatId, `Rejected; sent back to ${await userLabel(env, user)} with your reason.`);
+  }
+  if (!ts || ts.decidedBy !== userId) return;
+  await putTimesheet(env, { ...ts, comment: text }, ts.status === "paid" ? { expirationTtl: historyTtl(env) } : {});
+  for (const c of meta.chats) await sendMessage(env, c, `💬 ${name} on your ${timesheetLabel(ts)}: “${text}”`);
+  return sendMessage(env, chatId, "Comment sent ✅");
+}
+
+// /submit — send the latest rejected timesheet back for approval with its current totals
+async function cmdSubmit(env, chatId, userId){
+  const list = await env.HOURS.list({ prefix: kTs(userId, "") });
+  const key = list.keys.filter(k => k.metadata?.status === "rejected").map(k => k.name).pop();
+  if (!key) return sendMessage(env, chatId, "You have no rejected timesheet to resubmit.");
+  const ts = await getJSON(env.HOURS, key, null);
+  const tz = await userZone(env, userId), win = timesheetWindow(ts);
+  await submitTimesheet(env, userId, tz, win, await periodReport(env, userId, tz, win), { actor: userId, chat: chatId });
+  return sendMessage(env, chatId, `Resubmitted your ${timesheetLabel(ts)} ✅`);
+}
+// /pending — one card per submitted timesheet the manager may decide on
+async function cmdPending(env, chatId, userId){
+  let n = 0;
+  for (const ts of await listTimesheets(env, "submitted")) {
+    if (!(await canApprove(env, userId, ts.user))) continue;
+    await sendMessage(env, chatId, ...(await timesheetCard(env, ts)));
+    n++;
+  }
+  if (!n) return sendMessage(env, chatId, "No timesheets are waiting for your approval.");
+}
+
+/* -------------------- Week history -------------------- */
+// Snapshot is { week, end, period, totalMs, rate, pay, payLines, payAdjustments, days:[{date,totalMs,sessions}], archivedAt },
+// keyed by the period's first day (week/end/period are absent on pre-period snapshots);
+// the snapshot and the period's day records both expire after HISTORY_WEEKS.
+async function archiveWeek(env, userId, snap){
+  const ttl = historyTtl(env);
+  await env.HOURS.put(kHist(userId, snap.week), JSON.stringify(snap), {
+    expirationTtl: ttl,
+    metadata: { totalMs: snap.totalMs, rate: snap.rate, pay: snap.pay, end: snap.end },
+  });
+  for (const day of snap.days) {
+    const raw = await env.HOURS.get(kDay(userId, day.date));
+    if (raw) await env.HOURS.put(kDay(userId, day.date), raw, { expirationTtl: ttl });
+  }
+}
+
+function fmtSnapshot(snap){
+  return [
+    (snap.period || "weekly") === "weekly" ? `Week of ${snap.week} (archived)` : `${PAY_PERIODS[snap.period]} period ${snap.week} → ${snap.end} (archived)`,
+    `Total: ${fmtHM(snap.totalMs)} (${minutes(snap.totalMs)} mins)`,
+    ...(snap.payLines ? [fmtPayLines({ lines: snap.payLines, adjustments: snap.payAdjustments }, snap.rate), `Pay: ${money(snap.pay)}`]
+                      : [`Pay @ $${snap.rate.toFixed(2)}/hr: ${money(snap.pay)}`]),
+    ...snap.days.map(d => `${d.date}: ${fmtHM(d.totalMs)}`),
+  ].join("\n");
+}
+
+async function cmdHistory(env, chatId, userId, args){
+  const n = Math.min(Math.max(parseInt(args[0], 10) || 4, 1), 52);
+  const keys = [];
+  let cursor = undefined;
+  do {
+    const list = await env.HOURS.list({ prefix: kHist(userId, ""), cursor });
+    keys.push(...list.keys);
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  if (!keys.length) return sendMessage(env, chatId, "No archived pay periods yet.");
+  // keys sort by period start, so the newest are at the end
+  const lines = keys.slice(-n).reverse().map(k => {
+    const m = k.metadata || {};
+    const week = k.name.split(":")[2];
+    return `${week}${m.end ? ` → ${m.end}` : ""}: ${fmtHM(m.totalMs || 0)} — ${money(m.pay || 0)} @ $${Number(m.rate || 0).toFixed(2)}/hr`;
+  });
+  return sendMessage(env, chatId, `Last ${lines.length} period(s):\n` + lines.join("\n") + "\nUse /week <date> for details.");
 }
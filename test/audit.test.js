@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { workerEnv } = require('./worker');
+
+test('recordAudit and listAudit: about one user or everyone, newest first, within the range', () => {
+  const u = user();
+  const other = user();
+  db.recordAudit({ actorId: OWNER, userId: u, chatId: -100, action: 'rate_set', before: null, after: { rate: 10 } }, at('2025-09-01T08:00:00Z'));
+  db.recordAudit({ actorId: u, userId: u, action: 'shift_edit', before: { id: 1 }, after: { id: 1, project: 'acme' } }, at('2025-09-02T08:00:00Z'));
+  db.recordAudit({ actorId: OWNER, userId: other, action: 'role_grant', after: 'manager' }, at('2025-09-03T08:00:00Z'));
+  db.recordAudit({ userId: u, action: 'shift_capped' }, at('2025-09-09T08:00:00Z'));
+
+  const week = db.listAudit(u, at('2025-09-01T00:00:00Z'), at('2025-09-08T00:00:00Z'));
+  assert.deepEqual(week.map((e) => e.action), ['shift_edit', 'rate_set']);
+  assert.deepEqual([week[1].actor_id, week[1].chat_id, week[1].before, week[1].after], [OWNER, -100, null, { rate: 10 }]);
+  assert.deepEqual(week[0].after, { id: 1, project: 'acme' });
+  const everyone = db.listAudit(null, at('2025-09-01T00:00:00Z'), at('2025-09-10T00:00:00Z'))
+    .filter((e) => e.user_id === u || e.user_id === other);
+  assert.deepEqual(everyone.map((e) => [e.action, e.actor_id]), [['shift_capped', null], ['role_grant', OWNER], ['shift_edit', u], ['rate_set', OWNER]]);
+});
+
+test('worker /schedule: adding and removing a scheduled shift is audited', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  await bot.grant(2001, 'manager');
+  await bot.send(2000, 'hi');
+  const [added] = await bot.send(2001, '/schedule add 2000 2025-09-02 09:00 17:00');
+  assert.match(added, /^Scheduled for @user2000 ✅\n#(\d+) /);
+  const id = added.match(/#(\d+)/)[1];
+  assert.deepEqual(await bot.send(2001, `/schedule del ${id}`), [`Removed scheduled shift #${id} ✅`]);
+
+  const entries = [...bot.env.HOURS.data]
+    .filter(([key]) => key.startsWith('audit:2000:'))
+    .map(([, value]) => JSON.parse(value))
+    .filter((e) => e.action.startsWith('schedule_'));
+  assert.deepEqual(entries.map((e) => [e.action, e.actor, e.user]), [['schedule_add', '2001', '2000'], ['schedule_del', '2001', '2000']]);
+  assert.equal(entries[0].after.schedule.length, 1);
+  assert.equal(entries[1].before.schedule, entries[0].after.schedule[0]);
+
+  const [log] = await bot.send(2001, '/audit @user2000 today');
+  assert.match(log, /@user2001 → @user2000: scheduled shift removed — was #\d+ /);
+  assert.match(log, /@user2001 → @user2000: shift scheduled — #\d+ /);
+});
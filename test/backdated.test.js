@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { workerEnv } = require('./worker');
+
+// Berlin user whose week of 2025-09-01 to 2025-09-07 was submitted on Monday morning
+function submitted() {
+  const u = user();
+  const ts = db.submitTimesheet(u, { kind: 'weekly', start: '2025-09-01', end: '2025-09-07' }, 0, 0, at('2025-09-08T06:00:00Z'));
+  return { u, ts };
+}
+
+test('clockIn: a backdated start in a locked pay period is refused', () => {
+  const { u, ts } = submitted();
+  // "/in yesterday 23:10" on Monday
+  const res = db.clockIn(u, at('2025-09-07T21:10:00Z'), null, true);
+  assert.equal(res.ok, false);
+  assert.match(res.message, /waiting for approval/);
+  assert.equal(db.getOpenShift(u).shift, null);
+
+  assert.equal(db.decideTimesheet(OWNER, ts.id, 'approved', null, at('2025-09-08T07:00:00Z')).ok, true);
+  assert.match(db.clockIn(u, at('2025-09-07T21:10:00Z'), null, true).message, /already approved/);
+});
+
+test('clockIn: a backdated start after the locked period is fine', () => {
+  const { u } = submitted();
+  const res = db.clockIn(u, at('2025-09-07T22:10:00Z'), null, true); // Monday 00:10
+  assert.equal(res.ok, true);
+  assert.equal(db.getShift(u, res.id).adjusted, 1);
+});
+
+test('clockOut: a backdated end is refused when the shift reaches into a locked period', () => {
+  const { u, ts } = submitted();
+  // clocked in live on Sunday 23:00, the period was submitted under it (the pay period job cuts it there)
+  assert.equal(db.clockIn(u, at('2025-09-07T21:00:00Z')).ok, true);
+  const res = db.clockOut(u, at('2025-09-07T23:00:00Z'), true);
+  assert.equal(res.ok, false);
+  assert.match(res.message, /waiting for approval/);
+  assert.notEqual(db.getOpenShift(u).shift, null);
+
+  // a rejection reopens the period
+  assert.equal(db.decideTimesheet(OWNER, ts.id, 'rejected', 'fix Sunday', at('2025-09-08T07:00:00Z')).ok, true);
+  assert.equal(db.clockOut(u, at('2025-09-07T23:00:00Z'), true).ok, true);
+});
+
+test('clockOut: a backdated end in an open period is fine, a live one is never checked', () => {
+  const { u } = submitted();
+  assert.equal(db.clockIn(u, at('2025-09-08T06:00:00Z')).ok, true);
+  assert.equal(db.clockOut(u, at('2025-09-08T10:00:00Z'), true).ok, true);
+  assert.equal(db.clockIn(u, at('2025-09-07T20:00:00Z')).ok, true);
+  assert.equal(db.clockOut(u, at('2025-09-07T21:00:00Z')).ok, true);
+});
+
+test('worker /in: a backdated start in an archived pay period is refused', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  // this pay week and the one before (they start on Sunday in Berlin) are archived, so "10m ago"
+  // is locked even just after midnight
+  const today = new Date(`${new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Berlin' }).format(new Date())}T12:00:00Z`);
+  const sunday = (weeksAgo) => new Date(today - (today.getUTCDay() + 7 * weeksAgo) * 86400_000).toISOString().slice(0, 10);
+  await bot.env.HOURS.put(`hist:2000:${sunday(0)}`, '{}');
+  await bot.env.HOURS.put(`hist:2000:${sunday(1)}`, '{}');
+  const [reply] = await bot.send(2000, '/in 10m ago');
+  assert.match(reply, /^The pay period \d{4}-\d{2}-\d{2} → \d{4}-\d{2}-\d{2} was already paid out\.$/);
+  assert.equal(await bot.env.HOURS.get('u:2000:open'), null);
+  assert.match((await bot.send(2000, '/in'))[0], /clocked IN/i);
+});
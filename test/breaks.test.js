@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+
+test('breaks: only unpaid breaks come off the worked hours', () => {
+  const u = user();
+  // Monday 2025-09-01 09:00 to 17:00 in Berlin, a paid 15 min and an unpaid 30 min break
+  assert.equal(db.clockIn(u, at('2025-09-01T07:00:00Z')).ok, true);
+  assert.equal(db.startBreak(u, at('2025-09-01T08:00:00Z'), true).ok, true);
+  assert.equal(db.endBreak(u, at('2025-09-01T08:15:00Z')).ok, true);
+  assert.equal(db.startBreak(u, at('2025-09-01T10:00:00Z'), false).ok, true);
+  assert.equal(db.endBreak(u, at('2025-09-01T10:30:00Z')).ok, true);
+  const res = db.clockOut(u, at('2025-09-01T15:00:00Z'));
+  assert.equal(res.hours, 7.5);
+  assert.deepEqual(db.getPeriodHours(u, { start: '2025-09-01', end: '2025-09-07' }), { hours: 7.5, breakHours: 0.75, unpaidBreakHours: 0.5 });
+});
+
+test('breaks: one at a time, and only while clocked in', () => {
+  const u = user();
+  assert.equal(db.startBreak(u, at('2025-09-01T08:00:00Z'), false).message, 'You are not clocked IN. Use /in first.');
+  db.clockIn(u, at('2025-09-01T07:00:00Z'));
+  assert.equal(db.endBreak(u, at('2025-09-01T08:00:00Z')).message, 'You are not on a break.');
+  db.startBreak(u, at('2025-09-01T08:00:00Z'), false);
+  assert.equal(db.startBreak(u, at('2025-09-01T08:05:00Z'), true).message, 'You are already on a break. Use /resume to continue.');
+  assert.equal(db.getOpenShift(u).brk.start_ts, at('2025-09-01T08:00:00Z'));
+});
+
+test('breaks: clocking out ends a running break', () => {
+  const u = user();
+  db.clockIn(u, at('2025-09-01T07:00:00Z'));
+  db.startBreak(u, at('2025-09-01T14:00:00Z'), false);
+  assert.equal(db.clockOut(u, at('2025-09-01T15:00:00Z')).hours, 7);
+  assert.deepEqual(db.getOpenShift(u), { shift: null, brk: null });
+});
+
+test('breaks: a backdated clock-out cuts the breaks back to it', () => {
+  const u = user();
+  db.clockIn(u, at('2025-09-01T07:00:00Z'));
+  db.startBreak(u, at('2025-09-01T11:00:00Z'), false);
+  db.endBreak(u, at('2025-09-01T12:00:00Z'));
+  // clocked out at 13:30 local, typed in later: half of the break is left
+  assert.equal(db.clockOut(u, at('2025-09-01T11:30:00Z'), true).hours, 4);
+  assert.equal(db.getPeriodHours(u, { start: '2025-09-01', end: '2025-09-01' }).unpaidBreakHours, 0.5);
+});
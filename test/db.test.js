@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+
+// { date: hours } of the user's closed shifts from start to end
+function hoursByDay(userId, start, end) {
+  const out = {};
+  for (const e of db.getPeriodEntries(userId, { kind: 'weekly', start, end })) {
+    if (!e.prior) out[e.date] = +((out[e.date] || 0) + e.hours).toFixed(4);
+  }
+  return out;
+}
+
+test('splitShift: cuts at local midnight, not UTC midnight', () => {
+  const u = user('Europe/Berlin');
+  // 2025-09-01 20:00 to 2025-09-02 04:00 in Berlin
+  assert.equal(db.addShift(u, at('2025-09-01T18:00:00Z'), at('2025-09-02T02:00:00Z')).ok, true);
+  assert.deepEqual(hoursByDay(u, '2025-09-01', '2025-09-07'), { '2025-09-01': 4, '2025-09-02': 4 });
+});
+
+test('splitShift: a day that falls back to standard time has 25 hours', () => {
+  const u = user('America/New_York');
+  // Sat 2025-11-01 20:00 EDT to Mon 2025-11-03 02:00 EST
+  assert.equal(db.addShift(u, at('2025-11-02T00:00:00Z'), at('2025-11-03T07:00:00Z')).ok, true);
+  assert.deepEqual(hoursByDay(u, '2025-10-27', '2025-11-09'), { '2025-11-01': 4, '2025-11-02': 25, '2025-11-03': 2 });
+});
+
+test('splitShift: a day that springs forward to summer time has 23 hours', () => {
+  const u = user('America/New_York');
+  // Sat 2025-03-08 22:00 EST to Mon 2025-03-10 01:00 EDT
+  assert.equal(db.addShift(u, at('2025-03-09T03:00:00Z'), at('2025-03-10T05:00:00Z')).ok, true);
+  assert.deepEqual(hoursByDay(u, '2025-03-03', '2025-03-16'), { '2025-03-08': 2, '2025-03-09': 23, '2025-03-10': 1 });
+});
+
+test('splitShift: each piece gets its own day and ISO week', () => {
+  const u = user('Europe/Berlin');
+  // Sunday 2025-09-07 22:00 to Monday 2025-09-08 02:00 in Berlin
+  const { id } = db.addShift(u, at('2025-09-07T20:00:00Z'), at('2025-09-08T00:00:00Z'));
+  const first = db.getShift(u, id);
+  const second = db.getShift(u, id + 1);
+  assert.deepEqual([first.day_key, first.week_key], ['2025-09-07', '2025-09-01']);
+  assert.deepEqual([second.day_key, second.week_key], ['2025-09-08', '2025-09-08']);
+  assert.equal(first.end_ts, second.start_ts);
+});
+
+test('splitShift: a break across midnight is shared between the days', () => {
+  const u = user('Europe/Berlin');
+  // 2025-10-25 21:00 to 2025-10-26 03:00 in Berlin (the night clocks go back), unpaid break 23:30 to 00:30
+  assert.equal(db.clockIn(u, at('2025-10-25T19:00:00Z')).ok, true);
+  assert.equal(db.startBreak(u, at('2025-10-25T21:30:00Z'), false).ok, true);
+  assert.equal(db.endBreak(u, at('2025-10-25T22:30:00Z')).ok, true);
+  assert.equal(db.clockOut(u, at('2025-10-26T02:00:00Z')).ok, true);
+  // 21:00-24:00 less 0.5h of break; 00:00-03:00 is 4 hours that night, less 0.5h
+  assert.deepEqual(hoursByDay(u, '2025-10-20', '2025-10-26'), { '2025-10-25': 2.5, '2025-10-26': 3.5 });
+});
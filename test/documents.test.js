@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+const { invoiceNumber } = require('../services');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../invoice');
+
+const INVOICE = {
+  title: 'Invoice',
+  number: 'INV-00007',
+  issued: 'Sep 8, 2025',
+  business: { name: 'Smith & Sons', address: ['1 Main St', 'Springfield'], email: 'pay@example.com', taxId: '' },
+  worker: { name: 'Ana <Ops>', id: 1234 },
+  period: { start: '2025-09-01', end: '2025-09-07' },
+  lines: [{ description: 'acme (phase 2)', hours: 10, rate: 12.5, amount: 125 }],
+  subtotal: 125,
+  adjustments: [{ description: 'Deduction', amount: -10 }],
+  total: 115,
+};
+
+test('invoiceNumber: the prefix and a five-digit sequence', () => {
+  assert.equal(invoiceNumber(7), 'INV-00007');
+  assert.equal(invoiceNumber(123456), 'INV-123456');
+});
+
+test('issueInvoice: one number per user and period, the total kept up to date', () => {
+  const u = user();
+  const week = { start: '2025-09-01', end: '2025-09-07' };
+  const first = db.issueInvoice(u, week, 100, at('2025-09-08T08:00:00Z'));
+  const again = db.issueInvoice(u, week, 120, at('2025-09-09T08:00:00Z'));
+  assert.deepEqual([again.id, again.total, again.issued_ts], [first.id, 120, at('2025-09-08T08:00:00Z')]);
+  const next = db.issueInvoice(u, { start: '2025-09-08', end: '2025-09-14' }, 80, at('2025-09-15T08:00:00Z'));
+  assert.equal(next.id, first.id + 1);
+});
+
+test('renderInvoiceHtml: escapes text and lists lines, subtotal, adjustments and total', () => {
+  const html = renderInvoiceHtml(INVOICE);
+  assert.match(html, /<title>Invoice INV-00007<\/title>/);
+  assert.match(html, /<strong>Smith &amp; Sons<\/strong>/);
+  assert.match(html, /<strong>Ana &lt;Ops&gt;<\/strong>/);
+  assert.match(html, /Sep 1–Sep 7, 2025/);
+  assert.match(html, /<td>acme \(phase 2\)<\/td><td class="num">10\.00h<\/td><td class="num">\$12\.50\/hr<\/td><td class="num">\$125\.00<\/td>/);
+  assert.match(html, /<td>Deduction<\/td><td class="num"><\/td><td class="num"><\/td><td class="num">-\$10\.00<\/td>/);
+  assert.match(html, /<tr class="total"><td>Total<\/td>.*\$115\.00/);
+  assert.doesNotMatch(html, /Tax ID/);
+});
+
+test('renderInvoicePdf: a one-page PDF with a valid cross-reference table', () => {
+  const pdf = Buffer.from(renderInvoicePdf(INVOICE)).toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+  assert.match(pdf, /\/Count 1 >>/);
+  assert.match(pdf, /\(acme \\\(phase 2\\\)\) Tj/);
+  assert.match(pdf, /\(Period: Sep 1\x96Sep 7, 2025\) Tj/);
+  // every xref entry points at its object
+  const xref = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+  const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map((l) => Number(l.slice(0, 10)));
+  offsets.forEach((o, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, o)));
+});
+
+test('renderInvoicePdf: long invoices go on to more pages', () => {
+  const lines = Array.from({ length: 60 }, (_, i) => ({ description: `Day ${i + 1}`, hours: 1, rate: 10, amount: 10 }));
+  const pdf = Buffer.from(renderInvoicePdf({ ...INVOICE, lines })).toString('latin1');
+  assert.match(pdf, /\/Count 2 >>/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { COLUMNS, exportSessions, parseSessionsCSV } = require('../exporter');
+
+const META = { user: 42, timezone: 'Europe/Berlin', from: '2025-09-01', to: '2025-09-07' };
+const SESSIONS = [
+  { id: 1, date: '2025-09-01', start: '2025-09-01T09:00:00+02:00', end: '2025-09-01T17:00:00+02:00', hours: 7.5, break_hours: 0.75, unpaid_break_hours: 0.5, project: 'acme' },
+  { id: 'L1', date: '2025-09-02', hours: 8, break_hours: 0, unpaid_break_hours: 0, type: 'vacation' },
+  { id: 'A1', date: '2025-09-03', hours: 0, break_hours: 0, unpaid_break_hours: 0, type: 'adjustment', amount: -10, note: 'deduction' },
+];
+const csvOf = (userId, start, end) =>
+  exportSessions('csv', db.getExportSessions(userId, { start, end }), { user: userId, timezone: 'Europe/Berlin', from: start, to: end });
+
+test('exportSessions: shifts, leave and adjustments of a period in one CSV layout', () => {
+  const u = user('Europe/Berlin');
+  // Tuesday 2025-09-02 09:00 to 17:30 in Berlin
+  const { id } = db.addShift(u, at('2025-09-02T07:00:00Z'), at('2025-09-02T15:30:00Z'), 'acme');
+  assert.equal(db.addLeave({ userId: u, kind: 'vacation', day: '2025-09-01', hours: 8 }, at('2025-09-01T08:00:00Z')).ok, true);
+  const adj = db.addAdjustment({ userId: u, day: '2025-09-03', amount: 25, category: 'bonus', note: 'Q3, team', actorId: OWNER }, at('2025-09-03T08:00:00Z'));
+  assert.equal(adj.ok, true);
+
+  const file = csvOf(u, '2025-09-01', '2025-09-07');
+  assert.equal(file.mime, 'text/csv');
+  const [header, ...rows] = file.content.trimEnd().split('\n');
+  assert.equal(header, COLUMNS.join(','));
+  assert.equal(rows.length, 3);
+  assert.match(rows[0], /^L\d+,2025-09-01,,,8,0,0,,vacation,false,,$/);
+  assert.equal(rows[1], `${id},2025-09-02,2025-09-02T09:00:00+02:00,2025-09-02T17:30:00+02:00,8.5,0,0,acme,work,false,,`);
+  assert.equal(rows[2], `A${adj.adjustment.id},2025-09-03,,,0,0,0,,adjustment,false,25,"bonus: Q3, team"`);
+});
+
+test('exportSessions: a running shift is left out until it is closed', () => {
+  const u = user('Europe/Berlin');
+  assert.equal(db.clockIn(u, at('2025-09-02T07:00:00Z')).ok, true);
+  assert.equal(csvOf(u, '2025-09-01', '2025-09-07').content, COLUMNS.join(',') + '\n');
+});
+
+test('exportSessions: JSON totals worked hours, leave and adjustments apart', () => {
+  const file = exportSessions('json', SESSIONS, META);
+  assert.deepEqual([file.filename, file.mime], ['sessions_2025-09-01_2025-09-07.json', 'application/json']);
+  const json = JSON.parse(file.content);
+  assert.deepEqual([json.user, json.timezone, json.from, json.to], ['42', 'Europe/Berlin', '2025-09-01', '2025-09-07']);
+  assert.deepEqual([json.total_hours, json.leave_hours, json.adjustments_total], [7.5, 8, -10]);
+  assert.deepEqual(json.sessions.map((r) => [r.id, r.type, r.adjusted]), [[1, 'work', false], ['L1', 'vacation', false], ['A1', 'adjustment', false]]);
+});
+
+test('exportSessions: iCalendar has the shifts in UTC and leave all day, without adjustments', () => {
+  const { content, mime } = exportSessions('ics', SESSIONS, META);
+  assert.equal(mime, 'text/calendar');
+  const events = content.split('BEGIN:VEVENT').slice(1);
+  assert.equal(events.length, 2);
+  assert.match(events[0], /DTSTART:20250901T070000Z\r\nDTEND:20250901T150000Z\r\nSUMMARY:Work: acme\r\n/);
+  assert.match(events[1], /DTSTART;VALUE=DATE:20250902\r\nDTEND;VALUE=DATE:20250903\r\nSUMMARY:Leave: vacation\r\n/);
+  assert.ok(content.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('exportSessions: XLSX is a zip with one sheet of the same columns', () => {
+  const { content, filename } = exportSessions('xlsx', SESSIONS, META);
+  assert.equal(filename, 'sessions_2025-09-01_2025-09-07.xlsx');
+  const text = Buffer.from(content).toString('utf8');
+  assert.ok(text.startsWith('PK\x03\x04'));
+  assert.match(text, /<row r="1"><c r="A1" t="inlineStr"><is><t>id<\/t><\/is><\/c>/);
+  assert.match(text, /<c r="E2"><v>7\.5<\/v><\/c>/);
+  assert.match(text, /<c r="K4"><v>-10<\/v><\/c>/);
+});
+
+test('exportSessions: an unknown format is CSV, and the CSV imports back', () => {
+  const file = exportSessions('pdf', SESSIONS, META);
+  assert.deepEqual([file.filename, file.mime], ['sessions_2025-09-01_2025-09-07.csv', 'text/csv']);
+  const { rows, errors } = parseSessionsCSV(file.content);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows.map((r) => [r.row, r.project]), [[2, 'acme']]);
+  assert.deepEqual(rows[0].start, { utcMs: Date.UTC(2025, 8, 1, 7) });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSessionsCSV } = require('../exporter');
+
+test('parseSessionsCSV: reads date, start, end and project columns in any order', () => {
+  const { rows, errors } = parseSessionsCSV('Project,Date,Start,End\nacme,2025-09-01,9:00,17:30\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [{
+    row: 2,
+    start: { date: '2025-09-01', time: '09:00' },
+    end: { date: '2025-09-01', time: '17:30' },
+    project: 'acme',
+  }]);
+});
+
+test('parseSessionsCSV: quoted fields keep their commas, quotes and line breaks', () => {
+  const csv = 'date,start,end,project,note\r\n'
+    + '2025-09-01,09:00,12:00,"acme, inc","said ""hi"""\r\n'
+    + '2025-09-02,09:00,12:00,beta,"two\nlines"\r\n'
+    + '2025-09-03,09:00,12:00,gamma,\r\n';
+  const { rows, errors } = parseSessionsCSV(csv);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows.map((r) => [r.row, r.project]), [[2, 'acme, inc'], [3, 'beta'], [4, 'gamma']]);
+});
+
+test('parseSessionsCSV: semicolon files, a BOM and the in/out/day aliases', () => {
+  const { rows, errors } = parseSessionsCSV('\uFEFFDay;In;Out\n2025-09-01;08:00;16:00\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows[0].start, { date: '2025-09-01', time: '08:00' });
+  assert.equal(rows[0].project, '');
+});
+
+test('parseSessionsCSV: a bare end at or before the start is on the next day', () => {
+  const { rows } = parseSessionsCSV('date,start,end\n2025-09-30,22:00,06:00\n2025-12-31,23:00,23:00\n2025-09-01,09:00,17:00\n');
+  assert.deepEqual(rows.map((r) => r.end), [
+    { date: '2025-10-01', time: '06:00' },
+    { date: '2026-01-01', time: '23:00' },
+    { date: '2025-09-01', time: '17:00' },
+  ]);
+});
+
+test('parseSessionsCSV: full date-times and ISO times with offsets', () => {
+  const { rows, errors } = parseSessionsCSV([
+    'start,end',
+    '2025-09-01 22:00,2025-09-02 06:00',
+    '2025-09-01T09:00:00+02:00,2025-09-01T17:00:00Z',
+  ].join('\n'));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows[0].end, { date: '2025-09-02', time: '06:00' });
+  assert.deepEqual(rows[1].start, { utcMs: Date.UTC(2025, 8, 1, 7) });
+  assert.deepEqual(rows[1].end, { utcMs: Date.UTC(2025, 8, 1, 17) });
+});
+
+test('parseSessionsCSV: skips blank rows and non-work types, reports bad rows by spreadsheet row', () => {
+  const { rows, errors } = parseSessionsCSV([
+    'date,start,end,type',
+    '2025-09-01,09:00,17:00,work',
+    ',,,',
+    '2025-09-02,,,vacation',
+    '01/09/2025,09:00,17:00,work',
+    '2025-09-03,9am,17:00,',
+    '2025-09-04,09:00,5pm,',
+    ',09:00,17:00,',
+  ].join('\n'));
+  assert.deepEqual(rows.map((r) => r.row), [2]);
+  assert.deepEqual(errors.map((e) => e.row), [5, 6, 7, 8]);
+  assert.match(errors[0].message, /Bad date "01\/09\/2025"/);
+  assert.match(errors[1].message, /Bad start "9am"/);
+  assert.match(errors[2].message, /Bad end "5pm"/);
+  assert.match(errors[3].message, /Bad start "09:00"/);
+});
+
+test('parseSessionsCSV: the header needs start and end', () => {
+  const { rows, errors } = parseSessionsCSV('date,hours\n2025-09-01,8\n');
+  assert.deepEqual(rows, []);
+  assert.deepEqual(errors.map((e) => e.row), [1]);
+});
+
+test('parseSessionsCSV: at most 500 rows per file', () => {
+  const file = (n) => ['date,start,end', ...Array.from({ length: n }, () => '2025-09-01,09:00,10:00')].join('\n') + '\n';
+  assert.equal(parseSessionsCSV(file(500)).rows.length, 500);
+  const { rows, errors } = parseSessionsCSV(file(501));
+  assert.deepEqual(rows, []);
+  assert.deepEqual(errors, [{ row: 1, message: 'At most 500 rows per file.' }]);
+});
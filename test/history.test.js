@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+
+const WEEK = { kind: 'weekly', start: '2025-09-01', end: '2025-09-07' };
+
+test('archivePeriod: keeps the hours, pay and shifts of a period, archiving again replaces them', () => {
+  const u = user();
+  const { id } = db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z'));
+  db.archivePeriod(u, WEEK, 20, 160);
+  let snap = db.getPeriodSnapshot(u, '2025-09-01');
+  assert.deepEqual([snap.period_end, snap.hours, snap.rate, snap.pay], ['2025-09-07', 8, 20, 160]);
+  assert.deepEqual(snap.sessions.map((s) => s.id), [id]);
+
+  db.addShift(u, at('2025-09-02T07:00:00Z'), at('2025-09-02T09:00:00Z'));
+  db.archivePeriod(u, WEEK, 20, 200);
+  snap = db.getPeriodSnapshot(u, '2025-09-01');
+  assert.deepEqual([snap.hours, snap.pay, snap.sessions.length], [10, 200, 2]);
+  assert.deepEqual(db.listHistory(u, 10).map((h) => h.week_key), ['2025-09-01']);
+});
+
+test('getWeekSnapshot: only a snapshot of exactly that week', () => {
+  const u = user();
+  db.archivePeriod(u, { kind: 'monthly', start: '2025-09-01', end: '2025-09-30' }, 20, 0);
+  assert.equal(db.getPeriodSnapshot(u, '2025-09-01').period_end, '2025-09-30');
+  assert.equal(db.getWeekSnapshot(u, '2025-09-01'), null);
+  db.archivePeriod(u, WEEK, 20, 0);
+  assert.equal(db.getWeekSnapshot(u, '2025-09-01').period_end, '2025-09-07');
+});
+
+test('listHistory: newest period first, at most `limit`', () => {
+  const u = user();
+  for (const start of ['2025-08-18', '2025-09-01', '2025-08-25']) {
+    db.archivePeriod(u, { kind: 'weekly', start, end: start }, 20, 0);
+  }
+  assert.deepEqual(db.listHistory(u, 2).map((h) => h.week_key), ['2025-09-01', '2025-08-25']);
+});
+
+test('closingPeriod: due from local midnight after the last day', () => {
+  const u = user('Europe/Berlin');
+  // Sunday 2025-09-07 23:00 in Berlin: the week has not ended yet
+  let res = db.closingPeriod(u, at('2025-09-07T21:00:00Z'));
+  assert.deepEqual([res.period.start, res.due], ['2025-09-01', false]);
+  // Monday 00:30: 12 hours back is still in the closing week
+  res = db.closingPeriod(u, at('2025-09-07T22:30:00Z'));
+  assert.deepEqual([res.period.start, res.endTs, res.due], ['2025-09-01', at('2025-09-07T22:00:00Z'), true]);
+});
+
+test('purgeHistory: drops closed shifts and snapshots older than the retention, keeps the rest', () => {
+  const u = user();
+  const old = db.addShift(u, at('2024-01-02T07:00:00Z'), at('2024-01-02T15:00:00Z')).id;
+  const recent = db.addShift(u, at('2025-09-02T07:00:00Z'), at('2025-09-02T15:00:00Z')).id;
+  db.archivePeriod(u, { kind: 'weekly', start: '2024-01-01', end: '2024-01-07' }, 20, 160);
+  db.archivePeriod(u, WEEK, 20, 160);
+  assert.ok(db.purgeHistory(at('2025-09-10T12:00:00Z'), 52) >= 2);
+  assert.equal(db.getShift(u, old), null);
+  assert.equal(db.getPeriodSnapshot(u, '2024-01-01'), null);
+  assert.notEqual(db.getShift(u, recent), null);
+  assert.notEqual(db.getPeriodSnapshot(u, '2025-09-01'), null);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { periodPay, invoiceLines } = require('../services');
+
+const RULES = {
+  dailyOvertimeAfter: 8,
+  dailyOvertimeMultiplier: 1.5,
+  weeklyOvertimeAfter: 40,
+  weeklyOvertimeMultiplier: 1.5,
+  weekendDays: [0, 6],
+  weekendMultiplier: 1,
+  holidayMultiplier: 2,
+  holidays: {},
+};
+const invoice = (entries, rate = 10) => invoiceLines(entries, periodPay(entries, rate, RULES), rate);
+
+test('invoiceLines: straight time per day, then premiums as adjustments', () => {
+  const totals = invoice([
+    { date: '2025-09-01', hours: 10 },
+    { date: '2025-09-02', hours: 4 },
+  ]);
+  assert.deepEqual(totals.lines.map((l) => [l.description, l.hours, l.rate, l.amount]), [
+    ['Mon, Sep 1, 2025', 10, 10, 100],
+    ['Tue, Sep 2, 2025', 4, 10, 40],
+  ]);
+  assert.equal(totals.subtotal, 140);
+  assert.deepEqual(totals.adjustments.map((a) => a.amount), [2 * 10 * 0.5]);
+  assert.match(totals.adjustments[0].description, /^Overtime \(daily\) premium: 2\.00h × \$10\/hr × 0\.5$/);
+  assert.equal(totals.total, 150);
+});
+
+test('invoiceLines: per project once any shift is tagged, at each project\'s rate', () => {
+  const totals = invoice([
+    { date: '2025-09-01', hours: 3, project: 'beta', rate: 20 },
+    { date: '2025-09-01', hours: 2 },
+    { date: '2025-09-02', hours: 3, project: 'acme' },
+  ]);
+  assert.deepEqual(totals.lines.map((l) => [l.description, l.hours, l.rate]), [
+    ['Untagged', 2, 10],
+    ['acme', 3, 10],
+    ['beta', 3, 20],
+  ]);
+  assert.equal(totals.total, 20 + 30 + 60);
+});
+
+test('invoiceLines: paid leave gets its own line per type after the worked time', () => {
+  const totals = invoice([
+    { date: '2025-09-01', hours: 8, project: 'acme' },
+    { date: '2025-09-02', hours: 8, leave: 'vacation' },
+    { date: '2025-09-03', hours: 4, leave: 'sick' },
+    { date: '2025-09-04', hours: 8, leave: 'vacation' },
+  ]);
+  assert.deepEqual(totals.lines.map((l) => [l.description, l.hours, l.amount]), [
+    ['acme', 8, 80],
+    ['Paid leave (vacation)', 16, 160],
+    ['Paid leave (sick)', 4, 40],
+  ]);
+  assert.deepEqual(totals.adjustments, []);
+  assert.equal(totals.total, 280);
+});
+
+test('invoiceLines: pay adjustments follow the premiums and the total matches periodPay', () => {
+  const entries = [
+    { date: '2025-09-01', hours: 9 },
+    { date: '2025-09-02', hours: 8, leave: 'vacation' },
+    { date: '2025-09-03', hours: 0, adjustment: 'bonus', amount: 25, note: 'Q3 target' },
+    { date: '2025-09-04', hours: 0, adjustment: 'deduction', amount: -12.5 },
+  ];
+  const pay = periodPay(entries, 10, RULES);
+  const totals = invoiceLines(entries, pay, 10);
+  assert.deepEqual(totals.lines.map((l) => l.description), ['Mon, Sep 1, 2025', 'Paid leave (vacation)']);
+  assert.deepEqual(totals.adjustments.map((a) => [a.description, a.amount]), [
+    ['Overtime (daily) premium: 1.00h × $10/hr × 0.5', 5],
+    ['Bonus: Q3 target', 25],
+    ['Deduction', -12.5],
+  ]);
+  assert.equal(totals.subtotal, 170);
+  assert.equal(totals.total, 170 + 5 + 25 - 12.5);
+  assert.equal(totals.total, pay.amount);
+});
+
+test('invoiceLines: hours from before the period are left off', () => {
+  const entries = [
+    ...['2025-09-01', '2025-09-02', '2025-09-03', '2025-09-04'].map((date) => ({ date, hours: 8, prior: true })),
+    { date: '2025-09-05', hours: 8 },
+    { date: '2025-09-06', hours: 4 },
+  ];
+  const pay = periodPay(entries, 10, RULES);
+  const totals = invoiceLines(entries, pay, 10);
+  assert.deepEqual(totals.lines.map((l) => [l.description, l.hours]), [['Fri, Sep 5, 2025', 8], ['Sat, Sep 6, 2025', 4]]);
+  assert.equal(totals.total, pay.amount);
+  assert.equal(totals.total, 8 * 10 + 4 * 15);
+});
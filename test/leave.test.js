@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+
+const NOW = at('2025-09-01T08:00:00Z');
+const leave = (userId, kind, day, hours) => db.addLeave({ userId, kind, day, hours, actorId: OWNER }, NOW);
+
+test('addLeave: a known type, up to 24 hours a day', () => {
+  const u = user();
+  assert.equal(leave(u, 'holidays', '2025-09-01').message, 'Unknown leave type "holidays". Types: vacation, sick, holiday, unpaid.');
+  assert.equal(leave(u, 'sick', '2025-09-01', 0).ok, false);
+  assert.equal(leave(u, 'sick', '2025-09-01', 25).ok, false);
+  const res = leave(u, 'sick', '2025-09-01', 16);
+  assert.equal(res.message, `Recorded #${res.leave.id} Mon, Sep 1, 2025 sick 16h ✅`);
+  assert.equal(res.leave.created_by, OWNER);
+  assert.equal(leave(u, 'unpaid', '2025-09-01', 9).message, 'That would be more than 24h of leave on 2025-09-01.');
+  assert.equal(leave(u, 'unpaid', '2025-09-01', 8).leave.paid, 0);
+});
+
+test('leaveBalance: days used per type against the yearly allowance', () => {
+  const u = user();
+  leave(u, 'vacation', '2025-03-03');
+  leave(u, 'vacation', '2025-03-04', 4);
+  leave(u, 'vacation', '2024-12-31');
+  leave(u, 'holiday', '2025-12-25');
+  const balance = Object.fromEntries(db.leaveBalance(u, '2025').map((b) => [b.kind, b]));
+  assert.deepEqual(balance.vacation, { kind: 'vacation', paid: true, allowance: 20, usedHours: 12, usedDays: 1.5, leftDays: 18.5 });
+  assert.deepEqual([balance.holiday.allowance, balance.holiday.usedDays, balance.holiday.leftDays], [null, 1, null]);
+  assert.deepEqual([balance.unpaid.paid, balance.unpaid.usedHours], [false, 0]);
+});
+
+test('setLeaveAllowance: a per-user allowance caps addLeave; null goes back to the default', () => {
+  const u = user();
+  assert.equal(db.setLeaveAllowance(u, 'sick', 1.5).message, 'Yearly sick allowance: 1.5 days ✅');
+  assert.equal(db.setLeaveAllowance(u, 'sick', 400).ok, false);
+  assert.equal(leave(u, 'sick', '2025-09-01').ok, true);
+  assert.equal(leave(u, 'sick', '2025-09-02').message, 'Not enough sick allowance left for 2025: 0.5 days (4h).');
+  assert.equal(leave(u, 'sick', '2025-09-02', 4).ok, true);
+  assert.equal(db.setLeaveAllowance(u, 'sick', null).days, 10);
+  assert.equal(db.setLeaveAllowance(u, 'holiday', 0).days, 0);
+  assert.equal(leave(u, 'holiday', '2025-12-25').ok, false);
+});
+
+test('deleteLeave: gives the days back', () => {
+  const u = user();
+  const { leave: l } = leave(u, 'vacation', '2025-09-05');
+  assert.equal(db.deleteLeave(l.id).message, `Deleted #${l.id} Fri, Sep 5, 2025 vacation 8h`);
+  assert.equal(db.getLeave(l.id), null);
+  assert.equal(db.deleteLeave(l.id).message, `Leave #${l.id} not found.`);
+  assert.equal(db.leaveBalance(u, '2025').find((b) => b.kind === 'vacation').usedDays, 0);
+});
+
+test('getPeriodEntries: paid leave is paid at the rate of its day, unpaid leave not at all', () => {
+  const u = user('Europe/Berlin');
+  db.setRate({ userId: u, rate: 10, effectiveTs: at('2025-01-01T00:00:00Z'), setBy: OWNER }, NOW);
+  db.setRate({ userId: u, rate: 12, effectiveTs: at('2025-09-02T22:00:00Z'), setBy: OWNER }, NOW);
+  leave(u, 'vacation', '2025-09-02');
+  leave(u, 'sick', '2025-09-03', 4);
+  leave(u, 'unpaid', '2025-09-04');
+  const entries = db.getPeriodEntries(u, { start: '2025-09-01', end: '2025-09-07' });
+  assert.deepEqual(entries.map((e) => [e.date, e.leave, e.hours, e.rate]), [['2025-09-02', 'vacation', 8, 10], ['2025-09-03', 'sick', 4, 12]]);
+});
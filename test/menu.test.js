@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { workerEnv } = require('./worker');
+
+const buttons = (markup) => markup.inline_keyboard.flat().map((b) => b.callback_data);
+
+test('worker /menu: the status with buttons for the user who opened it', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  const [text] = await bot.send(2000, '/menu');
+  assert.equal(text, '⏱ ⚪ Not clocked in');
+  const { reply_markup } = bot.calls.at(-1);
+  assert.deepEqual(buttons(reply_markup), ['m:in:2000', 'm:today:2000', 'm:week:2000', 'm:pay:2000', 'm:export:2000', 'm:home:2000']);
+});
+
+test('worker /menu: a tap runs the command and edits the menu in place', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  const message = { message_id: 7, chat: { id: 2000, type: 'private' } };
+  const calls = await bot.tap(2000, 'm:in:2000', message);
+  assert.deepEqual(calls.map((c) => c.method), ['answerCallbackQuery', 'editMessageText']);
+  const edit = calls[1];
+  assert.equal(edit.message_id, 7);
+  assert.match(edit.text, /^⏱ 🟢 Clocked in since \d\d:\d\d\n\nClocked IN at \d\d:\d\d\.$/);
+  assert.equal(buttons(edit.reply_markup)[0], 'm:out:2000');
+});
+
+test('worker /menu: other people\'s menus and users without a role get an answer only', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  const message = { message_id: 7, chat: { id: -100, type: 'group' } };
+  let calls = await bot.tap(2001, 'm:in:2000', message);
+  assert.deepEqual(calls.map((c) => [c.method, c.text]), [['answerCallbackQuery', 'This menu belongs to someone else. Send /menu for your own.']]);
+  calls = await bot.tap(2001, 'm:in:2001', message);
+  assert.deepEqual(calls.map((c) => c.method), ['answerCallbackQuery']);
+  assert.equal(bot.env.HOURS.data.has('u:2001:open'), false);
+});
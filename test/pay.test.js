@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { periodPay } = require('../services');
+
+// The default rules, spelled out so the tests don't depend on the environment
+const RULES = {
+  dailyOvertimeAfter: 8,
+  dailyOvertimeMultiplier: 1.5,
+  weeklyOvertimeAfter: 40,
+  weeklyOvertimeMultiplier: 1.5,
+  weekendDays: [0, 6],
+  weekendMultiplier: 1,
+  holidayMultiplier: 2,
+  holidays: {},
+};
+const hoursOf = (pay) => Object.fromEntries(pay.lines.map((l) => [l.key, l.hours]));
+const days = (first, n, hours) => Array.from({ length: n }, (_, i) => ({
+  date: `2025-09-${String(Number(first.slice(-2)) + i).padStart(2, '0')}`,
+  hours,
+}));
+
+test('periodPay: hours past the daily threshold are daily overtime', () => {
+  const pay = periodPay([{ date: '2025-09-01', hours: 10 }], 10, RULES);
+  assert.deepEqual(hoursOf(pay), { regular: 8, dailyOvertime: 2 });
+  assert.equal(pay.hours, 10);
+  assert.equal(pay.amount, 8 * 10 + 2 * 10 * 1.5);
+});
+
+test('periodPay: the last shifts of a day are the ones that go over', () => {
+  const pay = periodPay([
+    { date: '2025-09-01', hours: 6, project: 'a' },
+    { date: '2025-09-01', hours: 4, project: 'b' },
+  ], 10, RULES);
+  assert.equal(pay.projects.a.hours, 6);
+  assert.equal(pay.projects.a.amount, 60);
+  assert.equal(pay.projects.b.amount, 2 * 10 + 2 * 15);
+});
+
+test('periodPay: straight hours past 40 in a week are weekly overtime', () => {
+  // Monday 2025-09-01 to Saturday 2025-09-06, 8h a day
+  const pay = periodPay(days('2025-09-01', 6, 8), 10, RULES);
+  assert.deepEqual(hoursOf(pay), { regular: 40, weeklyOvertime: 8 });
+});
+
+test('periodPay: daily overtime does not count towards the weekly threshold', () => {
+  const pay = periodPay(days('2025-09-01', 5, 10), 10, RULES);
+  assert.deepEqual(hoursOf(pay), { regular: 40, dailyOvertime: 10 });
+});
+
+test('periodPay: the weekly threshold restarts on Monday', () => {
+  // Tuesday 2025-09-02 to Monday 2025-09-08: Sunday is the week's 41st-48th hour, Monday opens a new week
+  const pay = periodPay(days('2025-09-02', 7, 8), 10, RULES);
+  assert.deepEqual(hoursOf(pay), { regular: 48, weeklyOvertime: 8 });
+  assert.equal(pay.lines.find((l) => l.key === 'weeklyOvertime').amount, 8 * 15);
+});
+
+test('periodPay: prior entries count towards the week but are not paid', () => {
+  // the period starts on Thursday 2025-09-04; Monday to Wednesday were paid with the last one
+  const prior = days('2025-09-01', 3, 8).map((e) => ({ ...e, prior: true }));
+  const pay = periodPay([...prior, ...days('2025-09-04', 3, 8)], 10, RULES);
+  assert.deepEqual(hoursOf(pay), { regular: 16, weeklyOvertime: 8 });
+  assert.equal(pay.hours, 24);
+  assert.equal(pay.amount, 16 * 10 + 8 * 15);
+  assert.deepEqual(Object.keys(pay.projects), ['']);
+});
+
+test('periodPay: paid leave is straight time and never overtime', () => {
+  const pay = periodPay([
+    ...days('2025-09-01', 5, 8),
+    { date: '2025-09-05', hours: 8, leave: 'vacation' },
+  ], 10, RULES);
+  assert.deepEqual(hoursOf(pay), { regular: 40, leave: 8 });
+  assert.equal(pay.projects[''].hours, 40);
+});
+
+test('periodPay: weekend and holiday premiums apply to straight hours only', () => {
+  const rules = { ...RULES, weekendMultiplier: 1.25, holidays: { '2025-09-01': 'Labor Day' } };
+  const pay = periodPay([
+    { date: '2025-09-01', hours: 9 },
+    { date: '2025-09-06', hours: 4 },
+  ], 10, rules);
+  assert.deepEqual(hoursOf(pay), { weekend: 4, holiday: 8, dailyOvertime: 1 });
+  assert.equal(pay.amount, 4 * 12.5 + 8 * 20 + 15);
+});
+
+test('periodPay: adjustments are listed and included in the amount', () => {
+  const pay = periodPay([
+    { date: '2025-09-01', hours: 8 },
+    { date: '2025-09-02', hours: 0, adjustment: 'bonus', amount: 25, note: 'Q3' },
+    { date: '2025-09-03', hours: 0, adjustment: 'nonsense', amount: -5 },
+  ], 10, RULES);
+  assert.equal(pay.hours, 8);
+  assert.equal(pay.amount, 80 + 25 - 5);
+  assert.deepEqual(pay.adjustments.map((a) => [a.category, a.note, a.amount]), [['bonus', 'Q3', 25], ['other', '', -5]]);
+});
+
+test('periodPay: a threshold of 0 switches the rule off', () => {
+  const pay = periodPay(days('2025-09-01', 5, 12), 10, { ...RULES, dailyOvertimeAfter: 0, weeklyOvertimeAfter: 0 });
+  assert.deepEqual(hoursOf(pay), { regular: 60 });
+});
+
+test('periodPay: entries with their own rate get their own lines', () => {
+  const pay = periodPay([
+    { date: '2025-09-01', hours: 4, rate: 20 },
+    { date: '2025-09-01', hours: 4 },
+  ], 10, RULES);
+  assert.deepEqual(pay.lines.map((l) => [l.key, l.rate, l.hours]), [['regular', 10, 4], ['regular', 20, 4]]);
+  assert.equal(pay.amount, 120);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { payPeriodRange } = require('../services');
+
+const range = (kind, date) => {
+  const { start, end } = payPeriodRange(kind, date);
+  return [start, end];
+};
+
+test('payPeriodRange: weekly periods run Monday to Sunday', () => {
+  assert.deepEqual(range('weekly', '2025-09-01'), ['2025-09-01', '2025-09-07']);
+  assert.deepEqual(range('weekly', '2025-09-07'), ['2025-09-01', '2025-09-07']);
+  assert.deepEqual(range('weekly', '2025-12-31'), ['2025-12-29', '2026-01-04']);
+});
+
+test('payPeriodRange: semi-monthly periods split after the 15th', () => {
+  assert.deepEqual(range('semimonthly', '2025-09-01'), ['2025-09-01', '2025-09-15']);
+  assert.deepEqual(range('semimonthly', '2025-09-15'), ['2025-09-01', '2025-09-15']);
+  assert.deepEqual(range('semimonthly', '2025-09-16'), ['2025-09-16', '2025-09-30']);
+  assert.deepEqual(range('semimonthly', '2025-10-31'), ['2025-10-16', '2025-10-31']);
+});
+
+test('payPeriodRange: the second half of February ends on its last day', () => {
+  assert.deepEqual(range('semimonthly', '2025-02-16'), ['2025-02-16', '2025-02-28']);
+  assert.deepEqual(range('semimonthly', '2024-02-29'), ['2024-02-16', '2024-02-29']);
+});
+
+test('payPeriodRange: monthly periods cover the whole month', () => {
+  assert.deepEqual(range('monthly', '2025-09-01'), ['2025-09-01', '2025-09-30']);
+  assert.deepEqual(range('monthly', '2025-12-31'), ['2025-12-01', '2025-12-31']);
+  assert.deepEqual(range('monthly', '2024-02-10'), ['2024-02-01', '2024-02-29']);
+  assert.deepEqual(range('monthly', '2025-02-28'), ['2025-02-01', '2025-02-28']);
+});
+
+test('payPeriodRange: bi-weekly periods step 14 days from the anchor, also before it', () => {
+  // default anchor 2024-01-01
+  assert.deepEqual(range('biweekly', '2024-01-01'), ['2024-01-01', '2024-01-14']);
+  assert.deepEqual(range('biweekly', '2024-01-15'), ['2024-01-15', '2024-01-28']);
+  assert.deepEqual(range('biweekly', '2023-12-31'), ['2023-12-18', '2023-12-31']);
+});
+
+test('payPeriodRange: keeps the kind', () => {
+  assert.equal(payPeriodRange('monthly', '2025-09-10').kind, 'monthly');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { normalizeProject, periodPay } = require('../services');
+
+const WEEK = { kind: 'weekly', start: '2025-09-01', end: '2025-09-07' };
+
+test('normalizeProject: lower-case tags of letters, digits, dots, dashes and underscores', () => {
+  assert.equal(normalizeProject(' Acme-Website '), 'acme-website');
+  assert.equal(normalizeProject('client_2.web'), 'client_2.web');
+  assert.equal(normalizeProject('-acme'), null);
+  assert.equal(normalizeProject('acme website'), null);
+  assert.equal(normalizeProject('a'.repeat(41)), null);
+  assert.equal(normalizeProject(''), null);
+});
+
+test('getPeriodEntries: each shift keeps its project, priced at that project\'s rate', () => {
+  const u = user();
+  const from = at('2025-01-01T00:00:00Z');
+  assert.equal(db.setRate({ userId: u, rate: 20, effectiveTs: from, setBy: OWNER }, from).ok, true);
+  // everyone's rate on beta, and this user's own rate on gamma
+  db.setRate({ project: 'beta', rate: 30, effectiveTs: from, setBy: OWNER }, from);
+  db.setRate({ project: 'gamma', rate: 30, effectiveTs: from, setBy: OWNER }, from);
+  db.setRate({ userId: u, project: 'gamma', rate: 40, effectiveTs: from, setBy: OWNER }, from);
+  db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T08:00:00Z'), 'acme');
+  db.addShift(u, at('2025-09-01T08:00:00Z'), at('2025-09-01T09:00:00Z'), 'beta');
+  db.addShift(u, at('2025-09-01T09:00:00Z'), at('2025-09-01T10:00:00Z'), 'gamma');
+  db.addShift(u, at('2025-09-01T10:00:00Z'), at('2025-09-01T11:00:00Z'));
+  assert.deepEqual(db.getPeriodEntries(u, WEEK).map((e) => [e.project, e.rate]), [['acme', 20], ['beta', 30], ['gamma', 40], [null, 20]]);
+  assert.deepEqual(db.getProjectRates(at('2025-09-01T00:00:00Z')), { beta: 30, gamma: 30 });
+});
+
+test('periodPay: hours and pay per project, untagged under ""', () => {
+  const u = user();
+  db.setRate({ userId: u, rate: 10, effectiveTs: at('2025-01-01T00:00:00Z'), setBy: OWNER }, at('2025-01-01T00:00:00Z'));
+  db.clockIn(u, at('2025-09-02T07:00:00Z'), 'acme');
+  assert.equal(db.switchProject(u, at('2025-09-02T09:00:00Z'), 'docs').ok, true);
+  assert.equal(db.switchProject(u, at('2025-09-02T12:00:00Z'), null).ok, true);
+  db.clockOut(u, at('2025-09-02T13:00:00Z'));
+  const { projects } = periodPay(db.getPeriodEntries(u, WEEK));
+  assert.deepEqual(projects, { acme: { hours: 2, amount: 20 }, docs: { hours: 3, amount: 30 }, '': { hours: 1, amount: 10 } });
+});
+
+test('switchProject: needs a running shift, not on a break, and a different project', () => {
+  const u = user();
+  assert.equal(db.switchProject(u, at('2025-09-03T08:00:00Z'), 'acme').ok, false);
+  db.clockIn(u, at('2025-09-03T07:00:00Z'), 'acme');
+  assert.equal(db.switchProject(u, at('2025-09-03T08:00:00Z'), 'acme').message, 'You are already on acme.');
+  db.startBreak(u, at('2025-09-03T08:00:00Z'), true);
+  assert.equal(db.switchProject(u, at('2025-09-03T08:10:00Z'), 'beta').message, 'You are on a break. Use /resume first.');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePunchTime } = require('../services');
+
+const TZ = 'Europe/Berlin';
+// Wednesday 2025-09-03 12:00 in Berlin (10:00 UTC)
+const NOW = Date.UTC(2025, 8, 3, 10, 0) / 1000;
+const at = (iso) => Date.parse(iso) / 1000;
+
+test('parsePunchTime: no time leaves the arguments alone', () => {
+  assert.deepEqual(parsePunchTime([], TZ, NOW), { ts: null, args: [] });
+  assert.deepEqual(parsePunchTime(['acme-website'], TZ, NOW), { ts: null, args: ['acme-website'] });
+  assert.deepEqual(parsePunchTime(['ago'], TZ, NOW), { ts: null, args: ['ago'] });
+});
+
+test('parsePunchTime: a bare time is today in the zone', () => {
+  assert.deepEqual(parsePunchTime(['09:15', 'acme-website'], TZ, NOW), { ts: at('2025-09-03T07:15:00Z'), args: ['acme-website'] });
+  assert.equal(parsePunchTime(['9:05'], TZ, NOW).ts, at('2025-09-03T07:05:00Z'));
+});
+
+test('parsePunchTime: yesterday and dates take the next word as the time', () => {
+  assert.deepEqual(parsePunchTime(['yesterday', '23:10'], TZ, NOW), { ts: at('2025-09-02T21:10:00Z'), args: [] });
+  assert.deepEqual(parsePunchTime(['2025-09-01', '08:00', 'x'], TZ, NOW), { ts: at('2025-09-01T06:00:00Z'), args: ['x'] });
+  assert.equal(parsePunchTime(['Today', '11:00'], TZ, NOW).ts, at('2025-09-03T09:00:00Z'));
+});
+
+test('parsePunchTime: "today" is the local day, not the UTC one', () => {
+  // 00:30 on Thursday in Berlin is still Wednesday in UTC
+  const now = at('2025-09-03T22:30:00Z');
+  assert.equal(parsePunchTime(['00:10'], TZ, now).ts, at('2025-09-03T22:10:00Z'));
+  assert.equal(parsePunchTime(['yesterday', '23:00'], TZ, now).ts, at('2025-09-03T21:00:00Z'));
+});
+
+test('parsePunchTime: relative times count back from now', () => {
+  assert.deepEqual(parsePunchTime(['20m', 'ago', 'acme'], TZ, NOW), { ts: NOW - 20 * 60, args: ['acme'] });
+  assert.equal(parsePunchTime(['1h30m', 'ago'], TZ, NOW).ts, NOW - 90 * 60);
+  assert.equal(parsePunchTime(['20', 'min', 'ago'], TZ, NOW).ts, NOW - 20 * 60);
+  assert.equal(parsePunchTime(['2', 'hours', '15', 'minutes', 'ago'], TZ, NOW).ts, NOW - 135 * 60);
+  assert.equal(parsePunchTime(['1', 'hr', 'ago'], TZ, NOW).ts, NOW - 3600);
+});
+
+test('parsePunchTime: unreadable times are NaN', () => {
+  assert.ok(Number.isNaN(parsePunchTime(['25:00'], TZ, NOW).ts));
+  assert.ok(Number.isNaN(parsePunchTime(['yesterday'], TZ, NOW).ts));
+  assert.ok(Number.isNaN(parsePunchTime(['2025-02-30', '08:00'], TZ, NOW).ts));
+  assert.ok(Number.isNaN(parsePunchTime(['soon', 'ago'], TZ, NOW).ts));
+});
+
+test('parsePunchTime: times on a DST change day use that day\'s offset', () => {
+  // clocks went back in Berlin on 2025-10-26: 09:00 is UTC+1 that day
+  assert.equal(parsePunchTime(['2025-10-26', '09:00'], TZ, NOW).ts, at('2025-10-26T08:00:00Z'));
+  assert.equal(parsePunchTime(['2025-10-25', '09:00'], TZ, NOW).ts, at('2025-10-25T07:00:00Z'));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { HOURLY_RATE, periodPay } = require('../services');
+
+const WEEK = { start: '2025-09-01', end: '2025-09-07' };
+
+test('getRate: the default until a rate starts, then the one in force at the time', () => {
+  const u = user('Europe/Berlin');
+  assert.equal(db.getRate(u, null, at('2025-09-01T00:00:00Z')), HOURLY_RATE);
+  db.setRate({ userId: u, rate: 10, effectiveTs: at('2025-01-01T00:00:00Z'), setBy: OWNER }, at('2025-01-01T00:00:00Z'));
+  db.setRate({ userId: u, rate: 15, effectiveTs: at('2025-09-02T22:00:00Z'), setBy: OWNER }, at('2025-09-01T00:00:00Z'));
+  assert.equal(db.getRate(u, null, at('2024-12-31T23:59:59Z')), HOURLY_RATE);
+  assert.equal(db.getRate(u, null, at('2025-09-02T21:59:59Z')), 10);
+  assert.equal(db.getRate(u, null, at('2025-09-02T22:00:00Z')), 15);
+});
+
+test('setRate: the same start again replaces the rate; a project rate can be turned off', () => {
+  const u = user('Europe/Berlin');
+  const from = at('2025-06-01T00:00:00Z');
+  db.setRate({ userId: u, rate: 10, effectiveTs: from, setBy: OWNER }, from);
+  db.setRate({ userId: u, rate: 12, effectiveTs: from, setBy: u }, at('2025-06-02T00:00:00Z'));
+  db.setRate({ userId: u, project: 'support', rate: 30, effectiveTs: from, setBy: OWNER }, from);
+  db.setRate({ userId: u, project: 'support', rate: null, effectiveTs: at('2025-08-01T00:00:00Z'), setBy: OWNER }, from);
+  assert.deepEqual(db.getRateHistory(u).map((r) => [r.project, r.rate, r.set_by]), [[null, 12, u], ['support', 30, OWNER], ['support', null, OWNER]]);
+  assert.equal(db.getRate(u, 'support', at('2025-07-01T00:00:00Z')), 30);
+  assert.equal(db.getRate(u, 'support', at('2025-08-01T00:00:00Z')), 12);
+});
+
+test('getPeriodEntries: each shift is priced at the rate in force when it started', () => {
+  const u = user('Europe/Berlin');
+  db.setRate({ userId: u, rate: 10, effectiveTs: at('2025-01-01T00:00:00Z'), setBy: OWNER }, at('2025-01-01T00:00:00Z'));
+  // from Wednesday in Berlin
+  db.setRate({ userId: u, rate: 15, effectiveTs: at('2025-09-02T22:00:00Z'), setBy: OWNER }, at('2025-09-01T00:00:00Z'));
+  db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z'));
+  db.addShift(u, at('2025-09-03T07:00:00Z'), at('2025-09-03T15:00:00Z'));
+  const entries = db.getPeriodEntries(u, WEEK);
+  assert.deepEqual(entries.map((e) => [e.date, e.rate]), [['2025-09-01', 10], ['2025-09-03', 15]]);
+  const pay = periodPay(entries);
+  assert.deepEqual(pay.lines.map((l) => [l.key, l.hours, l.rate]), [['regular', 8, 10], ['regular', 8, 15]]);
+  assert.equal(pay.amount, 200);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+
+// checkOpenShifts looks at everyone's open shifts; each test only looks at its own user's
+const forUser = (res, u) => ({
+  reminders: res.reminders.filter((s) => s.user_id === u).map((s) => s.id),
+  capped: res.capped.filter((s) => s.user_id === u),
+});
+
+test('checkOpenShifts: reminds once after the reminder age', () => {
+  const u = user();
+  const { id } = db.clockIn(u, at('2025-09-01T07:00:00Z'));
+  assert.deepEqual(forUser(db.checkOpenShifts(at('2025-09-01T16:00:00Z'), 10, 16), u).reminders, []);
+  assert.deepEqual(forUser(db.checkOpenShifts(at('2025-09-01T17:00:00Z'), 10, 16), u).reminders, [id]);
+  db.markReminded(id, at('2025-09-01T17:00:00Z'));
+  assert.deepEqual(forUser(db.checkOpenShifts(at('2025-09-01T18:00:00Z'), 10, 16), u).reminders, []);
+});
+
+test('checkOpenShifts: closes a shift at the cap, flagged for review, split at midnight', () => {
+  const u = user('Europe/Berlin');
+  // Monday 2025-09-01 18:00 in Berlin with a break still running
+  db.clockIn(u, at('2025-09-01T16:00:00Z'));
+  db.startBreak(u, at('2025-09-01T20:00:00Z'), false);
+  const { capped } = forUser(db.checkOpenShifts(at('2025-09-02T12:00:00Z'), 10, 16), u);
+  assert.equal(capped.length, 1);
+  assert.deepEqual(capped[0].parts.map((p) => [p.day_key, p.end_ts, p.flagged]), [
+    ['2025-09-01', at('2025-09-01T22:00:00Z'), 1],
+    ['2025-09-02', at('2025-09-02T08:00:00Z'), 1],
+  ]);
+  assert.deepEqual(db.getOpenShift(u), { shift: null, brk: null });
+  // the break ran to the cap, so only the 4h before it count
+  assert.equal(db.getPeriodHours(u, { start: '2025-09-01', end: '2025-09-02' }).hours, 4);
+});
+
+test('confirmShifts: clears the review flag, one shift or all of them', () => {
+  const u = user();
+  db.clockIn(u, at('2025-09-03T04:00:00Z'));
+  db.checkOpenShifts(at('2025-09-04T07:00:00Z'), 10, 16);
+  db.clockIn(u, at('2025-09-05T04:00:00Z'));
+  db.checkOpenShifts(at('2025-09-06T07:00:00Z'), 10, 16);
+  const flagged = db.listFlaggedShifts(u, '2025-09-01', '2025-09-07');
+  assert.equal(flagged.length, 2);
+  assert.equal(db.confirmShifts(u, flagged[0].id), 1);
+  assert.deepEqual(db.listFlaggedShifts(u, '2025-09-01', '2025-09-07').map((s) => s.id), [flagged[1].id]);
+  assert.equal(db.confirmShifts(u), 1);
+  assert.deepEqual(db.listFlaggedShifts(u, '2025-09-01', '2025-09-07'), []);
+});
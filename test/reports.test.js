@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+const { reportRange, friendlyRangeLabel, periodFilename } = require('../services');
+
+test('reportRange: two dates, a month or a year', () => {
+  assert.deepEqual(reportRange('2025-09-10', '2025-10-05'), { start: '2025-09-10', end: '2025-10-05' });
+  assert.deepEqual(reportRange('2024-02'), { start: '2024-02-01', end: '2024-02-29' });
+  assert.deepEqual(reportRange('2025'), { start: '2025-01-01', end: '2025-12-31' });
+  assert.deepEqual(reportRange('2025-09-10', '2025-09-10'), { start: '2025-09-10', end: '2025-09-10' });
+});
+
+test('reportRange: null when malformed, reversed or longer than a year', () => {
+  assert.equal(reportRange('2025-09-31', '2025-10-05'), null);
+  assert.equal(reportRange('2025-13'), null);
+  assert.equal(reportRange('2025-10-05', '2025-09-10'), null);
+  assert.equal(reportRange('2024-01-01', '2025-01-01'), null);
+  assert.equal(reportRange('2025-09', '2025-10'), null);
+  assert.equal(reportRange(), null);
+});
+
+test('friendlyRangeLabel and periodFilename', () => {
+  assert.equal(friendlyRangeLabel('2025-12-29', '2026-01-04'), 'Dec 29–Jan 4, 2026');
+  assert.equal(periodFilename({ start: '2025-09-01', end: '2025-09-30' }), 'report_2025-09-01_2025-09-30.csv');
+  assert.equal(periodFilename({ kind: 'weekly', start: '2025-09-01', end: '2025-09-07' }), 'workweek_2025-09-01.csv');
+  assert.equal(periodFilename({ kind: 'monthly', start: '2025-09-01', end: '2025-09-30' }), 'payperiod_2025-09-01_2025-09-30.csv');
+});
+
+test('getRangeBreakdown: hours per worked day and per ISO week inside the range', () => {
+  const u = user();
+  // Friday, Sunday and Monday in Berlin, the last one past the range
+  db.addShift(u, at('2025-09-05T07:00:00Z'), at('2025-09-05T15:00:00Z'));
+  db.addShift(u, at('2025-09-07T07:00:00Z'), at('2025-09-07T09:00:00Z'));
+  db.addShift(u, at('2025-09-08T07:00:00Z'), at('2025-09-08T10:00:00Z'));
+  db.addShift(u, at('2025-09-09T07:00:00Z'), at('2025-09-09T10:00:00Z'));
+  assert.deepEqual(db.getRangeBreakdown(u, { start: '2025-09-05', end: '2025-09-08' }), {
+    days: [{ date: '2025-09-05', hours: 8 }, { date: '2025-09-07', hours: 2 }, { date: '2025-09-08', hours: 3 }],
+    weeks: [{ week: '2025-09-01', hours: 10 }, { week: '2025-09-08', hours: 3 }],
+  });
+  assert.deepEqual(db.getRangeBreakdown(u, { start: '2025-09-01', end: '2025-09-04' }), { days: [], weeks: [] });
+});
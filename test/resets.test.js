@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+
+const WEEK = { kind: 'weekly', start: '2025-09-01', end: '2025-09-07' };
+const NOW = at('2025-09-08T10:00:00Z');
+const shiftCount = (userId) => db.getPeriodEntries(userId, WEEK).length;
+// A user with two shifts in WEEK
+function worker() {
+  const u = user();
+  assert.equal(db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z')).ok, true);
+  assert.equal(db.addShift(u, at('2025-09-03T07:00:00Z'), at('2025-09-03T15:00:00Z')).ok, true);
+  return u;
+}
+
+test('resetShifts: soft-deletes a day or a week and undoReset puts them back', () => {
+  const u = worker();
+  const day = db.resetShifts(u, 'day', '2025-09-03', NOW);
+  assert.equal(day.ok, true);
+  assert.equal(day.shifts.length, 1);
+  assert.equal(shiftCount(u), 1);
+  const undone = db.undoReset(u, NOW + 60);
+  assert.equal(undone.ok, true);
+  assert.equal(undone.shifts.length, 1);
+  assert.equal(shiftCount(u), 2);
+
+  assert.equal(db.resetShifts(u, 'week', '2025-09-01', NOW).shifts.length, 2);
+  assert.equal(shiftCount(u), 0);
+  assert.deepEqual(db.resetShifts(u, 'week', '2025-09-01', NOW), { ok: true, shifts: [] });
+});
+
+test('resetShifts: refuses a day or week in a submitted, approved or paid period', () => {
+  const u = worker();
+  const ts = db.submitTimesheet(u, WEEK, 16, 40, NOW);
+  for (const [scope, key] of [['day', '2025-09-03'], ['week', '2025-09-01']]) {
+    const res = db.resetShifts(u, scope, key, NOW);
+    assert.equal(res.ok, false);
+    assert.match(res.message, /waiting for approval/);
+  }
+  assert.match(db.resetTarget(u, 'week', at('2025-09-05T10:00:00Z')).locked, /waiting for approval/);
+  assert.equal(shiftCount(u), 2);
+
+  assert.equal(db.decideTimesheet(OWNER, ts.id, 'approved', null, NOW).ok, true);
+  assert.match(db.resetShifts(u, 'day', '2025-09-01', NOW).message, /already approved/);
+  db.markTimesheetPaid(ts.id, NOW);
+  assert.match(db.resetShifts(u, 'week', '2025-09-01', NOW).message, /already paid out/);
+  assert.equal(shiftCount(u), 2);
+});
+
+test('resetShifts: a week is locked by a period covering any of its days', () => {
+  const u = worker();
+  db.submitTimesheet(u, { kind: 'semimonthly', start: '2025-08-16', end: '2025-08-31' }, 0, 0, NOW);
+  assert.equal(db.resetShifts(u, 'day', '2025-09-01', NOW).ok, true);
+  db.submitTimesheet(u, { kind: 'semimonthly', start: '2025-09-01', end: '2025-09-15' }, 8, 20, NOW);
+  assert.equal(db.resetShifts(u, 'week', '2025-08-25', NOW).ok, false);
+});
+
+test('undoReset: refuses to restore shifts into a period submitted since the reset', () => {
+  const u = worker();
+  assert.equal(db.resetShifts(u, 'week', '2025-09-01', NOW).ok, true);
+  const ts = db.submitTimesheet(u, WEEK, 0, 0, NOW + 60);
+  const res = db.undoReset(u, NOW + 120);
+  assert.equal(res.ok, false);
+  assert.match(res.message, /waiting for approval/);
+  assert.equal(shiftCount(u), 0);
+
+  // once rejected the period is open again, and the undo goes through
+  assert.equal(db.decideTimesheet(OWNER, ts.id, 'rejected', 'missing shifts', NOW + 180).ok, true);
+  assert.equal(db.undoReset(u, NOW + 240).ok, true);
+  assert.equal(shiftCount(u), 2);
+});
+
+test('undoReset: only the last reset, and only within the undo window', () => {
+  const u = worker();
+  assert.equal(db.resetShifts(u, 'day', '2025-09-01', NOW).ok, true);
+  assert.equal(db.undoReset(u, NOW + 2 * 3600).ok, false);
+  assert.equal(db.resetShifts(u, 'day', '2025-09-03', NOW + 2 * 3600).ok, true);
+  assert.equal(db.undoReset(u, NOW + 2 * 3600 + 60).shifts.length, 1);
+  assert.equal(db.undoReset(u, NOW + 2 * 3600 + 120).ok, false);
+  assert.equal(shiftCount(u), 1);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { hasRole, canManage, PERMISSIONS } = require('../services');
+
+const row = (id) => db.findUser(String(id));
+
+test('hasRole: a role includes the ones below it', () => {
+  assert.equal(hasRole('owner', 'manager'), true);
+  assert.equal(hasRole('manager', 'manager'), true);
+  assert.equal(hasRole('employee', 'manager'), false);
+  assert.equal(hasRole(null, 'employee'), false);
+  assert.equal(hasRole(null, PERMISSIONS.start), true);
+  assert.equal(hasRole('manager', PERMISSIONS.setrate), true);
+  assert.equal(hasRole('employee', PERMISSIONS.audit), false);
+});
+
+test('canManage: owners manage everyone, managers only people below them', () => {
+  assert.equal(canManage('owner', 'owner'), true);
+  assert.equal(canManage('manager', 'employee'), true);
+  assert.equal(canManage('manager', null), true);
+  assert.equal(canManage('manager', 'manager'), false);
+  assert.equal(canManage('employee', 'employee'), false);
+});
+
+test('getUserRole: OWNER_ID users are owners without a stored role', () => {
+  db.upsertUser({ id: OWNER, first_name: 'Boss' });
+  assert.equal(db.getUserRole(OWNER), 'owner');
+  assert.ok(db.listTeam().some((u) => u.user_id === OWNER && u.role === 'owner'));
+});
+
+test('setRole: managers give and take the employee role only', () => {
+  const manager = user(undefined, 'manager');
+  const u = user(undefined, null);
+  assert.equal(db.setRole(manager, row(u), 'manager').message, 'Only owners can change managers and owners.');
+  assert.equal(db.setRole(manager, row(u), 'employee').ok, true);
+  assert.equal(db.getUserRole(u), 'employee');
+  assert.equal(db.setRole(manager, row(u), 'employee').ok, false);
+  assert.equal(db.setRole(manager, row(u), null).ok, true);
+  assert.equal(db.getUserRole(u), null);
+  assert.equal(db.setRole(manager, row(user(undefined, 'manager')), null).ok, false);
+});
+
+test('setRole: nobody changes their own role or an OWNER_ID owner', () => {
+  const owner = user(undefined, 'owner');
+  assert.equal(db.setRole(owner, row(owner), 'employee').message, 'You cannot change your own role.');
+  assert.match(db.setRole(owner, row(OWNER), 'employee').message, /is an owner through OWNER_ID/);
+  assert.equal(db.setRole(owner, row(user(undefined, null)), 'admin').ok, false);
+});
+
+test('invites: one use each, until they expire, and only for roles the inviter may give', () => {
+  const manager = user(undefined, 'manager');
+  const now = at('2025-09-01T08:00:00Z');
+  assert.equal(db.createInvite(manager, 'manager', now, 72).ok, false);
+  const { code } = db.createInvite(manager, 'employee', now, 72);
+  const a = user(undefined, null);
+  const b = user(undefined, null);
+  assert.equal(db.redeemInvite(a, code.toLowerCase(), now + 60).ok, true);
+  assert.equal(db.getUserRole(a), 'employee');
+  assert.equal(db.redeemInvite(b, code, now + 60).ok, false);
+
+  const late = db.createInvite(manager, 'employee', now, 1).code;
+  assert.equal(db.redeemInvite(b, late, now + 3600).ok, false);
+  assert.equal(db.redeemInvite(a, db.createInvite(manager, 'employee', now, 1).code, now).message, 'You already have the employee role.');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+const { parseWeekdays } = require('../services');
+
+const mine = (list, u) => list.filter((o) => o.user_id === u).map((o) => o.day_key);
+
+test('parseWeekdays: names, lists and ranges that may wrap past Sunday', () => {
+  assert.deepEqual(parseWeekdays('mon'), [1]);
+  assert.deepEqual(parseWeekdays('Monday,wed,FRI'), [1, 3, 5]);
+  assert.deepEqual(parseWeekdays('mon-fri'), [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseWeekdays('sat-mon'), [1, 6, 7]);
+  assert.equal(parseWeekdays('mon-funday'), null);
+  assert.equal(parseWeekdays(''), null);
+});
+
+test('addSchedule: times are HH:mm and the end differs from the start', () => {
+  const u = user();
+  const now = at('2025-09-01T06:00:00Z');
+  assert.equal(db.addSchedule(OWNER, u, { day: '2025-09-02', start: '9', end: '17:00' }, now).ok, false);
+  assert.equal(db.addSchedule(OWNER, u, { day: '2025-09-02', start: '09:00', end: '9:00' }, now).ok, false);
+  const { ok, schedule } = db.addSchedule(OWNER, u, { day: '2025-09-02', start: '9:00', end: '17:00', project: 'acme' }, now);
+  assert.equal(ok, true);
+  assert.deepEqual([schedule.start_time, schedule.end_time, schedule.project, schedule.created_by], ['09:00', '17:00', 'acme', OWNER]);
+  assert.equal(db.formatSchedule(schedule), `#${schedule.id} Tue, Sep 2 09:00–17:00 [acme]`);
+});
+
+test('scheduledShifts: one-off and weekly rules in the user\'s time zone, overnight ones end the next day', () => {
+  const u = user('Europe/Berlin');
+  const now = at('2025-09-01T06:00:00Z'); // Monday
+  db.addSchedule(OWNER, u, { weekday: 3, start: '22:00', end: '06:00' }, now);
+  db.addSchedule(OWNER, u, { day: '2025-09-02', start: '09:00', end: '17:00' }, now);
+  const shifts = db.scheduledShifts(u, '2025-09-01', '2025-09-10');
+  assert.deepEqual(shifts.map((o) => o.day_key), ['2025-09-02', '2025-09-03', '2025-09-10']);
+  assert.deepEqual([shifts[0].start_ts, shifts[0].end_ts], [at('2025-09-02T07:00:00Z'), at('2025-09-02T15:00:00Z')]);
+  assert.deepEqual([shifts[1].start_ts, shifts[1].end_ts], [at('2025-09-03T20:00:00Z'), at('2025-09-04T04:00:00Z')]);
+});
+
+test('removeSchedule: a weekly rule that already applied ends, keeping the weeks before', () => {
+  const u = user('Europe/Berlin');
+  const { schedule } = db.addSchedule(OWNER, u, { weekday: 1, start: '09:00', end: '17:00' }, at('2025-09-01T06:00:00Z'));
+  assert.equal(db.removeSchedule(schedule.id, at('2025-09-10T06:00:00Z')).ok, true);
+  assert.equal(db.getSchedule(schedule.id).until_key, '2025-09-10');
+  assert.deepEqual(db.scheduledShifts(u, '2025-09-01', '2025-09-30').map((o) => o.day_key), ['2025-09-01', '2025-09-08']);
+  assert.deepEqual(db.listSchedules(u, at('2025-09-10T06:00:00Z')), []);
+
+  const { schedule: once } = db.addSchedule(OWNER, u, { day: '2025-09-20', start: '09:00', end: '17:00' }, at('2025-09-10T06:00:00Z'));
+  db.removeSchedule(once.id, at('2025-09-10T06:00:00Z'));
+  assert.equal(db.getSchedule(once.id), null);
+  assert.equal(db.removeSchedule(once.id, at('2025-09-10T06:00:00Z')).message, `Scheduled shift #${once.id} not found.`);
+});
+
+test('scheduleVariance: late and missed shifts, scheduled hours only once a shift has ended', () => {
+  const u = user('Europe/Berlin');
+  db.addSchedule(OWNER, u, { weekday: 1, start: '09:00', end: '17:00' }, at('2025-09-01T06:00:00Z'));
+  db.addSchedule(OWNER, u, { day: '2025-09-02', start: '09:00', end: '17:00' }, at('2025-09-01T06:00:00Z'));
+  db.addSchedule(OWNER, u, { day: '2025-09-03', start: '09:00', end: '17:00' }, at('2025-09-01T06:00:00Z'));
+  db.addShift(u, at('2025-09-01T07:05:00Z'), at('2025-09-01T15:05:00Z'));
+  db.addShift(u, at('2025-09-02T07:30:00Z'), at('2025-09-02T15:00:00Z'));
+  const v = db.scheduleVariance(u, '2025-09-01', '2025-09-07', at('2025-09-03T08:00:00Z'), 10);
+  assert.equal(v.scheduledHours, 16);
+  assert.equal(v.workedHours, 15.5);
+  assert.deepEqual(v.late.map((o) => [o.day_key, o.minutes]), [['2025-09-02', 30]]);
+  assert.deepEqual(v.missed.map((o) => o.day_key), ['2025-09-03']);
+  assert.equal(db.scheduleVariance(user(), '2025-09-01', '2025-09-07', at('2025-09-03T08:00:00Z'), 10), null);
+});
+
+test('checkSchedules: a reminder before the start and a no-show after the grace, each once', () => {
+  const u = user('Europe/Berlin');
+  db.addSchedule(OWNER, u, { day: '2025-09-02', start: '09:00', end: '17:00' }, at('2025-09-01T06:00:00Z'));
+  assert.deepEqual(mine(db.checkSchedules(at('2025-09-02T06:30:00Z'), 15, 10).reminders, u), []);
+  const { reminders } = db.checkSchedules(at('2025-09-02T06:50:00Z'), 15, 10);
+  assert.deepEqual(mine(reminders, u), ['2025-09-02']);
+  db.markScheduleAlert(reminders.find((o) => o.user_id === u), 'reminder', at('2025-09-02T06:50:00Z'));
+  assert.deepEqual(mine(db.checkSchedules(at('2025-09-02T06:55:00Z'), 15, 10).reminders, u), []);
+
+  assert.deepEqual(mine(db.checkSchedules(at('2025-09-02T07:05:00Z'), 15, 10).noShows, u), []);
+  const { noShows } = db.checkSchedules(at('2025-09-02T07:15:00Z'), 15, 10);
+  assert.deepEqual(mine(noShows, u), ['2025-09-02']);
+  db.markScheduleAlert(noShows.find((o) => o.user_id === u), 'noshow', at('2025-09-02T07:15:00Z'));
+  assert.deepEqual(mine(db.checkSchedules(at('2025-09-02T07:20:00Z'), 15, 10).noShows, u), []);
+});
+
+test('checkSchedules: no reminder for someone already clocked in, no alerts when turned off', () => {
+  const u = user('Europe/Berlin');
+  db.addSchedule(OWNER, u, { day: '2025-09-04', start: '09:00', end: '17:00' }, at('2025-09-01T06:00:00Z'));
+  assert.deepEqual(mine(db.checkSchedules(at('2025-09-04T07:15:00Z'), 0, 0).noShows, u), []);
+  db.clockIn(u, at('2025-09-04T06:40:00Z'));
+  assert.deepEqual(mine(db.checkSchedules(at('2025-09-04T06:50:00Z'), 15, 10).reminders, u), []);
+});
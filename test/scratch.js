@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// db.js opens data.db in the working directory, so each test file gets a scratch one, removed afterwards
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hours-test-'));
+process.chdir(dir);
+const OWNER = 1;
+process.env.OWNER_ID = String(OWNER);
+const db = require('../db');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const at = (iso) => Date.parse(iso) / 1000;
+let nextUser = 1000;
+// A new user in `tz`, given `role` by the owner
+function user(tz = 'Europe/Berlin', role = 'employee') {
+  const id = nextUser++;
+  db.upsertUser({ id, first_name: `Test ${id}` });
+  assert.equal(db.setUserTz(id, tz).ok, true);
+  if (role) assert.equal(db.setRole(OWNER, db.findUser(String(id)), role).ok, true);
+  return id;
+}
+
+module.exports = { db, at, user, OWNER };
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+const { parseDateTime } = require('../services');
+
+test('parseDateTime: a local date and time in the zone, NaN when unreadable', () => {
+  const now = at('2025-09-03T10:00:00Z');
+  assert.equal(parseDateTime('2025-09-01', '9:30', 'Europe/Berlin', now), at('2025-09-01T07:30:00Z'));
+  assert.equal(parseDateTime('yesterday', '23:00', 'Europe/Berlin', now), at('2025-09-02T21:00:00Z'));
+  assert.ok(Number.isNaN(parseDateTime('2025-09-31', '09:00', 'Europe/Berlin', now)));
+  assert.ok(Number.isNaN(parseDateTime('2025-09-01', '24:00', 'Europe/Berlin', now)));
+  assert.ok(Number.isNaN(parseDateTime('01/09/2025', '09:00', 'Europe/Berlin', now)));
+});
+
+test('addShift: needs an end after the start and no overlap', () => {
+  const u = user();
+  assert.equal(db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T07:00:00Z')).message, 'End time must be after start time.');
+  const { id } = db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z'));
+  assert.equal(db.addShift(u, at('2025-09-01T14:00:00Z'), at('2025-09-01T16:00:00Z')).message, `That overlaps shift #${id}.`);
+  // touching end to start is not an overlap
+  assert.equal(db.addShift(u, at('2025-09-01T15:00:00Z'), at('2025-09-01T16:00:00Z')).ok, true);
+});
+
+test('editShift: moves a shift, but not onto another one', () => {
+  const u = user();
+  const a = db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z')).id;
+  const b = db.addShift(u, at('2025-09-02T07:00:00Z'), at('2025-09-02T15:00:00Z')).id;
+  assert.equal(db.editShift(u, a, at('2025-09-02T06:00:00Z'), at('2025-09-02T08:00:00Z')).message, `That overlaps shift #${b}.`);
+  assert.equal(db.editShift(u, a, at('2025-09-01T08:00:00Z'), at('2025-09-01T12:00:00Z')).ok, true);
+  const shift = db.getShift(u, a);
+  assert.deepEqual([shift.start_ts, shift.end_ts], [at('2025-09-01T08:00:00Z'), at('2025-09-01T12:00:00Z')]);
+});
+
+test('editShift: an open shift is closed with /out, not edited', () => {
+  const u = user();
+  const { id } = db.clockIn(u, at('2025-09-01T07:00:00Z'));
+  assert.equal(db.editShift(u, id, at('2025-09-01T07:00:00Z'), at('2025-09-01T08:00:00Z')).message, `Shift #${id} is still open. Use /out first.`);
+});
+
+test('deleteShift: only the user\'s own shifts', () => {
+  const u = user();
+  const other = user();
+  const { id } = db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z'));
+  assert.equal(db.deleteShift(other, id).message, `Shift #${id} not found.`);
+  assert.equal(db.editShift(other, id, at('2025-09-01T07:00:00Z'), at('2025-09-01T08:00:00Z')).ok, false);
+  assert.equal(db.deleteShift(u, id).ok, true);
+  assert.equal(db.getShift(u, id), null);
+  assert.equal(db.deleteShift(u, id).message, `Shift #${id} not found.`);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+
+const mine = (list, u) => list.filter((p) => p.user_id === u).map((p) => p.hours);
+
+test('setTarget: a target, a cap or both; the cap cannot be below the target', () => {
+  const u = user();
+  assert.equal(db.setTarget(u, 40, 30).ok, false);
+  assert.equal(db.setTarget(u, 30, 40).message, 'Weekly target: 30h, cap 40h ✅');
+  assert.deepEqual(db.getTarget(u), { min: 30, max: 40 });
+  assert.equal(db.setTarget(u, null, 45).message, 'Weekly cap: 45h ✅');
+  assert.equal(db.setTarget(u, null, null).message, 'Weekly target cleared.');
+  assert.deepEqual(db.getTarget(u), { min: null, max: null });
+});
+
+test('getWeekProgress: the ISO week so far, the running shift without its unpaid break', () => {
+  const u = user('Europe/Berlin');
+  db.setTarget(u, 20, 24);
+  db.addShift(u, at('2025-08-31T10:00:00Z'), at('2025-08-31T14:00:00Z')); // the Sunday before
+  db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z'));
+  db.clockIn(u, at('2025-09-03T06:00:00Z'));
+  db.startBreak(u, at('2025-09-03T09:00:00Z'), false);
+  // Wednesday 12:00 in Berlin, two and a half days into the week
+  const p = db.getWeekProgress(u, at('2025-09-03T10:00:00Z'));
+  assert.deepEqual(p, { weekKey: '2025-09-01', hours: 11, min: 20, max: 24, elapsedDays: 2.5, daysLeft: 4.5 });
+});
+
+test('checkTargets: target reached, close to the cap or behind late in the week, each once', () => {
+  const u = user('Europe/Berlin');
+  db.setTarget(u, 20, 24);
+  db.addShift(u, at('2025-09-01T06:00:00Z'), at('2025-09-01T16:00:00Z'));
+  db.addShift(u, at('2025-09-02T06:00:00Z'), at('2025-09-02T14:00:00Z'));
+  // 18h by Sunday noon: behind with half a day left
+  let alerts = db.checkTargets(at('2025-09-07T10:00:00Z'), 2, 1);
+  assert.deepEqual([mine(alerts.reached, u), mine(alerts.nearCap, u), mine(alerts.behind, u)], [[], [], [18]]);
+  db.markTargetAlert(alerts.behind.find((p) => p.user_id === u), 'behind', at('2025-09-07T10:00:00Z'));
+  assert.deepEqual(mine(db.checkTargets(at('2025-09-07T11:00:00Z'), 2, 1).behind, u), []);
+
+  db.addShift(u, at('2025-09-03T06:00:00Z'), at('2025-09-03T10:00:00Z'));
+  alerts = db.checkTargets(at('2025-09-07T11:00:00Z'), 2, 1);
+  assert.deepEqual([mine(alerts.reached, u), mine(alerts.nearCap, u)], [[22], [22]]);
+  assert.deepEqual(mine(db.checkTargets(at('2025-09-07T11:00:00Z'), 0, 0).nearCap, u), []);
+
+  // new numbers, new notifications
+  db.markTargetAlert(alerts.reached.find((p) => p.user_id === u), 'reached', at('2025-09-07T11:00:00Z'));
+  assert.deepEqual(mine(db.checkTargets(at('2025-09-07T11:00:00Z'), 2, 1).reached, u), []);
+  db.setTarget(u, 21, 30);
+  assert.deepEqual(mine(db.checkTargets(at('2025-09-07T11:00:00Z'), 2, 1).reached, u), [22]);
+});
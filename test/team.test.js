@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+const { workerEnv } = require('./worker');
+
+const GROUP = { id: -100, type: 'group', title: 'Team' };
+
+test('teamStatus: the group\'s members with a role, clocked-in people first', () => {
+  const early = user();
+  const late = user();
+  const away = user();
+  const stranger = user(undefined, null);
+  for (const u of [away, late, early, stranger]) db.noteChatMember(-100, u, at('2025-09-01T06:00:00Z'));
+  db.noteChatMember(-200, user(), at('2025-09-01T06:00:00Z'));
+  db.clockIn(late, at('2025-09-01T08:00:00Z'));
+  db.clockIn(early, at('2025-09-01T07:00:00Z'));
+  db.startBreak(early, at('2025-09-01T09:00:00Z'), true);
+  const status = db.teamStatus(-100);
+  assert.deepEqual(status.map((s) => s.user.user_id), [early, late, away]);
+  assert.equal(status[0].brk.start_ts, at('2025-09-01T09:00:00Z'));
+  assert.deepEqual([status[2].shift, status[2].brk], [null, null]);
+  db.dropChatMember(-100, away);
+  assert.deepEqual(db.teamStatus(-100).map((s) => s.user.user_id), [early, late]);
+});
+
+test('boards: one per group, found through the groups a user is in', () => {
+  const u = user();
+  db.noteChatMember(-300, u, at('2025-09-01T06:00:00Z'));
+  db.setBoard(-300, 55, u, at('2025-09-01T06:00:00Z'));
+  db.setBoard(-300, 56, u, at('2025-09-01T07:00:00Z'));
+  assert.equal(db.getBoard(-300).message_id, 56);
+  assert.deepEqual(db.boardsFor(u).map((b) => b.chat_id), [-300]);
+  db.removeBoard(-300);
+  assert.equal(db.getBoard(-300), null);
+});
+
+test('worker /who: in a group, only the team members who have talked there', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  await bot.grant(2001);
+  await bot.grant(2002);
+  await bot.send(2000, '/in', GROUP);
+  await bot.send(2001, 'morning', GROUP);
+  // 2002 has a role but has not written in the group; the owner just did
+  const [who] = await bot.send(1, '/who', GROUP);
+  assert.match(who, /^👥 Clocked in: 1 of 3\n🟢 @user2000 since \d\d:\d\d \(0h 0m\)\n⚪ Not in: @user1, @user2001$/);
+});
+
+test('worker /board: pins the status and edits it when someone clocks in', async () => {
+  const bot = await workerEnv();
+  await bot.grant(2000);
+  await bot.send(2000, 'hi', GROUP);
+  await bot.send(1, '/board', GROUP);
+  const pin = bot.calls.find((c) => c.method === 'pinChatMessage');
+  assert.equal(pin.chat_id, -100);
+  const before = bot.calls.length;
+  await bot.send(2000, '/in');
+  const edit = bot.calls.slice(before).find((c) => c.method === 'editMessageText');
+  assert.deepEqual([edit.chat_id, edit.message_id], [-100, pin.message_id]);
+  assert.match(edit.text, /^👥 Clocked in: 1 of 2\n🟢 @user2000 since /);
+  assert.deepEqual(await bot.send(1, '/board off', GROUP), ['Status board stopped.']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user, OWNER } = require('./scratch');
+
+const WEEK = { kind: 'weekly', start: '2025-09-01', end: '2025-09-07' };
+const NOW = at('2025-09-08T08:00:00Z');
+
+test('canApprove: managers decide on employees\' timesheets, never their own', () => {
+  const manager = user(undefined, 'manager');
+  const other = user(undefined, 'manager');
+  const u = user();
+  assert.equal(db.canApprove(manager, u), true);
+  assert.equal(db.canApprove(manager, manager), false);
+  assert.equal(db.canApprove(manager, other), false);
+  assert.equal(db.canApprove(u, user()), false);
+  assert.equal(db.canApprove(OWNER, manager), true);
+  const approvers = db.timesheetApprovers(manager).map((x) => x.user_id);
+  assert.ok(!approvers.includes(manager) && !approvers.includes(other));
+});
+
+test('submitTimesheet: locks the period\'s shifts until a manager rejects it', () => {
+  const manager = user(undefined, 'manager');
+  const u = user();
+  const { id } = db.addShift(u, at('2025-09-01T07:00:00Z'), at('2025-09-01T15:00:00Z'));
+  const ts = db.submitTimesheet(u, WEEK, 8, 80, NOW);
+  assert.equal(ts.status, 'submitted');
+  const locked = db.addShift(u, at('2025-09-02T07:00:00Z'), at('2025-09-02T15:00:00Z'));
+  assert.match(locked.message, /^The pay period .* is waiting for approval/);
+  assert.equal(db.editShift(u, id, at('2025-09-01T07:00:00Z'), at('2025-09-01T16:00:00Z')).ok, false);
+  assert.equal(db.deleteShift(u, id).ok, false);
+  // the next week is open
+  assert.equal(db.addShift(u, at('2025-09-08T07:00:00Z'), at('2025-09-08T15:00:00Z')).ok, true);
+
+  assert.equal(db.decideTimesheet(u, ts.id, 'approved', null, NOW).message, 'You cannot decide on this timesheet.');
+  const res = db.decideTimesheet(manager, ts.id, 'rejected', 'Missing Tuesday', NOW);
+  assert.deepEqual([res.ok, res.ts.status, res.ts.decided_by, res.ts.comment], [true, 'rejected', manager, 'Missing Tuesday']);
+  assert.equal(db.addShift(u, at('2025-09-02T07:00:00Z'), at('2025-09-02T15:00:00Z')).ok, true);
+});
+
+test('submitTimesheet: a resubmission clears the last decision', () => {
+  const manager = user(undefined, 'manager');
+  const u = user();
+  const first = db.submitTimesheet(u, WEEK, 8, 80, NOW);
+  db.decideTimesheet(manager, first.id, 'rejected', 'Fix Monday', NOW);
+  const again = db.submitTimesheet(u, WEEK, 9, 90, NOW + 60);
+  assert.equal(again.id, first.id);
+  assert.deepEqual([again.status, again.hours, again.decided_by, again.comment], ['submitted', 9, null, null]);
+  assert.equal(db.decideTimesheet(manager, first.id, 'approved', null, NOW + 120).ok, true);
+  assert.equal(db.decideTimesheet(manager, first.id, 'rejected', 'late', NOW + 180).message, 'This timesheet is no longer waiting for approval.');
+});
+
+test('approved and paid periods stay locked for shifts, leave, adjustments and rates', () => {
+  const u = user();
+  const ts = db.submitTimesheet(u, WEEK, 0, 0, NOW);
+  assert.equal(db.decideTimesheet(null, ts.id, 'approved', null, NOW).ok, true);
+  assert.match(db.addShift(u, at('2025-09-03T07:00:00Z'), at('2025-09-03T08:00:00Z')).message, /was already approved\.$/);
+  db.markTimesheetPaid(ts.id, NOW);
+  assert.equal(db.getTimesheet(ts.id).status, 'paid');
+  assert.match(db.addLeave({ userId: u, kind: 'sick', day: '2025-09-03', hours: 8 }, NOW).message, /was already paid out\.$/);
+  assert.equal(db.addAdjustment({ userId: u, day: '2025-09-03', amount: 10, category: 'bonus', actorId: OWNER }, NOW).ok, false);
+  assert.match(db.setRate({ userId: u, rate: 30, effectiveTs: at('2025-09-05T00:00:00Z'), setBy: OWNER }, NOW).message, /Pick a start after it\.$/);
+  assert.equal(db.setRate({ userId: u, rate: 30, effectiveTs: at('2025-09-08T00:00:00Z'), setBy: OWNER }, NOW).ok, true);
+});
+
+test('commentTimesheet: replaces the comment on a decided timesheet', () => {
+  const manager = user(undefined, 'manager');
+  const u = user();
+  const ts = db.submitTimesheet(u, WEEK, 8, 80, NOW);
+  db.decideTimesheet(manager, ts.id, 'approved', 'Thanks', NOW);
+  assert.equal(db.commentTimesheet(ts.id, 'Paid on Friday').comment, 'Paid on Friday');
+  assert.equal(db.latestTimesheet(u, ['approved']).id, ts.id);
+  assert.equal(db.latestTimesheet(u, ['rejected']), null);
+});
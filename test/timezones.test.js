@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, at, user } = require('./scratch');
+
+test('setUserTz: stores the canonical IANA name, refuses unknown zones', () => {
+  const u = user();
+  const res = db.setUserTz(u, 'america/new_york');
+  assert.deepEqual([res.ok, res.tz], [true, 'America/New_York']);
+  assert.equal(db.getUserTz(u), 'America/New_York');
+  assert.equal(db.setUserTz(u, 'Mars/Olympus').ok, false);
+  assert.equal(db.getUserTz(u), 'America/New_York');
+});
+
+test('getUserTz: users who never set one get the default zone', () => {
+  db.upsertUser({ id: 5000, first_name: 'New' });
+  assert.equal(db.getUserTz(5000), db.DEFAULT_TZ);
+});
+
+test('shifts: day and week follow the user\'s zone, not UTC', () => {
+  const tokyo = user('Asia/Tokyo');
+  const la = user('America/Los_Angeles');
+  // Sunday 2025-09-07 23:00 UTC is Monday 08:00 in Tokyo and Sunday 16:00 in Los Angeles
+  const start = at('2025-09-07T23:00:00Z');
+  const a = db.getShift(tokyo, db.addShift(tokyo, start, start + 3600).id);
+  const b = db.getShift(la, db.addShift(la, start, start + 3600).id);
+  assert.deepEqual([a.day_key, a.week_key], ['2025-09-08', '2025-09-08']);
+  assert.deepEqual([b.day_key, b.week_key], ['2025-09-07', '2025-09-01']);
+});
+
+test('today and this week are the user\'s local ones', () => {
+  const u = user('Asia/Tokyo');
+  db.addShift(u, at('2025-09-07T23:00:00Z'), at('2025-09-08T01:00:00Z'));
+  // Monday 2025-09-08 10:00 in Tokyo, still Sunday in UTC
+  const now = at('2025-09-08T01:00:00Z');
+  assert.deepEqual([db.getTodayTotals(u, now).dayKey, db.getTodayHours(u, now)], ['2025-09-08', 2]);
+  assert.equal(db.getWeekHours(u, now).hours, 2);
+  assert.equal(db.getWeekHours(u, at('2025-09-07T12:00:00Z')).hours, 0);
+});
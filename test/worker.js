@@ -0,0 +1,62 @@
+// Drives src/worker.js the way Cloudflare does: webhook requests in, an in-memory HOURS namespace,
+// and the Telegram API calls it makes recorded instead of sent
+const TOKEN = '123456:test';
+const SECRET = 'test-secret';
+const OWNER = 1;
+
+// KV as the worker uses it: get / put / delete / list by prefix (one page). Throttle stamps are
+// not kept, so replies to the same chat do not wait the 1.1s the worker keeps between them.
+function memoryKV() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.has(key) ? data.get(key) : null; },
+    async put(key, value) { if (!key.startsWith('throttle:')) data.set(key, String(value)); },
+    async delete(key) { data.delete(key); },
+    async list({ prefix = '' } = {}) {
+      const keys = [...data.keys()].filter((k) => k.startsWith(prefix)).sort().map((name) => ({ name }));
+      return { keys, list_complete: true, cursor: undefined };
+    },
+  };
+}
+
+async function workerEnv(vars = {}) {
+  const { default: worker } = await import('../src/worker.js');
+  const env = { BOT_TOKEN: TOKEN, SECRET_TOKEN: SECRET, OWNER_ID: String(OWNER), TIMEZONE: 'Europe/Berlin', HOURS: memoryKV(), ...vars };
+  const calls = [];
+  let messageId = 0;
+  globalThis.fetch = async (url, opts) => {
+    const method = String(url).split('/').pop();
+    const body = opts.body instanceof FormData ? Object.fromEntries(opts.body) : JSON.parse(opts.body);
+    calls.push({ method, ...body });
+    return Response.json({ ok: true, result: { message_id: ++messageId } });
+  };
+  const update = (body) => worker.fetch(new Request(`https://bot.test/${TOKEN}`, {
+    method: 'POST',
+    headers: { 'x-telegram-bot-api-secret-token': SECRET },
+    body: JSON.stringify(body),
+  }), env);
+  const from = (id) => ({ id, first_name: `User ${id}`, username: `user${id}` });
+  return {
+    env,
+    calls,
+    // A private message (or one in `chat`); resolves to the texts the bot sent back
+    async send(userId, text, chat = { id: userId, type: 'private' }) {
+      const before = calls.length;
+      await update({ update_id: 1, message: { message_id: 1, date: 0, chat, from: from(userId), text } });
+      return calls.slice(before).filter((c) => c.method === 'sendMessage').map((c) => c.text);
+    },
+    // A tap on an inline button of `message`; resolves to the calls it made
+    async tap(userId, data, message) {
+      const before = calls.length;
+      await update({ update_id: 1, callback_query: { id: 'cq', from: from(userId), data, message } });
+      return calls.slice(before);
+    },
+    // Give `userId` a role through the owner
+    grant(userId, role = 'employee') {
+      return this.send(OWNER, `/grant ${role} ${userId}`);
+    },
+  };
+}
+
+module.exports = { workerEnv, OWNER };